@@ -0,0 +1,142 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/access/IAccessControl.sol';
+import '@openzeppelin/contracts/utils/Context.sol';
+import '@openzeppelin/contracts/utils/Strings.sol';
+import '@openzeppelin/contracts/utils/introspection/ERC165.sol';
+
+/**
+ * @dev OpenZeppelin's AccessControl, with the same functions, events and revert reasons, except that it declares
+ * no state. The roles are kept in the mapping returned by {_roleData}, which each contract declares after its
+ * existing state variables. Inheriting AccessControl itself would put its mapping ahead of them and shift the
+ * storage of the proxies deployed before roles.
+ */
+abstract contract AccessRoles is Context, IAccessControl, ERC165 {
+  struct RoleData {
+    mapping(address => bool) members;
+    bytes32 adminRole;
+  }
+
+  bytes32 public constant DEFAULT_ADMIN_ROLE = 0x00;
+
+  /**
+   * @dev Modifier that checks that an account has a specific role. Reverts with a standardized message including
+   * the required role.
+   *
+   * The format of the revert reason is given by the following regular expression:
+   *
+   *  /^AccessControl: account (0x[0-9a-f]{40}) is missing role (0x[0-9a-f]{64})$/
+   */
+  modifier onlyRole(bytes32 role) {
+    _checkRole(role, _msgSender());
+    _;
+  }
+
+  /**
+   * @dev Returns the storage of the roles, a mapping declared by the inheriting contract after its other state
+   * variables.
+   */
+  function _roleData() internal view virtual returns (mapping(bytes32 => RoleData) storage);
+
+  /**
+   * @dev See {IERC165-supportsInterface}.
+   */
+  function supportsInterface(bytes4 interfaceId) public view virtual override returns (bool) {
+    return interfaceId == type(IAccessControl).interfaceId || super.supportsInterface(interfaceId);
+  }
+
+  /**
+   * @dev Returns `true` if `account` has been granted `role`.
+   */
+  function hasRole(bytes32 role, address account) public view override returns (bool) {
+    return _roleData()[role].members[account];
+  }
+
+  /**
+   * @dev Revert with a standard message if `account` is missing `role`, see {onlyRole}.
+   */
+  function _checkRole(bytes32 role, address account) internal view {
+    if (!hasRole(role, account)) {
+      revert(
+        string(
+          abi.encodePacked(
+            'AccessControl: account ',
+            Strings.toHexString(uint160(account), 20),
+            ' is missing role ',
+            Strings.toHexString(uint256(role), 32)
+          )
+        )
+      );
+    }
+  }
+
+  /**
+   * @dev Returns the admin role that controls `role`. See {grantRole} and {revokeRole}.
+   */
+  function getRoleAdmin(bytes32 role) public view override returns (bytes32) {
+    return _roleData()[role].adminRole;
+  }
+
+  /**
+   * @dev Grants `role` to `account`. The caller must have ``role``'s admin role.
+   */
+  function grantRole(bytes32 role, address account)
+    public
+    virtual
+    override
+    onlyRole(getRoleAdmin(role))
+  {
+    _grantRole(role, account);
+  }
+
+  /**
+   * @dev Revokes `role` from `account`. The caller must have ``role``'s admin role.
+   */
+  function revokeRole(bytes32 role, address account)
+    public
+    virtual
+    override
+    onlyRole(getRoleAdmin(role))
+  {
+    _revokeRole(role, account);
+  }
+
+  /**
+   * @dev Revokes `role` from the calling account, which must be `account`.
+   */
+  function renounceRole(bytes32 role, address account) public virtual override {
+    require(account == _msgSender(), 'AccessControl: can only renounce roles for self');
+
+    _revokeRole(role, account);
+  }
+
+  /**
+   * @dev Sets `adminRole` as ``role``'s admin role.
+   */
+  function _setRoleAdmin(bytes32 role, bytes32 adminRole) internal virtual {
+    bytes32 previousAdminRole = getRoleAdmin(role);
+    _roleData()[role].adminRole = adminRole;
+    emit RoleAdminChanged(role, previousAdminRole, adminRole);
+  }
+
+  /**
+   * @dev Grants `role` to `account`, without access restriction.
+   */
+  function _grantRole(bytes32 role, address account) internal virtual {
+    if (!hasRole(role, account)) {
+      _roleData()[role].members[account] = true;
+      emit RoleGranted(role, account, _msgSender());
+    }
+  }
+
+  /**
+   * @dev Revokes `role` from `account`, without access restriction.
+   */
+  function _revokeRole(bytes32 role, address account) internal virtual {
+    if (hasRole(role, account)) {
+      _roleData()[role].members[account] = false;
+      emit RoleRevoked(role, account, _msgSender());
+    }
+  }
+}
@@ -0,0 +1,13 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/metatx/MinimalForwarder.sol';
+
+/**
+ * @dev ERC-2771 forwarder that relays requests signed by creators without ether, see utils/relayer.js. Marketplace
+ *      and NFT trust it once it is granted their {ERC2771Recipient-FORWARDER_ROLE}. The signer pays no gas, the
+ *      relayer that calls {MinimalForwarder-execute} does.
+ */
+contract ArkivForwarder is MinimalForwarder {
+
+}
@@ -0,0 +1,16 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol';
+
+/**
+ * @dev ERC-1967 proxy that Marketplace and NFT are deployed behind. The implementations are UUPS contracts that
+ *      authorize their own upgrades, so the proxy has no admin of its own.
+ */
+contract ArkivProxy is ERC1967Proxy {
+  /**
+   * @param implementation address of the Marketplace or NFT implementation.
+   * @param data encoded initialize call, run against the proxy's storage.
+   */
+  constructor(address implementation, bytes memory data) ERC1967Proxy(implementation, data) {}
+}
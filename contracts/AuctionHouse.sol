@@ -0,0 +1,375 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/token/ERC721/IERC721.sol';
+import '@openzeppelin/contracts/token/ERC721/utils/ERC721Holder.sol';
+import '@openzeppelin/contracts/utils/Counters.sol';
+import '@openzeppelin/contracts/security/ReentrancyGuard.sol';
+import './Marketplace.sol';
+
+/**
+  @notice English and Dutch auctions for NFTs, run beside the Marketplace
+  @dev Winning bids are paid out through {Marketplace-payoutSale} and refunds credited through
+       {Marketplace-creditPayment}, so the protocol fee, royalties and withdrawable balances are the same as for
+       listings. Sellers approve this contract, not the Marketplace, to start an auction.
+ */
+contract AuctionHouse is ERC721Holder, ReentrancyGuard {
+  using Counters for Counters.Counter;
+
+  /// @notice marketplace that pays out sales and holds withdrawable balances
+  Marketplace private marketplace;
+
+  /// @notice auctionId to keep track of the number of auctions created
+  Counters.Counter private _auctionIds;
+
+  /// @notice maps auctionId to Auction struct
+  mapping(uint256 => Auction) private Auctions;
+
+  enum AuctionType {
+    English,
+    Dutch
+  }
+
+  /**
+    @notice Auction struct to track details of auctions
+    @dev The NFT is held by the auction house for the duration of the auction.
+         For English auctions `startPrice` is the reserve price and `endPrice` is unused.
+         For Dutch auctions the price declines linearly from `startPrice` to `endPrice` between `startTime` and `endTime`.
+ */
+  struct Auction {
+    address nftAddress;
+    uint256 tokenId;
+    uint256 auctionId;
+    address payable seller;
+    AuctionType auctionType;
+    uint256 startPrice;
+    uint256 endPrice;
+    uint256 minBidIncrement;
+    uint256 startTime;
+    uint256 endTime;
+    uint256 extensionWindow;
+    address highestBidder;
+    uint256 highestBid;
+    bool isActive;
+  }
+
+  event AuctionCreated(
+    uint256 indexed auctionId,
+    address indexed nftAddress,
+    uint256 indexed tokenId,
+    address seller,
+    AuctionType auctionType,
+    uint256 startPrice,
+    uint256 endPrice,
+    uint256 startTime,
+    uint256 endTime
+  );
+
+  event BidPlaced(
+    uint256 indexed auctionId,
+    address indexed bidder,
+    uint256 amount,
+    uint256 endTime
+  );
+
+  event AuctionSettled(
+    uint256 indexed auctionId,
+    address indexed winner,
+    uint256 price,
+    uint256 feeToMarketplace,
+    address royaltyReceiver,
+    uint256 royaltyAmount
+  );
+
+  event AuctionCancelled(uint256 indexed auctionId);
+
+  constructor(address _marketplaceAddress) {
+    marketplace = Marketplace(_marketplaceAddress);
+  }
+
+  // ------------------ Mutative Functions ---------------------- //
+
+  /**
+    @notice Starts an English auction. Requires holder to call setApprovalForAll before calling this function.
+    @dev Transfers the NFT from the seller's wallet to the auction house until the auction is settled or cancelled.
+    @param nftAddress contract address of the NFT to be auctioned
+    @param _tokenId tokenId of the NFT to be auctioned
+    @param reservePrice minimum amount of the first bid
+    @param minBidIncrement amount by which each bid must exceed the current highest bid
+    @param startTime timestamp at which bidding opens, 0 to open immediately
+    @param duration length of the auction in seconds
+    @param extensionWindow bids placed this many seconds before the end push the end back to this many seconds after the bid
+    */
+  function createEnglishAuction(
+    address nftAddress,
+    uint256 _tokenId,
+    uint256 reservePrice,
+    uint256 minBidIncrement,
+    uint256 startTime,
+    uint256 duration,
+    uint256 extensionWindow
+  ) public returns (uint256 _auctionId) {
+    require(reservePrice > 0, 'Reserve price must be greater than 0.');
+    require(minBidIncrement > 0, 'Bid increment must be greater than 0.');
+    return
+      _createAuction(
+        nftAddress,
+        _tokenId,
+        AuctionType.English,
+        reservePrice,
+        0,
+        minBidIncrement,
+        startTime,
+        duration,
+        extensionWindow
+      );
+  }
+
+  /**
+    @notice Starts a Dutch auction whose price declines linearly from startPrice to endPrice. Requires holder to call setApprovalForAll before calling this function.
+    @dev Transfers the NFT from the seller's wallet to the auction house until the auction is bought or cancelled.
+    @param nftAddress contract address of the NFT to be auctioned
+    @param _tokenId tokenId of the NFT to be auctioned
+    @param startPrice price when the auction opens
+    @param endPrice price at and after the end of the auction
+    @param startTime timestamp at which the auction opens, 0 to open immediately
+    @param duration number of seconds over which the price declines
+    */
+  function createDutchAuction(
+    address nftAddress,
+    uint256 _tokenId,
+    uint256 startPrice,
+    uint256 endPrice,
+    uint256 startTime,
+    uint256 duration
+  ) public returns (uint256 _auctionId) {
+    require(endPrice > 0, 'End price must be greater than 0.');
+    require(startPrice >= endPrice, 'Start price must not be below end price.');
+    return
+      _createAuction(
+        nftAddress,
+        _tokenId,
+        AuctionType.Dutch,
+        startPrice,
+        endPrice,
+        0,
+        startTime,
+        duration,
+        0
+      );
+  }
+
+  /**
+    @notice Places a bid on an English auction. The previous highest bidder is refunded through Marketplace.withdraw().
+    @param _auctionId auctionId of the auction to bid on
+    */
+  function placeBid(uint256 _auctionId) public payable nonReentrant whenMarketplaceNotPaused {
+    Auction storage auction = Auctions[_auctionId];
+    require(
+      auction.isActive && auction.auctionType == AuctionType.English,
+      'Auction is not active.'
+    );
+    require(block.timestamp >= auction.startTime, 'Auction has not started.');
+    require(block.timestamp < auction.endTime, 'Auction has ended.');
+    require(msg.sender != auction.seller, 'Seller cannot bid.');
+
+    if (auction.highestBidder == address(0)) {
+      require(msg.value >= auction.startPrice, 'Bid is below reserve price.');
+    } else {
+      require(msg.value >= auction.highestBid + auction.minBidIncrement, 'Bid increment too low.');
+      _credit(auction.highestBidder, auction.highestBid);
+    }
+
+    auction.highestBidder = msg.sender;
+    auction.highestBid = msg.value;
+
+    if (auction.endTime - block.timestamp < auction.extensionWindow) {
+      auction.endTime = block.timestamp + auction.extensionWindow;
+    }
+
+    emit BidPlaced(_auctionId, msg.sender, msg.value, auction.endTime);
+  }
+
+  /**
+    @notice Settles an English auction after it has ended. Callable by anyone.
+    @dev Transfers the NFT to the highest bidder and pays out the winning bid, or returns the NFT to the seller if there were no bids.
+    @param _auctionId auctionId of the auction to settle
+    */
+  function settleAuction(uint256 _auctionId) public nonReentrant {
+    Auction storage auction = Auctions[_auctionId];
+    require(
+      auction.isActive && auction.auctionType == AuctionType.English,
+      'Auction is not active.'
+    );
+    require(block.timestamp >= auction.endTime, 'Auction has not ended.');
+
+    auction.isActive = false;
+
+    if (auction.highestBidder == address(0)) {
+      IERC721(auction.nftAddress).transferFrom(address(this), auction.seller, auction.tokenId);
+      emit AuctionCancelled(_auctionId);
+      return;
+    }
+
+    IERC721(auction.nftAddress).transferFrom(address(this), auction.highestBidder, auction.tokenId);
+    _settleAuction(auction, auction.highestBidder, auction.highestBid);
+  }
+
+  /**
+    @notice Buys the NFT in a Dutch auction at the current price. Ether sent above the price is refunded through Marketplace.withdraw().
+    @param _auctionId auctionId of the auction to buy from
+    */
+  function buyDutchAuction(uint256 _auctionId)
+    public
+    payable
+    nonReentrant
+    whenMarketplaceNotPaused
+  {
+    Auction storage auction = Auctions[_auctionId];
+    require(auction.isActive && auction.auctionType == AuctionType.Dutch, 'Auction is not active.');
+    require(block.timestamp >= auction.startTime, 'Auction has not started.');
+
+    uint256 price = getDutchAuctionPrice(_auctionId);
+    require(msg.value >= price, 'Please send the correct amount of ether.');
+
+    auction.isActive = false;
+    auction.highestBidder = msg.sender;
+    auction.highestBid = price;
+    if (msg.value > price) {
+      _credit(msg.sender, msg.value - price);
+    }
+
+    IERC721(auction.nftAddress).transferFrom(address(this), msg.sender, auction.tokenId);
+    _settleAuction(auction, msg.sender, price);
+  }
+
+  /**
+    @notice Allows the seller to cancel an auction and reclaim the NFT
+    @dev English auctions can only be cancelled before the first bid.
+    @param _auctionId auctionId of the auction to cancel
+    */
+  function cancelAuction(uint256 _auctionId) public nonReentrant {
+    Auction storage auction = Auctions[_auctionId];
+    require(auction.isActive, 'Auction is not active.');
+    require(auction.seller == msg.sender, 'Caller is not the seller');
+    require(auction.highestBidder == address(0), 'Auction already has bids.');
+
+    auction.isActive = false;
+    IERC721(auction.nftAddress).transferFrom(address(this), auction.seller, auction.tokenId);
+    emit AuctionCancelled(_auctionId);
+  }
+
+  // ------------------ Internal Functions ---------------------- //
+
+  function _createAuction(
+    address nftAddress,
+    uint256 _tokenId,
+    AuctionType auctionType,
+    uint256 startPrice,
+    uint256 endPrice,
+    uint256 minBidIncrement,
+    uint256 startTime,
+    uint256 duration,
+    uint256 extensionWindow
+  ) internal whenMarketplaceNotPaused returns (uint256) {
+    require(IERC721(nftAddress).ownerOf(_tokenId) == msg.sender, 'Caller does not own token');
+    require(duration > 0, 'Duration must be greater than 0.');
+
+    uint256 start = startTime == 0 ? block.timestamp : startTime;
+    require(start >= block.timestamp, 'Start time is in the past.');
+
+    uint256 auctionId = _auctionIds.current();
+    _auctionIds.increment();
+
+    Auction storage auction = Auctions[auctionId];
+    auction.nftAddress = nftAddress;
+    auction.tokenId = _tokenId;
+    auction.auctionId = auctionId;
+    auction.seller = payable(msg.sender);
+    auction.auctionType = auctionType;
+    auction.startPrice = startPrice;
+    auction.endPrice = endPrice;
+    auction.minBidIncrement = minBidIncrement;
+    auction.startTime = start;
+    auction.endTime = start + duration;
+    auction.extensionWindow = extensionWindow;
+    auction.isActive = true;
+
+    IERC721(nftAddress).transferFrom(msg.sender, address(this), _tokenId);
+
+    emit AuctionCreated(
+      auctionId,
+      nftAddress,
+      _tokenId,
+      msg.sender,
+      auctionType,
+      startPrice,
+      endPrice,
+      start,
+      start + duration
+    );
+    return auctionId;
+  }
+
+  function _settleAuction(
+    Auction storage auction,
+    address winner,
+    uint256 price
+  ) internal {
+    (uint256 feeToMarketplace, address royaltyReceiver, uint256 royaltyAmount) = marketplace
+      .payoutSale{ value: price }(auction.nftAddress, auction.tokenId, auction.seller);
+    emit AuctionSettled(
+      auction.auctionId,
+      winner,
+      price,
+      feeToMarketplace,
+      royaltyReceiver,
+      royaltyAmount
+    );
+  }
+
+  /**
+    @dev Credits `amount` of ether to what `payee` can claim through Marketplace.withdraw()
+    */
+  function _credit(address payee, uint256 amount) internal {
+    marketplace.creditPayment{ value: amount }(payee);
+  }
+
+  // ------------------ Read Functions ---------------------- //
+
+  function getAuctionById(uint256 _auctionId) public view returns (Auction memory) {
+    return Auctions[_auctionId];
+  }
+
+  /**
+    @notice Returns the current price of a Dutch auction
+    @dev Declines linearly from startPrice at startTime to endPrice at endTime, and stays at endPrice afterwards.
+    @param _auctionId auctionId of the Dutch auction
+    */
+  function getDutchAuctionPrice(uint256 _auctionId) public view returns (uint256) {
+    Auction storage auction = Auctions[_auctionId];
+    require(auction.auctionType == AuctionType.Dutch, 'Not a Dutch auction.');
+
+    if (block.timestamp <= auction.startTime) {
+      return auction.startPrice;
+    }
+    if (block.timestamp >= auction.endTime) {
+      return auction.endPrice;
+    }
+    uint256 elapsed = block.timestamp - auction.startTime;
+    uint256 duration = auction.endTime - auction.startTime;
+    return auction.startPrice - ((auction.startPrice - auction.endPrice) * elapsed) / duration;
+  }
+
+  function getMarketAddress() public view returns (address marketAddress) {
+    return address(marketplace);
+  }
+
+  // ------------------ Modifiers ---------------------- //
+
+  /// @dev Ended auctions can still be settled, and auctions without bids cancelled, while the marketplace is paused
+  modifier whenMarketplaceNotPaused() {
+    require(!marketplace.paused(), 'Pausable: paused');
+    _;
+  }
+}
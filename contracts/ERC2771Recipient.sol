@@ -0,0 +1,37 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import './AccessRoles.sol';
+
+/**
+ * @dev ERC-2771 recipient of meta-transactions relayed by the holders of {FORWARDER_ROLE}. A forwarder appends
+ *      the address that signed the request to the calldata, and {_msgSender} returns it in place of the
+ *      forwarder. Trusted forwarders are granted and revoked like any other role, so proxied contracts need no
+ *      new storage for them.
+ */
+abstract contract ERC2771Recipient is AccessRoles {
+  /// @notice role of the forwarders whose calls are made on behalf of the signer of the request
+  bytes32 public constant FORWARDER_ROLE = keccak256('FORWARDER_ROLE');
+
+  function isTrustedForwarder(address forwarder) public view returns (bool) {
+    return hasRole(FORWARDER_ROLE, forwarder);
+  }
+
+  function _msgSender() internal view virtual override returns (address sender) {
+    if (msg.data.length >= 20 && isTrustedForwarder(msg.sender)) {
+      assembly {
+        sender := shr(96, calldataload(sub(calldatasize(), 20)))
+      }
+    } else {
+      return super._msgSender();
+    }
+  }
+
+  function _msgData() internal view virtual override returns (bytes calldata) {
+    if (msg.data.length >= 20 && isTrustedForwarder(msg.sender)) {
+      return msg.data[:msg.data.length - 20];
+    } else {
+      return super._msgData();
+    }
+  }
+}
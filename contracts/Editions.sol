@@ -0,0 +1,204 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Supply.sol';
+import '@openzeppelin/contracts/access/Ownable.sol';
+import '@openzeppelin/contracts/utils/Counters.sol';
+import './RoyaltySplits.sol';
+import './Whitelist.sol';
+
+/**
+ * @dev Limited editions: each token id is a work with a fixed number of identical copies, minted at once by a
+ *      whitelisted creator. Creator tracking and royalties work the same way as in {NFT}.
+ */
+contract Editions is ERC1155Supply, Ownable, RoyaltySplits, Whitelist {
+  // Event indicating metadata was updated.
+  event TokenURIUpdated(uint256 indexed _tokenId, string _uri);
+
+  // Event indicating an edition was created, with its fixed number of copies.
+  event EditionCreated(
+    uint256 indexed _tokenId,
+    address indexed _creator,
+    uint256 _supply,
+    string _uri
+  );
+
+  /// @notice _tokenIds to keep track of the number of editions created
+  using Counters for Counters.Counter;
+  Counters.Counter private _tokenIds;
+
+  /// @notice address of marketplace contract to set permissions
+  address private marketplaceAddress;
+
+  /// @notice maps tokenIds to respective tokenURIs
+  mapping(uint256 => string) private _uris;
+
+  /// @notice Maps tokenId to the creator's address
+  mapping(uint256 => address) private tokenCreators;
+
+  /// @dev roles of {AccessRoles}
+  mapping(bytes32 => RoleData) private _roles;
+
+  /// @dev The deployer becomes the owner, the role admin and a curator of the whitelist
+  constructor(address _marketplaceAddress) ERC1155('') {
+    _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+    _grantRole(CURATOR_ROLE, msg.sender);
+    marketplaceAddress = _marketplaceAddress;
+  }
+
+  /// @inheritdoc	ERC165
+  function supportsInterface(bytes4 interfaceId)
+    public
+    view
+    virtual
+    override(ERC1155, RoyaltySplits, AccessRoles)
+    returns (bool)
+  {
+    return super.supportsInterface(interfaceId);
+  }
+
+  function _roleData() internal view override returns (mapping(bytes32 => RoleData) storage) {
+    return _roles;
+  }
+
+  // ------------------ Mutative Functions ---------------------- //
+
+  /**
+   * @dev Creates an edition of `supply` copies, all minted to `to`.
+   * @param royalty uint256 royalty in basis points, paid to the caller; 0 keeps the caller's default royalty.
+   * @return _tokenId uint256 ID of the edition.
+   */
+  function createEdition(
+    address to,
+    uint256 supply,
+    string memory tokenURI,
+    uint256 royalty
+  ) public returns (uint256 _tokenId) {
+    require(isWhitelisted(msg.sender), 'Must be whitelisted to create tokens');
+    require(supply > 0, 'Edition supply is zero');
+    require(bytes(tokenURI).length != 0, 'ERC1155: tokenURI is empty');
+
+    _tokenId = _tokenIds.current();
+    _tokenIds.increment();
+    tokenCreators[_tokenId] = msg.sender;
+    _uris[_tokenId] = tokenURI;
+    if (royalty > 0) {
+      _setTokenRoyalty(_tokenId, _singleRecipient(msg.sender), _singleShare(royalty));
+    }
+
+    _mint(to, _tokenId, supply, '');
+    if (!isApprovedForAll(msg.sender, marketplaceAddress)) {
+      setApprovalForAll(marketplaceAddress, true);
+    }
+    emit EditionCreated(_tokenId, msg.sender, supply, tokenURI);
+  }
+
+  /**
+   * @dev Burns copies of an edition held by `from`, reducing its supply.
+   */
+  function burn(
+    address from,
+    uint256 _tokenId,
+    uint256 amount
+  ) public {
+    require(
+      from == msg.sender || isApprovedForAll(from, msg.sender),
+      'ERC1155: caller is not owner nor approved'
+    );
+    _burn(from, _tokenId, amount);
+  }
+
+  /**
+   * @dev Updates the edition metadata while the creator still holds every copy.
+   */
+  function updateTokenMetadata(uint256 _tokenId, string memory _uri)
+    public
+    onlyTokenCreator(_tokenId)
+    onlyTokenOwner(_tokenId)
+  {
+    require(bytes(_uri).length != 0, 'ERC1155: tokenURI is empty');
+    _uris[_tokenId] = _uri;
+    emit TokenURIUpdated(_tokenId, _uri);
+    emit URI(_uri, _tokenId);
+  }
+
+  /// @dev Sets the royalty of an edition, paid to the caller; 0 resets it to zero
+  function setTokenRoyalty(uint256 tokenId, uint256 value)
+    public
+    onlyTokenCreator(tokenId)
+    onlyTokenOwner(tokenId)
+  {
+    if (value > 0) {
+      _setTokenRoyalty(tokenId, _singleRecipient(msg.sender), _singleShare(value));
+    } else {
+      _setTokenRoyalty(tokenId, new address[](0), new uint256[](0));
+    }
+  }
+
+  /**
+   * @dev Splits the royalty of an edition between several recipients, see {NFT-setTokenRoyaltySplit}.
+   */
+  function setTokenRoyaltySplit(
+    uint256 tokenId,
+    uint256 total,
+    address[] memory recipients,
+    uint256[] memory shares
+  ) public onlyTokenCreator(tokenId) onlyTokenOwner(tokenId) {
+    _validateRoyaltySplit(total, recipients, shares);
+    _setTokenRoyalty(tokenId, recipients, shares);
+  }
+
+  /**
+   * @dev Sets the default royalty of every edition created by the caller that has no royalty of its own.
+   */
+  function setCreatorRoyalty(
+    uint256 total,
+    address[] memory recipients,
+    uint256[] memory shares
+  ) public {
+    require(isWhitelisted(msg.sender), 'Must be whitelisted to create tokens');
+    _setCreatorRoyalty(msg.sender, total, recipients, shares);
+  }
+
+  function setDefaultRoyalty(address receiver, uint96 value) public onlyOwner {
+    _setContractRoyalty(receiver, value);
+  }
+
+  // ----------------------- Read Functions --------------------------- //
+
+  function uri(uint256 _tokenId) public view override returns (string memory) {
+    return _uris[_tokenId];
+  }
+
+  /**
+   * @dev Gets the creator of the edition.
+   */
+  function tokenCreator(uint256 _tokenId) public view override returns (address) {
+    return tokenCreators[_tokenId];
+  }
+
+  function getMarketAddress() public view returns (address marketAddress) {
+    return marketplaceAddress;
+  }
+
+  // ----------------------- Modifiers --------------------------- //
+
+  /**
+   * @dev Checks that the sender holds every copy of the edition, so no buyer is affected by a change.
+   */
+  modifier onlyTokenOwner(uint256 _tokenId) {
+    require(
+      totalSupply(_tokenId) > 0 && balanceOf(msg.sender, _tokenId) == totalSupply(_tokenId),
+      'Caller is not the owner'
+    );
+    _;
+  }
+
+  /**
+   * @dev Checks that the edition was created by the sender.
+   */
+  modifier onlyTokenCreator(uint256 _tokenId) {
+    require(tokenCreator(_tokenId) == msg.sender, 'Caller is not the creator');
+    _;
+  }
+}
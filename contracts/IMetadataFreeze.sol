@@ -0,0 +1,18 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/utils/introspection/IERC165.sol';
+
+/**
+  @notice Token metadata that can be frozen for good, so buyers can rely on the artwork not changing after sale
+  @dev Marketplace reports whether a listed token is frozen when the NFT reports this interface through ERC-165.
+       `MetadataUpdate` is the ERC-4906 event, emitted whenever a token's metadata changes or is frozen so
+       indexers refresh it, and `PermanentURI` the event marketplaces read a frozen URI from.
+ */
+interface IMetadataFreeze is IERC165 {
+  event MetadataUpdate(uint256 _tokenId);
+
+  event PermanentURI(string _value, uint256 indexed _id);
+
+  function isMetadataFrozen(uint256 tokenId) external view returns (bool);
+}
@@ -0,0 +1,20 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/utils/introspection/IERC165.sol';
+
+/**
+  @notice Royalties paid to several recipients, for NFTs whose royalty does not fit ERC-2981's single receiver
+  @dev Marketplace pays every recipient when the NFT reports this interface through ERC-165, and falls back to
+       `royaltyInfo` otherwise.
+ */
+interface IRoyaltySplits is IERC165 {
+  /**
+    @notice Returns each royalty recipient of a token and the amount owed to it for a sale at `salePrice`
+    @dev Both arrays have the same length, and are empty when the token has no royalty.
+   */
+  function royaltySplits(uint256 tokenId, uint256 salePrice)
+    external
+    view
+    returns (address[] memory recipients, uint256[] memory amounts);
+}
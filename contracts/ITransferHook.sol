@@ -0,0 +1,11 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+  @notice Called by an NFT contract before one of its tokens leaves its owner
+  @dev Marketplace implements this to drop the token's listing once the seller no longer holds it. The NFT
+       contract is `msg.sender`, so a caller can only affect listings of its own tokens.
+ */
+interface ITransferHook {
+  function onTokenTransfer(uint256 tokenId) external;
+}
@@ -3,30 +3,79 @@ pragma solidity ^0.8.0;
 
 import '@openzeppelin/contracts/token/ERC721/ERC721.sol';
 import '@openzeppelin/contracts/token/ERC721/utils/ERC721Holder.sol';
+import '@openzeppelin/contracts/token/ERC1155/IERC1155.sol';
+import '@openzeppelin/contracts/token/ERC20/IERC20.sol';
+import '@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol';
 import '@openzeppelin/contracts/utils/Counters.sol';
+import '@openzeppelin/contracts/utils/structs/EnumerableSet.sol';
 import '@openzeppelin/contracts/security/ReentrancyGuard.sol';
 import '@openzeppelin/contracts/access/Ownable.sol';
+import '@openzeppelin/contracts/proxy/utils/Initializable.sol';
+import '@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol';
+import '@openzeppelin/contracts/utils/cryptography/ECDSA.sol';
+import '@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol';
+import '@openzeppelin/contracts/utils/introspection/ERC165Checker.sol';
+import './ERC2771Recipient.sol';
 import './ERC2981.sol';
+import './IMetadataFreeze.sol';
+import './IRoyaltySplits.sol';
+import './ITransferHook.sol';
+import './NFT.sol';
 import 'hardhat/console.sol';
 
-contract Marketplace is ERC721Holder, Ownable, ReentrancyGuard {
+/**
+  @dev Deployed behind an {ArkivProxy} and upgraded by the owner through {UUPSUpgradeable-upgradeTo}, so listings
+       and balances survive upgrades. New state variables must be appended after the existing ones.
+ */
+contract Marketplace is
+  Initializable,
+  UUPSUpgradeable,
+  ERC721Holder,
+  Ownable,
+  ReentrancyGuard,
+  EIP712,
+  ITransferHook,
+  ERC2771Recipient
+{
   /// @notice itemId to keep track of the number of items listed for sale on the marketplace
   using Counters for Counters.Counter;
+  using SafeERC20 for IERC20;
+  using EnumerableSet for EnumerableSet.UintSet;
   Counters.Counter private _itemIds;
 
-  /// @dev owner of the marketplace contract, set in constructor
+  /// @dev owner of the marketplace contract, set in initialize
   address payable marketplaceOwner;
 
   /** 
     @notice Royalties charged by the marketplace 
-    @dev Value set in constructor 
+    @dev Value set in initialize
  */
   uint256 public protocolFee;
 
   /// @notice maps itemId to Item struct
   mapping(uint256 => Item) private MarketItems;
 
-  /// @notice Item struct to track details of items listed on the marketplace
+  /// @notice itemIds of listed items, so they can be read a page at a time
+  EnumerableSet.UintSet private listedItemIds;
+
+  /// @notice maps an address to the itemIds whose `owner` it is
+  mapping(address => EnumerableSet.UintSet) private itemIdsByOwner;
+
+  /// @notice maps an NFT contract to the itemIds of its tokens, in listing order
+  mapping(address => EnumerableSet.UintSet) private itemIdsByNft;
+
+  /**
+    @notice maps a listing slot to its itemId plus one, 0 for a slot never listed
+    @dev A slot is a token for ERC-721 items and a (token, seller) pair for editions. It keeps its itemId when
+         relisted, so a token has at most one active listing and a single itemId for its whole history.
+   */
+  mapping(bytes32 => uint256) private listingSlots;
+
+  /**
+    @notice Item struct to track details of items listed on the marketplace
+    @dev `price` is per copy and `quantity` the copies still for sale, 1 for ERC-721 items. Edition items are
+         ERC-1155 copies and stay listed until every copy is sold. `expiry` is a unix timestamp, 0 for none.
+ */
   struct Item {
     address nftAddress;
     uint256 tokenId;
@@ -34,6 +83,82 @@ contract Marketplace is ERC721Holder, Ownable, ReentrancyGuard {
     address payable owner;
     uint256 price;
     bool isListed;
+    address paymentToken;
+    uint256 quantity;
+    bool isEdition;
+    uint256 expiry;
+  }
+
+  /// @notice ERC-20 tokens the owner allows listings to be priced in, address(0) (ether) is always allowed
+  mapping(address => bool) private allowedPaymentTokens;
+
+  /// @notice ether owed to each address, e.g. sale proceeds and refunds for outbid bidders, claimable through withdraw()
+  mapping(address => uint256) private pendingWithdrawals;
+
+  /// @dev escrowed offer, see {Offers}
+  struct Offer {
+    address nftAddress;
+    uint256 tokenId;
+    uint256 offerId;
+    address bidder;
+    uint256 amount;
+    uint256 expiry;
+    bool isCollectionOffer;
+    bool isActive;
+  }
+
+  /// @notice EIP-712 typehash of a signed listing order
+  bytes32 private constant ORDER_TYPEHASH =
+    keccak256(
+      'Order(address seller,address nftAddress,uint256 tokenId,uint256 price,uint256 nonce,uint256 expiry)'
+    );
+
+  /**
+    @dev Offers made before they moved to {OfferBook}. Unused, kept so the variables declared after them stay in
+         the slots of proxies deployed before the move.
+   */
+  Counters.Counter private _offerIds;
+  mapping(uint256 => Offer) private Offers;
+
+  /// @notice current order nonce of each seller, signed orders with any other nonce are invalid
+  mapping(address => uint256) private orderNonces;
+
+  /// @notice order hashes that have been fulfilled or cancelled
+  mapping(bytes32 => bool) private usedOrders;
+
+  /// @notice role allowed to schedule protocol fee changes and to allow payment tokens
+  bytes32 public constant FEE_ADMIN_ROLE = keccak256('FEE_ADMIN_ROLE');
+
+  /// @notice role allowed to pause and unpause listing and purchasing
+  bytes32 public constant PAUSER_ROLE = keccak256('PAUSER_ROLE');
+
+  /// @notice upper bound on the protocol fee, in basis points
+  uint256 public constant MAX_PROTOCOL_FEE = 1000;
+
+  /// @notice time between scheduling a protocol fee change and when it can be applied
+  uint256 public constant PROTOCOL_FEE_DELAY = 2 days;
+
+  /// @notice protocol fee scheduled by the fee admin and the time it can be applied at, 0 when none is scheduled
+  uint256 private pendingProtocolFee;
+  uint256 private pendingProtocolFeeTime;
+
+  /// @dev roles of {AccessRoles}, declared after the variables of proxies deployed before roles
+  mapping(bytes32 => RoleData) private _roles;
+
+  /// @notice whether listing and purchasing are stopped, see {pause}
+  bool private _paused;
+
+  /**
+    @notice Listing signed off-chain by the seller according to EIP-712
+    @dev Valid while `nonce` matches the seller's current order nonce and `expiry` has not passed.
+ */
+  struct Order {
+    address seller;
+    address nftAddress;
+    uint256 tokenId;
+    uint256 price;
+    uint256 nonce;
+    uint256 expiry;
   }
 
   struct RoyaltyInfo {
@@ -47,15 +172,110 @@ contract Marketplace is ERC721Holder, Ownable, ReentrancyGuard {
     uint256 indexed itemId,
     address owner,
     uint256 price,
-    bool isListed
+    bool isListed,
+    address paymentToken,
+    uint256 quantity,
+    uint256 expiry
+  );
+
+  event ItemSold(
+    address indexed nftAddress,
+    uint256 indexed tokenId,
+    uint256 indexed itemId,
+    address seller,
+    address buyer,
+    uint256 price,
+    uint256 feeToMarketplace,
+    address royaltyReceiver,
+    uint256 royaltyAmount,
+    uint256 quantity
+  );
+
+  /// @dev a sale settled by a contract such as the AuctionHouse or OfferBook, which `payer` is
+  event SalePaidOut(
+    address indexed nftAddress,
+    uint256 indexed tokenId,
+    address indexed seller,
+    address payer,
+    uint256 price,
+    uint256 feeToMarketplace,
+    address royaltyReceiver,
+    uint256 royaltyAmount
+  );
+
+  event ItemDelisted(uint256 indexed itemId);
+
+  /// @notice the listing was dropped because the seller no longer holds the token or approves the marketplace
+  event ListingInvalidated(uint256 indexed itemId);
+
+  event ListPriceUpdated(uint256 indexed itemId, uint256 price);
+
+  event OrderFulfilled(
+    bytes32 indexed orderHash,
+    address indexed seller,
+    address indexed buyer,
+    address nftAddress,
+    uint256 tokenId,
+    uint256 price,
+    uint256 feeToMarketplace,
+    address royaltyReceiver,
+    uint256 royaltyAmount
   );
 
+  event OrderCancelled(bytes32 indexed orderHash, address indexed seller);
+
+  event OrderNonceIncremented(address indexed seller, uint256 newNonce);
+
+  event VoucherPurchased(
+    address indexed nftAddress,
+    uint256 indexed tokenId,
+    address indexed creator,
+    address buyer,
+    uint256 price,
+    uint256 feeToMarketplace,
+    uint256 royaltyAmount
+  );
+
+  event RoyaltyPaid(
+    address indexed nftAddress,
+    uint256 indexed tokenId,
+    address indexed receiver,
+    uint256 amount
+  );
+
+  event PaymentCredited(address indexed payee, uint256 amount);
+
+  event Withdrawal(address indexed payee, uint256 amount);
+
+  event PaymentTokenUpdated(address indexed paymentToken, bool allowed);
+
+  event ProtocolFeeChangeScheduled(uint256 newFee, uint256 effectiveTime);
+
+  event ProtocolFeeChangeCancelled(uint256 newFee);
+
+  event ProtocolFeeUpdated(uint256 previousFee, uint256 newFee);
+
+  /// @dev the events of OpenZeppelin's Pausable, which would declare its state ahead of the existing variables
+  event Paused(address account);
+
+  event Unpaused(address account);
+
+  /// @dev Locks the implementation, proxies are set up through initialize
+  constructor() EIP712('Arkiv Marketplace', '1') initializer {}
+
   /** 
-    @notice Sets the owner of the Marketplace contract as the contract deployer, and initializes proportion of royalties that will go to the marketplace.
-    @param fee takes a value between 0-10000
+    @notice Sets the owner of the Marketplace proxy as the caller, and initializes proportion of royalties that will go to the marketplace.
+    @dev Called once through the proxy in place of a constructor. The caller also gets the admin, fee admin and pauser roles.
+    @param fee takes a value between 0 and MAX_PROTOCOL_FEE
  */
-  constructor(uint256 fee) {
-    marketplaceOwner = payable(msg.sender);
+  function initialize(uint256 fee) public initializer {
+    require(fee <= MAX_PROTOCOL_FEE, 'Protocol fee exceeds the maximum.');
+    address sender = _msgSender();
+    _transferOwnership(sender);
+    _grantRole(DEFAULT_ADMIN_ROLE, sender);
+    _grantRole(FEE_ADMIN_ROLE, sender);
+    _grantRole(PAUSER_ROLE, sender);
+    marketplaceOwner = payable(sender);
     protocolFee = fee;
   }
 
@@ -63,7 +283,7 @@ contract Marketplace is ERC721Holder, Ownable, ReentrancyGuard {
 
   /**
     @notice Executes listing of item by adding new items into the mapping. Requires holder to call setApprovalForAll before calling this function. 
-    @dev Transfers the NFT from the owner's wallet to the marketplace. 
+    @dev The NFT stays with the owner until it is bought. Relisting a token reuses its itemId.
     @param nftAddress contract address of the NFT to be listed  
     @param _tokenId tokenId of the NFT to be listed
     @param price list price of each listed NFT
@@ -73,60 +293,171 @@ contract Marketplace is ERC721Holder, Ownable, ReentrancyGuard {
     uint256 _tokenId,
     uint256 price
   ) public returns (uint256 _itemId) {
-    require(IERC721(nftAddress).ownerOf(_tokenId) == msg.sender, 'Caller does not own token');
+    return _listItem(nftAddress, _tokenId, price, address(0), 0);
+  }
 
-    if (price > 0) {
-      uint256 itemId = _itemIds.current();
-      MarketItems[itemId] = Item(nftAddress, _tokenId, itemId, payable(msg.sender), price, true);
-      _itemIds.increment();
+  /**
+    @notice Lists an item priced in an ERC-20 token allowed by the marketplace owner. Requires holder to call setApprovalForAll before calling this function.
+    @param nftAddress contract address of the NFT to be listed
+    @param _tokenId tokenId of the NFT to be listed
+    @param price list price in the smallest unit of the payment token
+    @param paymentToken ERC-20 token the buyer pays in, address(0) for ether
+    */
+  function listItemWithToken(
+    address nftAddress,
+    uint256 _tokenId,
+    uint256 price,
+    address paymentToken
+  ) public returns (uint256 _itemId) {
+    return _listItem(nftAddress, _tokenId, price, paymentToken, 0);
+  }
 
-      emit ItemListed(nftAddress, _tokenId, itemId, msg.sender, price, true);
-      return itemId;
-    }
+  /**
+    @notice Lists an item that can no longer be bought after `expiry`
+    @param paymentToken ERC-20 token the buyer pays in, address(0) for ether
+    @param expiry unix timestamp the listing expires at, 0 for a listing that does not expire
+    */
+  function listItemWithExpiry(
+    address nftAddress,
+    uint256 _tokenId,
+    uint256 price,
+    address paymentToken,
+    uint256 expiry
+  ) public returns (uint256 _itemId) {
+    return _listItem(nftAddress, _tokenId, price, paymentToken, expiry);
   }
 
   /**
-    @notice Allows buyer to purchase one or more NFTs 
-    @dev Transfers the desired quantity of tokens from the marketplace to the buyer 
+    @notice Lists copies of an ERC-1155 edition. Requires holder to call setApprovalForAll before buyers purchase.
+    @param nftAddress contract address of the ERC-1155 edition
+    @param _tokenId tokenId of the edition
+    @param quantity number of copies for sale
+    @param price price per copy, in wei or in the smallest unit of the payment token
+    @param paymentToken ERC-20 token the buyer pays in, address(0) for ether
+    @param expiry unix timestamp the listing expires at, 0 for a listing that does not expire
+    */
+  function listEdition(
+    address nftAddress,
+    uint256 _tokenId,
+    uint256 quantity,
+    uint256 price,
+    address paymentToken,
+    uint256 expiry
+  ) public returns (uint256 _itemId) {
+    require(quantity > 0, 'Quantity is zero.');
+    require(
+      IERC1155(nftAddress).balanceOf(_msgSender(), _tokenId) >= quantity,
+      'Caller does not own enough copies'
+    );
+    require(
+      IERC1155(nftAddress).isApprovedForAll(_msgSender(), address(this)),
+      'Marketplace is not approved for token'
+    );
+    return _createItem(nftAddress, _tokenId, price, paymentToken, quantity, expiry, true);
+  }
+
+  /**
+    @notice Allows buyer to purchase a listed item, every copy still for sale in the case of editions
+    @dev Transfers the token from the seller to the buyer
     @dev Transfer a portion of ether sent by the buyer to the marketplace as royalties. Remaining ether is transferred to the seller. 
+    @dev Items priced in an ERC-20 token are paid with safeTransferFrom from the buyer, who must approve the marketplace for the price first.
     @param nftAddress contract address of the NFT to be purchased
     @param _itemId itemId of the NFT to be purchased 
     */
   function purchaseItem(address nftAddress, uint256 _itemId) public payable nonReentrant {
-    uint256 salePrice = MarketItems[_itemId].price;
-    uint256 _tokenId = MarketItems[_itemId].tokenId;
-    bool isForSale = MarketItems[_itemId].isListed;
-    address owner = MarketItems[_itemId].owner;
+    Item storage item = MarketItems[_itemId];
+    require(item.nftAddress == nftAddress, 'Item is not from this NFT contract.');
+    _purchase(item, item.quantity);
+  }
 
-    require(isForSale == true, 'Item requested is not for sale.');
-    require(msg.value == salePrice, 'Please send the correct amount of ether.');
+  /**
+    @notice Buys `quantity` copies of an edition item, leaving the rest listed
+    @dev msg.value, or the ERC-20 amount approved, must be the per-copy price times `quantity`
+    @param _itemId itemId of the edition listing
+    @param quantity number of copies to buy
+    */
+  function purchaseEdition(uint256 _itemId, uint256 quantity) public payable nonReentrant {
+    Item storage item = MarketItems[_itemId];
+    require(item.isEdition, 'Item is not an edition.');
+    require(quantity > 0 && quantity <= item.quantity, 'Quantity is not available.');
+    _purchase(item, quantity);
+  }
 
-    (address royaltyReceiver, uint256 royaltyAmount) = ERC2981(nftAddress).royaltyInfo(
-      _tokenId,
-      salePrice
-    );
+  function updateListPrice(uint256 _itemId, uint256 newPrice) public onlyItemOwner(_itemId) {
+    require(newPrice > 0, 'Price must be greater than zero.');
+    MarketItems[_itemId].price = newPrice;
+    emit ListPriceUpdated(_itemId, newPrice);
+  }
+
+  /**
+    @notice Schedules a protocol fee change, which can be applied once PROTOCOL_FEE_DELAY has passed
+    @dev Replaces any change already scheduled.
+    @param newFee fee in basis points, at most MAX_PROTOCOL_FEE
+  */
+  function scheduleProtocolFee(uint256 newFee) public onlyRole(FEE_ADMIN_ROLE) {
+    require(newFee <= MAX_PROTOCOL_FEE, 'Protocol fee exceeds the maximum.');
+    pendingProtocolFee = newFee;
+    pendingProtocolFeeTime = block.timestamp + PROTOCOL_FEE_DELAY;
+    emit ProtocolFeeChangeScheduled(newFee, pendingProtocolFeeTime);
+  }
+
+  /**
+    @notice Replaced by {scheduleProtocolFee} and {applyProtocolFee}, as fee changes are timelocked
+    @dev Kept so callers of the former immediate update get a clear reason instead of a bare revert.
+  */
+  function updateProtocolFee(uint256) external pure {
+    revert('updateProtocolFee is replaced by scheduleProtocolFee.');
+  }
 
-    uint256 feeToMarketplace = ((protocolFee * msg.value) / 10000);
-    uint256 etherToSeller = msg.value - feeToMarketplace - royaltyAmount;
+  /// @notice Applies the scheduled protocol fee once its delay has passed. Anyone can call it.
+  function applyProtocolFee() public {
+    require(pendingProtocolFeeTime != 0, 'No protocol fee change is scheduled.');
+    require(block.timestamp >= pendingProtocolFeeTime, 'Protocol fee change is timelocked.');
+    emit ProtocolFeeUpdated(protocolFee, pendingProtocolFee);
+    protocolFee = pendingProtocolFee;
+    delete pendingProtocolFee;
+    delete pendingProtocolFeeTime;
+  }
 
-    IERC721(nftAddress).transferFrom(owner, msg.sender, _tokenId);
+  function cancelProtocolFee() public onlyRole(FEE_ADMIN_ROLE) {
+    require(pendingProtocolFeeTime != 0, 'No protocol fee change is scheduled.');
+    emit ProtocolFeeChangeCancelled(pendingProtocolFee);
+    delete pendingProtocolFee;
+    delete pendingProtocolFeeTime;
+  }
 
-    MarketItems[_itemId].owner = payable(msg.sender);
-    MarketItems[_itemId].isListed = false;
+  /// @notice Stops listing and purchasing. Delisting and withdrawals keep working.
+  function pause() public onlyRole(PAUSER_ROLE) whenNotPaused {
+    _paused = true;
+    emit Paused(_msgSender());
+  }
 
-    transferEther(marketplaceOwner, feeToMarketplace);
-    transferEther(royaltyReceiver, royaltyAmount);
-    transferEther(owner, etherToSeller);
+  function unpause() public onlyRole(PAUSER_ROLE) {
+    require(_paused, 'Pausable: not paused');
+    _paused = false;
+    emit Unpaused(_msgSender());
   }
 
-  function updateListPrice(uint256 _itemId, uint256 newPrice) public onlyItemOwner(_itemId) {
-    if (newPrice > 0) {
-      MarketItems[_itemId].price = newPrice;
-    }
+  /**
+    @notice Makes the owner the role admin, as initialize does, so that proxies initialized before roles existed
+            can grant them after the upgrade.
+ */
+  function grantOwnerAdminRole() public onlyOwner {
+    _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
   }
 
-  function updateProtocolFee(uint256 newFee) public onlyOwner {
-    protocolFee = newFee;
+  /**
+    @notice Allows or disallows an ERC-20 token as the payment currency of listings
+    @param paymentToken address of the ERC-20 token
+    @param allowed whether listings may be priced in the token
+  */
+  function setPaymentTokenAllowed(address paymentToken, bool allowed)
+    public
+    onlyRole(FEE_ADMIN_ROLE)
+  {
+    require(paymentToken != address(0), 'Ether is always allowed.');
+    allowedPaymentTokens[paymentToken] = allowed;
+    emit PaymentTokenUpdated(paymentToken, allowed);
   }
 
   /**
@@ -136,70 +467,666 @@ contract Marketplace is ERC721Holder, Ownable, ReentrancyGuard {
   */
   function delistItem(uint256 _itemId) public onlyItemOwner(_itemId) {
     require(MarketItems[_itemId].isListed == true, 'Item is not listed.');
-    MarketItems[_itemId].isListed = false;
+    _unlist(_itemId);
+    emit ItemDelisted(_itemId);
   }
 
-  function transferEther(address receiver, uint256 amount) internal {
-    (bool transferSuccess, ) = payable(receiver).call{ value: amount }('');
-    require(transferSuccess, 'Failed to transfer royalties to marketplace.');
+  /**
+    @notice Drops a listing that can no longer be bought because it expired, the seller no longer holds the
+            token or the marketplace is no longer approved. Anyone can call it.
+    @param _itemId itemId of the stale listing
+  */
+  function invalidateListing(uint256 _itemId) public {
+    Item storage item = MarketItems[_itemId];
+    require(item.isListed == true, 'Item is not listed.');
+    require(bytes(_listingError(item)).length != 0, 'Listing is still valid.');
+    _unlist(_itemId);
+    emit ListingInvalidated(_itemId);
   }
 
-  // ------------------ Read Functions ---------------------- //
+  /**
+    @notice Drops the listing of a token that is leaving its owner, see {ITransferHook}
+    @dev Sales through the marketplace unlist the item before moving the token, so this is a no-op for them.
+  */
+  function onTokenTransfer(uint256 _tokenId) external override {
+    // the caller is the NFT contract itself, never a forwarder acting for a signer
+    uint256 slot = listingSlots[_listingSlot(msg.sender, _tokenId, address(0))];
+    if (slot != 0 && MarketItems[slot - 1].isListed) {
+      _unlist(slot - 1);
+      emit ListingInvalidated(slot - 1);
+    }
+  }
+
+  /**
+    @notice Pays out the ether sent with the call as a sale of a token by `seller`, split between the protocol fee,
+            royalties and the seller as for listings. The AuctionHouse and
+            OfferBook settle sales through it.
+    @dev The caller provides the ether paid out, so no access control is needed. As anyone can report a sale this
+         way, indexers only count the {SalePaidOut} events whose payer is the AuctionHouse or OfferBook.
+    @return feeToMarketplace portion of the sale price credited to the marketplace owner
+    @return royaltyReceiver first royalty recipient
+    @return royaltyAmount portion of the sale price credited as royalties
+  */
+  function payoutSale(
+    address nftAddress,
+    uint256 _tokenId,
+    address seller
+  )
+    external
+    payable
+    returns (
+      uint256 feeToMarketplace,
+      address royaltyReceiver,
+      uint256 royaltyAmount
+    )
+  {
+    (feeToMarketplace, royaltyReceiver, royaltyAmount) = _payout(
+      nftAddress,
+      _tokenId,
+      seller,
+      msg.value,
+      address(0)
+    );
+    emit SalePaidOut(
+      nftAddress,
+      _tokenId,
+      seller,
+      msg.sender,
+      msg.value,
+      feeToMarketplace,
+      royaltyReceiver,
+      royaltyAmount
+    );
+  }
+
+  /**
+    @notice Credits the ether sent with the call to what `payee` can withdraw, e.g. a refund for an outbid bidder
+  */
+  function creditPayment(address payee) external payable {
+    _credit(payee, msg.value);
+  }
+
+  /**
+    @notice Withdraws ether owed to the caller, e.g. sale proceeds or refunds from being outbid
+  */
+  function withdraw() public nonReentrant {
+    address sender = _msgSender();
+    uint256 amount = pendingWithdrawals[sender];
+    require(amount > 0, 'Nothing to withdraw.');
+    pendingWithdrawals[sender] = 0;
+    transferEther(sender, amount);
+    emit Withdrawal(sender, amount);
+  }
+
+  // ------------------ Signed Order Functions ---------------------- //
+
+  /**
+    @notice Buys an NFT using a listing the seller signed off-chain. Requires the seller to have called setApprovalForAll.
+    @dev Transfers the NFT from the seller to the buyer and pays out with the same fee and royalty split as purchaseItem.
+    @param order listing signed by the seller
+    @param signature EIP-712 signature of the order by the seller
+    */
+  function fulfillOrder(Order calldata order, bytes calldata signature)
+    public
+    payable
+    nonReentrant
+    whenNotPaused
+  {
+    bytes32 orderHash = hashOrder(order);
+    require(block.timestamp < order.expiry, 'Order has expired.');
+    require(order.nonce == orderNonces[order.seller], 'Order nonce is invalid.');
+    require(!usedOrders[orderHash], 'Order is filled or cancelled.');
+    require(ECDSA.recover(orderHash, signature) == order.seller, 'Invalid order signature.');
+    require(msg.value == order.price, 'Please send the correct amount of ether.');
+    require(
+      IERC721(order.nftAddress).ownerOf(order.tokenId) == order.seller,
+      'Seller does not own token'
+    );
+
+    usedOrders[orderHash] = true;
+    IERC721(order.nftAddress).transferFrom(order.seller, _msgSender(), order.tokenId);
+
+    (uint256 feeToMarketplace, address royaltyReceiver, uint256 royaltyAmount) = _payout(
+      order.nftAddress,
+      order.tokenId,
+      order.seller,
+      order.price,
+      address(0)
+    );
+    emit OrderFulfilled(
+      orderHash,
+      order.seller,
+      _msgSender(),
+      order.nftAddress,
+      order.tokenId,
+      order.price,
+      feeToMarketplace,
+      royaltyReceiver,
+      royaltyAmount
+    );
+  }
 
-  function getItemsOwned() public view returns (Item[] memory) {
-    uint256 totalItemCount = _itemIds.current();
-    uint256 myItemsCount = 0;
-    uint256 resultItemId = 0;
+  /**
+    @notice Allows a seller to cancel a single signed order
+    @param order listing signed by the caller
+    */
+  function cancelOrder(Order calldata order) public {
+    require(order.seller == _msgSender(), 'Caller is not the seller');
+    bytes32 orderHash = hashOrder(order);
+    usedOrders[orderHash] = true;
+    emit OrderCancelled(orderHash, _msgSender());
+  }
+
+  /**
+    @notice Cancels every outstanding order signed by the caller by bumping their order nonce
+    */
+  function incrementOrderNonce() public {
+    address sender = _msgSender();
+    orderNonces[sender]++;
+    emit OrderNonceIncremented(sender, orderNonces[sender]);
+  }
+
+  /**
+    @notice Buys a token signed off-chain by its creator, minting it to the caller
+    @dev The NFT contract checks the voucher, the sale is then split like purchaseItem with the creator as seller
+    @param nftAddress NFT contract the voucher was signed for
+    @param signature EIP-712 signature of the voucher by its creator
+    */
+  function purchaseVoucher(
+    address nftAddress,
+    NFT.MintVoucher calldata voucher,
+    bytes calldata signature
+  ) public payable nonReentrant whenNotPaused returns (uint256 tokenId) {
+    require(msg.value == voucher.price, 'Please send the correct amount of ether.');
+    tokenId = NFT(nftAddress).redeemVoucher(_msgSender(), voucher, signature);
+
+    (uint256 feeToMarketplace, , uint256 royaltyAmount) = _payout(
+      nftAddress,
+      tokenId,
+      voucher.creator,
+      voucher.price,
+      address(0)
+    );
+    emit VoucherPurchased(
+      nftAddress,
+      tokenId,
+      voucher.creator,
+      _msgSender(),
+      voucher.price,
+      feeToMarketplace,
+      royaltyAmount
+    );
+  }
+
+  // ------------------ Internal Functions ---------------------- //
+
+  function _msgSender() internal view override(Context, ERC2771Recipient) returns (address) {
+    return ERC2771Recipient._msgSender();
+  }
+
+  function _msgData() internal view override(Context, ERC2771Recipient) returns (bytes calldata) {
+    return ERC2771Recipient._msgData();
+  }
+
+  /// @dev Only the owner can upgrade the proxy
+  function _authorizeUpgrade(address) internal override onlyOwner {}
+
+  function _roleData() internal view override returns (mapping(bytes32 => RoleData) storage) {
+    return _roles;
+  }
+
+  function _listItem(
+    address nftAddress,
+    uint256 _tokenId,
+    uint256 price,
+    address paymentToken,
+    uint256 expiry
+  ) internal returns (uint256) {
+    IERC721 nft = IERC721(nftAddress);
+    require(nft.ownerOf(_tokenId) == _msgSender(), 'Caller does not own token');
+    require(
+      nft.isApprovedForAll(_msgSender(), address(this)) ||
+        nft.getApproved(_tokenId) == address(this),
+      'Marketplace is not approved for token'
+    );
+    return _createItem(nftAddress, _tokenId, price, paymentToken, 1, expiry, false);
+  }
+
+  /**
+    @dev Lists the caller's token in its slot, reusing the slot's itemId if the token was listed before. A slot
+         still listed by its previous ERC-721 owner is stale, as the caller now holds the token, and is replaced.
+    */
+  function _createItem(
+    address nftAddress,
+    uint256 _tokenId,
+    uint256 price,
+    address paymentToken,
+    uint256 quantity,
+    uint256 expiry,
+    bool isEdition
+  ) internal whenNotPaused returns (uint256 itemId) {
+    require(price > 0, 'Price must be greater than zero.');
+    require(expiry == 0 || expiry > block.timestamp, 'Expiry must be in the future.');
+    require(
+      paymentToken == address(0) || allowedPaymentTokens[paymentToken],
+      'Payment token not allowed.'
+    );
+
+    bytes32 slot = _listingSlot(nftAddress, _tokenId, isEdition ? _msgSender() : address(0));
+    if (listingSlots[slot] == 0) {
+      itemId = _itemIds.current();
+      _itemIds.increment();
+      listingSlots[slot] = itemId + 1;
+      itemIdsByNft[nftAddress].add(itemId);
+    } else {
+      itemId = listingSlots[slot] - 1;
+      Item storage previous = MarketItems[itemId];
+      require(!previous.isListed || previous.owner != _msgSender(), 'Token is already listed.');
+      itemIdsByOwner[previous.owner].remove(itemId);
+    }
+
+    MarketItems[itemId] = Item(
+      nftAddress,
+      _tokenId,
+      itemId,
+      payable(_msgSender()),
+      price,
+      true,
+      paymentToken,
+      quantity,
+      isEdition,
+      expiry
+    );
+    listedItemIds.add(itemId);
+    itemIdsByOwner[_msgSender()].add(itemId);
+
+    emit ItemListed(
+      nftAddress,
+      _tokenId,
+      itemId,
+      _msgSender(),
+      price,
+      true,
+      paymentToken,
+      quantity,
+      expiry
+    );
+  }
 
-    for (uint256 i = 0; i < totalItemCount; i++) {
-      if (MarketItems[i].owner == msg.sender) {
-        myItemsCount++;
+  function _listingSlot(
+    address nftAddress,
+    uint256 _tokenId,
+    address seller
+  ) internal pure returns (bytes32) {
+    return keccak256(abi.encode(nftAddress, _tokenId, seller));
+  }
+
+  /**
+    @dev Returns why a listed item can no longer be bought, or an empty string if it still can.
+    */
+  function _listingError(Item storage item) internal view returns (string memory) {
+    if (item.expiry != 0 && block.timestamp >= item.expiry) {
+      return 'Listing has expired.';
+    }
+    if (item.isEdition) {
+      IERC1155 edition = IERC1155(item.nftAddress);
+      if (edition.balanceOf(item.owner, item.tokenId) < item.quantity) {
+        return 'Seller does not own enough copies';
+      }
+      if (!edition.isApprovedForAll(item.owner, address(this))) {
+        return 'Marketplace is not approved for token';
       }
+      return '';
     }
 
-    Item[] memory ownedItems = new Item[](myItemsCount);
-    for (uint256 i = 0; i < totalItemCount; i++) {
-      if (MarketItems[i].owner == msg.sender) {
-        uint256 thisItemId = MarketItems[i].itemId;
-        Item storage thisItem = MarketItems[thisItemId];
-        ownedItems[resultItemId] = thisItem;
-        resultItemId++;
+    IERC721 nft = IERC721(item.nftAddress);
+    // ownerOf reverts once the token is burned
+    try nft.ownerOf(item.tokenId) returns (address owner) {
+      if (owner != item.owner) {
+        return 'Seller does not own token';
       }
+    } catch {
+      return 'Seller does not own token';
+    }
+    if (
+      !nft.isApprovedForAll(item.owner, address(this)) &&
+      nft.getApproved(item.tokenId) != address(this)
+    ) {
+      return 'Marketplace is not approved for token';
     }
-    return ownedItems;
+    return '';
   }
 
-  function getListedItems() public view returns (Item[] memory) {
-    uint256 totalItemCount = _itemIds.current();
-    uint256 itemsListedCount = 0;
-    uint256 resultItemId = 0;
+  /**
+    @dev Sells `quantity` copies of a listed item to the caller. ERC-721 items change owner, edition items stay
+         with the seller until their last copy is sold.
+    */
+  function _purchase(Item storage item, uint256 quantity) internal whenNotPaused {
+    address owner = item.owner;
+    address paymentToken = item.paymentToken;
+    uint256 total = item.price * quantity;
+
+    require(item.isListed == true, 'Item requested is not for sale.');
+    string memory invalidReason = _listingError(item);
+    require(bytes(invalidReason).length == 0, invalidReason);
+    if (paymentToken == address(0)) {
+      require(msg.value == total, 'Please send the correct amount of ether.');
+    } else {
+      require(msg.value == 0, 'Item is not priced in ether.');
+      require(allowedPaymentTokens[paymentToken], 'Payment token not allowed.');
+    }
 
-    for (uint256 i = 0; i < totalItemCount; i++) {
-      if (MarketItems[i].isListed == true) {
-        itemsListedCount++;
-      }
+    item.quantity -= quantity;
+    if (item.quantity == 0) {
+      _unlist(item.itemId);
+    }
+    address buyer = _msgSender();
+    if (item.isEdition) {
+      IERC1155(item.nftAddress).safeTransferFrom(owner, buyer, item.tokenId, quantity, '');
+    } else {
+      item.owner = payable(buyer);
+      itemIdsByOwner[owner].remove(item.itemId);
+      itemIdsByOwner[buyer].add(item.itemId);
+      IERC721(item.nftAddress).transferFrom(owner, buyer, item.tokenId);
     }
 
-    Item[] memory listedItems = new Item[](itemsListedCount);
-    for (uint256 i = 0; i < totalItemCount; i++) {
-      if (MarketItems[i].isListed == true) {
-        uint256 thisItemId = MarketItems[i].itemId;
-        Item storage thisItem = MarketItems[thisItemId];
-        listedItems[resultItemId] = thisItem;
-        resultItemId++;
+    _settleSale(item, owner, total, quantity);
+  }
+
+  function _settleSale(
+    Item storage item,
+    address seller,
+    uint256 total,
+    uint256 quantity
+  ) internal {
+    (uint256 feeToMarketplace, address royaltyReceiver, uint256 royaltyAmount) = _payout(
+      item.nftAddress,
+      item.tokenId,
+      seller,
+      total,
+      item.paymentToken
+    );
+
+    emit ItemSold(
+      item.nftAddress,
+      item.tokenId,
+      item.itemId,
+      seller,
+      _msgSender(),
+      total,
+      feeToMarketplace,
+      royaltyReceiver,
+      royaltyAmount,
+      quantity
+    );
+  }
+
+  function _unlist(uint256 _itemId) internal {
+    MarketItems[_itemId].isListed = false;
+    listedItemIds.remove(_itemId);
+  }
+
+  /// @dev Reads `limit` items of `itemIds` from `offset`, with the size of the whole set.
+  function _itemPage(
+    EnumerableSet.UintSet storage itemIds,
+    uint256 offset,
+    uint256 limit
+  ) internal view returns (Item[] memory items, uint256 total) {
+    total = itemIds.length();
+    uint256 count = offset < total ? total - offset : 0;
+    if (count > limit) {
+      count = limit;
+    }
+    items = new Item[](count);
+    for (uint256 i = 0; i < count; i++) {
+      items[i] = MarketItems[itemIds.at(offset + i)];
+    }
+  }
+
+  /**
+    @dev Splits a sale price between the marketplace fee, the ERC2981 royalty and the seller, and pays each of them.
+    @dev Ether is paid from the marketplace balance, ERC-20 tokens are pulled from the caller.
+    @return feeToMarketplace portion of the sale price paid to the marketplace owner
+    @return royaltyReceiver address the royalty was paid to
+    @return royaltyAmount portion of the sale price paid as royalties
+    */
+  function _payout(
+    address nftAddress,
+    uint256 _tokenId,
+    address seller,
+    uint256 salePrice,
+    address paymentToken
+  )
+    internal
+    returns (
+      uint256 feeToMarketplace,
+      address royaltyReceiver,
+      uint256 royaltyAmount
+    )
+  {
+    feeToMarketplace = ((protocolFee * salePrice) / 10000);
+    transferFunds(paymentToken, marketplaceOwner, feeToMarketplace);
+
+    (address[] memory receivers, uint256[] memory amounts) = _royaltySplits(
+      nftAddress,
+      _tokenId,
+      salePrice
+    );
+    for (uint256 i = 0; i < receivers.length; i++) {
+      if (amounts[i] > 0) {
+        royaltyAmount += amounts[i];
+        transferFunds(paymentToken, receivers[i], amounts[i]);
+        emit RoyaltyPaid(nftAddress, _tokenId, receivers[i], amounts[i]);
       }
     }
-    return listedItems;
+    if (receivers.length > 0) {
+      royaltyReceiver = receivers[0];
+    }
+
+    require(
+      feeToMarketplace + royaltyAmount <= salePrice,
+      'Fee and royalties exceed the sale price.'
+    );
+    transferFunds(paymentToken, seller, salePrice - feeToMarketplace - royaltyAmount);
+  }
+
+  /**
+    @dev Royalty recipients of a token and their amounts, from IRoyaltySplits when the NFT supports it, from
+         ERC-2981 otherwise, and none for NFTs that report neither
+    */
+  function _royaltySplits(
+    address nftAddress,
+    uint256 _tokenId,
+    uint256 salePrice
+  ) internal view returns (address[] memory receivers, uint256[] memory amounts) {
+    if (ERC165Checker.supportsInterface(nftAddress, type(IRoyaltySplits).interfaceId)) {
+      return IRoyaltySplits(nftAddress).royaltySplits(_tokenId, salePrice);
+    }
+    if (ERC165Checker.supportsInterface(nftAddress, type(IERC2981).interfaceId)) {
+      receivers = new address[](1);
+      amounts = new uint256[](1);
+      (receivers[0], amounts[0]) = ERC2981(nftAddress).royaltyInfo(_tokenId, salePrice);
+    }
+  }
+
+  /**
+    @dev Credits `amount` of ether to `receiver`'s withdrawable balance, or transfers `amount` of `paymentToken`
+         from the caller to `receiver`. Ether is never pushed so a receiver that rejects it cannot block a sale.
+         Zero amounts are skipped.
+    */
+  function transferFunds(
+    address paymentToken,
+    address receiver,
+    uint256 amount
+  ) internal {
+    if (amount == 0) {
+      return;
+    }
+    if (paymentToken == address(0)) {
+      _credit(receiver, amount);
+    } else {
+      IERC20(paymentToken).safeTransferFrom(_msgSender(), receiver, amount);
+    }
+  }
+
+  /**
+    @dev Adds `amount` of ether to what `payee` can claim through withdraw()
+    */
+  function _credit(address payee, uint256 amount) internal {
+    pendingWithdrawals[payee] += amount;
+    emit PaymentCredited(payee, amount);
+  }
+
+  function transferEther(address receiver, uint256 amount) internal {
+    (bool transferSuccess, ) = payable(receiver).call{ value: amount }('');
+    require(transferSuccess, 'Failed to transfer ether.');
+  }
+
+  // ------------------ Read Functions ---------------------- //
+
+  /**
+    @notice Returns up to `limit` listed items from `offset`, and the number of listed items
+    @dev Items are in listing order until one is delisted or sold, which moves the last listed item into its place.
+         Page with the returned total rather than until an empty page, as the set can change between calls.
+    */
+  function getListedItems(uint256 offset, uint256 limit)
+    public
+    view
+    returns (Item[] memory items, uint256 total)
+  {
+    return _itemPage(listedItemIds, offset, limit);
+  }
+
+  /**
+    @notice Returns up to `limit` items whose owner is `owner`, listed or not, and the number of such items
+    @dev Edition items belong to the seller until sold out. Ordering is as in {getListedItems}.
+    */
+  function getItemsByOwner(
+    address owner,
+    uint256 offset,
+    uint256 limit
+  ) public view returns (Item[] memory items, uint256 total) {
+    return _itemPage(itemIdsByOwner[owner], offset, limit);
+  }
+
+  /**
+    @notice Returns up to `limit` items of tokens of `nftAddress`, listed or not, in listing order
+    */
+  function getItemsByNft(
+    address nftAddress,
+    uint256 offset,
+    uint256 limit
+  ) public view returns (Item[] memory items, uint256 total) {
+    return _itemPage(itemIdsByNft[nftAddress], offset, limit);
   }
 
   function getItemById(uint256 _itemId) public view returns (Item memory) {
     return MarketItems[_itemId];
   }
 
+  /**
+    @notice Returns whether a listed item can be bought, and why not otherwise
+    @return valid false for items that are not listed or fail a check made at purchase
+    @return reason the revert message a purchase would fail with, empty when valid
+    */
+  function isListingValid(uint256 _itemId) public view returns (bool valid, string memory reason) {
+    Item storage item = MarketItems[_itemId];
+    if (!item.isListed) {
+      return (false, 'Item requested is not for sale.');
+    }
+    reason = _listingError(item);
+    return (bytes(reason).length == 0, reason);
+  }
+
+  /**
+    @notice Returns whether the metadata of an item's token is frozen, false for NFTs that cannot freeze metadata
+    */
+  function isMetadataFrozen(uint256 _itemId) public view returns (bool) {
+    Item storage item = MarketItems[_itemId];
+    return
+      ERC165Checker.supportsInterface(item.nftAddress, type(IMetadataFreeze).interfaceId) &&
+      IMetadataFreeze(item.nftAddress).isMetadataFrozen(item.tokenId);
+  }
+
+  /**
+    @notice Returns the itemId of a token's listing slot, whether or not it is listed now
+    @param seller holder of the copies for editions, address(0) for ERC-721 tokens
+    @return exists false if the token was never listed
+    */
+  function getItemIdForToken(
+    address nftAddress,
+    uint256 _tokenId,
+    address seller
+  ) public view returns (bool exists, uint256 itemId) {
+    uint256 slot = listingSlots[_listingSlot(nftAddress, _tokenId, seller)];
+    return (slot != 0, slot == 0 ? 0 : slot - 1);
+  }
+
+  function isPaymentTokenAllowed(address paymentToken) public view returns (bool) {
+    return paymentToken == address(0) || allowedPaymentTokens[paymentToken];
+  }
+
+  /**
+    @notice Returns the EIP-712 digest of a signed listing order, which is what the seller signs
+    */
+  function hashOrder(Order calldata order) public view returns (bytes32) {
+    return
+      _hashTypedDataV4(
+        keccak256(
+          abi.encode(
+            ORDER_TYPEHASH,
+            order.seller,
+            order.nftAddress,
+            order.tokenId,
+            order.price,
+            order.nonce,
+            order.expiry
+          )
+        )
+      );
+  }
+
+  function getOrderNonce(address seller) public view returns (uint256) {
+    return orderNonces[seller];
+  }
+
+  /**
+    @notice Returns whether a signed order has been fulfilled or cancelled
+    */
+  function isOrderUsed(bytes32 orderHash) public view returns (bool) {
+    return usedOrders[orderHash];
+  }
+
+  /**
+    @notice Returns the amount of ether the address can claim through withdraw()
+    */
+  function pendingWithdrawal(address payee) public view returns (uint256) {
+    return pendingWithdrawals[payee];
+  }
+
+  /**
+    @notice Returns the scheduled protocol fee change
+    @return fee the scheduled fee in basis points
+    @return effectiveTime time from which applyProtocolFee can apply it, 0 when no change is scheduled
+    */
+  function getPendingProtocolFee() public view returns (uint256 fee, uint256 effectiveTime) {
+    return (pendingProtocolFee, pendingProtocolFeeTime);
+  }
+
+  /// @notice Returns whether listing and purchasing are stopped
+  function paused() public view returns (bool) {
+    return _paused;
+  }
+
   // ------------------ Modifiers ---------------------- //
 
+  modifier whenNotPaused() {
+    require(!_paused, 'Pausable: paused');
+    _;
+  }
+
   modifier onlyItemOwner(uint256 _itemId) {
-    require(MarketItems[_itemId].owner == msg.sender, 'Caller is not item owner');
+    require(MarketItems[_itemId].owner == _msgSender(), 'Caller is not item owner');
     _;
   }
 }
@@ -3,23 +3,90 @@ pragma solidity ^0.8.0;
 
 import '@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol';
 import '@openzeppelin/contracts/access/Ownable.sol';
+import '@openzeppelin/contracts/proxy/utils/Initializable.sol';
+import '@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol';
 import '@openzeppelin/contracts/utils/Counters.sol';
-import '@openzeppelin/contracts/utils/math/SafeCast.sol';
-import './ERC2981.sol';
+import '@openzeppelin/contracts/utils/structs/EnumerableSet.sol';
+import '@openzeppelin/contracts/utils/cryptography/ECDSA.sol';
+import '@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol';
+import '@openzeppelin/contracts/utils/cryptography/MerkleProof.sol';
+import './ERC2771Recipient.sol';
+import './IMetadataFreeze.sol';
+import './ITransferHook.sol';
+import './RoyaltySplits.sol';
 import './Whitelist.sol';
 import 'hardhat/console.sol';
 
-contract NFT is ERC721URIStorage, Ownable, ERC2981, Whitelist {
+/**
+ * @dev Deployed behind an {ArkivProxy} and upgraded by the owner through {UUPSUpgradeable-upgradeTo}. New state
+ *      variables must be appended after the existing ones so upgrades keep the proxy's storage intact.
+ */
+contract NFT is
+  Initializable,
+  UUPSUpgradeable,
+  ERC721URIStorage,
+  Ownable,
+  RoyaltySplits,
+  Whitelist,
+  EIP712,
+  IMetadataFreeze,
+  ERC2771Recipient
+{
   // Event indicating metadata was updated.
   event TokenURIUpdated(uint256 indexed _tokenId, string _uri);
 
+  // Event indicating a token was minted, emitted once per token by mint, mintBatch and redeemVoucher.
+  event TokenMinted(uint256 indexed _tokenId, address indexed _creator, string _uri);
+
+  event VoucherRedeemed(bytes32 indexed voucherHash, uint256 indexed _tokenId, address indexed to);
+
+  event VoucherCancelled(bytes32 indexed voucherHash, address indexed creator);
+
+  event MarketplaceAddressUpdated(address _marketplaceAddress);
+
+  event ProvenanceHashSet(bytes32 _provenanceHash);
+
+  event MintSaleSet(MintSale sale);
+
+  /**
+    @notice Token signed off-chain by a whitelisted creator according to EIP-712, minted to the buyer when it is
+            bought on the marketplace
+    @dev `nonce` only tells otherwise identical vouchers apart, each voucher can be redeemed once.
+   */
+  struct MintVoucher {
+    address creator;
+    string uri;
+    uint256 royalty;
+    uint256 price;
+    uint256 nonce;
+    uint256 expiry;
+  }
+
+  enum MintPhase {
+    Closed,
+    Allowlist,
+    Public
+  }
+
+  /**
+    @notice Sale of mints to addresses beyond the whitelist: closed before `allowlistStart`, open to the leaves of
+            `allowlistRoot` until `publicStart`, open to anyone until `end` and closed again after
+    @dev Leaves are `keccak256(abi.encodePacked(account, quota))`, see utils/allowlist.js. The phases are unix
+         timestamps in order. `publicQuota` caps the tokens an address can mint with {mint} in the public phase.
+         Tokens minted with {mint} and {mintWithProof} count against both quotas, and a quota of 0 is no limit.
+   */
+  struct MintSale {
+    bytes32 allowlistRoot;
+    uint256 allowlistStart;
+    uint256 publicStart;
+    uint256 end;
+    uint256 publicQuota;
+  }
+
   /// @notice _tokenIds to keep track of the number of NFTs minted
   using Counters for Counters.Counter;
   Counters.Counter private _tokenIds;
 
-  /// @notice for converting royalty values from uint256 to uint96
-  using SafeCast for uint256;
-
   /// @notice address of marketplace contract to set permissions
   address private marketplaceAddress;
 
@@ -38,38 +105,195 @@ contract NFT is ERC721URIStorage, Ownable, ERC2981, Whitelist {
   // Array with all token ids, used for enumeration
   uint256[] private _allTokens;
 
-  constructor(address _marketplaceAddress) ERC721('Arkiv', 'ARKV') {
+  /// @notice token ids held by each address, and created by each address and not burned
+  using EnumerableSet for EnumerableSet.UintSet;
+  mapping(address => EnumerableSet.UintSet) private _ownedTokens;
+  mapping(address => EnumerableSet.UintSet) private _createdTokens;
+
+  bytes32 private constant VOUCHER_TYPEHASH =
+    keccak256(
+      'MintVoucher(address creator,string uri,uint256 royalty,uint256 price,uint256 nonce,uint256 expiry)'
+    );
+
+  /// @notice voucher hashes that have been redeemed or cancelled
+  mapping(bytes32 => bool) private usedVouchers;
+
+  /// @notice hash of the metadata content each token was minted with, 0 if none was given or the URI changed since
+  mapping(uint256 => bytes32) private contentHashes;
+
+  /// @notice tokens whose metadata can no longer be updated
+  mapping(uint256 => bool) private frozenTokens;
+
+  /// @notice hash committed to for the whole series before its metadata is revealed, 0 until set
+  bytes32 public provenanceHash;
+
+  /// @notice position of each token in `_allTokens` plus 1, 0 for tokens minted before positions were recorded
+  mapping(uint256 => uint256) private _allTokensPositions;
+
+  /// @notice allowlist and schedule of the sale open to addresses beyond the whitelist
+  MintSale public mintSale;
+
+  /// @notice tokens each address minted in the sale, counted against its quota
+  mapping(address => uint256) public saleMints;
+
+  /// @dev roles of {AccessRoles}, declared after the variables of proxies deployed before roles
+  mapping(bytes32 => RoleData) private _roles;
+
+  /// @dev Locks the implementation, proxies are set up through {initialize}
+  constructor() ERC721('Arkiv', 'ARKV') EIP712('Arkiv NFT', '1') initializer {}
+
+  /**
+   * @dev Sets up the proxy in place of a constructor: the caller becomes the owner, the role admin and a
+   *      curator of the whitelist, which is enforced.
+   * @param _marketplaceAddress address of the marketplace that minted tokens are approved for.
+   */
+  function initialize(address _marketplaceAddress) public initializer {
+    address sender = _msgSender();
+    _transferOwnership(sender);
+    _grantRole(DEFAULT_ADMIN_ROLE, sender);
+    _grantRole(CURATOR_ROLE, sender);
+    _enableWhitelist(true);
     marketplaceAddress = _marketplaceAddress;
   }
 
+  /// @dev ERC721 keeps the name in storage written by the constructor, which proxies do not run
+  function name() public pure override returns (string memory) {
+    return 'Arkiv';
+  }
+
+  function symbol() public pure override returns (string memory) {
+    return 'ARKV';
+  }
+
   /// @inheritdoc	ERC165
   function supportsInterface(bytes4 interfaceId)
     public
     view
     virtual
-    override(ERC721, ERC2981)
+    override(ERC721, RoyaltySplits, AccessRoles, IERC165)
     returns (bool)
   {
-    return super.supportsInterface(interfaceId);
+    // 0x49064906 is the ERC-4906 interface id
+    return
+      interfaceId == type(IMetadataFreeze).interfaceId ||
+      interfaceId == bytes4(0x49064906) ||
+      super.supportsInterface(interfaceId);
   }
 
   // ------------------ Mutative Functions ---------------------- //
 
+  /**
+   * @dev Whitelisted creators can mint at any time, anyone else during the public phase up to its quota.
+   */
   function mint(address to, string memory tokenURI) public returns (uint256 _tokenId) {
-    bytes memory uri = bytes(tokenURI);
-    require(isWhitelisted(msg.sender), 'Must be whitelisted to create tokens');
-    require(uri.length != 0, 'ERC721: tokenURI is empty');
+    address sender = _msgSender();
+    if (!isWhitelisted(sender)) {
+      _countSaleMint(sender, MintPhase.Public, mintSale.publicQuota);
+    }
+    _tokenId = _mintToken(to, sender, tokenURI);
+    _approveMarketplace();
+  }
 
-    uint256 currentTokenId = _tokenIds.current();
+  /**
+   * @dev Mints like {mint} for a caller on the allowlist, during the allowlist and public phases and up to the
+   *      quota in its leaf.
+   * @param quota uint256 number of tokens the caller can mint, 0 for no limit, as in its leaf.
+   * @param proof bytes32[] Merkle proof of the caller's leaf, see utils/allowlist.js.
+   */
+  function mintWithProof(
+    address to,
+    string memory tokenURI,
+    uint256 quota,
+    bytes32[] calldata proof
+  ) public returns (uint256 _tokenId) {
+    address sender = _msgSender();
+    require(
+      MerkleProof.verify(proof, mintSale.allowlistRoot, keccak256(abi.encodePacked(sender, quota))),
+      'Invalid allowlist proof'
+    );
+    _countSaleMint(sender, MintPhase.Allowlist, quota);
+    _tokenId = _mintToken(to, sender, tokenURI);
+    _approveMarketplace();
+  }
 
-    _safeMint(to, currentTokenId);
-    _setTokenURI(currentTokenId, tokenURI);
-    tokenCreators[currentTokenId] = msg.sender;
-    setApprovalForAll(marketplaceAddress, true);
+  /**
+   * @dev Mints a token for each URI to `to` in one transaction, all created by the caller.
+   * @param uris string[] metadata URIs, one per token.
+   * @param royalty uint256 royalty of every token in basis points, paid to the caller; 0 keeps the
+   *        caller's default royalty.
+   * @return tokenIds uint256[] IDs of the minted tokens, in the order of `uris`.
+   */
+  function mintBatch(
+    address to,
+    string[] memory uris,
+    uint256 royalty
+  ) public returns (uint256[] memory tokenIds) {
+    address sender = _msgSender();
+    _requireWhitelisted(isWhitelisted(sender));
+    require(uris.length > 0, 'No token URIs given');
 
-    _allTokens.push(currentTokenId);
-    _tokenIds.increment();
-    return currentTokenId;
+    tokenIds = new uint256[](uris.length);
+    for (uint256 i = 0; i < uris.length; i++) {
+      tokenIds[i] = _mintToken(to, sender, uris[i]);
+      if (royalty > 0) {
+        _setTokenRoyalty(tokenIds[i], _singleRecipient(sender), _singleShare(royalty));
+      }
+    }
+    _approveMarketplace();
+  }
+
+  /**
+   * @dev Mints a token for each URI like {mintBatch}, and records the hash of each token's metadata content so
+   *      buyers can check that the URI still serves what was minted.
+   * @param hashes bytes32[] hash of the metadata content of each token, e.g. the sha2-256 digest in its IPFS
+   *        CID, one per URI.
+   */
+  function mintBatchWithContentHashes(
+    address to,
+    string[] memory uris,
+    bytes32[] memory hashes,
+    uint256 royalty
+  ) public returns (uint256[] memory tokenIds) {
+    require(uris.length == hashes.length, 'Every token needs a content hash');
+    tokenIds = mintBatch(to, uris, royalty);
+    for (uint256 i = 0; i < tokenIds.length; i++) {
+      contentHashes[tokenIds[i]] = hashes[i];
+    }
+  }
+
+  /**
+   * @dev Mints the token signed for in `voucher` to `to`. Only the marketplace can redeem vouchers, after the
+   *      buyer has paid the voucher price.
+   * @param signature bytes EIP-712 signature of the voucher by its creator.
+   */
+  function redeemVoucher(
+    address to,
+    MintVoucher calldata voucher,
+    bytes calldata signature
+  ) public returns (uint256 _tokenId) {
+    require(_msgSender() == marketplaceAddress, 'Caller is not the marketplace');
+    bytes32 voucherHash = hashVoucher(voucher);
+    require(block.timestamp < voucher.expiry, 'Voucher has expired.');
+    require(!usedVouchers[voucherHash], 'Voucher is redeemed or cancelled.');
+    require(ECDSA.recover(voucherHash, signature) == voucher.creator, 'Invalid voucher signature.');
+    _requireWhitelisted(isWhitelisted(voucher.creator));
+
+    usedVouchers[voucherHash] = true;
+    _tokenId = _mintToken(to, voucher.creator, voucher.uri);
+    if (voucher.royalty > 0) {
+      _setTokenRoyalty(_tokenId, _singleRecipient(voucher.creator), _singleShare(voucher.royalty));
+    }
+    emit VoucherRedeemed(voucherHash, _tokenId, to);
+  }
+
+  /**
+   * @dev Invalidates a voucher signed by the caller so it can no longer be redeemed.
+   */
+  function cancelVoucher(MintVoucher calldata voucher) public {
+    _checkCreator(voucher.creator);
+    bytes32 voucherHash = hashVoucher(voucher);
+    usedVouchers[voucherHash] = true;
+    emit VoucherCancelled(voucherHash, voucher.creator);
   }
 
   function burn(uint256 _tokenId) public onlyTokenOwner(_tokenId) onlyTokenCreator(_tokenId) {
@@ -78,7 +302,7 @@ contract NFT is ERC721URIStorage, Ownable, ERC2981, Whitelist {
 
   /**
    * @dev Updates the token metadata if the owner is also the
-   *      creator.
+   *      creator and the metadata is not frozen. Clears the content hash the token was minted with.
    * @param _tokenId uint256 ID of the token.
    * @param _uri string metadata URI.
    */
@@ -87,8 +311,45 @@ contract NFT is ERC721URIStorage, Ownable, ERC2981, Whitelist {
     onlyTokenOwner(_tokenId)
     onlyTokenCreator(_tokenId)
   {
+    _checkNotFrozen(_tokenId);
     _setTokenURI(_tokenId, _uri);
+    delete contentHashes[_tokenId];
     emit TokenURIUpdated(_tokenId, _uri);
+    emit MetadataUpdate(_tokenId);
+  }
+
+  /**
+   * @dev Freezes the token metadata for good. Only the creator can freeze, also after the token is sold.
+   * @param _tokenId uint256 ID of the token.
+   */
+  function freezeTokenMetadata(uint256 _tokenId) public onlyTokenCreator(_tokenId) {
+    _checkNotFrozen(_tokenId);
+    frozenTokens[_tokenId] = true;
+    emit PermanentURI(tokenURI(_tokenId), _tokenId);
+    emit MetadataUpdate(_tokenId);
+  }
+
+  /**
+   * @dev Commits to a series before its metadata is revealed. It can only be set once, so it cannot be changed
+   *      to match the revealed content.
+   */
+  function setProvenanceHash(bytes32 _provenanceHash) public onlyContractOwner {
+    require(provenanceHash == bytes32(0), 'Provenance hash is already set');
+    provenanceHash = _provenanceHash;
+    emit ProvenanceHashSet(_provenanceHash);
+  }
+
+  /**
+   * @dev Sets the allowlist and schedules the sale, replacing the previous ones. Tokens already minted in the sale
+   *      still count against quotas. An empty sale closes minting beyond the whitelist.
+   */
+  function setMintSale(MintSale calldata sale) public onlyCurator {
+    require(
+      sale.allowlistStart <= sale.publicStart && sale.publicStart <= sale.end,
+      'Mint phases are out of order'
+    );
+    mintSale = sale;
+    emit MintSaleSet(sale);
   }
 
   function transferToken(
@@ -99,36 +360,201 @@ contract NFT is ERC721URIStorage, Ownable, ERC2981, Whitelist {
     transferFrom(from, to, tokenId);
   }
 
-  /// @dev Sets token royalties
+  /// @dev Sets token royalties, paid to the caller
   /// @param tokenId the token id fir which we register the royalties
-  /// @param value percentage (using 2 decimals - 10000 = 100, 0 = 0)
+  /// @param value percentage (using 2 decimals - 10000 = 100, 0 = 0), 0 resets the royalty to zero
   function setTokenRoyalty(uint256 tokenId, uint256 value)
     public
     onlyTokenCreator(tokenId)
     onlyTokenOwner(tokenId)
   {
     if (value > 0) {
-      uint96 royaltyValue = toUint96(value);
-      _setTokenRoyalty(tokenId, msg.sender, royaltyValue);
+      _setTokenRoyalty(tokenId, _singleRecipient(_msgSender()), _singleShare(value));
+    } else {
+      _setTokenRoyalty(tokenId, new address[](0), new uint256[](0));
     }
   }
 
   /**
-   * @dev Whitelists a bunch of addresses.
-   * @param _whitelistees address[] of addresses to whitelist.
+   * @dev Splits the royalty of a token between several recipients.
+   * @param total uint256 royalty in basis points, `shares` must sum to it; 0 with no recipients resets the
+   *        royalty to zero.
+   * @param recipients address[] royalty recipients.
+   * @param shares uint256[] share of the sale price of each recipient, in basis points.
+   */
+  function setTokenRoyaltySplit(
+    uint256 tokenId,
+    uint256 total,
+    address[] memory recipients,
+    uint256[] memory shares
+  ) public onlyTokenCreator(tokenId) onlyTokenOwner(tokenId) {
+    _validateRoyaltySplit(total, recipients, shares);
+    _setTokenRoyalty(tokenId, recipients, shares);
+  }
+
+  /**
+   * @dev Sets the default royalty of every token created by the caller that has no royalty of its own.
+   *      A total of 0 with no recipients removes the default.
+   */
+  function setCreatorRoyalty(
+    uint256 total,
+    address[] memory recipients,
+    uint256[] memory shares
+  ) public {
+    address sender = _msgSender();
+    _requireWhitelisted(isWhitelisted(sender));
+    _setCreatorRoyalty(sender, total, recipients, shares);
+  }
+
+  /**
+   * @dev Sets the royalty of tokens with neither a royalty of their own nor a creator default.
+   * @param value uint96 royalty in basis points, 0 removes the default.
+   */
+  function setDefaultRoyalty(address receiver, uint96 value) public onlyContractOwner {
+    _setContractRoyalty(receiver, value);
+  }
+
+  /**
+   * @dev Makes the owner the role admin, as {initialize} does, so that proxies initialized before roles existed
+   *      can grant them after the upgrade.
+   */
+  function grantOwnerAdminRole() public onlyContractOwner {
+    _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
+  }
+
+  /**
+   * @dev Points the contract at a new marketplace. Holders approve it when they next mint, or themselves with
+   *      setApprovalForAll.
    */
-  function initWhitelist(address[] memory _whitelistees) public onlyOwner {
-    for (uint256 i = 0; i < _whitelistees.length; i++) {
-      address creator = _whitelistees[i];
-      if (!isWhitelisted(creator)) {
-        _whitelist(creator);
+  function setMarketplaceAddress(address _marketplaceAddress) public onlyContractOwner {
+    marketplaceAddress = _marketplaceAddress;
+    emit MarketplaceAddressUpdated(_marketplaceAddress);
+  }
+
+  // ----------------------- Internal Functions --------------------------- //
+
+  function _mintToken(
+    address to,
+    address creator,
+    string memory tokenURI
+  ) internal returns (uint256) {
+    require(bytes(tokenURI).length != 0, 'ERC721: tokenURI is empty');
+
+    uint256 currentTokenId = _tokenIds.current();
+
+    _safeMint(to, currentTokenId);
+    _setTokenURI(currentTokenId, tokenURI);
+    tokenCreators[currentTokenId] = creator;
+    _createdTokens[creator].add(currentTokenId);
+
+    _allTokens.push(currentTokenId);
+    _allTokensPositions[currentTokenId] = _allTokens.length;
+    _tokenIds.increment();
+    emit TokenMinted(currentTokenId, creator, tokenURI);
+    return currentTokenId;
+  }
+
+  /**
+   * @dev Keeps the per-owner token sets in step with transfers, and drops burned tokens from their creator's set
+   *      and from `_allTokens`.
+   *      Tells the marketplace when a token leaves its owner so a listing of it is dropped. A marketplace
+   *      without the hook, or whose hook fails, does not block the transfer.
+   */
+  function _beforeTokenTransfer(
+    address from,
+    address to,
+    uint256 tokenId
+  ) internal virtual override {
+    super._beforeTokenTransfer(from, to, tokenId);
+    if (from != address(0)) {
+      _ownedTokens[from].remove(tokenId);
+      if (marketplaceAddress.code.length > 0) {
+        try ITransferHook(marketplaceAddress).onTokenTransfer(tokenId) {} catch {}
       }
     }
+    if (to != address(0)) {
+      _ownedTokens[to].add(tokenId);
+    } else {
+      _createdTokens[tokenCreators[tokenId]].remove(tokenId);
+      _removeFromAllTokens(tokenId);
+    }
+  }
+
+  /**
+   * @dev Counts a token minted by `minter` in the sale against `quota`, 0 for no limit. Outside of the sale
+   *      and before phase `from` only whitelisted creators can mint.
+   */
+  function _countSaleMint(
+    address minter,
+    MintPhase from,
+    uint256 quota
+  ) private {
+    MintPhase phase = mintPhase();
+    _requireWhitelisted(phase != MintPhase.Closed && phase >= from);
+    uint256 minted = saleMints[minter] + 1;
+    require(quota == 0 || minted <= quota, 'Mint quota reached');
+    saleMints[minter] = minted;
   }
 
-  // ----------------------- Pure Functions --------------------------- //
-  function toUint96(uint256 a) public pure returns (uint96) {
-    return a.toUint96();
+  /// @dev Removes a burned token from `_allTokens`, moving the last token into its place
+  function _removeFromAllTokens(uint256 tokenId) private {
+    uint256 position = _allTokensPositions[tokenId];
+    // tokens were only ever appended before positions were recorded, so those are still at their id
+    uint256 index = position == 0 ? tokenId : position - 1;
+    uint256 lastTokenId = _allTokens[_allTokens.length - 1];
+    _allTokens[index] = lastTokenId;
+    _allTokensPositions[lastTokenId] = index + 1;
+    _allTokens.pop();
+    delete _allTokensPositions[tokenId];
+  }
+
+  /// @dev Reads `limit` token ids of `tokenIds` from `offset`, with the size of the whole set.
+  function _tokenPage(
+    EnumerableSet.UintSet storage tokenIds,
+    uint256 offset,
+    uint256 limit
+  ) internal view returns (uint256[] memory page, uint256 total) {
+    total = tokenIds.length();
+    uint256 count = offset < total ? total - offset : 0;
+    if (count > limit) {
+      count = limit;
+    }
+    page = new uint256[](count);
+    for (uint256 i = 0; i < count; i++) {
+      page[i] = tokenIds.at(offset + i);
+    }
+  }
+
+  function _msgSender() internal view override(Context, ERC2771Recipient) returns (address) {
+    return ERC2771Recipient._msgSender();
+  }
+
+  function _msgData() internal view override(Context, ERC2771Recipient) returns (bytes calldata) {
+    return ERC2771Recipient._msgData();
+  }
+
+  /// @dev Ownable's own checks are replaced by {onlyContractOwner}, which keeps the contract under the size limit
+  function renounceOwnership() public override onlyContractOwner {
+    _transferOwnership(address(0));
+  }
+
+  function transferOwnership(address newOwner) public override onlyContractOwner {
+    require(newOwner != address(0), 'Ownable: new owner is the zero address');
+    _transferOwnership(newOwner);
+  }
+
+  /// @dev Only the owner can upgrade the proxy
+  function _authorizeUpgrade(address) internal override onlyContractOwner {}
+
+  function _roleData() internal view override returns (mapping(bytes32 => RoleData) storage) {
+    return _roles;
+  }
+
+  /// @dev lets the marketplace move the caller's tokens, skipped once it already can
+  function _approveMarketplace() internal {
+    if (!isApprovedForAll(_msgSender(), marketplaceAddress)) {
+      setApprovalForAll(marketplaceAddress, true);
+    }
   }
 
   // ----------------------- Read Functions --------------------------- //
@@ -138,10 +564,32 @@ contract NFT is ERC721URIStorage, Ownable, ERC2981, Whitelist {
    * @param _tokenId uint256 ID of the token.
    * @return address of the creator.
    */
-  function tokenCreator(uint256 _tokenId) public view returns (address) {
+  function tokenCreator(uint256 _tokenId) public view override returns (address) {
     return tokenCreators[_tokenId];
   }
 
+  /**
+   * @dev Gets the hash of the metadata content the token was minted with, 0 if none.
+   */
+  function tokenContentHash(uint256 _tokenId) public view returns (bytes32) {
+    return contentHashes[_tokenId];
+  }
+
+  function isMetadataFrozen(uint256 _tokenId) public view override returns (bool) {
+    return frozenTokens[_tokenId];
+  }
+
+  /**
+   * @dev Returns the phase of the sale at the current block.
+   */
+  function mintPhase() public view returns (MintPhase) {
+    MintSale storage sale = mintSale;
+    if (block.timestamp < sale.allowlistStart || block.timestamp >= sale.end) {
+      return MintPhase.Closed;
+    }
+    return block.timestamp < sale.publicStart ? MintPhase.Allowlist : MintPhase.Public;
+  }
+
   function getMarketAddress() public view returns (address marketAddress) {
     return marketplaceAddress;
   }
@@ -150,15 +598,69 @@ contract NFT is ERC721URIStorage, Ownable, ERC2981, Whitelist {
     return _allTokens.length;
   }
 
+  /**
+   * @dev Returns up to `limit` ids of tokens held by `owner` from `offset`, and how many tokens `owner` holds.
+   *      Ids are in the order received until a token leaves, which moves the last id into its place.
+   */
+  function getTokensByOwner(
+    address owner,
+    uint256 offset,
+    uint256 limit
+  ) public view returns (uint256[] memory tokenIds, uint256 total) {
+    return _tokenPage(_ownedTokens[owner], offset, limit);
+  }
+
+  /**
+   * @dev Returns up to `limit` ids of tokens created by `creator` that are not burned, and how many there are.
+   */
+  function getTokensByCreator(
+    address creator,
+    uint256 offset,
+    uint256 limit
+  ) public view returns (uint256[] memory tokenIds, uint256 total) {
+    return _tokenPage(_createdTokens[creator], offset, limit);
+  }
+
+  /**
+   * @dev Returns the EIP-712 digest of a voucher, which its creator signs.
+   */
+  function hashVoucher(MintVoucher calldata voucher) public view returns (bytes32) {
+    return
+      _hashTypedDataV4(
+        keccak256(
+          abi.encode(
+            VOUCHER_TYPEHASH,
+            voucher.creator,
+            keccak256(bytes(voucher.uri)),
+            voucher.royalty,
+            voucher.price,
+            voucher.nonce,
+            voucher.expiry
+          )
+        )
+      );
+  }
+
+  function isVoucherUsed(bytes32 voucherHash) public view returns (bool) {
+    return usedVouchers[voucherHash];
+  }
+
   // ----------------------- Modifiers --------------------------- //
 
+  /**
+   * @dev Checks that the sender owns the contract, like Ownable's onlyOwner.
+   */
+  modifier onlyContractOwner() {
+    _checkContractOwner();
+    _;
+  }
+
   /**
    * @dev Checks that the token is owned by the sender.
    * @param _tokenId uint256 ID of the token.
    */
   modifier onlyTokenOwner(uint256 _tokenId) {
-    address owner = ownerOf(_tokenId);
-    require(owner == msg.sender, 'Caller is not the owner');
+    _checkTokenOwner(_tokenId);
     _;
   }
 
@@ -167,8 +669,32 @@ contract NFT is ERC721URIStorage, Ownable, ERC2981, Whitelist {
    * @param _tokenId uint256 ID of the token.
    */
   modifier onlyTokenCreator(uint256 _tokenId) {
-    address creator = tokenCreator(_tokenId);
-    require(creator == msg.sender, 'Caller is not the creator');
+    _checkTokenCreator(_tokenId);
     _;
   }
+
+  /// @dev Modifiers are inlined at every use, the checks are functions to keep the contract under the size limit
+  function _checkContractOwner() private view {
+    require(owner() == _msgSender(), 'Ownable: caller is not the owner');
+  }
+
+  function _checkTokenOwner(uint256 _tokenId) private view {
+    require(ownerOf(_tokenId) == _msgSender(), 'Caller is not the owner');
+  }
+
+  function _checkTokenCreator(uint256 _tokenId) private view {
+    _checkCreator(tokenCreator(_tokenId));
+  }
+
+  function _checkCreator(address creator) private view {
+    require(creator == _msgSender(), 'Caller is not the creator');
+  }
+
+  function _requireWhitelisted(bool whitelisted) private pure {
+    require(whitelisted, 'Must be whitelisted to create tokens');
+  }
+
+  function _checkNotFrozen(uint256 _tokenId) private view {
+    require(!frozenTokens[_tokenId], 'Token metadata is frozen');
+  }
 }
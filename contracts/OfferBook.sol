@@ -0,0 +1,199 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/token/ERC721/IERC721.sol';
+import '@openzeppelin/contracts/utils/Counters.sol';
+import '@openzeppelin/contracts/security/ReentrancyGuard.sol';
+import './Marketplace.sol';
+
+/**
+  @notice Escrowed offers on tokens that are not necessarily listed, run beside the Marketplace
+  @dev Accepted offers are paid out through {Marketplace-payoutSale} and cancelled ones credited through
+       {Marketplace-creditPayment}, so the protocol fee, royalties and withdrawable balances are the same as for
+       listings. Holders approve this contract, not the Marketplace, to accept an offer.
+ */
+contract OfferBook is ReentrancyGuard {
+  using Counters for Counters.Counter;
+
+  /// @notice marketplace that pays out sales and holds withdrawable balances
+  Marketplace private marketplace;
+
+  /// @notice offerId to keep track of the number of offers made
+  Counters.Counter private _offerIds;
+
+  /// @notice maps offerId to Offer struct
+  mapping(uint256 => Offer) private Offers;
+
+  /**
+    @notice Offer struct to track escrowed offers on tokens that are not necessarily listed
+    @dev The amount is held by the offer book until the offer is accepted or cancelled. Collection offers can be
+         accepted for any token of `nftAddress`, in which case `tokenId` is unused.
+ */
+  struct Offer {
+    address nftAddress;
+    uint256 tokenId;
+    uint256 offerId;
+    address bidder;
+    uint256 amount;
+    uint256 expiry;
+    bool isCollectionOffer;
+    bool isActive;
+  }
+
+  event OfferCreated(
+    uint256 indexed offerId,
+    address indexed nftAddress,
+    uint256 indexed tokenId,
+    address bidder,
+    uint256 amount,
+    uint256 expiry,
+    bool isCollectionOffer
+  );
+
+  event OfferAccepted(
+    uint256 indexed offerId,
+    uint256 indexed tokenId,
+    address seller,
+    uint256 price,
+    uint256 feeToMarketplace,
+    address royaltyReceiver,
+    uint256 royaltyAmount
+  );
+
+  event OfferCancelled(uint256 indexed offerId);
+
+  constructor(address _marketplaceAddress) {
+    marketplace = Marketplace(_marketplaceAddress);
+  }
+
+  // ------------------ Mutative Functions ---------------------- //
+
+  /**
+    @notice Makes an offer on a single token, escrowing the ether sent until the offer is accepted or cancelled
+    @param nftAddress contract address of the NFT
+    @param _tokenId tokenId of the NFT the offer is for
+    @param expiry timestamp after which the offer can no longer be accepted
+    */
+  function makeOffer(
+    address nftAddress,
+    uint256 _tokenId,
+    uint256 expiry
+  ) public payable returns (uint256 _offerId) {
+    return _createOffer(nftAddress, _tokenId, expiry, false);
+  }
+
+  /**
+    @notice Makes an offer on any one token of a collection, escrowing the ether sent until the offer is accepted or cancelled
+    @param nftAddress contract address of the NFT collection
+    @param expiry timestamp after which the offer can no longer be accepted
+    */
+  function makeCollectionOffer(address nftAddress, uint256 expiry)
+    public
+    payable
+    returns (uint256 _offerId)
+  {
+    return _createOffer(nftAddress, 0, expiry, true);
+  }
+
+  /**
+    @notice Allows the owner of a token to accept an offer. Requires holder to call setApprovalForAll before calling this function.
+    @dev Transfers the NFT to the bidder and pays out the escrowed amount with the same fee and royalty split as purchaseItem.
+    @param _offerId offerId of the offer to accept
+    @param _tokenId tokenId of the NFT being sold, must match the offer unless it is a collection offer
+    */
+  function acceptOffer(uint256 _offerId, uint256 _tokenId)
+    public
+    nonReentrant
+    whenMarketplaceNotPaused
+  {
+    Offer storage offer = Offers[_offerId];
+    require(offer.isActive, 'Offer is not active.');
+    require(block.timestamp < offer.expiry, 'Offer has expired.');
+    require(offer.isCollectionOffer || offer.tokenId == _tokenId, 'Offer is for another token.');
+    require(IERC721(offer.nftAddress).ownerOf(_tokenId) == msg.sender, 'Caller does not own token');
+    require(offer.bidder != msg.sender, 'Cannot accept own offer.');
+
+    offer.isActive = false;
+    IERC721(offer.nftAddress).transferFrom(msg.sender, offer.bidder, _tokenId);
+
+    (uint256 feeToMarketplace, address royaltyReceiver, uint256 royaltyAmount) = marketplace
+      .payoutSale{ value: offer.amount }(offer.nftAddress, _tokenId, msg.sender);
+    emit OfferAccepted(
+      _offerId,
+      _tokenId,
+      msg.sender,
+      offer.amount,
+      feeToMarketplace,
+      royaltyReceiver,
+      royaltyAmount
+    );
+  }
+
+  /**
+    @notice Allows the bidder to cancel an offer, including an expired one. The escrowed ether is claimable through Marketplace.withdraw().
+    @param _offerId offerId of the offer to cancel
+    */
+  function cancelOffer(uint256 _offerId) public nonReentrant {
+    Offer storage offer = Offers[_offerId];
+    require(offer.isActive, 'Offer is not active.');
+    require(offer.bidder == msg.sender, 'Caller is not the bidder');
+
+    offer.isActive = false;
+    marketplace.creditPayment{ value: offer.amount }(msg.sender);
+    emit OfferCancelled(_offerId);
+  }
+
+  // ------------------ Internal Functions ---------------------- //
+
+  function _createOffer(
+    address nftAddress,
+    uint256 _tokenId,
+    uint256 expiry,
+    bool isCollectionOffer
+  ) internal whenMarketplaceNotPaused returns (uint256) {
+    require(msg.value > 0, 'Offer must be greater than 0.');
+    require(expiry > block.timestamp, 'Expiry is in the past.');
+
+    uint256 offerId = _offerIds.current();
+    _offerIds.increment();
+    Offers[offerId] = Offer(
+      nftAddress,
+      _tokenId,
+      offerId,
+      msg.sender,
+      msg.value,
+      expiry,
+      isCollectionOffer,
+      true
+    );
+
+    emit OfferCreated(
+      offerId,
+      nftAddress,
+      _tokenId,
+      msg.sender,
+      msg.value,
+      expiry,
+      isCollectionOffer
+    );
+    return offerId;
+  }
+
+  // ------------------ Read Functions ---------------------- //
+
+  function getOfferById(uint256 _offerId) public view returns (Offer memory) {
+    return Offers[_offerId];
+  }
+
+  function getMarketAddress() public view returns (address marketAddress) {
+    return address(marketplace);
+  }
+
+  // ------------------ Modifiers ---------------------- //
+
+  /// @dev Offers can still be cancelled while the marketplace is paused
+  modifier whenMarketplaceNotPaused() {
+    require(!marketplace.paused(), 'Pausable: paused');
+    _;
+  }
+}
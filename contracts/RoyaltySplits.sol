@@ -0,0 +1,174 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import './ERC2981.sol';
+import './IRoyaltySplits.sol';
+
+/**
+ * @dev Royalties split between several recipients, shared by NFT and Editions.
+ *
+ * A token's royalty is its own split if one is set, else its creator's default split, else the contract-wide
+ * ERC2981 default. Shares are basis points of the sale price. A split that is set with no recipients is an
+ * explicit zero royalty and does not fall back to the defaults.
+ */
+abstract contract RoyaltySplits is ERC2981, IRoyaltySplits {
+  event TokenRoyaltyUpdated(uint256 indexed _tokenId, address[] _recipients, uint256[] _shares);
+
+  event CreatorRoyaltyUpdated(address indexed _creator, address[] _recipients, uint256[] _shares);
+
+  event DefaultRoyaltyUpdated(address _receiver, uint96 _value);
+
+  /**
+    @notice Royalty recipients and their shares of the sale price in basis points
+    @dev `isSet` tells an explicit zero royalty (no recipients) apart from no royalty being set.
+   */
+  struct RoyaltySplit {
+    bool isSet;
+    address[] recipients;
+    uint256[] shares;
+  }
+
+  /// @notice upper bound on royalty recipients, keeps the gas of paying them out bounded
+  uint256 public constant MAX_ROYALTY_RECIPIENTS = 10;
+
+  /// @notice maps tokenId to its royalty split, which takes precedence over the creator's default
+  mapping(uint256 => RoyaltySplit) private _tokenRoyaltySplits;
+
+  /// @notice maps creators to the default royalty split of their tokens
+  mapping(address => RoyaltySplit) private _creatorRoyaltySplits;
+
+  /**
+   * @dev Gets the creator of the token, whose default split applies to it.
+   */
+  function tokenCreator(uint256 _tokenId) public view virtual returns (address);
+
+  /// @inheritdoc	ERC165
+  function supportsInterface(bytes4 interfaceId)
+    public
+    view
+    virtual
+    override(ERC2981, IERC165)
+    returns (bool)
+  {
+    return interfaceId == type(IRoyaltySplits).interfaceId || super.supportsInterface(interfaceId);
+  }
+
+  /**
+   * @dev Royalty of a token: its own split, else its creator's default, else the contract default.
+   */
+  function royaltySplits(uint256 tokenId, uint256 salePrice)
+    public
+    view
+    override
+    returns (address[] memory recipients, uint256[] memory amounts)
+  {
+    RoyaltySplit storage split = _tokenRoyaltySplits[tokenId];
+    if (!split.isSet) {
+      split = _creatorRoyaltySplits[tokenCreator(tokenId)];
+    }
+    if (!split.isSet) {
+      (address receiver, uint256 amount) = super.royaltyInfo(tokenId, salePrice);
+      if (amount == 0) {
+        return (new address[](0), new uint256[](0));
+      }
+      amounts = new uint256[](1);
+      amounts[0] = amount;
+      return (_singleRecipient(receiver), amounts);
+    }
+
+    recipients = split.recipients;
+    amounts = new uint256[](recipients.length);
+    for (uint256 i = 0; i < recipients.length; i++) {
+      amounts[i] = (salePrice * split.shares[i]) / _feeDenominator();
+    }
+  }
+
+  /**
+   * @dev ERC-2981 has a single receiver, so a split royalty is reported in full to its first recipient.
+   *      Marketplaces that read {royaltySplits} pay every recipient.
+   */
+  function royaltyInfo(uint256 tokenId, uint256 salePrice)
+    public
+    view
+    override
+    returns (address receiver, uint256 royaltyAmount)
+  {
+    (address[] memory recipients, uint256[] memory amounts) = royaltySplits(tokenId, salePrice);
+    if (recipients.length == 0) {
+      return (address(0), 0);
+    }
+    for (uint256 i = 0; i < amounts.length; i++) {
+      royaltyAmount += amounts[i];
+    }
+    return (recipients[0], royaltyAmount);
+  }
+
+  function _setTokenRoyalty(
+    uint256 tokenId,
+    address[] memory recipients,
+    uint256[] memory shares
+  ) internal {
+    _tokenRoyaltySplits[tokenId] = RoyaltySplit(true, recipients, shares);
+    emit TokenRoyaltyUpdated(tokenId, recipients, shares);
+  }
+
+  /// @dev a total of 0 removes the creator's default
+  function _setCreatorRoyalty(
+    address creator,
+    uint256 total,
+    address[] memory recipients,
+    uint256[] memory shares
+  ) internal {
+    _validateRoyaltySplit(total, recipients, shares);
+    if (total == 0) {
+      delete _creatorRoyaltySplits[creator];
+    } else {
+      _creatorRoyaltySplits[creator] = RoyaltySplit(true, recipients, shares);
+    }
+    emit CreatorRoyaltyUpdated(creator, recipients, shares);
+  }
+
+  /// @dev a value of 0 removes the contract default
+  function _setContractRoyalty(address receiver, uint96 value) internal {
+    if (value == 0) {
+      _deleteDefaultRoyalty();
+    } else {
+      _setDefaultRoyalty(receiver, value);
+    }
+    emit DefaultRoyaltyUpdated(receiver, value);
+  }
+
+  function _validateRoyaltySplit(
+    uint256 total,
+    address[] memory recipients,
+    uint256[] memory shares
+  ) internal pure {
+    _checkRoyaltyFee(total);
+    require(recipients.length == shares.length, 'Royalty recipients and shares differ');
+    require(recipients.length <= MAX_ROYALTY_RECIPIENTS, 'Too many royalty recipients');
+
+    uint256 sum = 0;
+    for (uint256 i = 0; i < recipients.length; i++) {
+      require(recipients[i] != address(0), 'ERC2981: Invalid parameters');
+      require(shares[i] > 0, 'Royalty share is zero');
+      sum += shares[i];
+    }
+    require(sum == total, 'Royalty shares must sum to the total');
+  }
+
+  function _singleRecipient(address recipient) internal pure returns (address[] memory recipients) {
+    recipients = new address[](1);
+    recipients[0] = recipient;
+  }
+
+  function _singleShare(uint256 share) internal pure returns (uint256[] memory shares) {
+    _checkRoyaltyFee(share);
+    shares = new uint256[](1);
+    shares[0] = share;
+  }
+
+  /// @dev Shared by the royalty setters so the revert is compiled once, NFT is close to the contract size limit
+  function _checkRoyaltyFee(uint256 fee) private pure {
+    require(fee <= _feeDenominator(), 'ERC2981: royalty fee will exceed salePrice');
+  }
+}
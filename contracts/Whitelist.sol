@@ -2,9 +2,18 @@
 pragma solidity ^0.8.0;
 
 import '@openzeppelin/contracts/access/Ownable.sol';
+import './AccessRoles.sol';
 import 'hardhat/console.sol';
 
-contract Whitelist is Ownable {
+/**
+  @dev Curators manage the whitelist. Inheriting contracts grant {CURATOR_ROLE} and the admin role that grants
+       and revokes it. Ownable is still inherited, as when the owner managed the whitelist, so that it keeps its
+       place in the storage of NFT proxies.
+ */
+abstract contract Whitelist is AccessRoles, Ownable {
+  /// @notice role allowed to enable the whitelist and to add and remove creators
+  bytes32 public constant CURATOR_ROLE = keccak256('CURATOR_ROLE');
+
   // Mapping of address to boolean indicating whether the address is whitelisted
   mapping(address => bool) private whitelistMap;
 
@@ -18,24 +27,38 @@ contract Whitelist is Ownable {
    * @dev Enable or disable the whitelist
    * @param _enabled bool of whether to enable the whitelist.
    */
-  function enableWhitelist(bool _enabled) public onlyOwner {
-    whitelistEnabled = _enabled;
+  function enableWhitelist(bool _enabled) public onlyCurator {
+    _enableWhitelist(_enabled);
   }
 
   /**
    * @dev Adds the provided address to the whitelist
    * @param _newAddress address to be added to the whitelist
    */
-  function addToWhitelist(address _newAddress) public onlyOwner {
+  function addToWhitelist(address _newAddress) public onlyCurator {
     _whitelist(_newAddress);
     emit AddToWhitelist(_newAddress);
   }
 
+  /**
+   * @dev Whitelists a bunch of addresses.
+   * @param _whitelistees address[] of addresses to whitelist.
+   */
+  function initWhitelist(address[] memory _whitelistees) public onlyCurator {
+    for (uint256 i = 0; i < _whitelistees.length; i++) {
+      address creator = _whitelistees[i];
+      if (!isWhitelisted(creator)) {
+        _whitelist(creator);
+        emit AddToWhitelist(creator);
+      }
+    }
+  }
+
   /**
    * @dev Removes the provided address to the whitelist
    * @param _removedAddress address to be removed from the whitelist
    */
-  function removeFromWhitelist(address _removedAddress) public onlyOwner {
+  function removeFromWhitelist(address _removedAddress) public onlyCurator {
     _unWhitelist(_removedAddress);
     emit RemoveFromWhitelist(_removedAddress);
   }
@@ -53,6 +76,36 @@ contract Whitelist is Ownable {
     }
   }
 
+  /**
+   * @dev Returns whether the whitelist is enforced. When disabled, {isWhitelisted} returns true for every address.
+   * @return bool
+   */
+  function isWhitelistEnabled() public view returns (bool) {
+    return whitelistEnabled;
+  }
+
+  /**
+   * @dev Checks that the sender holds {CURATOR_ROLE}, like `onlyRole(CURATOR_ROLE)` without repeating the check's
+   *      code in every function that uses it.
+   */
+  modifier onlyCurator() {
+    _checkCurator();
+    _;
+  }
+
+  function _checkCurator() internal view {
+    _checkRole(CURATOR_ROLE, _msgSender());
+  }
+
+  /**
+   * @dev Internal function for enabling or disabling the whitelist, used by proxies that skip the
+   *      initial value set on deployment
+   * @param _enabled bool of whether to enable the whitelist.
+   */
+  function _enableWhitelist(bool _enabled) internal {
+    whitelistEnabled = _enabled;
+  }
+
   /**
    * @dev Internal function for removing an address from the whitelist
    * @param _removedAddress address to unwhitelisted
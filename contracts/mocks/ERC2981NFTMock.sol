@@ -0,0 +1,28 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/token/ERC721/ERC721.sol';
+import '../ERC2981.sol';
+
+/// @dev Third-party ERC-721 that reports its royalty through ERC-2981 only, without IRoyaltySplits, for tests only
+contract ERC2981NFTMock is ERC721, ERC2981 {
+  constructor() ERC721('Royalty Mock', 'RMCK') {}
+
+  function mint(address to, uint256 tokenId) public {
+    _mint(to, tokenId);
+  }
+
+  function setDefaultRoyalty(address receiver, uint96 value) public {
+    _setDefaultRoyalty(receiver, value);
+  }
+
+  function supportsInterface(bytes4 interfaceId)
+    public
+    view
+    virtual
+    override(ERC721, ERC2981)
+    returns (bool)
+  {
+    return super.supportsInterface(interfaceId);
+  }
+}
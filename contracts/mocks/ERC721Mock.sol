@@ -0,0 +1,13 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/token/ERC721/ERC721.sol';
+
+/// @dev Third-party ERC-721 without any royalty interface, for tests only
+contract ERC721Mock is ERC721 {
+  constructor() ERC721('Plain Mock', 'PMCK') {}
+
+  function mint(address to, uint256 tokenId) public {
+    _mint(to, tokenId);
+  }
+}
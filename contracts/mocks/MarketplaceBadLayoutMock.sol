@@ -0,0 +1,14 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '../Marketplace.sol';
+
+/// @dev Declares a state variable ahead of every Marketplace variable
+contract StorageShift {
+  uint256 internal shifted;
+}
+
+/// @dev Marketplace upgrade whose storage is shifted by one slot, which upgrade checks must reject. For tests only
+contract MarketplaceBadLayoutMock is StorageShift, Marketplace {
+
+}
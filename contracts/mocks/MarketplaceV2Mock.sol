@@ -0,0 +1,17 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '../Marketplace.sol';
+
+/// @dev Marketplace upgrade that appends a state variable, for tests only
+contract MarketplaceV2Mock is Marketplace {
+  uint256 public upgradeCounter;
+
+  function incrementUpgradeCounter() public {
+    upgradeCounter += 1;
+  }
+
+  function version() public pure returns (string memory) {
+    return 'v2';
+  }
+}
@@ -0,0 +1,25 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/token/ERC20/ERC20.sol';
+
+/// @dev ERC-20 with an open mint and configurable decimals, for tests only
+contract MockERC20 is ERC20 {
+  uint8 private _decimals;
+
+  constructor(
+    string memory name,
+    string memory symbol,
+    uint8 decimals_
+  ) ERC20(name, symbol) {
+    _decimals = decimals_;
+  }
+
+  function mint(address to, uint256 amount) public {
+    _mint(to, amount);
+  }
+
+  function decimals() public view virtual override returns (uint8) {
+    return _decimals;
+  }
+}
@@ -0,0 +1,11 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '../NFT.sol';
+
+/// @dev NFT upgrade that only adds a function, for tests only
+contract NFTV2Mock is NFT {
+  function version() public pure returns (string memory) {
+    return 'v2';
+  }
+}
@@ -0,0 +1,17 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/token/ERC721/utils/ERC721Holder.sol';
+
+/// @dev Contract account that rejects plain ether transfers, for tests only
+contract RevertingReceiver is ERC721Holder {
+  function execute(address target, bytes memory data) public payable returns (bytes memory) {
+    (bool success, bytes memory result) = target.call{ value: msg.value }(data);
+    require(success, 'RevertingReceiver: call failed');
+    return result;
+  }
+
+  receive() external payable {
+    revert('RevertingReceiver: ether rejected');
+  }
+}
@@ -1,6 +1,11 @@
 require('@nomiclabs/hardhat-waffle')
 require('@nomiclabs/hardhat-web3')
 require('dotenv').config()
+require('./tasks/market')
+require('./tasks/nft')
+require('./tasks/report')
+require('./tasks/roles')
+require('./tasks/whitelist')
 
 task('accounts', 'Prints the list of accounts', async (hre) => {
   const accounts = await hre.ethers.getSigners()
@@ -10,8 +15,34 @@ task('accounts', 'Prints the list of accounts', async (hre) => {
   }
 })
 
+const compilerSettings = (runs) => ({
+  version: '0.8.4',
+  settings: {
+    optimizer: {
+      enabled: true,
+      runs,
+    },
+    // storage layouts are checked before upgrading the proxied contracts, see utils/upgrades.js
+    outputSelection: {
+      '*': {
+        '*': ['storageLayout'],
+      },
+    },
+  },
+})
+
 module.exports = {
-  solidity: '0.8.4',
+  solidity: {
+    compilers: [compilerSettings(200)],
+    // NFT and Marketplace are optimized for size rather than for calls to stay under the 24KB contract size limit
+    overrides: {
+      'contracts/NFT.sol': compilerSettings(1),
+      'contracts/mocks/NFTV2Mock.sol': compilerSettings(1),
+      'contracts/Marketplace.sol': compilerSettings(1),
+      'contracts/mocks/MarketplaceV2Mock.sol': compilerSettings(1),
+      'contracts/mocks/MarketplaceBadLayoutMock.sol': compilerSettings(1),
+    },
+  },
   defaultNetwork: 'hardhat',
   networks: {
     rinkeby: {
@@ -0,0 +1,282 @@
+const { utils } = require('ethers')
+const { createJsonStore } = require('./store')
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+const ERC721 = new utils.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+])
+const TRANSFER_TOPIC = ERC721.getEventTopic('Transfer')
+
+// Replays Marketplace and NFT events into a local store so listings, owners, creators and sales can
+// be queried without looping over every item on-chain. Anyone can pay out a made-up sale, so only
+// SalePaidOut events from `settlers`, the AuctionHouse and OfferBook, are recorded as sales.
+function createIndexer({
+  marketplace,
+  nfts = [],
+  settlers = [],
+  store = createJsonStore(),
+  batchSize = 5000,
+}) {
+  const provider = marketplace.provider
+  const contracts = [marketplace, ...nfts]
+
+  const findContract = (address) =>
+    contracts.find((c) => c.address.toLowerCase() === address.toLowerCase())
+
+  // tokenURI reverts if the token was burned later in the same block
+  const readAt = async (fn, blockTag) => {
+    try {
+      return await fn({ blockTag })
+    } catch (err) {
+      return null
+    }
+  }
+
+  // moves edition copies between holders; the mint comes before EditionCreated, which fills in the rest
+  const transferCopies = (nftAddress, from, to, id, value) => {
+    const tokenId = id.toString()
+    const token = store.getToken(nftAddress, tokenId) || { balances: {} }
+    const balances = { ...token.balances }
+    const add = (holder, amount) => {
+      const balance = BigInt(balances[holder] || 0) + amount
+      if (balance > 0n) balances[holder] = balance.toString()
+      else delete balances[holder]
+    }
+    if (from !== ZERO_ADDRESS) add(from, -value.toBigInt())
+    if (to !== ZERO_ADDRESS) add(to, value.toBigInt())
+    // the supply is unknown for editions created before the sync start
+    if (to !== ZERO_ADDRESS || token.supply === undefined) {
+      store.putToken({ nftAddress, tokenId, balances })
+      return
+    }
+    const supply = BigInt(token.supply) - value.toBigInt()
+    if (supply > 0n) {
+      store.putToken({ nftAddress, tokenId, balances, supply: supply.toString() })
+    } else {
+      store.deleteToken(nftAddress, tokenId)
+    }
+  }
+
+  // the buyer of an auction or offer sale is whoever the token was sent to in the settling transaction
+  const findBuyer = async (transactionHash, nftAddress, tokenId) => {
+    const { logs } = await provider.getTransactionReceipt(transactionHash)
+    const transfers = logs
+      .filter(
+        (log) =>
+          log.address.toLowerCase() === nftAddress.toLowerCase() &&
+          log.topics[0] === TRANSFER_TOPIC &&
+          log.topics.length === 4
+      )
+      .map((log) => ERC721.parseLog(log).args)
+      .filter((args) => args.tokenId.eq(tokenId))
+    return transfers.length > 0 ? transfers[transfers.length - 1].to : null
+  }
+
+  const handlers = {
+    async ItemListed({ args, blockNumber }) {
+      store.putListing({
+        itemId: args.itemId.toString(),
+        nftAddress: args.nftAddress,
+        tokenId: args.tokenId.toString(),
+        seller: args.owner,
+        price: args.price.toString(),
+        paymentToken: args.paymentToken,
+        quantity: args.quantity.toString(),
+        expiry: args.expiry.toNumber(),
+        isListed: true,
+        listedAtBlock: blockNumber,
+      })
+    },
+
+    async ItemDelisted({ args }) {
+      store.putListing({ itemId: args.itemId.toString(), isListed: false })
+    },
+
+    async ListingInvalidated({ args }) {
+      store.putListing({ itemId: args.itemId.toString(), isListed: false })
+    },
+
+    async ListPriceUpdated({ args }) {
+      store.putListing({ itemId: args.itemId.toString(), price: args.price.toString() })
+    },
+
+    async ItemSold({ args, blockNumber, transactionHash }) {
+      const listing = store.getListing(args.itemId.toString())
+      // edition listings stay active until their last copy is sold
+      const remaining = listing ? BigInt(listing.quantity) - args.quantity.toBigInt() : 0n
+      store.putListing({
+        itemId: args.itemId.toString(),
+        quantity: remaining.toString(),
+        isListed: remaining > 0n,
+      })
+      store.addSale({
+        itemId: args.itemId.toString(),
+        nftAddress: args.nftAddress,
+        tokenId: args.tokenId.toString(),
+        seller: args.seller,
+        buyer: args.buyer,
+        price: args.price.toString(),
+        quantity: args.quantity.toString(),
+        paymentToken: listing ? listing.paymentToken : undefined,
+        feeToMarketplace: args.feeToMarketplace.toString(),
+        royaltyReceiver: args.royaltyReceiver,
+        royaltyAmount: args.royaltyAmount.toString(),
+        blockNumber,
+        transactionHash,
+      })
+    },
+
+    // lazy-minted tokens are sold without a listing, the creator is the seller and receives the royalty
+    async VoucherPurchased({ args, blockNumber, transactionHash }) {
+      store.addSale({
+        itemId: null,
+        nftAddress: args.nftAddress,
+        tokenId: args.tokenId.toString(),
+        seller: args.creator,
+        buyer: args.buyer,
+        price: args.price.toString(),
+        quantity: '1',
+        paymentToken: ZERO_ADDRESS,
+        feeToMarketplace: args.feeToMarketplace.toString(),
+        royaltyReceiver: args.creator,
+        royaltyAmount: args.royaltyAmount.toString(),
+        blockNumber,
+        transactionHash,
+      })
+    },
+
+    async OrderFulfilled({ args, blockNumber, transactionHash }) {
+      store.addSale({
+        itemId: null,
+        nftAddress: args.nftAddress,
+        tokenId: args.tokenId.toString(),
+        seller: args.seller,
+        buyer: args.buyer,
+        price: args.price.toString(),
+        quantity: '1',
+        paymentToken: ZERO_ADDRESS,
+        feeToMarketplace: args.feeToMarketplace.toString(),
+        royaltyReceiver: args.royaltyReceiver,
+        royaltyAmount: args.royaltyAmount.toString(),
+        blockNumber,
+        transactionHash,
+      })
+    },
+
+    // auctions and offers are settled through payoutSale, after the settling contract sent the token to the buyer
+    async SalePaidOut({ args, blockNumber, transactionHash }) {
+      if (!settlers.some((settler) => settler.toLowerCase() === args.payer.toLowerCase())) return
+      store.addSale({
+        itemId: null,
+        nftAddress: args.nftAddress,
+        tokenId: args.tokenId.toString(),
+        seller: args.seller,
+        buyer: await findBuyer(transactionHash, args.nftAddress, args.tokenId),
+        price: args.price.toString(),
+        quantity: '1',
+        paymentToken: ZERO_ADDRESS,
+        feeToMarketplace: args.feeToMarketplace.toString(),
+        royaltyReceiver: args.royaltyReceiver,
+        royaltyAmount: args.royaltyAmount.toString(),
+        settledBy: args.payer,
+        blockNumber,
+        transactionHash,
+      })
+    },
+
+    async Transfer({ args, address, blockNumber }, nft) {
+      const tokenId = args.tokenId.toString()
+      if (args.to === ZERO_ADDRESS) {
+        store.deleteToken(address, tokenId)
+        return
+      }
+      if (args.from === ZERO_ADDRESS) {
+        store.putToken({
+          nftAddress: address,
+          tokenId,
+          owner: args.to,
+          creator: await readAt((o) => nft.tokenCreator(tokenId, o), blockNumber),
+          uri: await readAt((o) => nft.tokenURI(tokenId, o), blockNumber),
+          mintedAtBlock: blockNumber,
+        })
+        return
+      }
+      store.putToken({ nftAddress: address, tokenId, owner: args.to })
+    },
+
+    // an edition is a single token with many copies, so it has a supply and a balance per holder
+    async EditionCreated({ args, address, blockNumber }) {
+      store.putToken({
+        nftAddress: address,
+        tokenId: args._tokenId.toString(),
+        creator: args._creator,
+        uri: args._uri,
+        supply: args._supply.toString(),
+        mintedAtBlock: blockNumber,
+      })
+    },
+
+    async TransferSingle({ args, address }) {
+      transferCopies(address, args.from, args.to, args.id, args.value)
+    },
+
+    // args.values is shadowed by Array.prototype.values, so the amounts are read by position
+    async TransferBatch({ args, address }) {
+      args.ids.forEach((id, i) => transferCopies(address, args.from, args.to, id, args[4][i]))
+    },
+
+    async TokenURIUpdated({ args, address }) {
+      store.putToken({ nftAddress: address, tokenId: args._tokenId.toString(), uri: args._uri })
+    },
+
+    async AddToWhitelist({ args }) {
+      store.setWhitelisted(args._newAddress, true)
+    },
+
+    async RemoveFromWhitelist({ args }) {
+      store.setWhitelisted(args._removedAddress, false)
+    },
+  }
+
+  async function fetchEvents(fromBlock, toBlock) {
+    const events = []
+    for (const contract of contracts) {
+      const logs = await provider.getLogs({ address: contract.address, fromBlock, toBlock })
+      for (const log of logs) {
+        let parsed
+        try {
+          parsed = contract.interface.parseLog(log)
+        } catch (err) {
+          continue
+        }
+        if (handlers[parsed.name]) {
+          events.push({ ...log, name: parsed.name, args: parsed.args })
+        }
+      }
+    }
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+  }
+
+  // saves the store after each batch so an interrupted sync resumes where it stopped
+  async function sync({ fromBlock = 0, toBlock } = {}) {
+    const latest = toBlock === undefined ? await provider.getBlockNumber() : toBlock
+    let start = Math.max(fromBlock, store.lastBlock + 1)
+    let applied = 0
+
+    while (start <= latest) {
+      const end = Math.min(start + batchSize - 1, latest)
+      for (const event of await fetchEvents(start, end)) {
+        await handlers[event.name](event, findContract(event.address))
+        applied++
+      }
+      store.lastBlock = end
+      store.save()
+      start = end + 1
+    }
+    return applied
+  }
+
+  return { store, sync }
+}
+
+module.exports = { createIndexer, createJsonStore }
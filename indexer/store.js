@@ -0,0 +1,120 @@
+const fs = require('fs')
+const path = require('path')
+
+const emptyState = () => ({
+  lastBlock: -1,
+  listings: {},
+  tokens: {},
+  sales: [],
+  whitelist: [],
+})
+
+// keeps everything in memory and writes the whole state to `file`, if given, on save
+function createJsonStore(file) {
+  let state = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : emptyState()
+
+  const tokenKey = (nftAddress, tokenId) => `${nftAddress.toLowerCase()}:${tokenId}`
+  // tokens minted before the sync start or edition copies have no owner or creator to compare
+  const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase()
+  const holds = (token, owner) =>
+    sameAddress(token.owner, owner) ||
+    Object.keys(token.balances || {}).some((holder) => sameAddress(holder, owner))
+
+  return {
+    get lastBlock() {
+      return state.lastBlock
+    },
+
+    set lastBlock(blockNumber) {
+      state.lastBlock = blockNumber
+    },
+
+    save() {
+      if (!file) return
+      fs.mkdirSync(path.dirname(file), { recursive: true })
+      fs.writeFileSync(file, JSON.stringify(state, null, 2) + '\n')
+    },
+
+    reset() {
+      state = emptyState()
+    },
+
+    // ------------------ Writes ---------------------- //
+
+    putListing(listing) {
+      state.listings[listing.itemId] = { ...state.listings[listing.itemId], ...listing }
+    },
+
+    getListing(itemId) {
+      return state.listings[itemId]
+    },
+
+    putToken(token) {
+      const key = tokenKey(token.nftAddress, token.tokenId)
+      state.tokens[key] = { ...state.tokens[key], ...token }
+    },
+
+    deleteToken(nftAddress, tokenId) {
+      delete state.tokens[tokenKey(nftAddress, tokenId)]
+    },
+
+    addSale(sale) {
+      state.sales.push(sale)
+    },
+
+    setWhitelisted(address, whitelisted) {
+      const rest = state.whitelist.filter((a) => !sameAddress(a, address))
+      state.whitelist = whitelisted ? [...rest, address] : rest
+    },
+
+    // ------------------ Queries ---------------------- //
+
+    getListings({ nftAddress, seller } = {}) {
+      return Object.values(state.listings).filter(
+        (listing) =>
+          listing.isListed &&
+          (!nftAddress || sameAddress(listing.nftAddress, nftAddress)) &&
+          (!seller || sameAddress(listing.seller, seller))
+      )
+    },
+
+    getToken(nftAddress, tokenId) {
+      return state.tokens[tokenKey(nftAddress, tokenId)]
+    },
+
+    getOwner(nftAddress, tokenId) {
+      const token = this.getToken(nftAddress, tokenId)
+      return token ? token.owner : undefined
+    },
+
+    getTokens({ nftAddress } = {}) {
+      return Object.values(state.tokens).filter(
+        (token) => !nftAddress || sameAddress(token.nftAddress, nftAddress)
+      )
+    },
+
+    getTokensByOwner(owner) {
+      return Object.values(state.tokens).filter((token) => holds(token, owner))
+    },
+
+    getTokensByCreator(creator) {
+      return Object.values(state.tokens).filter((token) => sameAddress(token.creator, creator))
+    },
+
+    getSales({ nftAddress, tokenId, buyer, seller } = {}) {
+      return state.sales.filter(
+        (sale) =>
+          (!nftAddress || sameAddress(sale.nftAddress, nftAddress)) &&
+          (tokenId === undefined || sale.tokenId === String(tokenId)) &&
+          (!buyer || sameAddress(sale.buyer, buyer)) &&
+          (!seller || sameAddress(sale.seller, seller))
+      )
+    },
+
+    getWhitelist() {
+      return [...state.whitelist]
+    },
+  }
+}
+
+module.exports = { createJsonStore }
@@ -0,0 +1,96 @@
+const fs = require('fs')
+const path = require('path')
+const hre = require('hardhat')
+
+// contracts whose ABIs and typings ship with the SDK
+const SDK_CONTRACTS = ['NFT', 'Editions', 'Marketplace']
+
+const SDK_DIR = path.join(__dirname, '..', 'sdk')
+
+// ------------------ ABI -> TypeScript ---------------------- //
+
+function tsType(param, isInput) {
+  const arrayMatch = param.type.match(/^(.*)\[\d*\]$/)
+  if (arrayMatch) {
+    const inner = { ...param, type: arrayMatch[1] }
+    return `${tsType(inner, isInput)}[]`
+  }
+  if (param.type === 'tuple') {
+    const fields = param.components.map((c) => `${c.name}: ${tsType(c, isInput)}`)
+    return `{ ${fields.join('; ')} }`
+  }
+  const intMatch = param.type.match(/^u?int(\d*)$/)
+  if (intMatch) {
+    if (isInput) return 'BigNumberish'
+    // ethers decodes integers of up to 48 bits as plain numbers
+    return Number(intMatch[1] || 256) <= 48 ? 'number' : 'BigNumber'
+  }
+  if (param.type === 'bool') return 'boolean'
+  if (/^bytes\d*$/.test(param.type)) return isInput ? 'BytesLike' : 'string'
+  return 'string'
+}
+
+function outputType(outputs) {
+  if (outputs.length === 0) return 'void'
+  if (outputs.length === 1) return tsType(outputs[0], false)
+  return `[${outputs.map((o) => tsType(o, false)).join(', ')}]`
+}
+
+function functionSignature(fn) {
+  const params = fn.inputs.map((input, i) => `${input.name || `arg${i}`}: ${tsType(input, true)}`)
+  const isView = fn.stateMutability === 'view' || fn.stateMutability === 'pure'
+  const overrides = isView
+    ? 'CallOverrides'
+    : fn.stateMutability === 'payable'
+    ? 'PayableOverrides'
+    : 'Overrides'
+  params.push(`overrides?: ${overrides}`)
+  const returns = isView ? outputType(fn.outputs) : 'ContractTransaction'
+  return `  ${fn.name}(${params.join(', ')}): Promise<${returns}>`
+}
+
+function contractInterface(name, abi) {
+  const seen = new Set()
+  const lines = []
+  for (const fn of abi.filter((entry) => entry.type === 'function')) {
+    // overloads are reachable through the full signature on the ethers Contract
+    if (seen.has(fn.name)) continue
+    seen.add(fn.name)
+    lines.push(functionSignature(fn))
+  }
+  return `export interface ${name} extends Contract {\n${lines.join('\n')}\n}\n`
+}
+
+async function main() {
+  await hre.run('compile')
+
+  const interfaces = []
+  fs.mkdirSync(path.join(SDK_DIR, 'abi'), { recursive: true })
+  for (const name of SDK_CONTRACTS) {
+    const { abi } = await hre.artifacts.readArtifact(name)
+    fs.writeFileSync(path.join(SDK_DIR, 'abi', `${name}.json`), JSON.stringify(abi, null, 2) + '\n')
+    interfaces.push(contractInterface(name, abi))
+  }
+
+  const header = [
+    '// Generated by scripts/build-sdk.js from the compiled contract ABIs. Do not edit.',
+    "import { BigNumber, BigNumberish, BytesLike, CallOverrides, Contract, ContractTransaction, Overrides, PayableOverrides } from 'ethers'",
+    '',
+  ]
+  fs.writeFileSync(
+    path.join(SDK_DIR, 'types', 'contracts.d.ts'),
+    header.join('\n') + '\n' + interfaces.join('\n')
+  )
+  console.log(`Wrote ABIs and typings for ${SDK_CONTRACTS.join(', ')} to ${SDK_DIR}`)
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((err) => {
+      console.log(err)
+      process.exit(1)
+    })
+}
+
+module.exports = { SDK_CONTRACTS, contractInterface }
@@ -1,22 +1,196 @@
 const hre = require('hardhat')
+const {
+  manifestPath,
+  readManifest,
+  writeManifest,
+  readNetworkConfig,
+  deployOrReuse,
+  deployOrUpgradeProxy,
+} = require('../utils/deployments')
 
-async function main() {
-  let marketplaceFee = ethers.BigNumber.from(250)
+const proxyStatus = (name, { deployed, upgraded }) =>
+  deployed
+    ? `${name} proxy deployed to:`
+    : upgraded
+    ? `${name} upgraded at:`
+    : `${name} unchanged at:`
 
-  const Marketplace = await hre.ethers.getContractFactory('Marketplace')
-  marketplace = await Marketplace.deploy(marketplaceFee)
-  await marketplace.deployed()
-  console.log('Marketplace deployed to:', marketplace.address)
+// applies `fee` once its timelock has passed, schedules it if it is not scheduled yet
+async function syncProtocolFee(hre, marketplace, fee) {
+  const [pendingFee, effectiveTime] = await marketplace.getPendingProtocolFee()
+  const scheduled = !effectiveTime.isZero() && pendingFee.eq(fee)
+  if (!scheduled) {
+    const txn = await marketplace.scheduleProtocolFee(fee)
+    await txn.wait()
+    const [, time] = await marketplace.getPendingProtocolFee()
+    console.log(
+      `Scheduled protocol fee ${fee.toString()}, rerun to apply it after`,
+      time.toString()
+    )
+    return
+  }
+
+  const { timestamp } = await hre.ethers.provider.getBlock('latest')
+  if (effectiveTime.gt(timestamp)) {
+    console.log(
+      `Protocol fee ${fee.toString()} is scheduled, rerun to apply it after`,
+      effectiveTime.toString()
+    )
+    return
+  }
+  const txn = await marketplace.applyProtocolFee()
+  await txn.wait()
+  console.log('Updated protocol fee to:', fee.toString())
+}
+
+// Proxies initialized before roles existed have no role admin. After upgrading one, the deployer,
+// who owns it, takes the roles that initialize grants to new proxies.
+async function grantOwnerRoles(name, contract, roles) {
+  const account = await contract.signer.getAddress()
+  if (await contract.hasRole(await contract.DEFAULT_ADMIN_ROLE(), account)) {
+    return
+  }
+  let txn = await contract.grantOwnerAdminRole()
+  await txn.wait()
+  for (const role of roles) {
+    txn = await contract.grantRole(await contract[role](), account)
+    await txn.wait()
+  }
+  console.log(`Granted the owner's roles on ${name}:`, account)
+}
+
+// Marketplace and NFT live behind proxies that later runs upgrade in place; the other contracts
+// are reused while their bytecode and constructor args match the manifest.
+async function deploy(hre) {
+  const { ethers, network } = hre
+  const config = readNetworkConfig(network.name)
+  const manifest = readManifest(network.name)
+  manifest.network = network.name
+  manifest.chainId = (await ethers.provider.getNetwork()).chainId
+  // written after every deployment, so a run that fails part way still reuses what it deployed
+  const saveManifest = () => writeManifest(network.name, manifest)
+
+  const marketplaceFee = ethers.BigNumber.from(config.protocolFee)
+  const marketplaceResult = await deployOrUpgradeProxy(hre, manifest, 'Marketplace', [
+    marketplaceFee,
+  ])
+  const marketplace = marketplaceResult.contract
+  saveManifest()
+  console.log(proxyStatus('Marketplace', marketplaceResult), marketplace.address)
+  if (marketplaceResult.upgraded) {
+    await grantOwnerRoles('Marketplace', marketplace, ['FEE_ADMIN_ROLE', 'PAUSER_ROLE'])
+  }
+
+  const nftResult = await deployOrUpgradeProxy(hre, manifest, 'NFT', [marketplace.address])
+  const nft = nftResult.contract
+  saveManifest()
+  console.log(proxyStatus('NFT', nftResult), nft.address)
+  if (nftResult.upgraded) {
+    await grantOwnerRoles('NFT', nft, ['CURATOR_ROLE'])
+  }
+
+  const { contract: editions, deployed: editionsDeployed } = await deployOrReuse(
+    hre,
+    manifest,
+    'Editions',
+    [marketplace.address]
+  )
+  saveManifest()
+  console.log(
+    editionsDeployed ? 'Editions contract deployed to: ' : 'Editions contract unchanged at: ',
+    editions.address
+  )
+
+  const { contract: auctionHouse, deployed: auctionHouseDeployed } = await deployOrReuse(
+    hre,
+    manifest,
+    'AuctionHouse',
+    [marketplace.address]
+  )
+  saveManifest()
+  console.log(
+    auctionHouseDeployed ? 'AuctionHouse deployed to:' : 'AuctionHouse unchanged at:',
+    auctionHouse.address
+  )
 
-  const NFT = await hre.ethers.getContractFactory('NFT')
-  nft = await NFT.deploy(marketplace.address)
-  await nft.deployed()
-  console.log('NFT contract deployed to: ', nft.address)
+  const { contract: offerBook, deployed: offerBookDeployed } = await deployOrReuse(
+    hre,
+    manifest,
+    'OfferBook',
+    [marketplace.address]
+  )
+  saveManifest()
+  console.log(
+    offerBookDeployed ? 'OfferBook deployed to:' : 'OfferBook unchanged at:',
+    offerBook.address
+  )
+
+  const { contract: forwarder, deployed: forwarderDeployed } = await deployOrReuse(
+    hre,
+    manifest,
+    'ArkivForwarder',
+    []
+  )
+  saveManifest()
+  console.log(
+    forwarderDeployed ? 'ArkivForwarder deployed to:' : 'ArkivForwarder unchanged at:',
+    forwarder.address
+  )
+
+  console.log('Deployment manifest written to:', manifestPath(network.name))
+
+  if (!(await marketplace.protocolFee()).eq(marketplaceFee)) {
+    await syncProtocolFee(hre, marketplace, marketplaceFee)
+  }
+
+  if ((await nft.getMarketAddress()) !== marketplace.address) {
+    const txn = await nft.setMarketplaceAddress(marketplace.address)
+    await txn.wait()
+    console.log('Pointed NFT at marketplace:', marketplace.address)
+  }
+
+  for (const [name, contract] of [
+    ['Marketplace', marketplace],
+    ['NFT', nft],
+  ]) {
+    if (!(await contract.isTrustedForwarder(forwarder.address))) {
+      const txn = await contract.grantRole(await contract.FORWARDER_ROLE(), forwarder.address)
+      await txn.wait()
+      console.log(`Trusted forwarder on ${name}:`, forwarder.address)
+    }
+  }
+
+  for (const [name, contract] of [
+    ['NFT', nft],
+    ['Editions', editions],
+  ]) {
+    const pending = []
+    for (const creator of config.whitelist) {
+      if (!(await contract.isWhitelisted(creator))) {
+        pending.push(creator)
+      }
+    }
+    if (pending.length > 0) {
+      const txn = await contract.initWhitelist(pending)
+      await txn.wait()
+      console.log(`Whitelisted ${pending.length} creator(s) on ${name}`)
+    }
+  }
+
+  for (const paymentToken of config.paymentTokens) {
+    if (!(await marketplace.isPaymentTokenAllowed(paymentToken))) {
+      const txn = await marketplace.setPaymentTokenAllowed(paymentToken, true)
+      await txn.wait()
+      console.log('Allowed payment token:', paymentToken)
+    }
+  }
+
+  return { marketplace, nft, editions, auctionHouse, offerBook, forwarder, manifest }
 }
 
 const runMain = async () => {
   try {
-    await main()
+    await deploy(hre)
     process.exit(0)
   } catch (err) {
     console.log(err)
@@ -24,4 +198,8 @@ const runMain = async () => {
   }
 }
 
-runMain()
+if (require.main === module) {
+  runMain()
+}
+
+module.exports = { deploy }
@@ -0,0 +1,377 @@
+const { ethers } = require('ethers')
+const { decodeError, ItemNotListedError } = require('./errors')
+const { buildOrder, getOrderDomain, signOrder } = require('./orders')
+const { buildVoucher, getVoucherDomain, signVoucher } = require('./vouchers')
+const NFT_ABI = require('./abi/NFT.json')
+const EDITIONS_ABI = require('./abi/Editions.json')
+const MARKETPLACE_ABI = require('./abi/Marketplace.json')
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+]
+
+const MINT_PHASES = ['closed', 'allowlist', 'public']
+
+// `[{ recipient, share }]` to the total, recipients and shares taken by the NFT contract
+function toRoyaltySplit(splits) {
+  const shares = splits.map((split) => ethers.BigNumber.from(split.share))
+  return {
+    total: shares.reduce((sum, share) => sum.add(share), ethers.constants.Zero),
+    recipients: splits.map((split) => split.recipient),
+    shares,
+  }
+}
+
+function toListing(item) {
+  return {
+    itemId: item.itemId,
+    nftAddress: item.nftAddress,
+    tokenId: item.tokenId,
+    owner: item.owner,
+    price: item.price,
+    isListed: item.isListed,
+    paymentToken: item.paymentToken,
+    quantity: item.quantity,
+    isEdition: item.isEdition,
+    expiry: item.expiry,
+  }
+}
+
+// Amounts are wei and royalties basis points. Contract reverts are rethrown as the typed errors
+// in `./errors`.
+class ArkivClient {
+  // reads go through `provider` when no signer is given
+  constructor({ signer, provider, marketplaceAddress, nftAddress, editionsAddress }) {
+    this.signer = signer
+    this.provider = provider || (signer && signer.provider)
+    const runner = signer || this.provider
+    this.marketplace = new ethers.Contract(marketplaceAddress, MARKETPLACE_ABI, runner)
+    this.nft = new ethers.Contract(nftAddress, NFT_ABI, runner)
+    if (editionsAddress) {
+      this.editions = new ethers.Contract(editionsAddress, EDITIONS_ABI, runner)
+    }
+  }
+
+  static fromManifest(signerOrProvider, manifest) {
+    const isSigner = ethers.Signer.isSigner(signerOrProvider)
+    return new ArkivClient({
+      signer: isSigner ? signerOrProvider : undefined,
+      provider: isSigner ? undefined : signerOrProvider,
+      marketplaceAddress: manifest.contracts.Marketplace.address,
+      nftAddress: manifest.contracts.NFT.address,
+      editionsAddress: manifest.contracts.Editions && manifest.contracts.Editions.address,
+    })
+  }
+
+  nftAt(nftAddress) {
+    if (!nftAddress || nftAddress === this.nft.address) return this.nft
+    return new ethers.Contract(nftAddress, NFT_ABI, this.signer || this.provider)
+  }
+
+  editionsAt(editionsAddress) {
+    if (!editionsAddress || (this.editions && editionsAddress === this.editions.address)) {
+      return this.editions
+    }
+    return new ethers.Contract(editionsAddress, EDITIONS_ABI, this.signer || this.provider)
+  }
+
+  async _send(contract, method, args, overrides = {}) {
+    try {
+      const txn = await contract[method](...args, overrides)
+      return await txn.wait()
+    } catch (err) {
+      throw decodeError(err)
+    }
+  }
+
+  async _call(promise) {
+    try {
+      return await promise
+    } catch (err) {
+      throw decodeError(err)
+    }
+  }
+
+  async mint({ to, uri, royalty }) {
+    const recipient = to || (await this.signer.getAddress())
+    const receipt = await this._send(this.nft, 'mint', [recipient, uri])
+    const tokenId = receipt.events.find((e) => e.event === 'Transfer').args.tokenId
+    if (royalty) {
+      await this.setRoyalty(tokenId, royalty)
+    }
+    return { tokenId, receipt }
+  }
+
+  async mintBatch({ to, uris, royalty = 0, contentHashes, nftAddress }) {
+    const recipient = to || (await this.signer.getAddress())
+    const nft = this.nftAt(nftAddress)
+    const receipt = contentHashes
+      ? await this._send(nft, 'mintBatchWithContentHashes', [
+          recipient,
+          uris,
+          contentHashes,
+          royalty,
+        ])
+      : await this._send(nft, 'mintBatch', [recipient, uris, royalty])
+    const tokenIds = receipt.events
+      .filter((e) => e.event === 'TokenMinted')
+      .map((e) => e.args._tokenId)
+    return { tokenIds, receipt }
+  }
+
+  // `proof` as written by the `whitelist:allowlist` task
+  async mintWithProof({ to, uri, quota, proof, nftAddress }) {
+    const recipient = to || (await this.signer.getAddress())
+    const receipt = await this._send(this.nftAt(nftAddress), 'mintWithProof', [
+      recipient,
+      uri,
+      quota,
+      proof,
+    ])
+    const tokenId = receipt.events.find((e) => e.event === 'TokenMinted').args._tokenId
+    return { tokenId, receipt }
+  }
+
+  async getMintSale(account, nftAddress) {
+    const nft = this.nftAt(nftAddress)
+    const owner = account || (await this.signer.getAddress())
+    const [phase, sale, minted] = await this._call(
+      Promise.all([nft.mintPhase(), nft.mintSale(), nft.saleMints(owner)])
+    )
+    return {
+      phase: MINT_PHASES[phase],
+      allowlistRoot: sale.allowlistRoot,
+      allowlistStart: sale.allowlistStart,
+      publicStart: sale.publicStart,
+      end: sale.end,
+      publicQuota: sale.publicQuota,
+      minted,
+    }
+  }
+
+  // relisting a token returns its previous itemId
+  async list({ tokenId, price, nftAddress, paymentToken, expiry }) {
+    const nft = this.nftAt(nftAddress)
+    const owner = await this.signer.getAddress()
+    if (!(await nft.isApprovedForAll(owner, this.marketplace.address))) {
+      await this._send(nft, 'setApprovalForAll', [this.marketplace.address, true])
+    }
+    const receipt = await this._send(this.marketplace, 'listItemWithExpiry', [
+      nft.address,
+      tokenId,
+      price,
+      paymentToken || ethers.constants.AddressZero,
+      expiry || 0,
+    ])
+    const itemId = receipt.events.find((e) => e.event === 'ItemListed').args.itemId
+    return { itemId, receipt }
+  }
+
+  async createEdition({ to, supply, uri, royalty = 0, editionsAddress }) {
+    const recipient = to || (await this.signer.getAddress())
+    const receipt = await this._send(this.editionsAt(editionsAddress), 'createEdition', [
+      recipient,
+      supply,
+      uri,
+      royalty,
+    ])
+    const tokenId = receipt.events.find((e) => e.event === 'EditionCreated').args._tokenId
+    return { tokenId, receipt }
+  }
+
+  async listEdition({ tokenId, quantity, price, paymentToken, expiry = 0, editionsAddress }) {
+    const editions = this.editionsAt(editionsAddress)
+    const owner = await this.signer.getAddress()
+    if (!(await editions.isApprovedForAll(owner, this.marketplace.address))) {
+      await this._send(editions, 'setApprovalForAll', [this.marketplace.address, true])
+    }
+    const receipt = await this._send(this.marketplace, 'listEdition', [
+      editions.address,
+      tokenId,
+      quantity,
+      price,
+      paymentToken || ethers.constants.AddressZero,
+      expiry,
+    ])
+    const itemId = receipt.events.find((e) => e.event === 'ItemListed').args.itemId
+    return { itemId, receipt }
+  }
+
+  // `quantity` of an edition defaults to every copy still listed
+  async buy(itemId, quantity) {
+    const listing = await this.getListing(itemId)
+    if (!listing.isListed) {
+      throw new ItemNotListedError('Item requested is not for sale.')
+    }
+    const [method, args] =
+      quantity === undefined
+        ? ['purchaseItem', [listing.nftAddress, itemId]]
+        : ['purchaseEdition', [itemId, quantity]]
+    const total = listing.price.mul(quantity === undefined ? listing.quantity : quantity)
+    if (listing.paymentToken === ethers.constants.AddressZero) {
+      return this._send(this.marketplace, method, args, { value: total })
+    }
+
+    const token = new ethers.Contract(listing.paymentToken, ERC20_ABI, this.signer)
+    const buyer = await this.signer.getAddress()
+    if ((await token.allowance(buyer, this.marketplace.address)).lt(total)) {
+      await this._send(token, 'approve', [this.marketplace.address, total])
+    }
+    return this._send(this.marketplace, method, args)
+  }
+
+  async delist(itemId) {
+    return this._send(this.marketplace, 'delistItem', [itemId])
+  }
+
+  // `reason` is the revert message a purchase would fail with
+  async checkListing(itemId) {
+    const [valid, reason] = await this._call(this.marketplace.isListingValid(itemId))
+    return { valid, reason }
+  }
+
+  async withdraw() {
+    return this._send(this.marketplace, 'withdraw', [])
+  }
+
+  async pendingWithdrawal(payee) {
+    const address = payee || (await this.signer.getAddress())
+    return this._call(this.marketplace.pendingWithdrawal(address))
+  }
+
+  async setRoyalty(tokenId, royalty, nftAddress) {
+    return this._send(this.nftAt(nftAddress), 'setTokenRoyalty', [tokenId, royalty])
+  }
+
+  // an empty list of splits resets the royalty to zero
+  async setRoyaltySplit(tokenId, splits, nftAddress) {
+    const { total, recipients, shares } = toRoyaltySplit(splits)
+    return this._send(this.nftAt(nftAddress), 'setTokenRoyaltySplit', [
+      tokenId,
+      total,
+      recipients,
+      shares,
+    ])
+  }
+
+  // the default split of every token the signer creates; an empty list removes it
+  async setCreatorRoyalty(splits, nftAddress) {
+    const { total, recipients, shares } = toRoyaltySplit(splits)
+    return this._send(this.nftAt(nftAddress), 'setCreatorRoyalty', [total, recipients, shares])
+  }
+
+  async freezeMetadata(tokenId, nftAddress) {
+    return this._send(this.nftAt(nftAddress), 'freezeTokenMetadata', [tokenId])
+  }
+
+  // `contentHash` is zero if none was recorded or the URI changed since
+  async getMetadataStatus(tokenId, nftAddress) {
+    const nft = this.nftAt(nftAddress)
+    const [frozen, contentHash] = await this._call(
+      Promise.all([nft.isMetadataFrozen(tokenId), nft.tokenContentHash(tokenId)])
+    )
+    return { frozen, contentHash }
+  }
+
+  async getRoyalties(tokenId, salePrice, nftAddress) {
+    const [recipients, amounts] = await this._call(
+      this.nftAt(nftAddress).royaltySplits(tokenId, salePrice)
+    )
+    return recipients.map((receiver, i) => ({ receiver, amount: amounts[i] }))
+  }
+
+  async signListing({ tokenId, price, expiry, nftAddress }) {
+    const nft = this.nftAt(nftAddress)
+    const seller = await this.signer.getAddress()
+    if (!(await nft.isApprovedForAll(seller, this.marketplace.address))) {
+      await this._send(nft, 'setApprovalForAll', [this.marketplace.address, true])
+    }
+    const order = buildOrder({
+      seller,
+      nftAddress: nft.address,
+      tokenId,
+      price,
+      nonce: await this.marketplace.getOrderNonce(seller),
+      expiry,
+    })
+    const signature = await signOrder(this.signer, await this.orderDomain(), order)
+    return { order, signature }
+  }
+
+  async fulfillOrder(order, signature) {
+    return this._send(this.marketplace, 'fulfillOrder', [order, signature], { value: order.price })
+  }
+
+  async cancelAllOrders() {
+    return this._send(this.marketplace, 'incrementOrderNonce', [])
+  }
+
+  async orderDomain() {
+    const { chainId } = await this.provider.getNetwork()
+    return getOrderDomain(this.marketplace.address, chainId)
+  }
+
+  async signVoucher({ uri, royalty, price, expiry, nonce, nftAddress }) {
+    const voucher = buildVoucher({
+      creator: await this.signer.getAddress(),
+      uri,
+      royalty,
+      price,
+      nonce,
+      expiry,
+    })
+    const signature = await signVoucher(this.signer, await this.voucherDomain(nftAddress), voucher)
+    return { voucher, signature }
+  }
+
+  async purchaseVoucher(voucher, signature, nftAddress) {
+    const nft = this.nftAt(nftAddress)
+    const receipt = await this._send(
+      this.marketplace,
+      'purchaseVoucher',
+      [nft.address, voucher, signature],
+      { value: voucher.price }
+    )
+    const tokenId = receipt.events.find((e) => e.event === 'VoucherPurchased').args.tokenId
+    return { tokenId, receipt }
+  }
+
+  async voucherDomain(nftAddress) {
+    const { chainId } = await this.provider.getNetwork()
+    return getVoucherDomain(this.nftAt(nftAddress).address, chainId)
+  }
+
+  async getListing(itemId) {
+    const [item, metadataFrozen] = await this._call(
+      Promise.all([this.marketplace.getItemById(itemId), this.marketplace.isMetadataFrozen(itemId)])
+    )
+    return { ...toListing(item), metadataFrozen }
+  }
+
+  // listed items by default, or every item of `owner` or of `nftAddress`, listed or not
+  async getListings({ owner, nftAddress, offset = 0, limit = 100 } = {}) {
+    let page
+    if (owner) {
+      page = this.marketplace.getItemsByOwner(owner, offset, limit)
+    } else if (nftAddress) {
+      page = this.marketplace.getItemsByNft(nftAddress, offset, limit)
+    } else {
+      page = this.marketplace.getListedItems(offset, limit)
+    }
+    const [items, total] = await this._call(page)
+    return { listings: items.map(toListing), total }
+  }
+
+  async getTokens({ owner, creator, offset = 0, limit = 100, nftAddress }) {
+    const nft = this.nftAt(nftAddress)
+    const [tokenIds, total] = await this._call(
+      owner
+        ? nft.getTokensByOwner(owner, offset, limit)
+        : nft.getTokensByCreator(creator, offset, limit)
+    )
+    return { tokenIds, total }
+  }
+}
+
+module.exports = { ArkivClient }
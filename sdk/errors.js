@@ -0,0 +1,196 @@
+/**
+ * Base class for contract reverts decoded by the SDK.
+ *
+ * `reason` holds the raw revert string and `cause` the original ethers error.
+ */
+class ArkivError extends Error {
+  constructor(reason, cause) {
+    super(reason)
+    this.name = this.constructor.name
+    this.reason = reason
+    this.cause = cause
+  }
+}
+
+class NotWhitelistedError extends ArkivError {}
+class NotTokenOwnerError extends ArkivError {}
+class NotTokenCreatorError extends ArkivError {}
+class NotItemOwnerError extends ArkivError {}
+class NotContractOwnerError extends ArkivError {}
+class ItemNotListedError extends ArkivError {}
+class IncorrectPaymentError extends ArkivError {}
+class InvalidRoyaltyError extends ArkivError {}
+class InvalidTokenURIError extends ArkivError {}
+class InvalidOrderError extends ArkivError {}
+class PaymentTokenNotAllowedError extends ArkivError {}
+class NothingToWithdrawError extends ArkivError {}
+class InvalidVoucherError extends ArkivError {}
+class InvalidListingError extends ArkivError {}
+class MissingRoleError extends ArkivError {}
+class MarketplacePausedError extends ArkivError {}
+class InvalidProtocolFeeError extends ArkivError {}
+class MetadataFrozenError extends ArkivError {}
+class MintQuotaReachedError extends ArkivError {}
+class MarketplaceNotPausedError extends ArkivError {}
+class InvalidMintError extends ArkivError {}
+class InvalidAuctionError extends ArkivError {}
+class InvalidBidError extends ArkivError {}
+class InvalidOfferError extends ArkivError {}
+class TransferFailedError extends ArkivError {}
+
+const REVERT_REASONS = {
+  'Must be whitelisted to create tokens': NotWhitelistedError,
+  'Caller does not own token': NotTokenOwnerError,
+  'Caller is not the owner': NotTokenOwnerError,
+  'Caller is not the creator': NotTokenCreatorError,
+  'Caller is not item owner': NotItemOwnerError,
+  'Ownable: caller is not the owner': NotContractOwnerError,
+  'Item requested is not for sale.': ItemNotListedError,
+  'Item is not listed.': ItemNotListedError,
+  'Please send the correct amount of ether.': IncorrectPaymentError,
+  'ERC2981: royalty fee will exceed salePrice': InvalidRoyaltyError,
+  'ERC721: tokenURI is empty': InvalidTokenURIError,
+  'ERC1155: tokenURI is empty': InvalidTokenURIError,
+  'Order has expired.': InvalidOrderError,
+  'Order nonce is invalid.': InvalidOrderError,
+  'Order is filled or cancelled.': InvalidOrderError,
+  'Invalid order signature.': InvalidOrderError,
+  'Seller does not own token': NotTokenOwnerError,
+  'Payment token not allowed.': PaymentTokenNotAllowedError,
+  'Item is not priced in ether.': IncorrectPaymentError,
+  'Nothing to withdraw.': NothingToWithdrawError,
+  'Voucher has expired.': InvalidVoucherError,
+  'Voucher is redeemed or cancelled.': InvalidVoucherError,
+  'Invalid voucher signature.': InvalidVoucherError,
+  'Caller does not own enough copies': NotTokenOwnerError,
+  'Quantity is not available.': ItemNotListedError,
+  'Seller does not own enough copies': NotTokenOwnerError,
+  'Price must be greater than zero.': InvalidListingError,
+  'Expiry must be in the future.': InvalidListingError,
+  'Listing has expired.': InvalidListingError,
+  'Token is already listed.': InvalidListingError,
+  'Marketplace is not approved for token': InvalidListingError,
+  'Listing is still valid.': InvalidListingError,
+  'Pausable: paused': MarketplacePausedError,
+  'Protocol fee exceeds the maximum.': InvalidProtocolFeeError,
+  'Protocol fee change is timelocked.': InvalidProtocolFeeError,
+  'No protocol fee change is scheduled.': InvalidProtocolFeeError,
+  'Token metadata is frozen': MetadataFrozenError,
+  'Every token needs a content hash': InvalidTokenURIError,
+  'Invalid allowlist proof': NotWhitelistedError,
+  'Mint quota reached': MintQuotaReachedError,
+  'No token URIs given': InvalidTokenURIError,
+  'Edition supply is zero': InvalidMintError,
+  'Mint phases are out of order': InvalidMintError,
+  'Provenance hash is already set': MetadataFrozenError,
+  'ERC1155: caller is not owner nor approved': NotTokenOwnerError,
+  'Caller is not the marketplace': MissingRoleError,
+  'ERC2981: Invalid parameters': InvalidRoyaltyError,
+  'ERC2981: invalid receiver': InvalidRoyaltyError,
+  'ERC2981Royalties: Too high': InvalidRoyaltyError,
+  'Royalty recipients and shares differ': InvalidRoyaltyError,
+  'Too many royalty recipients': InvalidRoyaltyError,
+  'Royalty share is zero': InvalidRoyaltyError,
+  'Royalty shares must sum to the total': InvalidRoyaltyError,
+  'Fee and royalties exceed the sale price.': InvalidRoyaltyError,
+  'Quantity is zero.': InvalidListingError,
+  'Item is not from this NFT contract.': ItemNotListedError,
+  'Item is not an edition.': ItemNotListedError,
+  'Ether is always allowed.': PaymentTokenNotAllowedError,
+  'Failed to transfer ether.': TransferFailedError,
+  'Caller is not the seller': NotItemOwnerError,
+  'Pausable: not paused': MarketplaceNotPausedError,
+  'AccessControl: can only renounce roles for self': MissingRoleError,
+  'updateProtocolFee is replaced by scheduleProtocolFee.': InvalidProtocolFeeError,
+  'Reserve price must be greater than 0.': InvalidAuctionError,
+  'Bid increment must be greater than 0.': InvalidAuctionError,
+  'End price must be greater than 0.': InvalidAuctionError,
+  'Start price must not be below end price.': InvalidAuctionError,
+  'Duration must be greater than 0.': InvalidAuctionError,
+  'Start time is in the past.': InvalidAuctionError,
+  'Not a Dutch auction.': InvalidAuctionError,
+  'Auction is not active.': InvalidAuctionError,
+  'Auction has not started.': InvalidAuctionError,
+  'Auction has ended.': InvalidAuctionError,
+  'Auction has not ended.': InvalidAuctionError,
+  'Auction already has bids.': InvalidAuctionError,
+  'Seller cannot bid.': InvalidBidError,
+  'Bid is below reserve price.': InvalidBidError,
+  'Bid increment too low.': InvalidBidError,
+  'Offer must be greater than 0.': InvalidOfferError,
+  'Expiry is in the past.': InvalidOfferError,
+  'Offer is not active.': InvalidOfferError,
+  'Offer has expired.': InvalidOfferError,
+  'Offer is for another token.': InvalidOfferError,
+  'Cannot accept own offer.': InvalidOfferError,
+  'Caller is not the bidder': InvalidOfferError,
+}
+
+// AccessControl reverts name the account and role, so they are matched by prefix
+const MISSING_ROLE_PREFIX = 'AccessControl: account '
+
+const REASON_PATTERNS = [
+  /reverted with reason string '(.*)'/,
+  /execution reverted: (.*?)(?:"|$)/,
+  /VM Exception while processing transaction: revert (.*?)(?:"|$)/,
+]
+
+// undefined when the error is not a revert with a reason
+function getRevertReason(error) {
+  const messages = [error.reason, error.error && error.error.message, error.message]
+  for (const message of messages.filter(Boolean)) {
+    for (const pattern of REASON_PATTERNS) {
+      const match = message.match(pattern)
+      if (match) return match[1]
+    }
+  }
+  return undefined
+}
+
+// for revert strings decoded some other way, e.g. from the return data of a forwarded call
+function errorFromReason(reason, cause) {
+  const ErrorClass =
+    REVERT_REASONS[reason] ||
+    (reason.startsWith(MISSING_ROLE_PREFIX) ? MissingRoleError : ArkivError)
+  return new ErrorClass(reason, cause)
+}
+
+// errors that are not reverts are returned unchanged
+function decodeError(error) {
+  const reason = getRevertReason(error)
+  if (reason === undefined) return error
+  return errorFromReason(reason, error)
+}
+
+module.exports = {
+  ArkivError,
+  NotWhitelistedError,
+  NotTokenOwnerError,
+  NotTokenCreatorError,
+  NotItemOwnerError,
+  NotContractOwnerError,
+  ItemNotListedError,
+  IncorrectPaymentError,
+  InvalidRoyaltyError,
+  InvalidTokenURIError,
+  InvalidOrderError,
+  PaymentTokenNotAllowedError,
+  NothingToWithdrawError,
+  InvalidVoucherError,
+  InvalidListingError,
+  MissingRoleError,
+  MarketplacePausedError,
+  InvalidProtocolFeeError,
+  MetadataFrozenError,
+  MintQuotaReachedError,
+  MarketplaceNotPausedError,
+  InvalidMintError,
+  InvalidAuctionError,
+  InvalidBidError,
+  InvalidOfferError,
+  TransferFailedError,
+  REVERT_REASONS,
+  getRevertReason,
+  errorFromReason,
+  decodeError,
+}
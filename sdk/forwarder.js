@@ -0,0 +1,61 @@
+const { ethers } = require('ethers')
+
+// EIP-712 domain name and version of OpenZeppelin's MinimalForwarder, which ArkivForwarder extends
+const DOMAIN_NAME = 'MinimalForwarder'
+const DOMAIN_VERSION = '0.0.1'
+
+// EIP-712 types of a forwarded request, matching MinimalForwarder's `ForwardRequest`
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'data', type: 'bytes' },
+  ],
+}
+
+function getForwarderDomain(forwarderAddress, chainId) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract: forwarderAddress,
+  }
+}
+
+/**
+ * Builds a request for the forwarder to call `to` with `data` on behalf of `from`.
+ *
+ * @param params.value wei sent with the call, paid by the relayer
+ * @param params.nonce the signer's nonce on the forwarder, see `ArkivForwarder.getNonce`
+ */
+function buildForwardRequest({ from, to, value = 0, gas, nonce, data }) {
+  return {
+    from: ethers.utils.getAddress(from),
+    to: ethers.utils.getAddress(to),
+    value: ethers.BigNumber.from(value),
+    gas: ethers.BigNumber.from(gas),
+    nonce: ethers.BigNumber.from(nonce),
+    data: ethers.utils.hexlify(data),
+  }
+}
+
+async function signForwardRequest(signer, domain, request) {
+  return signer._signTypedData(domain, FORWARD_REQUEST_TYPES, request)
+}
+
+// the forwarder also checks the nonce, see `ArkivForwarder.verify`
+function verifyForwardRequest(domain, request, signature) {
+  const signer = ethers.utils.verifyTypedData(domain, FORWARD_REQUEST_TYPES, request, signature)
+  return signer === ethers.utils.getAddress(request.from)
+}
+
+module.exports = {
+  FORWARD_REQUEST_TYPES,
+  getForwarderDomain,
+  buildForwardRequest,
+  signForwardRequest,
+  verifyForwardRequest,
+}
@@ -0,0 +1,307 @@
+import { BigNumber, BigNumberish, BytesLike, ContractReceipt, Signer, providers } from 'ethers'
+import { Editions, Marketplace, NFT } from './types/contracts'
+
+export { Editions, Marketplace, NFT } from './types/contracts'
+
+// EIP-712 domain as ethers signs it, which ethers 5.5 does not export from its root module
+export interface TypedDataDomain {
+  name?: string
+  version?: string
+  chainId?: BigNumberish
+  verifyingContract?: string
+  salt?: BytesLike
+}
+
+export interface Listing {
+  itemId: BigNumber
+  nftAddress: string
+  tokenId: BigNumber
+  owner: string
+  price: BigNumber
+  isListed: boolean
+  paymentToken: string
+  quantity: BigNumber
+  isEdition: boolean
+  expiry: BigNumber
+}
+
+export interface DeploymentManifest {
+  network: string
+  chainId: number | null
+  contracts: Record<string, { address: string; [key: string]: unknown }>
+}
+
+export interface ForwardRequest {
+  from: string
+  to: string
+  value: BigNumber
+  gas: BigNumber
+  nonce: BigNumber
+  data: string
+}
+
+export interface Order {
+  seller: string
+  nftAddress: string
+  tokenId: BigNumber
+  price: BigNumber
+  nonce: BigNumber
+  expiry: BigNumber
+}
+
+export interface MintVoucher {
+  creator: string
+  uri: string
+  royalty: BigNumber
+  price: BigNumber
+  nonce: BigNumber
+  expiry: BigNumber
+}
+
+export interface MintSale {
+  phase: 'closed' | 'allowlist' | 'public'
+  allowlistRoot: string
+  allowlistStart: BigNumber
+  publicStart: BigNumber
+  end: BigNumber
+  publicQuota: BigNumber
+  minted: BigNumber
+}
+
+export interface RoyaltyShare {
+  recipient: string
+  share: BigNumberish
+}
+
+export interface ArkivClientOptions {
+  signer?: Signer
+  provider?: providers.Provider
+  marketplaceAddress: string
+  nftAddress: string
+  editionsAddress?: string
+}
+
+export declare class ArkivClient {
+  constructor(options: ArkivClientOptions)
+  static fromManifest(
+    signerOrProvider: Signer | providers.Provider,
+    manifest: DeploymentManifest
+  ): ArkivClient
+
+  readonly signer?: Signer
+  readonly provider?: providers.Provider
+  readonly marketplace: Marketplace
+  readonly nft: NFT
+  readonly editions?: Editions
+
+  nftAt(nftAddress?: string): NFT
+  editionsAt(editionsAddress?: string): Editions
+  mint(params: {
+    to?: string
+    uri: string
+    royalty?: BigNumberish
+  }): Promise<{ tokenId: BigNumber; receipt: ContractReceipt }>
+  mintBatch(params: {
+    to?: string
+    uris: string[]
+    royalty?: BigNumberish
+    contentHashes?: BytesLike[]
+    nftAddress?: string
+  }): Promise<{ tokenIds: BigNumber[]; receipt: ContractReceipt }>
+  mintWithProof(params: {
+    to?: string
+    uri: string
+    quota: BigNumberish
+    proof: BytesLike[]
+    nftAddress?: string
+  }): Promise<{ tokenId: BigNumber; receipt: ContractReceipt }>
+  getMintSale(account?: string, nftAddress?: string): Promise<MintSale>
+  list(params: {
+    tokenId: BigNumberish
+    price: BigNumberish
+    nftAddress?: string
+    paymentToken?: string
+    expiry?: BigNumberish
+  }): Promise<{ itemId: BigNumber; receipt: ContractReceipt }>
+  createEdition(params: {
+    to?: string
+    supply: BigNumberish
+    uri: string
+    royalty?: BigNumberish
+    editionsAddress?: string
+  }): Promise<{ tokenId: BigNumber; receipt: ContractReceipt }>
+  listEdition(params: {
+    tokenId: BigNumberish
+    quantity: BigNumberish
+    price: BigNumberish
+    paymentToken?: string
+    expiry?: BigNumberish
+    editionsAddress?: string
+  }): Promise<{ itemId: BigNumber; receipt: ContractReceipt }>
+  buy(itemId: BigNumberish, quantity?: BigNumberish): Promise<ContractReceipt>
+  delist(itemId: BigNumberish): Promise<ContractReceipt>
+  checkListing(itemId: BigNumberish): Promise<{ valid: boolean; reason: string }>
+  withdraw(): Promise<ContractReceipt>
+  pendingWithdrawal(payee?: string): Promise<BigNumber>
+  setRoyalty(
+    tokenId: BigNumberish,
+    royalty: BigNumberish,
+    nftAddress?: string
+  ): Promise<ContractReceipt>
+  setRoyaltySplit(
+    tokenId: BigNumberish,
+    splits: RoyaltyShare[],
+    nftAddress?: string
+  ): Promise<ContractReceipt>
+  setCreatorRoyalty(splits: RoyaltyShare[], nftAddress?: string): Promise<ContractReceipt>
+  freezeMetadata(tokenId: BigNumberish, nftAddress?: string): Promise<ContractReceipt>
+  getMetadataStatus(
+    tokenId: BigNumberish,
+    nftAddress?: string
+  ): Promise<{ frozen: boolean; contentHash: string }>
+  getRoyalties(
+    tokenId: BigNumberish,
+    salePrice: BigNumberish,
+    nftAddress?: string
+  ): Promise<Array<{ receiver: string; amount: BigNumber }>>
+  getListing(itemId: BigNumberish): Promise<Listing & { metadataFrozen: boolean }>
+  getListings(params?: {
+    owner?: string
+    nftAddress?: string
+    offset?: BigNumberish
+    limit?: BigNumberish
+  }): Promise<{ listings: Listing[]; total: BigNumber }>
+  getTokens(params: {
+    owner?: string
+    creator?: string
+    offset?: BigNumberish
+    limit?: BigNumberish
+    nftAddress?: string
+  }): Promise<{ tokenIds: BigNumber[]; total: BigNumber }>
+  signListing(params: {
+    tokenId: BigNumberish
+    price: BigNumberish
+    expiry: BigNumberish
+    nftAddress?: string
+  }): Promise<{ order: Order; signature: string }>
+  fulfillOrder(order: Order, signature: string): Promise<ContractReceipt>
+  cancelAllOrders(): Promise<ContractReceipt>
+  orderDomain(): Promise<TypedDataDomain>
+  signVoucher(params: {
+    uri: string
+    royalty?: BigNumberish
+    price: BigNumberish
+    expiry: BigNumberish
+    nonce?: BigNumberish
+    nftAddress?: string
+  }): Promise<{ voucher: MintVoucher; signature: string }>
+  purchaseVoucher(
+    voucher: MintVoucher,
+    signature: string,
+    nftAddress?: string
+  ): Promise<{ tokenId: BigNumber; receipt: ContractReceipt }>
+  voucherDomain(nftAddress?: string): Promise<TypedDataDomain>
+}
+
+export declare class ArkivError extends Error {
+  readonly reason: string
+  readonly cause: unknown
+}
+export declare class NotWhitelistedError extends ArkivError {}
+export declare class NotTokenOwnerError extends ArkivError {}
+export declare class NotTokenCreatorError extends ArkivError {}
+export declare class NotItemOwnerError extends ArkivError {}
+export declare class NotContractOwnerError extends ArkivError {}
+export declare class ItemNotListedError extends ArkivError {}
+export declare class IncorrectPaymentError extends ArkivError {}
+export declare class InvalidRoyaltyError extends ArkivError {}
+export declare class InvalidTokenURIError extends ArkivError {}
+export declare class InvalidOrderError extends ArkivError {}
+export declare class PaymentTokenNotAllowedError extends ArkivError {}
+export declare class NothingToWithdrawError extends ArkivError {}
+export declare class InvalidVoucherError extends ArkivError {}
+export declare class InvalidListingError extends ArkivError {}
+export declare class MissingRoleError extends ArkivError {}
+export declare class MarketplacePausedError extends ArkivError {}
+export declare class InvalidProtocolFeeError extends ArkivError {}
+export declare class MetadataFrozenError extends ArkivError {}
+export declare class MintQuotaReachedError extends ArkivError {}
+export declare class MarketplaceNotPausedError extends ArkivError {}
+export declare class InvalidMintError extends ArkivError {}
+export declare class InvalidAuctionError extends ArkivError {}
+export declare class InvalidBidError extends ArkivError {}
+export declare class InvalidOfferError extends ArkivError {}
+export declare class TransferFailedError extends ArkivError {}
+
+export declare const REVERT_REASONS: Record<string, typeof ArkivError>
+export declare function getRevertReason(error: unknown): string | undefined
+export declare function errorFromReason(reason: string, cause?: unknown): ArkivError
+export declare function decodeError(error: unknown): unknown
+
+export declare const ORDER_TYPES: Record<string, Array<{ name: string; type: string }>>
+export declare function getOrderDomain(marketplaceAddress: string, chainId: number): TypedDataDomain
+export declare function buildOrder(params: {
+  seller: string
+  nftAddress: string
+  tokenId: BigNumberish
+  price: BigNumberish
+  nonce: BigNumberish
+  expiry: BigNumberish
+}): Order
+export declare function hashOrder(domain: TypedDataDomain, order: Order): string
+export declare function signOrder(
+  signer: Signer,
+  domain: TypedDataDomain,
+  order: Order
+): Promise<string>
+export declare function verifyOrder(
+  domain: TypedDataDomain,
+  order: Order,
+  signature: string
+): boolean
+
+export declare const VOUCHER_TYPES: Record<string, Array<{ name: string; type: string }>>
+export declare function getVoucherDomain(nftAddress: string, chainId: number): TypedDataDomain
+export declare function buildVoucher(params: {
+  creator: string
+  uri: string
+  royalty?: BigNumberish
+  price: BigNumberish
+  nonce?: BigNumberish
+  expiry: BigNumberish
+}): MintVoucher
+export declare function hashVoucher(domain: TypedDataDomain, voucher: MintVoucher): string
+export declare function signVoucher(
+  signer: Signer,
+  domain: TypedDataDomain,
+  voucher: MintVoucher
+): Promise<string>
+export declare function verifyVoucher(
+  domain: TypedDataDomain,
+  voucher: MintVoucher,
+  signature: string
+): boolean
+
+export declare const FORWARD_REQUEST_TYPES: Record<string, Array<{ name: string; type: string }>>
+export declare function getForwarderDomain(
+  forwarderAddress: string,
+  chainId: number
+): TypedDataDomain
+export declare function buildForwardRequest(params: {
+  from: string
+  to: string
+  value?: BigNumberish
+  gas: BigNumberish
+  nonce: BigNumberish
+  data: BytesLike
+}): ForwardRequest
+export declare function signForwardRequest(
+  signer: Signer,
+  domain: TypedDataDomain,
+  request: ForwardRequest
+): Promise<string>
+export declare function verifyForwardRequest(
+  domain: TypedDataDomain,
+  request: ForwardRequest,
+  signature: string
+): boolean
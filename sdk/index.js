@@ -0,0 +1,7 @@
+const { ArkivClient } = require('./client')
+const errors = require('./errors')
+const forwarder = require('./forwarder')
+const orders = require('./orders')
+const vouchers = require('./vouchers')
+
+module.exports = { ArkivClient, ...errors, ...forwarder, ...orders, ...vouchers }
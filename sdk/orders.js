@@ -0,0 +1,63 @@
+const { ethers } = require('ethers')
+
+const DOMAIN_NAME = 'Arkiv Marketplace'
+const DOMAIN_VERSION = '1'
+
+// EIP-712 types of a signed listing, matching Marketplace.ORDER_TYPEHASH
+const ORDER_TYPES = {
+  Order: [
+    { name: 'seller', type: 'address' },
+    { name: 'nftAddress', type: 'address' },
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'price', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+}
+
+function getOrderDomain(marketplaceAddress, chainId) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract: marketplaceAddress,
+  }
+}
+
+/**
+ * @param params.nonce the seller's current `Marketplace.getOrderNonce`
+ * @param params.expiry unix timestamp after which the order can no longer be fulfilled
+ */
+function buildOrder({ seller, nftAddress, tokenId, price, nonce, expiry }) {
+  return {
+    seller: ethers.utils.getAddress(seller),
+    nftAddress: ethers.utils.getAddress(nftAddress),
+    tokenId: ethers.BigNumber.from(tokenId),
+    price: ethers.BigNumber.from(price),
+    nonce: ethers.BigNumber.from(nonce),
+    expiry: ethers.BigNumber.from(expiry),
+  }
+}
+
+// equal to `Marketplace.hashOrder`
+function hashOrder(domain, order) {
+  return ethers.utils._TypedDataEncoder.hash(domain, ORDER_TYPES, order)
+}
+
+async function signOrder(signer, domain, order) {
+  return signer._signTypedData(domain, ORDER_TYPES, order)
+}
+
+function verifyOrder(domain, order, signature) {
+  const signer = ethers.utils.verifyTypedData(domain, ORDER_TYPES, order, signature)
+  return signer === ethers.utils.getAddress(order.seller)
+}
+
+module.exports = {
+  ORDER_TYPES,
+  getOrderDomain,
+  buildOrder,
+  hashOrder,
+  signOrder,
+  verifyOrder,
+}
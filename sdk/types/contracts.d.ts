@@ -0,0 +1,176 @@
+// Generated by scripts/build-sdk.js from the compiled contract ABIs. Do not edit.
+import { BigNumber, BigNumberish, BytesLike, CallOverrides, Contract, ContractTransaction, Overrides, PayableOverrides } from 'ethers'
+
+export interface NFT extends Contract {
+  CURATOR_ROLE(overrides?: CallOverrides): Promise<string>
+  DEFAULT_ADMIN_ROLE(overrides?: CallOverrides): Promise<string>
+  FORWARDER_ROLE(overrides?: CallOverrides): Promise<string>
+  MAX_ROYALTY_RECIPIENTS(overrides?: CallOverrides): Promise<BigNumber>
+  addToWhitelist(_newAddress: string, overrides?: Overrides): Promise<ContractTransaction>
+  approve(to: string, tokenId: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  balanceOf(owner: string, overrides?: CallOverrides): Promise<BigNumber>
+  burn(_tokenId: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  cancelVoucher(voucher: { creator: string; uri: string; royalty: BigNumberish; price: BigNumberish; nonce: BigNumberish; expiry: BigNumberish }, overrides?: Overrides): Promise<ContractTransaction>
+  enableWhitelist(_enabled: boolean, overrides?: Overrides): Promise<ContractTransaction>
+  freezeTokenMetadata(_tokenId: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  getApproved(tokenId: BigNumberish, overrides?: CallOverrides): Promise<string>
+  getMarketAddress(overrides?: CallOverrides): Promise<string>
+  getRoleAdmin(role: BytesLike, overrides?: CallOverrides): Promise<string>
+  getTokensByCreator(creator: string, offset: BigNumberish, limit: BigNumberish, overrides?: CallOverrides): Promise<[BigNumber[], BigNumber]>
+  getTokensByOwner(owner: string, offset: BigNumberish, limit: BigNumberish, overrides?: CallOverrides): Promise<[BigNumber[], BigNumber]>
+  grantOwnerAdminRole(overrides?: Overrides): Promise<ContractTransaction>
+  grantRole(role: BytesLike, account: string, overrides?: Overrides): Promise<ContractTransaction>
+  hasRole(role: BytesLike, account: string, overrides?: CallOverrides): Promise<boolean>
+  hashVoucher(voucher: { creator: string; uri: string; royalty: BigNumberish; price: BigNumberish; nonce: BigNumberish; expiry: BigNumberish }, overrides?: CallOverrides): Promise<string>
+  initWhitelist(_whitelistees: string[], overrides?: Overrides): Promise<ContractTransaction>
+  initialize(_marketplaceAddress: string, overrides?: Overrides): Promise<ContractTransaction>
+  isApprovedForAll(owner: string, operator: string, overrides?: CallOverrides): Promise<boolean>
+  isMetadataFrozen(_tokenId: BigNumberish, overrides?: CallOverrides): Promise<boolean>
+  isTrustedForwarder(forwarder: string, overrides?: CallOverrides): Promise<boolean>
+  isVoucherUsed(voucherHash: BytesLike, overrides?: CallOverrides): Promise<boolean>
+  isWhitelistEnabled(overrides?: CallOverrides): Promise<boolean>
+  isWhitelisted(_address: string, overrides?: CallOverrides): Promise<boolean>
+  mint(to: string, tokenURI: string, overrides?: Overrides): Promise<ContractTransaction>
+  mintBatch(to: string, uris: string[], royalty: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  mintBatchWithContentHashes(to: string, uris: string[], hashes: BytesLike[], royalty: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  mintPhase(overrides?: CallOverrides): Promise<number>
+  mintSale(overrides?: CallOverrides): Promise<[string, BigNumber, BigNumber, BigNumber, BigNumber]>
+  mintWithProof(to: string, tokenURI: string, quota: BigNumberish, proof: BytesLike[], overrides?: Overrides): Promise<ContractTransaction>
+  name(overrides?: CallOverrides): Promise<string>
+  owner(overrides?: CallOverrides): Promise<string>
+  ownerOf(tokenId: BigNumberish, overrides?: CallOverrides): Promise<string>
+  provenanceHash(overrides?: CallOverrides): Promise<string>
+  redeemVoucher(to: string, voucher: { creator: string; uri: string; royalty: BigNumberish; price: BigNumberish; nonce: BigNumberish; expiry: BigNumberish }, signature: BytesLike, overrides?: Overrides): Promise<ContractTransaction>
+  removeFromWhitelist(_removedAddress: string, overrides?: Overrides): Promise<ContractTransaction>
+  renounceOwnership(overrides?: Overrides): Promise<ContractTransaction>
+  renounceRole(role: BytesLike, account: string, overrides?: Overrides): Promise<ContractTransaction>
+  revokeRole(role: BytesLike, account: string, overrides?: Overrides): Promise<ContractTransaction>
+  royaltyInfo(tokenId: BigNumberish, salePrice: BigNumberish, overrides?: CallOverrides): Promise<[string, BigNumber]>
+  royaltySplits(tokenId: BigNumberish, salePrice: BigNumberish, overrides?: CallOverrides): Promise<[string[], BigNumber[]]>
+  safeTransferFrom(from: string, to: string, tokenId: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  saleMints(arg0: string, overrides?: CallOverrides): Promise<BigNumber>
+  setApprovalForAll(operator: string, approved: boolean, overrides?: Overrides): Promise<ContractTransaction>
+  setCreatorRoyalty(total: BigNumberish, recipients: string[], shares: BigNumberish[], overrides?: Overrides): Promise<ContractTransaction>
+  setDefaultRoyalty(receiver: string, value: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  setMarketplaceAddress(_marketplaceAddress: string, overrides?: Overrides): Promise<ContractTransaction>
+  setMintSale(sale: { allowlistRoot: BytesLike; allowlistStart: BigNumberish; publicStart: BigNumberish; end: BigNumberish; publicQuota: BigNumberish }, overrides?: Overrides): Promise<ContractTransaction>
+  setProvenanceHash(_provenanceHash: BytesLike, overrides?: Overrides): Promise<ContractTransaction>
+  setTokenRoyalty(tokenId: BigNumberish, value: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  setTokenRoyaltySplit(tokenId: BigNumberish, total: BigNumberish, recipients: string[], shares: BigNumberish[], overrides?: Overrides): Promise<ContractTransaction>
+  supportsInterface(interfaceId: BytesLike, overrides?: CallOverrides): Promise<boolean>
+  symbol(overrides?: CallOverrides): Promise<string>
+  tokenContentHash(_tokenId: BigNumberish, overrides?: CallOverrides): Promise<string>
+  tokenCreator(_tokenId: BigNumberish, overrides?: CallOverrides): Promise<string>
+  tokenURI(tokenId: BigNumberish, overrides?: CallOverrides): Promise<string>
+  totalSupply(overrides?: CallOverrides): Promise<BigNumber>
+  transferFrom(from: string, to: string, tokenId: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  transferOwnership(newOwner: string, overrides?: Overrides): Promise<ContractTransaction>
+  transferToken(from: string, to: string, tokenId: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  updateTokenMetadata(_tokenId: BigNumberish, _uri: string, overrides?: Overrides): Promise<ContractTransaction>
+  upgradeTo(newImplementation: string, overrides?: Overrides): Promise<ContractTransaction>
+  upgradeToAndCall(newImplementation: string, data: BytesLike, overrides?: PayableOverrides): Promise<ContractTransaction>
+}
+
+export interface Editions extends Contract {
+  CURATOR_ROLE(overrides?: CallOverrides): Promise<string>
+  DEFAULT_ADMIN_ROLE(overrides?: CallOverrides): Promise<string>
+  MAX_ROYALTY_RECIPIENTS(overrides?: CallOverrides): Promise<BigNumber>
+  addToWhitelist(_newAddress: string, overrides?: Overrides): Promise<ContractTransaction>
+  balanceOf(account: string, id: BigNumberish, overrides?: CallOverrides): Promise<BigNumber>
+  balanceOfBatch(accounts: string[], ids: BigNumberish[], overrides?: CallOverrides): Promise<BigNumber[]>
+  burn(from: string, _tokenId: BigNumberish, amount: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  createEdition(to: string, supply: BigNumberish, tokenURI: string, royalty: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  enableWhitelist(_enabled: boolean, overrides?: Overrides): Promise<ContractTransaction>
+  exists(id: BigNumberish, overrides?: CallOverrides): Promise<boolean>
+  getMarketAddress(overrides?: CallOverrides): Promise<string>
+  getRoleAdmin(role: BytesLike, overrides?: CallOverrides): Promise<string>
+  grantRole(role: BytesLike, account: string, overrides?: Overrides): Promise<ContractTransaction>
+  hasRole(role: BytesLike, account: string, overrides?: CallOverrides): Promise<boolean>
+  initWhitelist(_whitelistees: string[], overrides?: Overrides): Promise<ContractTransaction>
+  isApprovedForAll(account: string, operator: string, overrides?: CallOverrides): Promise<boolean>
+  isWhitelistEnabled(overrides?: CallOverrides): Promise<boolean>
+  isWhitelisted(_address: string, overrides?: CallOverrides): Promise<boolean>
+  owner(overrides?: CallOverrides): Promise<string>
+  removeFromWhitelist(_removedAddress: string, overrides?: Overrides): Promise<ContractTransaction>
+  renounceOwnership(overrides?: Overrides): Promise<ContractTransaction>
+  renounceRole(role: BytesLike, account: string, overrides?: Overrides): Promise<ContractTransaction>
+  revokeRole(role: BytesLike, account: string, overrides?: Overrides): Promise<ContractTransaction>
+  royaltyInfo(tokenId: BigNumberish, salePrice: BigNumberish, overrides?: CallOverrides): Promise<[string, BigNumber]>
+  royaltySplits(tokenId: BigNumberish, salePrice: BigNumberish, overrides?: CallOverrides): Promise<[string[], BigNumber[]]>
+  safeBatchTransferFrom(from: string, to: string, ids: BigNumberish[], amounts: BigNumberish[], data: BytesLike, overrides?: Overrides): Promise<ContractTransaction>
+  safeTransferFrom(from: string, to: string, id: BigNumberish, amount: BigNumberish, data: BytesLike, overrides?: Overrides): Promise<ContractTransaction>
+  setApprovalForAll(operator: string, approved: boolean, overrides?: Overrides): Promise<ContractTransaction>
+  setCreatorRoyalty(total: BigNumberish, recipients: string[], shares: BigNumberish[], overrides?: Overrides): Promise<ContractTransaction>
+  setDefaultRoyalty(receiver: string, value: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  setTokenRoyalty(tokenId: BigNumberish, value: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  setTokenRoyaltySplit(tokenId: BigNumberish, total: BigNumberish, recipients: string[], shares: BigNumberish[], overrides?: Overrides): Promise<ContractTransaction>
+  supportsInterface(interfaceId: BytesLike, overrides?: CallOverrides): Promise<boolean>
+  tokenCreator(_tokenId: BigNumberish, overrides?: CallOverrides): Promise<string>
+  totalSupply(id: BigNumberish, overrides?: CallOverrides): Promise<BigNumber>
+  transferOwnership(newOwner: string, overrides?: Overrides): Promise<ContractTransaction>
+  updateTokenMetadata(_tokenId: BigNumberish, _uri: string, overrides?: Overrides): Promise<ContractTransaction>
+  uri(_tokenId: BigNumberish, overrides?: CallOverrides): Promise<string>
+}
+
+export interface Marketplace extends Contract {
+  DEFAULT_ADMIN_ROLE(overrides?: CallOverrides): Promise<string>
+  FEE_ADMIN_ROLE(overrides?: CallOverrides): Promise<string>
+  FORWARDER_ROLE(overrides?: CallOverrides): Promise<string>
+  MAX_PROTOCOL_FEE(overrides?: CallOverrides): Promise<BigNumber>
+  PAUSER_ROLE(overrides?: CallOverrides): Promise<string>
+  PROTOCOL_FEE_DELAY(overrides?: CallOverrides): Promise<BigNumber>
+  applyProtocolFee(overrides?: Overrides): Promise<ContractTransaction>
+  cancelOrder(order: { seller: string; nftAddress: string; tokenId: BigNumberish; price: BigNumberish; nonce: BigNumberish; expiry: BigNumberish }, overrides?: Overrides): Promise<ContractTransaction>
+  cancelProtocolFee(overrides?: Overrides): Promise<ContractTransaction>
+  creditPayment(payee: string, overrides?: PayableOverrides): Promise<ContractTransaction>
+  delistItem(_itemId: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  fulfillOrder(order: { seller: string; nftAddress: string; tokenId: BigNumberish; price: BigNumberish; nonce: BigNumberish; expiry: BigNumberish }, signature: BytesLike, overrides?: PayableOverrides): Promise<ContractTransaction>
+  getItemById(_itemId: BigNumberish, overrides?: CallOverrides): Promise<{ nftAddress: string; tokenId: BigNumber; itemId: BigNumber; owner: string; price: BigNumber; isListed: boolean; paymentToken: string; quantity: BigNumber; isEdition: boolean; expiry: BigNumber }>
+  getItemIdForToken(nftAddress: string, _tokenId: BigNumberish, seller: string, overrides?: CallOverrides): Promise<[boolean, BigNumber]>
+  getItemsByNft(nftAddress: string, offset: BigNumberish, limit: BigNumberish, overrides?: CallOverrides): Promise<[{ nftAddress: string; tokenId: BigNumber; itemId: BigNumber; owner: string; price: BigNumber; isListed: boolean; paymentToken: string; quantity: BigNumber; isEdition: boolean; expiry: BigNumber }[], BigNumber]>
+  getItemsByOwner(owner: string, offset: BigNumberish, limit: BigNumberish, overrides?: CallOverrides): Promise<[{ nftAddress: string; tokenId: BigNumber; itemId: BigNumber; owner: string; price: BigNumber; isListed: boolean; paymentToken: string; quantity: BigNumber; isEdition: boolean; expiry: BigNumber }[], BigNumber]>
+  getListedItems(offset: BigNumberish, limit: BigNumberish, overrides?: CallOverrides): Promise<[{ nftAddress: string; tokenId: BigNumber; itemId: BigNumber; owner: string; price: BigNumber; isListed: boolean; paymentToken: string; quantity: BigNumber; isEdition: boolean; expiry: BigNumber }[], BigNumber]>
+  getOrderNonce(seller: string, overrides?: CallOverrides): Promise<BigNumber>
+  getPendingProtocolFee(overrides?: CallOverrides): Promise<[BigNumber, BigNumber]>
+  getRoleAdmin(role: BytesLike, overrides?: CallOverrides): Promise<string>
+  grantOwnerAdminRole(overrides?: Overrides): Promise<ContractTransaction>
+  grantRole(role: BytesLike, account: string, overrides?: Overrides): Promise<ContractTransaction>
+  hasRole(role: BytesLike, account: string, overrides?: CallOverrides): Promise<boolean>
+  hashOrder(order: { seller: string; nftAddress: string; tokenId: BigNumberish; price: BigNumberish; nonce: BigNumberish; expiry: BigNumberish }, overrides?: CallOverrides): Promise<string>
+  incrementOrderNonce(overrides?: Overrides): Promise<ContractTransaction>
+  initialize(fee: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  invalidateListing(_itemId: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  isListingValid(_itemId: BigNumberish, overrides?: CallOverrides): Promise<[boolean, string]>
+  isMetadataFrozen(_itemId: BigNumberish, overrides?: CallOverrides): Promise<boolean>
+  isOrderUsed(orderHash: BytesLike, overrides?: CallOverrides): Promise<boolean>
+  isPaymentTokenAllowed(paymentToken: string, overrides?: CallOverrides): Promise<boolean>
+  isTrustedForwarder(forwarder: string, overrides?: CallOverrides): Promise<boolean>
+  listEdition(nftAddress: string, _tokenId: BigNumberish, quantity: BigNumberish, price: BigNumberish, paymentToken: string, expiry: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  listItem(nftAddress: string, _tokenId: BigNumberish, price: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  listItemWithExpiry(nftAddress: string, _tokenId: BigNumberish, price: BigNumberish, paymentToken: string, expiry: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  listItemWithToken(nftAddress: string, _tokenId: BigNumberish, price: BigNumberish, paymentToken: string, overrides?: Overrides): Promise<ContractTransaction>
+  onERC721Received(arg0: string, arg1: string, arg2: BigNumberish, arg3: BytesLike, overrides?: Overrides): Promise<ContractTransaction>
+  onTokenTransfer(_tokenId: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  owner(overrides?: CallOverrides): Promise<string>
+  pause(overrides?: Overrides): Promise<ContractTransaction>
+  paused(overrides?: CallOverrides): Promise<boolean>
+  payoutSale(nftAddress: string, _tokenId: BigNumberish, seller: string, overrides?: PayableOverrides): Promise<ContractTransaction>
+  pendingWithdrawal(payee: string, overrides?: CallOverrides): Promise<BigNumber>
+  protocolFee(overrides?: CallOverrides): Promise<BigNumber>
+  purchaseEdition(_itemId: BigNumberish, quantity: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransaction>
+  purchaseItem(nftAddress: string, _itemId: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransaction>
+  purchaseVoucher(nftAddress: string, voucher: { creator: string; uri: string; royalty: BigNumberish; price: BigNumberish; nonce: BigNumberish; expiry: BigNumberish }, signature: BytesLike, overrides?: PayableOverrides): Promise<ContractTransaction>
+  renounceOwnership(overrides?: Overrides): Promise<ContractTransaction>
+  renounceRole(role: BytesLike, account: string, overrides?: Overrides): Promise<ContractTransaction>
+  revokeRole(role: BytesLike, account: string, overrides?: Overrides): Promise<ContractTransaction>
+  scheduleProtocolFee(newFee: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  setPaymentTokenAllowed(paymentToken: string, allowed: boolean, overrides?: Overrides): Promise<ContractTransaction>
+  supportsInterface(interfaceId: BytesLike, overrides?: CallOverrides): Promise<boolean>
+  transferOwnership(newOwner: string, overrides?: Overrides): Promise<ContractTransaction>
+  unpause(overrides?: Overrides): Promise<ContractTransaction>
+  updateListPrice(_itemId: BigNumberish, newPrice: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>
+  updateProtocolFee(arg0: BigNumberish, overrides?: CallOverrides): Promise<void>
+  upgradeTo(newImplementation: string, overrides?: Overrides): Promise<ContractTransaction>
+  upgradeToAndCall(newImplementation: string, data: BytesLike, overrides?: PayableOverrides): Promise<ContractTransaction>
+  withdraw(overrides?: Overrides): Promise<ContractTransaction>
+}
@@ -0,0 +1,67 @@
+const { ethers } = require('ethers')
+
+const DOMAIN_NAME = 'Arkiv NFT'
+const DOMAIN_VERSION = '1'
+
+// EIP-712 types of a lazy-mint voucher, matching NFT.VOUCHER_TYPEHASH
+const VOUCHER_TYPES = {
+  MintVoucher: [
+    { name: 'creator', type: 'address' },
+    { name: 'uri', type: 'string' },
+    { name: 'royalty', type: 'uint256' },
+    { name: 'price', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+}
+
+function getVoucherDomain(nftAddress, chainId) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract: nftAddress,
+  }
+}
+
+/**
+ * @param params.royalty royalty in basis points (0-10000), paid to the creator
+ * @param params.price price in wei the buyer pays on `Marketplace.purchaseVoucher`
+ * @param params.nonce tells otherwise identical vouchers apart, defaults to a random value
+ */
+function buildVoucher({ creator, uri, royalty = 0, price, nonce, expiry }) {
+  if (!uri) {
+    throw new Error('Voucher uri is empty')
+  }
+  return {
+    creator: ethers.utils.getAddress(creator),
+    uri,
+    royalty: ethers.BigNumber.from(royalty),
+    price: ethers.BigNumber.from(price),
+    nonce: ethers.BigNumber.from(nonce === undefined ? ethers.utils.randomBytes(32) : nonce),
+    expiry: ethers.BigNumber.from(expiry),
+  }
+}
+
+// equal to `NFT.hashVoucher`
+function hashVoucher(domain, voucher) {
+  return ethers.utils._TypedDataEncoder.hash(domain, VOUCHER_TYPES, voucher)
+}
+
+async function signVoucher(signer, domain, voucher) {
+  return signer._signTypedData(domain, VOUCHER_TYPES, voucher)
+}
+
+function verifyVoucher(domain, voucher, signature) {
+  const signer = ethers.utils.verifyTypedData(domain, VOUCHER_TYPES, voucher, signature)
+  return signer === ethers.utils.getAddress(voucher.creator)
+}
+
+module.exports = {
+  VOUCHER_TYPES,
+  getVoucherDomain,
+  buildVoucher,
+  hashVoucher,
+  signVoucher,
+  verifyVoucher,
+}
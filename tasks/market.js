@@ -0,0 +1,334 @@
+const { task, types } = require('hardhat/config')
+const { getDeployedContract } = require('../utils/deployments')
+const { getSigner, percentToBasisPoints, simulateAndSend } = require('../utils/tasks')
+const { Simulation, simulate } = require('../utils/simulator')
+
+// ------------------ Helpers ---------------------- //
+
+async function loadMarketplace(hre, account) {
+  const signer = await getSigner(hre, account)
+  const marketplace = await getDeployedContract(hre, 'Marketplace', signer)
+  return { signer, marketplace }
+}
+
+// ERC-20 functions the tasks need for pricing and approvals
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+]
+
+// ERC-165 ids of IRoyaltySplits and ERC-2981, and the royalty functions read from an NFT
+const ROYALTY_SPLITS_INTERFACE_ID = '0xb46402cf'
+const ERC2981_INTERFACE_ID = '0x2a55205a'
+const ROYALTY_ABI = [
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+  'function royaltySplits(uint256 tokenId, uint256 salePrice) view returns (address[], uint256[])',
+  'function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address, uint256)',
+]
+
+// the royalties the Marketplace pays: IRoyaltySplits, else ERC-2981, else none
+async function loadRoyalties(hre, nftAddress, tokenId, price, signer) {
+  const nft = new hre.ethers.Contract(nftAddress, ROYALTY_ABI, signer)
+  const supports = (interfaceId) => nft.supportsInterface(interfaceId).catch(() => false)
+  let recipients = []
+  let amounts = []
+  if (await supports(ROYALTY_SPLITS_INTERFACE_ID)) {
+    ;[recipients, amounts] = await nft.royaltySplits(tokenId, price)
+  } else if (await supports(ERC2981_INTERFACE_ID)) {
+    const [receiver, amount] = await nft.royaltyInfo(tokenId, price)
+    ;[recipients, amounts] = [[receiver], [amount]]
+  }
+  return recipients
+    .map((receiver, i) => ({ receiver, amount: amounts[i] }))
+    .filter(({ amount }) => !amount.isZero())
+}
+
+// ether for address(0), otherwise the ERC-20 token's own decimals
+async function loadCurrency(hre, paymentToken, signer) {
+  const { utils, constants } = hre.ethers
+  if (!paymentToken || paymentToken === constants.AddressZero) {
+    return { token: null, symbol: 'ETH', parse: utils.parseEther, format: utils.formatEther }
+  }
+  const token = new hre.ethers.Contract(paymentToken, ERC20_ABI, signer)
+  const decimals = await token.decimals()
+  return {
+    token,
+    symbol: await token.symbol(),
+    parse: (amount) => utils.parseUnits(amount, decimals),
+    format: (amount) => utils.formatUnits(amount, decimals),
+  }
+}
+
+async function loadNft(hre, address, signer) {
+  if (address) {
+    return hre.ethers.getContractAt('NFT', address, signer)
+  }
+  return getDeployedContract(hre, 'NFT', signer)
+}
+
+// ------------------ Tasks ---------------------- //
+
+task('market:list', 'Lists an NFT for sale on the marketplace')
+  .addParam('token', 'tokenId of the NFT to list', undefined, types.string)
+  .addParam('price', 'list price in ETH, or in the payment token', undefined, types.string)
+  .addOptionalParam(
+    'nft',
+    'NFT contract address, defaults to the deployed NFT',
+    undefined,
+    types.string
+  )
+  .addOptionalParam(
+    'paymentToken',
+    'ERC-20 token the item is priced in, defaults to ETH',
+    undefined,
+    types.string
+  )
+  .addOptionalParam('account', 'index of the account to send from', 0, types.int)
+  .addFlag('dryRun', 'only simulate the transaction')
+  .setAction(async ({ token, price, nft: nftAddress, paymentToken, account, dryRun }, hre) => {
+    const { signer, marketplace } = await loadMarketplace(hre, account)
+    const nft = await loadNft(hre, nftAddress, signer)
+    const currency = await loadCurrency(hre, paymentToken, signer)
+
+    if (!(await nft.isApprovedForAll(signer.address, marketplace.address))) {
+      console.log("Warning: marketplace is not approved to transfer this account's tokens")
+    }
+
+    if (!currency.token) {
+      return simulateAndSend(hre, {
+        contract: marketplace,
+        method: 'listItem',
+        args: [nft.address, token, currency.parse(price)],
+        dryRun,
+      })
+    }
+    return simulateAndSend(hre, {
+      contract: marketplace,
+      method: 'listItemWithToken',
+      args: [nft.address, token, currency.parse(price), currency.token.address],
+      dryRun,
+    })
+  })
+
+task('market:delist', 'Removes a listed item from sale')
+  .addParam('item', 'itemId of the listing', undefined, types.string)
+  .addOptionalParam('account', 'index of the account to send from', 0, types.int)
+  .addFlag('dryRun', 'only simulate the transaction')
+  .setAction(async ({ item, account, dryRun }, hre) => {
+    const { marketplace } = await loadMarketplace(hre, account)
+    return simulateAndSend(hre, {
+      contract: marketplace,
+      method: 'delistItem',
+      args: [item],
+      dryRun,
+    })
+  })
+
+task('market:update-price', 'Changes the price of a listed item')
+  .addParam('item', 'itemId of the listing', undefined, types.string)
+  .addParam('price', 'new list price in the currency of the listing', undefined, types.string)
+  .addOptionalParam('account', 'index of the account to send from', 0, types.int)
+  .addFlag('dryRun', 'only simulate the transaction')
+  .setAction(async ({ item, price, account, dryRun }, hre) => {
+    const { signer, marketplace } = await loadMarketplace(hre, account)
+    const { paymentToken } = await marketplace.getItemById(item)
+    const currency = await loadCurrency(hre, paymentToken, signer)
+    return simulateAndSend(hre, {
+      contract: marketplace,
+      method: 'updateListPrice',
+      args: [item, currency.parse(price)],
+      dryRun,
+    })
+  })
+
+task(
+  'market:update-fee',
+  'Schedules a protocol fee change, which only takes effect once applied with market:apply-fee after the timelock'
+)
+  .addParam('fee', 'new protocol fee in percent, e.g. 2.5', undefined, types.string)
+  .addOptionalParam('account', 'index of the account to send from', 0, types.int)
+  .addFlag('dryRun', 'only simulate the transaction')
+  .setAction(async ({ fee, account, dryRun }, hre) => {
+    const { marketplace } = await loadMarketplace(hre, account)
+    const basisPoints = percentToBasisPoints(hre, fee, await marketplace.MAX_PROTOCOL_FEE())
+    console.log(
+      `Protocol fee: ${(await marketplace.protocolFee()).toString()} -> ${basisPoints} bps`
+    )
+    const result = await simulateAndSend(hre, {
+      contract: marketplace,
+      method: 'scheduleProtocolFee',
+      args: [basisPoints],
+      dryRun,
+    })
+    const [, effectiveTime] = await marketplace.getPendingProtocolFee()
+    if (!dryRun) {
+      console.log(`Can be applied with market:apply-fee after ${effectiveTime.toString()}`)
+    }
+    return result
+  })
+
+task('market:apply-fee', 'Applies the scheduled protocol fee once its timelock has passed')
+  .addOptionalParam('account', 'index of the account to send from', 0, types.int)
+  .addFlag('dryRun', 'only simulate the transaction')
+  .setAction(async ({ account, dryRun }, hre) => {
+    const { marketplace } = await loadMarketplace(hre, account)
+    return simulateAndSend(hre, {
+      contract: marketplace,
+      method: 'applyProtocolFee',
+      args: [],
+      dryRun,
+    })
+  })
+
+task('market:pause', 'Stops listing and purchasing on the marketplace')
+  .addOptionalParam('account', 'index of the account to send from', 0, types.int)
+  .addFlag('dryRun', 'only simulate the transaction')
+  .setAction(async ({ account, dryRun }, hre) => {
+    const { marketplace } = await loadMarketplace(hre, account)
+    return simulateAndSend(hre, { contract: marketplace, method: 'pause', args: [], dryRun })
+  })
+
+task('market:unpause', 'Resumes listing and purchasing on the marketplace')
+  .addOptionalParam('account', 'index of the account to send from', 0, types.int)
+  .addFlag('dryRun', 'only simulate the transaction')
+  .setAction(async ({ account, dryRun }, hre) => {
+    const { marketplace } = await loadMarketplace(hre, account)
+    return simulateAndSend(hre, { contract: marketplace, method: 'unpause', args: [], dryRun })
+  })
+
+task('market:purchase', 'Buys a listed item, paying its exact list price')
+  .addParam('item', 'itemId of the listing', undefined, types.string)
+  .addOptionalParam(
+    'quantity',
+    'copies to buy from an edition listing, defaults to every copy listed',
+    undefined,
+    types.string
+  )
+  .addOptionalParam('account', 'index of the account to send from', 0, types.int)
+  .addFlag('dryRun', 'only simulate the transaction')
+  .setAction(async ({ item: itemId, quantity, account, dryRun }, hre) => {
+    const { signer, marketplace } = await loadMarketplace(hre, account)
+    const item = await marketplace.getItemById(itemId)
+    // decodes the Transfer events of any ERC-721 or ERC-1155, not only of the deployed contracts
+    const nft = await hre.ethers.getContractAt(
+      item.isEdition ? 'Editions' : 'NFT',
+      item.nftAddress,
+      signer
+    )
+    const { token, symbol, format } = await loadCurrency(hre, item.paymentToken, signer)
+
+    const copies = quantity === undefined ? item.quantity : hre.ethers.BigNumber.from(quantity)
+    const price = item.price.mul(copies)
+    const protocolFee = await marketplace.protocolFee()
+    const royalties = await loadRoyalties(hre, item.nftAddress, item.tokenId, price, signer)
+    const royaltyAmount = royalties.reduce(
+      (sum, { amount }) => sum.add(amount),
+      hre.ethers.constants.Zero
+    )
+    const royaltyReceiver =
+      royalties.length > 0 ? royalties[0].receiver : hre.ethers.constants.AddressZero
+    const feeToMarketplace = price.mul(protocolFee).div(10000)
+    const split = {
+      price,
+      quantity: copies,
+      paymentToken: item.paymentToken,
+      feeToMarketplace,
+      royaltyReceiver,
+      royaltyAmount,
+      royalties,
+      seller: item.owner,
+      proceedsToSeller: price.sub(feeToMarketplace).sub(royaltyAmount),
+    }
+
+    const copiesNote = item.isEdition ? ` x${copies}` : ''
+    console.log(
+      `Purchasing item ${itemId} (token ${item.tokenId}${copiesNote}) for ${format(
+        price
+      )} ${symbol}`
+    )
+    console.log(`  protocol fee: ${format(split.feeToMarketplace)} ${symbol}`)
+    for (const { receiver, amount } of royalties) {
+      console.log(`  royalty:      ${format(amount)} ${symbol} to ${receiver}`)
+    }
+    console.log(`  seller:       ${format(split.proceedsToSeller)} ${symbol} to ${split.seller}`)
+    if (!token) {
+      console.log('Ether is credited to each payee and claimed with market:withdraw')
+    }
+
+    if (token && !dryRun) {
+      const allowance = await token.allowance(signer.address, marketplace.address)
+      if (allowance.lt(price)) {
+        await (await token.approve(marketplace.address, price)).wait()
+        console.log(`Approved marketplace to spend ${format(price)} ${symbol}`)
+      }
+    }
+
+    const [method, args] =
+      quantity === undefined
+        ? ['purchaseItem', [item.nftAddress, itemId]]
+        : ['purchaseEdition', [itemId, copies]]
+    const result = await simulateAndSend(hre, {
+      contract: marketplace,
+      method,
+      args,
+      overrides: token ? {} : { value: price },
+      dryRun,
+      decodeWith: [marketplace, nft],
+    })
+    return { ...result, split }
+  })
+
+task('market:withdraw', 'Withdraws the ether credited to the account from sales, fees and refunds')
+  .addOptionalParam('account', 'index of the account to send from', 0, types.int)
+  .addFlag('dryRun', 'only simulate the transaction')
+  .setAction(async ({ account, dryRun }, hre) => {
+    const { signer, marketplace } = await loadMarketplace(hre, account)
+    const amount = await marketplace.pendingWithdrawal(signer.address)
+    console.log(`Withdrawable: ${hre.ethers.utils.formatEther(amount)} ETH`)
+    const result = await simulateAndSend(hre, {
+      contract: marketplace,
+      method: 'withdraw',
+      args: [],
+      dryRun,
+    })
+    return { ...result, amount }
+  })
+
+task(
+  'market:simulate',
+  'Runs random trading sequences against fresh contracts and checks invariants'
+)
+  .addOptionalParam('seed', 'seed of the first run, random by default', undefined, types.int)
+  .addOptionalParam('runs', 'number of runs, each seeded with the next seed', 1, types.int)
+  .addOptionalParam('steps', 'number of actions per run', 50, types.int)
+  .addOptionalParam('actors', 'number of accounts that trade', 4, types.int)
+  .setAction(async ({ seed, runs, steps, actors }, hre) => {
+    if (!['hardhat', 'localhost'].includes(hre.network.name)) {
+      throw new Error('market:simulate only runs on the hardhat network or a localhost node')
+    }
+    // deploys from the artifacts, which must match the sources like for `hardhat test`
+    await hre.run('compile', { quiet: true })
+    const firstSeed = seed === undefined ? Math.floor(Math.random() * 2 ** 32) : seed
+    const sim = await Simulation.deploy(hre, { actors })
+
+    for (let run = 0; run < runs; run++) {
+      const runSeed = (firstSeed + run) >>> 0
+      const result = await simulate(hre, { seed: runSeed, steps, sim })
+      if (!result.failure) {
+        console.log(`Seed ${runSeed}: ${steps} steps, every invariant held`)
+        continue
+      }
+      const { actions, steps: described, failure } = result.reproduction
+      console.log(
+        `Seed ${runSeed}: "${failure.invariant}" broken at step ${result.failure.step + 1}`
+      )
+      console.log(`Shrunk to ${actions.length} step(s):`)
+      described.forEach((step, i) => console.log(`  ${i + 1}. ${step}`))
+      console.log(`  ${failure.message}`)
+      console.log(`Actions: ${JSON.stringify(actions)}`)
+      throw new Error(`Invariant "${failure.invariant}" broken with seed ${runSeed}`)
+    }
+    return { seed: firstSeed }
+  })
@@ -0,0 +1,158 @@
+const fs = require('fs')
+const path = require('path')
+const { task, types } = require('hardhat/config')
+const { getDeployedContract } = require('../utils/deployments')
+const { getSigner, percentToBasisPoints, simulateAndSend } = require('../utils/tasks')
+const {
+  computeProvenanceHash,
+  createPinningBackend,
+  readPinManifest,
+  writePinManifest,
+  recordToken,
+  pinMetadataFile,
+  verifyTokenURIs,
+} = require('../utils/metadata')
+
+// ------------------ Helpers ---------------------- //
+
+// documents pinned with the `fs` backend when no --pin-dir is given
+const DEFAULT_PIN_DIR = path.join(__dirname, '..', 'pins')
+
+// on a dry run nothing is pinned, but the metadata is still validated and its CID computed
+const loadBackend = (backend, pinDir, dryRun) =>
+  dryRun ? { name: backend, pin: async () => {} } : createPinningBackend(backend, { dir: pinDir })
+
+const pinParams = (definition) =>
+  definition
+    .addOptionalParam('backend', 'pinning backend to pin the metadata with', 'fs', types.string)
+    .addOptionalParam('pinDir', 'directory the fs backend pins to', DEFAULT_PIN_DIR, types.string)
+
+// ------------------ Tasks ---------------------- //
+
+pinParams(task('nft:mint', 'Validates and pins a metadata file, then mints a token pointing at it'))
+  .addParam('file', 'ERC-721 metadata JSON file', undefined, types.inputFile)
+  .addOptionalParam('to', 'recipient of the token, defaults to the sender', undefined, types.string)
+  .addOptionalParam('royalty', 'royalty in percent, e.g. 5', '0', types.string)
+  .addOptionalParam('account', 'index of the account to send from', 0, types.int)
+  .addFlag('dryRun', 'validate and simulate the mint without pinning or sending')
+  .setAction(async ({ file, to, royalty, backend, pinDir, account, dryRun }, hre) => {
+    const signer = await getSigner(hre, account)
+    const nft = await getDeployedContract(hre, 'NFT', signer)
+    const manifest = readPinManifest(hre.network.name)
+    const { cid, uri, contentHash } = await pinMetadataFile(
+      file,
+      loadBackend(backend, pinDir, dryRun),
+      manifest
+    )
+    console.log(`${dryRun ? 'Would pin' : 'Pinned'} ${file} as ${uri}`)
+
+    const result = await simulateAndSend(hre, {
+      contract: nft,
+      method: 'mintBatchWithContentHashes',
+      args: [to || signer.address, [uri], [contentHash], percentToBasisPoints(hre, royalty)],
+      dryRun,
+    })
+    if (dryRun) {
+      return { ...result, cid, uri }
+    }
+
+    const tokenId = result.events.find((e) => e.name === 'TokenMinted').args._tokenId
+    recordToken(manifest, nft.address, tokenId, cid)
+    writePinManifest(hre.network.name, manifest)
+    return { ...result, cid, uri, tokenId }
+  })
+
+pinParams(
+  task('nft:update-metadata', 'Validates and pins a metadata file, then points a token at it')
+)
+  .addParam('token', 'tokenId of the NFT', undefined, types.string)
+  .addParam('file', 'ERC-721 metadata JSON file', undefined, types.inputFile)
+  .addOptionalParam('account', 'index of the account to send from', 0, types.int)
+  .addFlag('dryRun', 'validate and simulate the update without pinning or sending')
+  .setAction(async ({ token, file, backend, pinDir, account, dryRun }, hre) => {
+    const signer = await getSigner(hre, account)
+    const nft = await getDeployedContract(hre, 'NFT', signer)
+    const manifest = readPinManifest(hre.network.name)
+    const { cid, uri } = await pinMetadataFile(file, loadBackend(backend, pinDir, dryRun), manifest)
+    console.log(`${dryRun ? 'Would pin' : 'Pinned'} ${file} as ${uri}`)
+
+    const result = await simulateAndSend(hre, {
+      contract: nft,
+      method: 'updateTokenMetadata',
+      args: [token, uri],
+      dryRun,
+    })
+    if (!dryRun) {
+      recordToken(manifest, nft.address, token, cid)
+      writePinManifest(hre.network.name, manifest)
+    }
+    return { ...result, cid, uri }
+  })
+
+task('nft:freeze', 'Freezes the metadata of a token for good')
+  .addParam('token', 'tokenId of the NFT', undefined, types.string)
+  .addOptionalParam(
+    'account',
+    'index of the account to send from, the creator of the token',
+    0,
+    types.int
+  )
+  .addFlag('dryRun', 'only simulate the transaction')
+  .setAction(async ({ token, account, dryRun }, hre) => {
+    const nft = await getDeployedContract(hre, 'NFT', await getSigner(hre, account))
+    return simulateAndSend(hre, {
+      contract: nft,
+      method: 'freezeTokenMetadata',
+      args: [token],
+      dryRun,
+    })
+  })
+
+task(
+  'nft:set-provenance',
+  'Commits the provenance hash of a series before its metadata is revealed'
+)
+  .addParam(
+    'files',
+    'comma separated metadata files of the series, in token order',
+    undefined,
+    types.string
+  )
+  .addOptionalParam('account', 'index of the account to send from', 0, types.int)
+  .addFlag('dryRun', 'compute the hash and simulate the transaction without sending it')
+  .setAction(async ({ files, account, dryRun }, hre) => {
+    const provenanceHash = computeProvenanceHash(
+      files.split(',').map((file) => fs.readFileSync(file.trim()))
+    )
+    console.log(`Provenance hash: ${provenanceHash}`)
+    const nft = await getDeployedContract(hre, 'NFT', await getSigner(hre, account))
+    const result = await simulateAndSend(hre, {
+      contract: nft,
+      method: 'setProvenanceHash',
+      args: [provenanceHash],
+      dryRun,
+    })
+    return { ...result, provenanceHash }
+  })
+
+pinParams(task('nft:verify', 'Checks on-chain tokenURIs against the pin manifest'))
+  .addFlag('skipContent', 'only compare tokenURIs, without reading the pinned content')
+  .setAction(async ({ backend, pinDir, skipContent }, hre) => {
+    const nft = await getDeployedContract(hre, 'NFT')
+    const manifest = readPinManifest(hre.network.name)
+    const tokens = Object.keys(manifest.tokens[nft.address] || {})
+
+    const mismatches = await verifyTokenURIs(
+      nft,
+      manifest,
+      skipContent ? undefined : loadBackend(backend, pinDir)
+    )
+    console.log(`Checked ${tokens.length} token(s), ${mismatches.length} mismatch(es)`)
+    for (const { tokenId, expected, actual, reason } of mismatches) {
+      console.log(`  token ${tokenId}: ${reason}, expected ${expected}, found ${actual}`)
+    }
+    if (mismatches.length > 0) {
+      throw new Error(`${mismatches.length} token(s) do not match the pin manifest`)
+    }
+    return { checked: tokens.length, mismatches }
+  })
@@ -0,0 +1,60 @@
+const fs = require('fs')
+const { task, types } = require('hardhat/config')
+const { getDeployedContract, readManifest } = require('../utils/deployments')
+const { PERIODS, SECTIONS, buildReport, formatReport } = require('../utils/report')
+
+task(
+  'report',
+  'Reports sales volume, royalties, protocol fees and floor prices per creator, collection and period'
+)
+  .addOptionalParam('format', 'table, csv or json', 'table', types.string)
+  .addOptionalParam(
+    'period',
+    `period sales are grouped by: ${Object.keys(PERIODS).join(', ')}`,
+    'month',
+    types.string
+  )
+  .addOptionalParam(
+    'sections',
+    `comma separated sections to include: ${Object.keys(SECTIONS).join(', ')}`,
+    undefined,
+    types.string
+  )
+  .addOptionalParam('out', 'file to write, prints to stdout if omitted', undefined, types.string)
+  .addOptionalParam(
+    'fromBlock',
+    'first block to read logs from, defaults to the Marketplace deployment block',
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    'toBlock',
+    'last block to report on, defaults to the latest',
+    undefined,
+    types.int
+  )
+  .setAction(async ({ format, period, sections, out, fromBlock, toBlock }, hre) => {
+    const marketplace = await getDeployedContract(hre, 'Marketplace')
+    const nft = await getDeployedContract(hre, 'NFT')
+    const editions = await getDeployedContract(hre, 'Editions')
+    const auctionHouse = await getDeployedContract(hre, 'AuctionHouse')
+    const offerBook = await getDeployedContract(hre, 'OfferBook')
+    const record = readManifest(hre.network.name).contracts.Marketplace
+    const report = await buildReport({
+      marketplace,
+      nfts: [nft, editions],
+      settlers: [auctionHouse.address, offerBook.address],
+      period,
+      fromBlock: fromBlock === undefined ? record.blockNumber || 0 : fromBlock,
+      toBlock,
+    })
+
+    const output = formatReport(report, format, sections ? sections.split(',') : undefined)
+    if (out) {
+      fs.writeFileSync(out, output + '\n')
+      console.log(`Wrote the ${format} report to ${out}`)
+    } else {
+      console.log(output)
+    }
+    return report
+  })
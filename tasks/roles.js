@@ -0,0 +1,71 @@
+const { task, types } = require('hardhat/config')
+const { getDeployedContract } = require('../utils/deployments')
+const { getSigner, simulateAndSend } = require('../utils/tasks')
+
+// ------------------ Helpers ---------------------- //
+
+// roles each deployed contract defines besides ADMIN, the role that grants and revokes them
+const CONTRACT_ROLES = {
+  Marketplace: ['FEE_ADMIN', 'PAUSER', 'FORWARDER'],
+  NFT: ['CURATOR', 'FORWARDER'],
+  Editions: ['CURATOR'],
+}
+
+// `role` may be given as e.g. `pauser` or `PAUSER_ROLE`
+async function loadRole(hre, contractName, role, account) {
+  if (!CONTRACT_ROLES[contractName]) {
+    throw new Error(
+      `Unknown contract "${contractName}", expected one of ${Object.keys(CONTRACT_ROLES).join(
+        ', '
+      )}`
+    )
+  }
+  const name = role.toUpperCase().replace(/_ROLE$/, '')
+  const roles = ['ADMIN', ...CONTRACT_ROLES[contractName]]
+  if (!roles.includes(name)) {
+    throw new Error(`${contractName} has no ${role} role, expected one of ${roles.join(', ')}`)
+  }
+
+  const signer = await getSigner(hre, account)
+  const contract = await getDeployedContract(hre, contractName, signer)
+  const id =
+    name === 'ADMIN' ? await contract.DEFAULT_ADMIN_ROLE() : await contract[`${name}_ROLE`]()
+  return { contract, id, name }
+}
+
+const roleParams = (definition) =>
+  definition
+    .addParam(
+      'contract',
+      'deployed contract: Marketplace, NFT or Editions',
+      undefined,
+      types.string
+    )
+    .addParam('role', 'ADMIN, FEE_ADMIN, PAUSER, CURATOR or FORWARDER', undefined, types.string)
+    .addParam('address', 'account to grant the role to or revoke it from', undefined, types.string)
+    .addOptionalParam('account', 'index of the account to send from', 0, types.int)
+    .addFlag('dryRun', 'only simulate the transaction')
+
+// ------------------ Tasks ---------------------- //
+
+roleParams(task('roles:grant', 'Grants a role on a deployed contract')).setAction(
+  async ({ contract: contractName, role, address, account, dryRun }, hre) => {
+    const { contract, id, name } = await loadRole(hre, contractName, role, account)
+    if (await contract.hasRole(id, address)) {
+      console.log(`${address} already has ${name} on ${contractName}`)
+      return {}
+    }
+    return simulateAndSend(hre, { contract, method: 'grantRole', args: [id, address], dryRun })
+  }
+)
+
+roleParams(task('roles:revoke', 'Revokes a role on a deployed contract')).setAction(
+  async ({ contract: contractName, role, address, account, dryRun }, hre) => {
+    const { contract, id, name } = await loadRole(hre, contractName, role, account)
+    if (!(await contract.hasRole(id, address))) {
+      console.log(`${address} does not have ${name} on ${contractName}`)
+      return {}
+    }
+    return simulateAndSend(hre, { contract, method: 'revokeRole', args: [id, address], dryRun })
+  }
+)
@@ -0,0 +1,150 @@
+const { task, types } = require('hardhat/config')
+const { getDeployedContract, readManifest } = require('../utils/deployments')
+const { getSigner, simulateAndSend } = require('../utils/tasks')
+const {
+  readAllowlistFile,
+  buildAllowlist,
+  writeAllowlistFile,
+  parseSaleTime,
+} = require('../utils/allowlist')
+const {
+  readAddressFile,
+  writeAddressFile,
+  exportWhitelist,
+  diffWhitelist,
+  planWhitelistBatches,
+} = require('../utils/whitelist')
+
+// replay whitelist logs from the NFT deployment block when the manifest records it
+const deploymentBlock = (hre) => {
+  const record = readManifest(hre.network.name).contracts.NFT
+  return record ? record.blockNumber : 0
+}
+
+task('whitelist:sync', 'Makes the NFT creator whitelist match a CSV or JSON file')
+  .addParam('file', 'CSV or JSON file of creator addresses', undefined, types.inputFile)
+  .addOptionalParam('batchGas', 'gas limit for each initWhitelist batch', 5000000, types.int)
+  .addOptionalParam('account', 'index of the account to send from', 0, types.int)
+  .addFlag('dryRun', 'only print the diff')
+  .setAction(async ({ file, batchGas, account, dryRun }, hre) => {
+    const signer = await getSigner(hre, account)
+    const nft = await getDeployedContract(hre, 'NFT', signer)
+
+    if (!(await nft.isWhitelistEnabled())) {
+      throw new Error('Whitelist is disabled, isWhitelisted cannot report membership')
+    }
+
+    const desired = readAddressFile(file)
+    const current = await exportWhitelist(nft, deploymentBlock(hre))
+    const { adds, removes } = await diffWhitelist(nft, desired, current)
+
+    console.log(`Whitelist diff: ${adds.length} to add, ${removes.length} to remove`)
+    adds.forEach((address) => console.log(`  + ${address}`))
+    removes.forEach((address) => console.log(`  - ${address}`))
+
+    const batches = await planWhitelistBatches(nft, adds, batchGas)
+    if (dryRun) {
+      console.log(`Dry run, ${batches.length} initWhitelist batch(es) not sent`)
+      return { adds, removes, batches }
+    }
+
+    for (const [i, batch] of batches.entries()) {
+      const receipt = await (await nft.initWhitelist(batch)).wait()
+      console.log(
+        `Batch ${i + 1}/${batches.length}: ${batch.length} address(es), gas used ${receipt.gasUsed}`
+      )
+    }
+    for (const address of removes) {
+      await (await nft.removeFromWhitelist(address)).wait()
+      console.log(`Removed ${address}`)
+    }
+    return { adds, removes, batches }
+  })
+
+task('whitelist:export', 'Rebuilds the NFT creator whitelist from contract logs')
+  .addOptionalParam(
+    'out',
+    'CSV or JSON file to write, prints to stdout if omitted',
+    undefined,
+    types.string
+  )
+  .setAction(async ({ out }, hre) => {
+    const nft = await getDeployedContract(hre, 'NFT')
+    const whitelist = await exportWhitelist(nft, deploymentBlock(hre))
+
+    if (out) {
+      writeAddressFile(out, whitelist)
+      console.log(`Wrote ${whitelist.length} address(es) to ${out}`)
+    } else {
+      whitelist.forEach((address) => console.log(address))
+    }
+    return whitelist
+  })
+
+task(
+  'whitelist:allowlist',
+  'Builds the Merkle tree of a mint allowlist and the proof of each address'
+)
+  .addParam('file', 'CSV file of `address,quota` rows', undefined, types.inputFile)
+  .addOptionalParam('out', 'JSON file to write the root and proofs to', undefined, types.string)
+  .addOptionalParam('quota', 'quota of rows without one, 0 for no limit', 0, types.int)
+  .setAction(async ({ file, out, quota }) => {
+    const allowlist = buildAllowlist(readAllowlistFile(file, quota))
+    console.log(`Allowlist of ${allowlist.entries.length} address(es), root ${allowlist.root}`)
+    if (out) {
+      writeAllowlistFile(out, allowlist)
+      console.log(`Wrote proofs to ${out}`)
+    }
+    return allowlist
+  })
+
+task('whitelist:sale', 'Sets the allowlist and the phases of the NFT mint sale')
+  .addOptionalParam(
+    'file',
+    'CSV file of `address,quota` rows, no allowlist if omitted',
+    undefined,
+    types.inputFile
+  )
+  .addOptionalParam('quota', 'quota of rows without one, 0 for no limit', 0, types.int)
+  .addParam(
+    'allowlistStart',
+    'start of the allowlist phase, unix seconds or ISO date',
+    undefined,
+    types.string
+  )
+  .addOptionalParam(
+    'publicStart',
+    'start of the public phase, defaults to the end',
+    undefined,
+    types.string
+  )
+  .addParam('end', 'end of the sale, unix seconds or ISO date', undefined, types.string)
+  .addOptionalParam(
+    'publicQuota',
+    'tokens each address can mint in the public phase, 0 for no limit',
+    0,
+    types.int
+  )
+  .addOptionalParam('account', 'index of the account to send from', 0, types.int)
+  .addFlag('dryRun', 'only simulate the transaction')
+  .setAction(async (args, hre) => {
+    const signer = await getSigner(hre, args.account)
+    const nft = await getDeployedContract(hre, 'NFT', signer)
+    const sale = {
+      allowlistRoot: args.file
+        ? buildAllowlist(readAllowlistFile(args.file, args.quota)).root
+        : hre.ethers.constants.HashZero,
+      allowlistStart: parseSaleTime(args.allowlistStart),
+      publicStart: parseSaleTime(args.publicStart || args.end),
+      end: parseSaleTime(args.end),
+      publicQuota: args.publicQuota,
+    }
+    console.log(`Allowlist root ${sale.allowlistRoot}`)
+    const result = await simulateAndSend(hre, {
+      contract: nft,
+      method: 'setMintSale',
+      args: [sale],
+      dryRun: args.dryRun,
+    })
+    return { ...result, sale }
+  })
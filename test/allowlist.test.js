@@ -0,0 +1,248 @@
+const { expectRevert } = require('@openzeppelin/test-helpers')
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const hre = require('hardhat')
+const { ethers } = hre
+const { deploy } = require('../scripts/deploy')
+const {
+  readAllowlistFile,
+  buildAllowlist,
+  verifyAllowlistProof,
+  parseSaleTime,
+} = require('../utils/allowlist')
+const { TOKEN_URI, deployMarket } = require('./helpers/fixtures')
+
+describe('Mint sale', () => {
+  const HOUR = 60 * 60
+  const PHASES = { closed: 0, allowlist: 1, public: 2 }
+  let nft
+  let contractOwner, creator, early, other, stranger
+  let allowlist
+  let now
+
+  const proofOf = (signer) => allowlist.entries.find((e) => e.address === signer.address)
+  const mintWithProof = (signer, entry = proofOf(signer)) =>
+    nft.connect(signer).mintWithProof(signer.address, TOKEN_URI, entry.quota, entry.proof)
+  const increaseTime = (seconds) => ethers.provider.send('evm_increaseTime', [seconds])
+
+  // the allowlist phase starts in an hour, the public phase in two and the sale ends in three
+  beforeEach(async () => {
+    ;[contractOwner, creator, early, other, stranger] = await ethers.getSigners()
+    ;({ nft } = await deployMarket())
+    await nft.addToWhitelist(creator.address)
+    allowlist = buildAllowlist([
+      { address: early.address, quota: 2 },
+      { address: other.address, quota: 0 },
+      { address: contractOwner.address, quota: 1 },
+    ])
+    now = (await ethers.provider.getBlock('latest')).timestamp
+    await nft.setMintSale({
+      allowlistRoot: allowlist.root,
+      allowlistStart: now + HOUR,
+      publicStart: now + 2 * HOUR,
+      end: now + 3 * HOUR,
+      publicQuota: 1,
+    })
+  })
+
+  it('moves through the phases over time', async () => {
+    expect(await nft.mintPhase()).to.equal(PHASES.closed)
+    await increaseTime(HOUR)
+    await ethers.provider.send('evm_mine')
+    expect(await nft.mintPhase()).to.equal(PHASES.allowlist)
+    await increaseTime(HOUR)
+    await ethers.provider.send('evm_mine')
+    expect(await nft.mintPhase()).to.equal(PHASES.public)
+    await increaseTime(HOUR)
+    await ethers.provider.send('evm_mine')
+    expect(await nft.mintPhase()).to.equal(PHASES.closed)
+  })
+
+  it('keeps the whitelist open to creators in every phase', async () => {
+    await nft.connect(creator).mint(creator.address, TOKEN_URI)
+    await increaseTime(4 * HOUR)
+    await nft.connect(creator).mint(creator.address, TOKEN_URI)
+    expect(await nft.balanceOf(creator.address)).to.equal(2)
+    expect(await nft.saleMints(creator.address)).to.equal(0)
+  })
+
+  it('only lets the allowlist mint with a proof once the allowlist phase starts', async () => {
+    await expectRevert(mintWithProof(early), 'Must be whitelisted to create tokens')
+    await increaseTime(HOUR)
+
+    await mintWithProof(early)
+    expect(await nft.balanceOf(early.address)).to.equal(1)
+    expect(await nft.isApprovedForAll(early.address, await nft.getMarketAddress())).to.equal(true)
+    await expectRevert(
+      nft.connect(stranger).mint(stranger.address, TOKEN_URI),
+      'Must be whitelisted to create tokens'
+    )
+  })
+
+  it('holds allowlisted addresses to the quota in their leaf', async () => {
+    await increaseTime(HOUR)
+    await mintWithProof(early)
+    await mintWithProof(early)
+    await expectRevert(mintWithProof(early), 'Mint quota reached')
+
+    // a quota of 0 is no limit
+    for (let i = 0; i < 3; i++) {
+      await mintWithProof(other)
+    }
+    expect(await nft.saleMints(other.address)).to.equal(3)
+  })
+
+  it('rejects proofs for another address or quota', async () => {
+    await increaseTime(HOUR)
+    await expectRevert(mintWithProof(stranger, proofOf(early)), 'Invalid allowlist proof')
+    await expectRevert(
+      mintWithProof(early, { ...proofOf(early), quota: 5 }),
+      'Invalid allowlist proof'
+    )
+  })
+
+  it('lets anyone mint up to the public quota in the public phase', async () => {
+    await increaseTime(2 * HOUR)
+    await nft.connect(stranger).mint(stranger.address, TOKEN_URI)
+    await expectRevert(
+      nft.connect(stranger).mint(stranger.address, TOKEN_URI),
+      'Mint quota reached'
+    )
+
+    // tokens minted in the public phase count against the allowlist quota too
+    await nft.connect(early).mint(early.address, TOKEN_URI)
+    await mintWithProof(early)
+    await expectRevert(mintWithProof(early), 'Mint quota reached')
+  })
+
+  it('closes minting beyond the whitelist when the sale ends', async () => {
+    await increaseTime(3 * HOUR)
+    await expectRevert(mintWithProof(other), 'Must be whitelisted to create tokens')
+    await expectRevert(
+      nft.connect(stranger).mint(stranger.address, TOKEN_URI),
+      'Must be whitelisted to create tokens'
+    )
+  })
+
+  it('only lets curators set the sale, with its phases in order', async () => {
+    const sale = {
+      allowlistRoot: allowlist.root,
+      allowlistStart: 0,
+      publicStart: 0,
+      end: 0,
+      publicQuota: 0,
+    }
+    await expectRevert(
+      nft.connect(stranger).setMintSale(sale),
+      `AccessControl: account ${stranger.address.toLowerCase()} is missing role ${await nft.CURATOR_ROLE()}`
+    )
+    await expectRevert(
+      nft.setMintSale({
+        ...sale,
+        allowlistStart: now + 2 * HOUR,
+        publicStart: now + HOUR,
+        end: now + 3 * HOUR,
+      }),
+      'Mint phases are out of order'
+    )
+
+    const receipt = await (await nft.setMintSale(sale)).wait()
+    expect(receipt.events.find((e) => e.event === 'MintSaleSet').args.sale.allowlistRoot).to.equal(
+      allowlist.root
+    )
+    expect(await nft.mintPhase()).to.equal(PHASES.closed)
+  })
+
+  describe('allowlist tree', () => {
+    let tmpDir
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arkiv-allowlist-'))
+    })
+
+    afterEach(() => {
+      delete process.env.DEPLOYMENTS_DIR
+      fs.rmSync(tmpDir, { recursive: true, force: true })
+    })
+
+    const writeFile = (name, contents) => {
+      const file = path.join(tmpDir, name)
+      fs.writeFileSync(file, contents)
+      return file
+    }
+
+    it('builds proofs that verify on-chain for every size of tree', async () => {
+      const signers = await ethers.getSigners()
+      await increaseTime(HOUR)
+      for (const size of [1, 2, 3, 5, 8]) {
+        const entries = signers.slice(0, size).map((s, i) => ({ address: s.address, quota: i }))
+        const { root, entries: built } = buildAllowlist(entries)
+        await nft.setMintSale({ ...(await nft.mintSale()), allowlistRoot: root })
+        for (const [i, { address, quota, proof }] of built.entries()) {
+          expect(verifyAllowlistProof(root, address, quota, proof)).to.equal(true)
+          await nft.connect(signers[i]).callStatic.mintWithProof(address, TOKEN_URI, quota, proof)
+        }
+        expect(verifyAllowlistProof(root, stranger.address, 0, built[0].proof)).to.equal(false)
+      }
+    })
+
+    it('reads quotas from a CSV file and rejects duplicates', () => {
+      const file = writeFile(
+        'allowlist.csv',
+        `address,quota\n${early.address},3\n# later\n${other.address}\n`
+      )
+      expect(readAllowlistFile(file, 1)).to.deep.equal([
+        { address: early.address, quota: 3 },
+        { address: other.address, quota: 1 },
+      ])
+
+      const duplicate = writeFile(
+        'duplicate.csv',
+        `${early.address},1\n${early.address.toLowerCase()},2\n`
+      )
+      expect(() => readAllowlistFile(duplicate)).to.throw(`Duplicate address ${early.address}`)
+      const badQuota = writeFile('quota.csv', `${early.address},-1\n`)
+      expect(() => readAllowlistFile(badQuota)).to.throw('Invalid quota "-1"')
+    })
+
+    it('parses sale times as unix seconds or ISO dates', () => {
+      expect(parseSaleTime('1646157600')).to.equal(1646157600)
+      expect(parseSaleTime('2022-03-01T18:00:00Z')).to.equal(1646157600)
+      expect(() => parseSaleTime('tomorrow')).to.throw('Invalid time "tomorrow"')
+    })
+
+    it('writes proofs and sets the sale from the whitelist tasks', async () => {
+      process.env.DEPLOYMENTS_DIR = tmpDir
+      const { nft: deployed } = await deploy(hre)
+      const file = writeFile('allowlist.csv', `${early.address},2\n${other.address},1\n`)
+      const out = path.join(tmpDir, 'proofs.json')
+
+      const built = await hre.run('whitelist:allowlist', { file, out })
+      const written = JSON.parse(fs.readFileSync(out, 'utf8'))
+      expect(written.root).to.equal(built.root)
+      expect(written.proofs[early.address]).to.deep.equal({
+        quota: 2,
+        proof: built.entries[0].proof,
+      })
+
+      const start = (await ethers.provider.getBlock('latest')).timestamp
+      await hre.run('whitelist:sale', {
+        file,
+        allowlistStart: String(start),
+        end: new Date((start + HOUR) * 1000).toISOString(),
+        publicQuota: 3,
+      })
+      const sale = await deployed.mintSale()
+      expect(sale.allowlistRoot).to.equal(built.root)
+      expect(sale.publicStart).to.equal(start + HOUR)
+      expect(sale.end).to.equal(start + HOUR)
+      expect(sale.publicQuota).to.equal(3)
+
+      const { quota, proof } = written.proofs[early.address]
+      await deployed.connect(early).mintWithProof(early.address, TOKEN_URI, quota, proof)
+      expect(await deployed.balanceOf(early.address)).to.equal(1)
+    })
+  })
+})
@@ -0,0 +1,317 @@
+const { expectRevert } = require('@openzeppelin/test-helpers')
+const { expect } = require('chai')
+const hre = require('hardhat')
+const { ethers } = hre
+const { deployMarket, mintToken } = require('./helpers/fixtures')
+const { expectSaleSplit, saleSplit } = require('./helpers/fees')
+
+describe('Auctions', () => {
+  let marketplace
+  let auctionHouse
+  let nft
+  let tokenId
+  let contractOwner, seller, bidder1, bidder2
+  const protocolFee = ethers.BigNumber.from(250)
+  const royaltyAmount = ethers.BigNumber.from(500)
+  const provider = ethers.provider
+  const HOUR = 60 * 60
+  const reservePrice = ethers.utils.parseEther('1')
+  const minBidIncrement = ethers.utils.parseEther('0.1')
+  const extensionWindow = 10 * 60
+
+  const increaseTime = async (seconds) => {
+    await provider.send('evm_increaseTime', [seconds])
+    await provider.send('evm_mine', [])
+  }
+
+  const latestTimestamp = async () => (await provider.getBlock('latest')).timestamp
+
+  const createdAuctionId = async (txn) => {
+    const receipt = await txn.wait()
+    return receipt.events.find((e) => e.event === 'AuctionCreated').args.auctionId
+  }
+
+  const expectSplit = async (receipt, price) => {
+    const settled = receipt.events.find((e) => e.event === 'AuctionSettled')
+    const split = saleSplit(price, { protocolFee, royalty: royaltyAmount })
+    expect(settled.args.price).to.equal(price)
+    expect(settled.args.feeToMarketplace).to.equal(split.fee)
+    expect(settled.args.royaltyReceiver).to.equal(seller.address)
+    expect(settled.args.royaltyAmount).to.equal(split.royalty)
+  }
+
+  beforeEach(async () => {
+    ;[contractOwner, seller, bidder1, bidder2] = await ethers.getSigners()
+    ;({ marketplace, nft, auctionHouse } = await deployMarket({
+      protocolFee,
+      with: ['AuctionHouse'],
+    }))
+    tokenId = await mintToken(nft, seller, { royalty: royaltyAmount })
+    await nft.connect(seller).setApprovalForAll(auctionHouse.address, true)
+  })
+
+  describe('English auction', () => {
+    let auctionId
+
+    const createAuction = (startTime = 0) =>
+      auctionHouse
+        .connect(seller)
+        .createEnglishAuction(
+          nft.address,
+          tokenId,
+          reservePrice,
+          minBidIncrement,
+          startTime,
+          HOUR,
+          extensionWindow
+        )
+
+    beforeEach(async () => {
+      auctionId = await createdAuctionId(await createAuction())
+    })
+
+    it('escrows the NFT in the auction house', async () => {
+      expect(await nft.ownerOf(tokenId)).to.equal(auctionHouse.address)
+      const auction = await auctionHouse.getAuctionById(auctionId)
+      expect(auction.seller).to.equal(seller.address)
+      expect(auction.isActive).to.equal(true)
+    })
+
+    it('reverts if non-owner attempts to create an auction', async () => {
+      const otherToken = await mintToken(nft, bidder1)
+      await expectRevert(
+        auctionHouse
+          .connect(seller)
+          .createEnglishAuction(nft.address, otherToken, reservePrice, minBidIncrement, 0, HOUR, 0),
+        'Caller does not own token'
+      )
+    })
+
+    it('rejects bids before a scheduled start', async () => {
+      const otherToken = await mintToken(nft, bidder1)
+      await nft.connect(bidder1).setApprovalForAll(auctionHouse.address, true)
+      const start = (await latestTimestamp()) + HOUR
+      const scheduled = await createdAuctionId(
+        await auctionHouse
+          .connect(bidder1)
+          .createEnglishAuction(
+            nft.address,
+            otherToken,
+            reservePrice,
+            minBidIncrement,
+            start,
+            HOUR,
+            0
+          )
+      )
+      await expectRevert(
+        auctionHouse.connect(bidder2).placeBid(scheduled, { value: reservePrice }),
+        'Auction has not started.'
+      )
+      await increaseTime(HOUR)
+      await auctionHouse.connect(bidder2).placeBid(scheduled, { value: reservePrice })
+    })
+
+    it('rejects a first bid below the reserve price', async () => {
+      await expectRevert(
+        auctionHouse.connect(bidder1).placeBid(auctionId, { value: reservePrice.sub(1) }),
+        'Bid is below reserve price.'
+      )
+    })
+
+    it('rejects bids that do not meet the minimum increment', async () => {
+      await auctionHouse.connect(bidder1).placeBid(auctionId, { value: reservePrice })
+      await expectRevert(
+        auctionHouse
+          .connect(bidder2)
+          .placeBid(auctionId, { value: reservePrice.add(minBidIncrement).sub(1) }),
+        'Bid increment too low.'
+      )
+    })
+
+    it('rejects bids from the seller', async () => {
+      await expectRevert(
+        auctionHouse.connect(seller).placeBid(auctionId, { value: reservePrice }),
+        'Seller cannot bid.'
+      )
+    })
+
+    it('credits the outbid bidder for withdrawal', async () => {
+      await auctionHouse.connect(bidder1).placeBid(auctionId, { value: reservePrice })
+      await auctionHouse
+        .connect(bidder2)
+        .placeBid(auctionId, { value: reservePrice.add(minBidIncrement) })
+      expect(await marketplace.pendingWithdrawal(bidder1.address)).to.equal(reservePrice)
+
+      const balance = await provider.getBalance(bidder1.address)
+      const receipt = await (await marketplace.connect(bidder1).withdraw()).wait()
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice)
+      expect(await provider.getBalance(bidder1.address)).to.equal(
+        balance.add(reservePrice).sub(gasCost)
+      )
+      expect(await marketplace.pendingWithdrawal(bidder1.address)).to.equal(0)
+    })
+
+    it('reverts withdraw when nothing is owed', async () => {
+      await expectRevert(marketplace.connect(bidder1).withdraw(), 'Nothing to withdraw.')
+    })
+
+    it('extends the auction when a bid lands in the extension window', async () => {
+      const { endTime } = await auctionHouse.getAuctionById(auctionId)
+      await increaseTime(HOUR - 60)
+      await auctionHouse.connect(bidder1).placeBid(auctionId, { value: reservePrice })
+
+      const auction = await auctionHouse.getAuctionById(auctionId)
+      expect(auction.endTime).to.equal((await latestTimestamp()) + extensionWindow)
+      expect(auction.endTime).to.be.gt(endTime)
+    })
+
+    it('does not extend the auction for bids outside the extension window', async () => {
+      const { endTime } = await auctionHouse.getAuctionById(auctionId)
+      await auctionHouse.connect(bidder1).placeBid(auctionId, { value: reservePrice })
+      expect((await auctionHouse.getAuctionById(auctionId)).endTime).to.equal(endTime)
+    })
+
+    it('rejects bids and cancellation after bidding has closed or started', async () => {
+      await auctionHouse.connect(bidder1).placeBid(auctionId, { value: reservePrice })
+      await expectRevert(
+        auctionHouse.connect(seller).cancelAuction(auctionId),
+        'Auction already has bids.'
+      )
+      await increaseTime(HOUR)
+      await expectRevert(
+        auctionHouse.connect(bidder2).placeBid(auctionId, { value: reservePrice.mul(2) }),
+        'Auction has ended.'
+      )
+    })
+
+    it('cannot be settled before it ends', async () => {
+      await expectRevert(auctionHouse.settleAuction(auctionId), 'Auction has not ended.')
+    })
+
+    it('settles to the highest bidder with the fee and royalty split', async () => {
+      const winningBid = reservePrice.add(minBidIncrement)
+      await auctionHouse.connect(bidder1).placeBid(auctionId, { value: reservePrice })
+      await auctionHouse.connect(bidder2).placeBid(auctionId, { value: winningBid })
+      await increaseTime(HOUR)
+
+      let receipt
+      await expectSaleSplit(
+        marketplace,
+        async () => {
+          receipt = await (await auctionHouse.connect(bidder1).settleAuction(auctionId)).wait()
+        },
+        {
+          price: winningBid,
+          protocolFee,
+          royalty: royaltyAmount,
+          seller,
+          royaltyReceiver: seller,
+          feeRecipient: contractOwner,
+        }
+      )
+
+      expect(await nft.ownerOf(tokenId)).to.equal(bidder2.address)
+      await expectSplit(receipt, winningBid)
+      expect((await auctionHouse.getAuctionById(auctionId)).isActive).to.equal(false)
+      await expectRevert(auctionHouse.settleAuction(auctionId), 'Auction is not active.')
+    })
+
+    it('returns the NFT to the seller when there are no bids', async () => {
+      await increaseTime(HOUR)
+      await expect(auctionHouse.settleAuction(auctionId))
+        .to.emit(auctionHouse, 'AuctionCancelled')
+        .withArgs(auctionId)
+      expect(await nft.ownerOf(tokenId)).to.equal(seller.address)
+    })
+
+    it('allows the seller to cancel before any bids', async () => {
+      await expectRevert(
+        auctionHouse.connect(bidder1).cancelAuction(auctionId),
+        'Caller is not the seller'
+      )
+      await auctionHouse.connect(seller).cancelAuction(auctionId)
+      expect(await nft.ownerOf(tokenId)).to.equal(seller.address)
+    })
+  })
+
+  describe('Dutch auction', () => {
+    let auctionId
+    const startPrice = ethers.utils.parseEther('2')
+    const endPrice = ethers.utils.parseEther('1')
+
+    beforeEach(async () => {
+      auctionId = await createdAuctionId(
+        await auctionHouse
+          .connect(seller)
+          .createDutchAuction(nft.address, tokenId, startPrice, endPrice, 0, HOUR)
+      )
+    })
+
+    it('rejects an end price above the start price', async () => {
+      const otherToken = await mintToken(nft, bidder1)
+      await expectRevert(
+        auctionHouse
+          .connect(bidder1)
+          .createDutchAuction(nft.address, otherToken, endPrice, startPrice, 0, HOUR),
+        'Start price must not be below end price.'
+      )
+    })
+
+    it('declines the price linearly and stops at the end price', async () => {
+      expect(await auctionHouse.getDutchAuctionPrice(auctionId)).to.equal(startPrice)
+
+      const { startTime } = await auctionHouse.getAuctionById(auctionId)
+      await provider.send('evm_setNextBlockTimestamp', [startTime.toNumber() + HOUR / 2])
+      await provider.send('evm_mine', [])
+      expect(await auctionHouse.getDutchAuctionPrice(auctionId)).to.equal(
+        startPrice.add(endPrice).div(2)
+      )
+
+      await increaseTime(HOUR)
+      expect(await auctionHouse.getDutchAuctionPrice(auctionId)).to.equal(endPrice)
+    })
+
+    it('sells at the current price and credits the overpayment', async () => {
+      await increaseTime(HOUR / 4)
+      const receipt = await (
+        await auctionHouse.connect(bidder1).buyDutchAuction(auctionId, { value: startPrice })
+      ).wait()
+      const { highestBid: price } = await auctionHouse.getAuctionById(auctionId)
+
+      expect(price).to.be.lt(startPrice)
+      expect(price).to.be.gt(endPrice)
+      expect(await nft.ownerOf(tokenId)).to.equal(bidder1.address)
+      expect(await marketplace.pendingWithdrawal(bidder1.address)).to.equal(startPrice.sub(price))
+      await expectSplit(receipt, price)
+    })
+
+    it('rejects payments below the current price', async () => {
+      await expectRevert(
+        auctionHouse.connect(bidder1).buyDutchAuction(auctionId, { value: endPrice }),
+        'Please send the correct amount of ether.'
+      )
+    })
+
+    it('cannot be bid on or bought twice', async () => {
+      await expectRevert(
+        auctionHouse.connect(bidder1).placeBid(auctionId, { value: startPrice }),
+        'Auction is not active.'
+      )
+      await auctionHouse.connect(bidder1).buyDutchAuction(auctionId, { value: startPrice })
+      await expectRevert(
+        auctionHouse.connect(bidder2).buyDutchAuction(auctionId, { value: startPrice }),
+        'Auction is not active.'
+      )
+    })
+
+    it('allows the seller to cancel before a sale', async () => {
+      await auctionHouse.connect(seller).cancelAuction(auctionId)
+      expect(await nft.ownerOf(tokenId)).to.equal(seller.address)
+      await expectRevert(
+        auctionHouse.connect(bidder1).buyDutchAuction(auctionId, { value: startPrice }),
+        'Auction is not active.'
+      )
+    })
+  })
+})
@@ -0,0 +1,191 @@
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const hre = require('hardhat')
+const { deploy } = require('../scripts/deploy')
+const { readManifest } = require('../utils/deployments')
+const { getImplementationAddress } = require('../utils/upgrades')
+const deployedLayouts = require('./helpers/deployed-layouts.json')
+
+describe('Deploy script', () => {
+  const { ethers } = hre
+  let tmpDir
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arkiv-deployments-'))
+    process.env.DEPLOYMENTS_DIR = tmpDir
+  })
+
+  afterEach(() => {
+    delete process.env.DEPLOYMENTS_DIR
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('writes a manifest with deployment details for each contract', async () => {
+    const [deployer] = await ethers.getSigners()
+    const { marketplace, nft, editions, auctionHouse, offerBook, forwarder } = await deploy(hre)
+    const manifest = readManifest('hardhat')
+
+    expect(manifest.chainId).to.equal(31337)
+    expect(manifest.contracts.Marketplace.address).to.equal(marketplace.address)
+    expect(manifest.contracts.Marketplace.args).to.deep.equal(['250'])
+    expect(manifest.contracts.NFT.address).to.equal(nft.address)
+    expect(manifest.contracts.NFT.args).to.deep.equal([marketplace.address])
+    expect(manifest.contracts.NFT.deployer).to.equal(deployer.address)
+    expect(manifest.contracts.Marketplace.implementation).to.equal(
+      await getImplementationAddress(hre, marketplace.address)
+    )
+    expect(manifest.contracts.Marketplace.storageLayout.storage.length).to.be.above(0)
+    expect(await marketplace.owner()).to.equal(deployer.address)
+    expect(await nft.getMarketAddress()).to.equal(marketplace.address)
+    expect(manifest.contracts.Editions.address).to.equal(editions.address)
+    expect(manifest.contracts.Editions.args).to.deep.equal([marketplace.address])
+    expect(manifest.contracts.AuctionHouse.address).to.equal(auctionHouse.address)
+    expect(await auctionHouse.getMarketAddress()).to.equal(marketplace.address)
+    expect(manifest.contracts.OfferBook.address).to.equal(offerBook.address)
+    expect(await offerBook.getMarketAddress()).to.equal(marketplace.address)
+    expect(manifest.contracts.ArkivForwarder.address).to.equal(forwarder.address)
+    expect(await marketplace.isTrustedForwarder(forwarder.address)).to.equal(true)
+    expect(await nft.isTrustedForwarder(forwarder.address)).to.equal(true)
+
+    const receipt = await ethers.provider.getTransactionReceipt(manifest.contracts.NFT.txHash)
+    expect(receipt.blockNumber).to.equal(manifest.contracts.NFT.blockNumber)
+    expect(manifest.contracts.NFT.abiHash).to.match(/^0x[0-9a-f]{64}$/)
+  })
+
+  it('reuses unchanged contracts on rerun', async () => {
+    const first = await deploy(hre)
+    const second = await deploy(hre)
+    expect(second.marketplace.address).to.equal(first.marketplace.address)
+    expect(second.nft.address).to.equal(first.nft.address)
+    expect(second.forwarder.address).to.equal(first.forwarder.address)
+  })
+
+  it('keeps the contracts deployed before a failure in the manifest', async () => {
+    const getContractFactory = ethers.getContractFactory
+    ethers.getContractFactory = async (name, ...rest) => {
+      if (name === 'OfferBook') throw new Error('OfferBook deployment failed')
+      return getContractFactory(name, ...rest)
+    }
+    let error
+    try {
+      await deploy(hre)
+    } catch (err) {
+      error = err
+    } finally {
+      ethers.getContractFactory = getContractFactory
+    }
+    expect(error.message).to.equal('OfferBook deployment failed')
+    const partial = readManifest('hardhat').contracts
+    expect(Object.keys(partial)).to.have.members(['Marketplace', 'NFT', 'Editions', 'AuctionHouse'])
+
+    const { marketplace, nft, editions, auctionHouse } = await deploy(hre)
+    expect(
+      [marketplace, nft, editions, auctionHouse].map((contract) => contract.address)
+    ).to.deep.equal(
+      ['Marketplace', 'NFT', 'Editions', 'AuctionHouse'].map((name) => partial[name].address)
+    )
+    expect(readManifest('hardhat').contracts.OfferBook.address).to.match(/^0x/)
+  })
+
+  it('schedules a changed protocol fee and applies it once the timelock passes', async () => {
+    const increaseTime = async (seconds) => {
+      await ethers.provider.send('evm_increaseTime', [seconds])
+      await ethers.provider.send('evm_mine', [])
+    }
+    const first = await deploy(hre)
+    const delay = (await first.marketplace.PROTOCOL_FEE_DELAY()).toNumber()
+    await first.marketplace.scheduleProtocolFee(100)
+    await increaseTime(delay)
+    await first.marketplace.applyProtocolFee()
+
+    const second = await deploy(hre)
+    expect(second.marketplace.address).to.equal(first.marketplace.address)
+    expect(await second.marketplace.protocolFee()).to.equal(100)
+    const [pendingFee] = await second.marketplace.getPendingProtocolFee()
+    expect(pendingFee).to.equal(250)
+
+    await deploy(hre)
+    expect(await second.marketplace.protocolFee()).to.equal(100)
+    await increaseTime(delay)
+    await deploy(hre)
+    expect(await second.marketplace.protocolFee()).to.equal(250)
+  })
+
+  it('upgrades proxies whose code changed and keeps their state', async () => {
+    const [deployer] = await ethers.getSigners()
+    const first = await deploy(hre)
+    await first.nft.addToWhitelist(deployer.address)
+    await first.nft.mint(deployer.address, 'ipfs://token')
+    await first.marketplace.listItem(first.nft.address, 0, 100)
+
+    const manifest = readManifest('hardhat')
+    const implementation = manifest.contracts.Marketplace.implementation
+    manifest.contracts.Marketplace.bytecodeHash = ethers.constants.HashZero
+    fs.writeFileSync(path.join(tmpDir, 'hardhat.json'), JSON.stringify(manifest))
+
+    const second = await deploy(hre)
+    const upgraded = readManifest('hardhat').contracts.Marketplace
+    expect(second.marketplace.address).to.equal(first.marketplace.address)
+    expect(upgraded.implementation).to.not.equal(implementation)
+    expect(await getImplementationAddress(hre, second.marketplace.address)).to.equal(
+      upgraded.implementation
+    )
+    expect(upgraded.txHash).to.equal(manifest.contracts.Marketplace.txHash)
+    expect((await second.marketplace.getItemById(0)).isListed).to.equal(true)
+    expect(second.editions.address).to.equal(first.editions.address)
+  })
+
+  it('upgrades proxies deployed before roles and grants the owner their roles', async () => {
+    const [deployer] = await ethers.getSigners()
+    const first = await deploy(hre)
+    // a proxy deployed before roles has none, and the layout the manifest recorded for it
+    const roles = {
+      Marketplace: ['DEFAULT_ADMIN_ROLE', 'FEE_ADMIN_ROLE', 'PAUSER_ROLE'],
+      NFT: ['DEFAULT_ADMIN_ROLE', 'CURATOR_ROLE'],
+    }
+    const contracts = { Marketplace: first.marketplace, NFT: first.nft }
+    const manifest = readManifest('hardhat')
+    for (const [name, contract] of Object.entries(contracts)) {
+      for (const role of roles[name]) {
+        await contract.renounceRole(await contract[role](), deployer.address)
+      }
+      manifest.contracts[name].storageLayout = deployedLayouts[name]
+      manifest.contracts[name].bytecodeHash = ethers.constants.HashZero
+    }
+    fs.writeFileSync(path.join(tmpDir, 'hardhat.json'), JSON.stringify(manifest))
+
+    await deploy(hre)
+    for (const [name, contract] of Object.entries(contracts)) {
+      expect(await getImplementationAddress(hre, contract.address)).to.not.equal(
+        manifest.contracts[name].implementation
+      )
+      for (const role of roles[name]) {
+        expect(await contract.hasRole(await contract[role](), deployer.address), role).to.equal(
+          true
+        )
+      }
+    }
+  })
+
+  it('refuses upgrades whose storage layout is incompatible', async () => {
+    const first = await deploy(hre)
+    const manifest = readManifest('hardhat')
+    const { storageLayout } = manifest.contracts.Marketplace
+    storageLayout.storage.splice(3, 0, { ...storageLayout.storage[3], label: 'removed' })
+    manifest.contracts.Marketplace.bytecodeHash = ethers.constants.HashZero
+    fs.writeFileSync(path.join(tmpDir, 'hardhat.json'), JSON.stringify(manifest))
+
+    let error
+    try {
+      await deploy(hre)
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.match(/Storage layout of Marketplace is incompatible/)
+    expect(await getImplementationAddress(hre, first.marketplace.address)).to.equal(
+      manifest.contracts.Marketplace.implementation
+    )
+  })
+})
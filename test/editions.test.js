@@ -0,0 +1,294 @@
+const { constants, expectRevert } = require('@openzeppelin/test-helpers')
+const { ZERO_ADDRESS } = constants
+const { expect } = require('chai')
+const hre = require('hardhat')
+const { ethers } = hre
+const { ArkivClient, ItemNotListedError } = require('..')
+const { deployProxy } = require('../utils/upgrades')
+
+describe('Editions', () => {
+  let marketplace
+  let editions
+  let contractOwner, creator, buyer, buyer2, stranger
+  const protocolFee = ethers.BigNumber.from(250)
+  const royalty = ethers.BigNumber.from(500)
+  const supply = 10
+  const price = ethers.utils.parseEther('1')
+  const tokenURI = 'https://ipfs.io/ipfs/QmXmNSH2dyp5R6dkW5MVhNc7xqV9v3NHWxNXJfCL6CcYxS'
+
+  const bps = (amount, value) => amount.mul(value).div(10000)
+
+  const createEdition = async () => {
+    const receipt = await (
+      await editions.connect(creator).createEdition(creator.address, supply, tokenURI, royalty)
+    ).wait()
+    return receipt.events.find((e) => e.event === 'EditionCreated').args._tokenId
+  }
+
+  const listEdition = async (tokenId, quantity, paymentToken = ZERO_ADDRESS) => {
+    const receipt = await (
+      await marketplace
+        .connect(creator)
+        .listEdition(editions.address, tokenId, quantity, price, paymentToken, 0)
+    ).wait()
+    return receipt.events.find((e) => e.event === 'ItemListed').args.itemId
+  }
+
+  beforeEach(async () => {
+    ;[contractOwner, creator, buyer, buyer2, stranger] = await ethers.getSigners()
+    marketplace = await deployProxy(hre, 'Marketplace', [protocolFee])
+
+    const Editions = await ethers.getContractFactory('Editions')
+    editions = await Editions.deploy(marketplace.address)
+    await editions.deployed()
+    await editions.addToWhitelist(creator.address)
+  })
+
+  describe('createEdition', () => {
+    it('mints every copy to the recipient and records the creator and royalty', async () => {
+      await expect(
+        editions.connect(creator).createEdition(creator.address, supply, tokenURI, royalty)
+      )
+        .to.emit(editions, 'EditionCreated')
+        .withArgs(0, creator.address, supply, tokenURI)
+
+      expect(await editions.balanceOf(creator.address, 0)).to.equal(supply)
+      expect(await editions.totalSupply(0)).to.equal(supply)
+      expect(await editions.uri(0)).to.equal(tokenURI)
+      expect(await editions.tokenCreator(0)).to.equal(creator.address)
+      expect(await editions.isApprovedForAll(creator.address, marketplace.address)).to.equal(true)
+
+      const [receiver, amount] = await editions.royaltyInfo(0, price)
+      expect(receiver).to.equal(creator.address)
+      expect(amount).to.equal(bps(price, royalty))
+    })
+
+    it('reverts if the caller is not whitelisted', async () => {
+      await expectRevert(
+        editions.connect(stranger).createEdition(stranger.address, supply, tokenURI, 0),
+        'Must be whitelisted to create tokens'
+      )
+    })
+
+    it('reverts with a zero supply or an empty URI', async () => {
+      await expectRevert(
+        editions.connect(creator).createEdition(creator.address, 0, tokenURI, 0),
+        'Edition supply is zero'
+      )
+      await expectRevert(
+        editions.connect(creator).createEdition(creator.address, supply, '', 0),
+        'ERC1155: tokenURI is empty'
+      )
+    })
+
+    it('only lets the creator update metadata while holding every copy', async () => {
+      const tokenId = await createEdition()
+      await editions.connect(creator).updateTokenMetadata(tokenId, 'ipfs://updated')
+      expect(await editions.uri(tokenId)).to.equal('ipfs://updated')
+
+      await editions
+        .connect(creator)
+        .safeTransferFrom(creator.address, buyer.address, tokenId, 1, '0x')
+      await expectRevert(
+        editions.connect(creator).updateTokenMetadata(tokenId, tokenURI),
+        'Caller is not the owner'
+      )
+    })
+
+    it('supports ERC-1155, ERC-2981 and royalty split interfaces', async () => {
+      expect(await editions.supportsInterface('0xd9b67a26')).to.equal(true)
+      expect(await editions.supportsInterface('0x2a55205a')).to.equal(true)
+    })
+  })
+
+  describe('listEdition', () => {
+    let tokenId
+
+    beforeEach(async () => {
+      tokenId = await createEdition()
+    })
+
+    it('lists copies at a per-copy price', async () => {
+      await expect(
+        marketplace
+          .connect(creator)
+          .listEdition(editions.address, tokenId, 4, price, ZERO_ADDRESS, 0)
+      )
+        .to.emit(marketplace, 'ItemListed')
+        .withArgs(editions.address, tokenId, 0, creator.address, price, true, ZERO_ADDRESS, 4, 0)
+
+      const item = await marketplace.getItemById(0)
+      expect(item.quantity).to.equal(4)
+      expect(item.isEdition).to.equal(true)
+      expect(item.price).to.equal(price)
+    })
+
+    it('reverts with a zero quantity', async () => {
+      await expectRevert(
+        marketplace
+          .connect(creator)
+          .listEdition(editions.address, tokenId, 0, price, ZERO_ADDRESS, 0),
+        'Quantity is zero.'
+      )
+    })
+
+    it('reverts if the caller holds fewer copies than listed', async () => {
+      await expectRevert(
+        marketplace
+          .connect(creator)
+          .listEdition(editions.address, tokenId, supply + 1, price, ZERO_ADDRESS, 0),
+        'Caller does not own enough copies'
+      )
+      await expectRevert(
+        marketplace
+          .connect(stranger)
+          .listEdition(editions.address, tokenId, 1, price, ZERO_ADDRESS, 0),
+        'Caller does not own enough copies'
+      )
+    })
+  })
+
+  describe('purchaseEdition', () => {
+    let tokenId
+    let itemId
+
+    beforeEach(async () => {
+      tokenId = await createEdition()
+      itemId = await listEdition(tokenId, 5)
+    })
+
+    it('sells part of the listing and keeps the rest listed', async () => {
+      const total = price.mul(3)
+      const fee = bps(total, protocolFee)
+      const royaltyAmount = bps(total, royalty)
+      await expect(marketplace.connect(buyer).purchaseEdition(itemId, 3, { value: total }))
+        .to.emit(marketplace, 'ItemSold')
+        .withArgs(
+          editions.address,
+          tokenId,
+          itemId,
+          creator.address,
+          buyer.address,
+          total,
+          fee,
+          creator.address,
+          royaltyAmount,
+          3
+        )
+
+      expect(await editions.balanceOf(buyer.address, tokenId)).to.equal(3)
+      const item = await marketplace.getItemById(itemId)
+      expect(item.quantity).to.equal(2)
+      expect(item.isListed).to.equal(true)
+      expect(item.owner).to.equal(creator.address)
+      expect(await marketplace.pendingWithdrawal(creator.address)).to.equal(total.sub(fee))
+    })
+
+    it('unlists the item once the last copy is sold', async () => {
+      await marketplace.connect(buyer).purchaseEdition(itemId, 3, { value: price.mul(3) })
+      await marketplace.connect(buyer2).purchaseEdition(itemId, 2, { value: price.mul(2) })
+
+      const item = await marketplace.getItemById(itemId)
+      expect(item.quantity).to.equal(0)
+      expect(item.isListed).to.equal(false)
+      expect(await editions.balanceOf(buyer2.address, tokenId)).to.equal(2)
+      await expectRevert(
+        marketplace.connect(stranger).purchaseEdition(itemId, 1, { value: price }),
+        'Quantity is not available.'
+      )
+    })
+
+    it('buys every remaining copy through purchaseItem', async () => {
+      await marketplace.connect(buyer).purchaseEdition(itemId, 1, { value: price })
+      await marketplace
+        .connect(buyer2)
+        .purchaseItem(editions.address, itemId, { value: price.mul(4) })
+      expect(await editions.balanceOf(buyer2.address, tokenId)).to.equal(4)
+      expect((await marketplace.getItemById(itemId)).isListed).to.equal(false)
+    })
+
+    it('reverts if more copies are requested than listed', async () => {
+      await expectRevert(
+        marketplace.connect(buyer).purchaseEdition(itemId, 6, { value: price.mul(6) }),
+        'Quantity is not available.'
+      )
+      await expectRevert(
+        marketplace.connect(buyer).purchaseEdition(itemId, 0, { value: 0 }),
+        'Quantity is not available.'
+      )
+    })
+
+    it('reverts if the ether sent does not cover every copy', async () => {
+      await expectRevert(
+        marketplace.connect(buyer).purchaseEdition(itemId, 2, { value: price }),
+        'Please send the correct amount of ether.'
+      )
+    })
+
+    it('reverts for items that are not editions', async () => {
+      const nft = await deployProxy(hre, 'NFT', [marketplace.address])
+      await nft.addToWhitelist(creator.address)
+      await nft.connect(creator).mint(creator.address, tokenURI)
+      await marketplace.connect(creator).listItem(nft.address, 0, price)
+
+      await expectRevert(
+        marketplace.connect(buyer).purchaseEdition(1, 1, { value: price }),
+        'Item is not an edition.'
+      )
+    })
+
+    it('takes ERC-20 payment for the total', async () => {
+      const MockERC20 = await ethers.getContractFactory('MockERC20')
+      const token = await MockERC20.deploy('Token', 'TKN', 18)
+      await token.deployed()
+      await marketplace.setPaymentTokenAllowed(token.address, true)
+      await token.mint(buyer.address, price.mul(2))
+      await token.connect(buyer).approve(marketplace.address, price.mul(2))
+
+      await marketplace.connect(creator).delistItem(itemId)
+      const tokenItemId = await listEdition(tokenId, 2, token.address)
+      expect(tokenItemId).to.equal(itemId)
+      await marketplace.connect(buyer).purchaseEdition(tokenItemId, 2)
+
+      expect(await token.balanceOf(buyer.address)).to.equal(0)
+      expect(await token.balanceOf(contractOwner.address)).to.equal(bps(price.mul(2), protocolFee))
+      expect(await editions.balanceOf(buyer.address, tokenId)).to.equal(2)
+    })
+  })
+
+  describe('ArkivClient', () => {
+    const clientFor = (signer) =>
+      new ArkivClient({
+        signer,
+        marketplaceAddress: marketplace.address,
+        nftAddress: ZERO_ADDRESS,
+        editionsAddress: editions.address,
+      })
+
+    it('creates, lists and buys copies of an edition', async () => {
+      const { tokenId } = await clientFor(creator).createEdition({
+        supply,
+        uri: tokenURI,
+        royalty,
+      })
+      const { itemId } = await clientFor(creator).listEdition({ tokenId, quantity: 3, price })
+
+      await clientFor(buyer).buy(itemId, 2)
+      const listing = await clientFor(buyer).getListing(itemId)
+      expect(listing.isEdition).to.equal(true)
+      expect(listing.quantity).to.equal(1)
+
+      await clientFor(buyer2).buy(itemId)
+      expect(await editions.balanceOf(buyer.address, tokenId)).to.equal(2)
+      expect(await editions.balanceOf(buyer2.address, tokenId)).to.equal(1)
+
+      let error
+      try {
+        await clientFor(buyer2).buy(itemId, 1)
+      } catch (err) {
+        error = err
+      }
+      expect(error).to.be.instanceOf(ItemNotListedError)
+    })
+  })
+})
@@ -0,0 +1,54 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const addressOf = (account) => account.address || account
+
+// rounds the fee and royalty down like Marketplace
+function saleSplit(price, { protocolFee, royalty = 0 }) {
+  const fee = ethers.BigNumber.from(price).mul(protocolFee).div(10000)
+  const royaltyAmount = ethers.BigNumber.from(price).mul(royalty).div(10000)
+  return {
+    fee,
+    royalty: royaltyAmount,
+    proceeds: ethers.BigNumber.from(price).sub(fee).sub(royaltyAmount),
+  }
+}
+
+// ether is credited to the payee's withdrawable balance, a `paymentToken` is transferred to it
+async function expectCredits(marketplace, action, credits, paymentToken) {
+  const expected = new Map()
+  for (const [payee, amount] of credits) {
+    const address = addressOf(payee)
+    expected.set(address, (expected.get(address) || ethers.constants.Zero).add(amount))
+  }
+  const balanceOf = (address) =>
+    paymentToken ? paymentToken.balanceOf(address) : marketplace.pendingWithdrawal(address)
+
+  const before = new Map()
+  for (const address of expected.keys()) {
+    before.set(address, await balanceOf(address))
+  }
+  const result = await action()
+  for (const [address, amount] of expected) {
+    expect((await balanceOf(address)).sub(before.get(address)), `paid to ${address}`).to.equal(
+      amount
+    )
+  }
+  return result
+}
+
+async function expectSaleSplit(marketplace, action, sale) {
+  const { price, protocolFee, royalty, seller, royaltyReceiver, feeRecipient, paymentToken } = sale
+  const split = saleSplit(price, { protocolFee, royalty })
+  const credits = [
+    [feeRecipient, split.fee],
+    [seller, split.proceeds],
+  ]
+  if (royaltyReceiver) {
+    credits.push([royaltyReceiver, split.royalty])
+  }
+  await expectCredits(marketplace, action, credits, paymentToken)
+  return split
+}
+
+module.exports = { saleSplit, expectCredits, expectSaleSplit }
@@ -0,0 +1,57 @@
+const hre = require('hardhat')
+const { ethers } = hre
+const { deployProxy } = require('../../utils/upgrades')
+
+// metadata URI of the tokens the fixtures mint unless a test gives its own
+const TOKEN_URI = 'https://ipfs.io/ipfs/QmXmNSH2dyp5R6dkW5MVhNc7xqV9v3NHWxNXJfCL6CcYxS'
+
+async function deployContract(name, ...args) {
+  const Factory = await ethers.getContractFactory(name)
+  const contract = await Factory.deploy(...args)
+  await contract.deployed()
+  return contract
+}
+
+// `options.with` names contracts to deploy against the marketplace, e.g. `['AuctionHouse']`, which
+// are returned camel-cased, e.g. `auctionHouse`
+async function deployMarket({ protocolFee = 250, with: extras = [] } = {}) {
+  const marketplace = await deployProxy(hre, 'Marketplace', [protocolFee])
+  const nft = await deployProxy(hre, 'NFT', [marketplace.address])
+  const deployed = { marketplace, nft }
+  for (const name of extras) {
+    deployed[name[0].toLowerCase() + name.slice(1)] = await deployContract(
+      name,
+      marketplace.address
+    )
+  }
+  return deployed
+}
+
+async function mintToken(nft, creator, { uri = TOKEN_URI, to = creator.address, royalty } = {}) {
+  if (!(await nft.isWhitelisted(creator.address))) {
+    await nft.addToWhitelist(creator.address)
+  }
+  const receipt = await (await nft.connect(creator).mint(to, uri)).wait()
+  const tokenId = receipt.events.find((e) => e.event === 'TokenMinted').args._tokenId
+  if (royalty) {
+    await nft.connect(creator).setTokenRoyalty(tokenId, royalty)
+  }
+  return tokenId
+}
+
+async function listToken(marketplace, nft, seller, tokenId, price, { paymentToken } = {}) {
+  const market = marketplace.connect(seller)
+  const txn = paymentToken
+    ? await market.listItemWithToken(nft.address, tokenId, price, paymentToken)
+    : await market.listItem(nft.address, tokenId, price)
+  const receipt = await txn.wait()
+  return receipt.events.find((e) => e.event === 'ItemListed').args.itemId
+}
+
+async function mintAndList(marketplace, nft, seller, price, { royalty, uri } = {}) {
+  const tokenId = await mintToken(nft, seller, { royalty, uri })
+  const itemId = await listToken(marketplace, nft, seller, tokenId, price)
+  return { tokenId, itemId }
+}
+
+module.exports = { TOKEN_URI, deployContract, deployMarket, mintToken, listToken, mintAndList }
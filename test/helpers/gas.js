@@ -0,0 +1,173 @@
+const fs = require('fs')
+const path = require('path')
+const hre = require('hardhat')
+const { ethers } = hre
+
+// Per-function gas report, enabled with REPORT_GAS=true. The run fails when a function's average
+// grew by more than GAS_THRESHOLD percent (5 by default) over the committed baseline, and
+// UPDATE_GAS_BASELINE=true writes the run's averages as the new baseline instead. Averages depend on
+// which tests ran, so the baseline is only meaningful for full runs of the suite.
+
+const BASELINE_FILE = path.join(__dirname, '..', 'gas-baseline.json')
+const REPORT_FILE = path.join(hre.config.paths.root, 'gas-report.json')
+
+// ERC-1967 implementation slot, read to attribute calls to a proxy to its implementation
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc'
+
+class GasRecorder {
+  constructor() {
+    this.contracts = []
+    this.addresses = new Map()
+    this.gasUsed = new Map()
+  }
+
+  async attach(provider) {
+    const names = (await hre.artifacts.getAllFullyQualifiedNames()).filter((name) =>
+      name.startsWith('contracts/')
+    )
+    for (const name of names) {
+      const artifact = await hre.artifacts.readArtifact(name)
+      if (artifact.bytecode.length > 2) {
+        this.contracts.push({
+          name: artifact.contractName,
+          bytecode: artifact.bytecode,
+          interface: new ethers.utils.Interface(artifact.abi),
+          // mocks only exist for tests and are left out of the report
+          mock: name.startsWith('contracts/mocks/'),
+        })
+      }
+    }
+
+    for (const method of ['send', 'request']) {
+      const original = provider[method].bind(provider)
+      provider[method] = async (...args) => {
+        const [rpcMethod, params] = method === 'send' ? args : [args[0].method, args[0].params]
+        const result = await original(...args)
+        if (rpcMethod === 'eth_sendTransaction') {
+          await this.record(provider, params[0], result)
+        }
+        return result
+      }
+    }
+  }
+
+  async record(provider, txn, hash) {
+    const receipt = await provider.request({ method: 'eth_getTransactionReceipt', params: [hash] })
+    if (!receipt || receipt.status !== '0x1') return
+
+    let label
+    if (!txn.to) {
+      const contract = this.contracts.find((c) => txn.data && txn.data.startsWith(c.bytecode))
+      if (!contract) return
+      this.addresses.set(receipt.contractAddress.toLowerCase(), contract)
+      if (contract.mock) return
+      label = `${contract.name}.deploy`
+    } else {
+      const contract = await this.contractAt(provider, txn.to)
+      if (!contract || contract.mock || !txn.data || txn.data.length < 10) return
+      label = `${contract.name}.${functionName(contract.interface, txn.data.slice(0, 10))}`
+    }
+    const calls = this.gasUsed.get(label) || []
+    calls.push(ethers.BigNumber.from(receipt.gasUsed).toNumber())
+    this.gasUsed.set(label, calls)
+  }
+
+  async contractAt(provider, address) {
+    const contract = this.addresses.get(address.toLowerCase())
+    if (!contract || contract.name !== 'ArkivProxy') return contract
+    const slot = await provider.request({
+      method: 'eth_getStorageAt',
+      params: [address, IMPLEMENTATION_SLOT, 'latest'],
+    })
+    return this.addresses.get(ethers.utils.hexDataSlice(slot, 12).toLowerCase()) || contract
+  }
+
+  report() {
+    const report = {}
+    for (const label of [...this.gasUsed.keys()].sort()) {
+      const calls = this.gasUsed.get(label)
+      report[label] = {
+        calls: calls.length,
+        min: Math.min(...calls),
+        max: Math.max(...calls),
+        avg: Math.round(calls.reduce((sum, gas) => sum + gas, 0) / calls.length),
+      }
+    }
+    return report
+  }
+}
+
+// overloaded functions are named by their signature
+function functionName(iface, selector) {
+  try {
+    const fragment = iface.getFunction(selector)
+    const overloaded = Object.values(iface.functions).filter((f) => f.name === fragment.name)
+    return overloaded.length > 1 ? fragment.format() : fragment.name
+  } catch (err) {
+    return selector
+  }
+}
+
+// `threshold` is the allowed growth in percent
+function compareToBaseline(report, baseline, threshold) {
+  const regressions = []
+  for (const [label, { avg }] of Object.entries(report)) {
+    if (baseline[label] === undefined) continue
+    const change = ((avg - baseline[label]) / baseline[label]) * 100
+    if (change > threshold) {
+      regressions.push({ label, baseline: baseline[label], avg, change })
+    }
+  }
+  return regressions
+}
+
+function printReport(report, baseline) {
+  const rows = Object.entries(report).map(([label, { calls, min, max, avg }]) => {
+    const base = baseline[label]
+    const change = base === undefined ? 'new' : `${(((avg - base) / base) * 100).toFixed(1)}%`
+    return [label, calls, min, max, avg, base === undefined ? '-' : base, change]
+  })
+  const header = ['Function', 'Calls', 'Min', 'Max', 'Avg', 'Baseline', 'Change']
+  const widths = header.map((title, i) =>
+    Math.max(title.length, ...rows.map((r) => `${r[i]}`.length))
+  )
+  const line = (cells) => cells.map((cell, i) => `${cell}`.padEnd(widths[i])).join('  ')
+  console.log(`\n${line(header)}\n${widths.map((w) => '-'.repeat(w)).join('  ')}`)
+  rows.forEach((row) => console.log(line(row)))
+}
+
+if (process.env.REPORT_GAS) {
+  const recorder = new GasRecorder()
+
+  before(() => recorder.attach(hre.network.provider))
+
+  after(() => {
+    const report = recorder.report()
+    fs.writeFileSync(REPORT_FILE, JSON.stringify(report, null, 2) + '\n')
+    const averages = Object.fromEntries(
+      Object.entries(report).map(([label, { avg }]) => [label, avg])
+    )
+    if (process.env.UPDATE_GAS_BASELINE) {
+      fs.writeFileSync(BASELINE_FILE, JSON.stringify(averages, null, 2) + '\n')
+      console.log(`\nGas baseline written to ${BASELINE_FILE}`)
+      return
+    }
+
+    const baseline = fs.existsSync(BASELINE_FILE) ? JSON.parse(fs.readFileSync(BASELINE_FILE)) : {}
+    printReport(report, baseline)
+    const threshold = Number(process.env.GAS_THRESHOLD || 5)
+    const regressions = compareToBaseline(report, baseline, threshold)
+    if (regressions.length > 0) {
+      throw new Error(
+        `Gas regressions above ${threshold}%:\n${regressions
+          .map(
+            ({ label, baseline, avg, change }) =>
+              `  ${label}: ${baseline} -> ${avg} (+${change.toFixed(1)}%)`
+          )
+          .join('\n')}`
+      )
+    }
+  })
+}
+
+module.exports = { GasRecorder, compareToBaseline }
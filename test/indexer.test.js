@@ -0,0 +1,343 @@
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const hre = require('hardhat')
+const { ethers } = hre
+const { createIndexer, createJsonStore } = require('../indexer')
+const {
+  buildOrder,
+  buildVoucher,
+  getOrderDomain,
+  getVoucherDomain,
+  signOrder,
+  signVoucher,
+} = require('..')
+const { signForwardedCall } = require('../utils/relayer')
+const { deployContract, deployMarket } = require('./helpers/fixtures')
+
+describe('Indexer', () => {
+  let marketplace
+  let nft
+  let indexer
+  let contractOwner, seller, buyer, creator2
+  const salePrice = ethers.utils.parseEther('10')
+  const token1URI = 'https://ipfs.io/ipfs/QmXmNSH2dyp5R6dkW5MVhNc7xqV9v3NHWxNXJfCL6CcYxS'
+  const token2URI = 'https://ipfs.io/ipfs/QmQ35DkX8HHjhkJe5MsMAd4X51iP3MHV5d5dZoee32J83k'
+
+  const mint = async (creator, uri) => {
+    const txn = await (await nft.connect(creator).mint(creator.address, uri)).wait()
+    return txn.events[0].args.tokenId
+  }
+
+  const list = async (owner, tokenId, price = salePrice) => {
+    const txn = await (
+      await marketplace.connect(owner).listItem(nft.address, tokenId, price)
+    ).wait()
+    return txn.events[0].args.itemId
+  }
+
+  beforeEach(async () => {
+    ;[contractOwner, seller, buyer, creator2] = await ethers.getSigners()
+    ;({ marketplace, nft } = await deployMarket())
+
+    await nft.initWhitelist([seller.address, creator2.address])
+    indexer = createIndexer({ marketplace, nfts: [nft] })
+  })
+
+  it('indexes minted tokens with owner, creator and URI', async () => {
+    const tokenId = await mint(seller, token1URI)
+    await indexer.sync()
+
+    const token = indexer.store.getToken(nft.address, tokenId)
+    expect(token.owner).to.equal(seller.address)
+    expect(token.creator).to.equal(seller.address)
+    expect(token.uri).to.equal(token1URI)
+  })
+
+  it('tracks active listings through price changes and delisting', async () => {
+    const tokenId1 = await mint(seller, token1URI)
+    const tokenId2 = await mint(seller, token2URI)
+    const itemId1 = await list(seller, tokenId1)
+    await list(seller, tokenId2)
+    await marketplace.connect(seller).updateListPrice(itemId1, ethers.utils.parseEther('5'))
+    await indexer.sync()
+
+    let listings = indexer.store.getListings({ seller: seller.address })
+    expect(listings.length).to.equal(2)
+    expect(indexer.store.getListing(itemId1.toString()).price).to.equal(
+      ethers.utils.parseEther('5').toString()
+    )
+
+    await marketplace.connect(seller).delistItem(itemId1)
+    await indexer.sync()
+    listings = indexer.store.getListings({ nftAddress: nft.address })
+    expect(listings.map((l) => l.tokenId)).to.deep.equal([tokenId2.toString()])
+  })
+
+  it('records sales and ownership changes', async () => {
+    const tokenId = await mint(seller, token1URI)
+    await nft.connect(seller).setTokenRoyalty(tokenId, 500)
+    const itemId = await list(seller, tokenId)
+    await marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: salePrice })
+    await indexer.sync()
+
+    expect(indexer.store.getListings()).to.deep.equal([])
+    expect(indexer.store.getOwner(nft.address, tokenId)).to.equal(buyer.address)
+    expect(indexer.store.getTokensByOwner(buyer.address).length).to.equal(1)
+    expect(indexer.store.getTokensByCreator(seller.address).length).to.equal(1)
+
+    const [sale] = indexer.store.getSales({ nftAddress: nft.address, tokenId })
+    expect(sale.buyer).to.equal(buyer.address)
+    expect(sale.seller).to.equal(seller.address)
+    expect(sale.price).to.equal(salePrice.toString())
+    expect(sale.royaltyAmount).to.equal(salePrice.mul(500).div(10000).toString())
+    expect(sale.feeToMarketplace).to.equal(salePrice.mul(250).div(10000).toString())
+  })
+
+  it('records auction and offer sales paid out through the marketplace', async () => {
+    const auctionHouse = await deployContract('AuctionHouse', marketplace.address)
+    const offerBook = await deployContract('OfferBook', marketplace.address)
+    const settlers = [auctionHouse.address, offerBook.address]
+    indexer = createIndexer({ marketplace, nfts: [nft], settlers })
+    const auctioned = await mint(seller, token1URI)
+    const offered = await mint(creator2, token2URI)
+
+    await nft.connect(seller).setApprovalForAll(auctionHouse.address, true)
+    const created = await (
+      await auctionHouse
+        .connect(seller)
+        .createEnglishAuction(nft.address, auctioned, salePrice, 1, 0, 3600, 0)
+    ).wait()
+    const { auctionId } = created.events.find((e) => e.event === 'AuctionCreated').args
+    await auctionHouse.connect(buyer).placeBid(auctionId, { value: salePrice })
+    await ethers.provider.send('evm_increaseTime', [3601])
+    await auctionHouse.settleAuction(auctionId)
+
+    const { timestamp } = await ethers.provider.getBlock('latest')
+    const offer = await (
+      await offerBook.connect(buyer).makeOffer(nft.address, offered, timestamp + 3600, {
+        value: salePrice,
+      })
+    ).wait()
+    const { offerId } = offer.events.find((e) => e.event === 'OfferCreated').args
+    await nft.connect(creator2).setApprovalForAll(offerBook.address, true)
+    await offerBook.connect(creator2).acceptOffer(offerId, offered)
+    await marketplace
+      .connect(buyer)
+      .payoutSale(nft.address, offered, creator2.address, { value: 1 })
+    await indexer.sync()
+
+    const sales = indexer.store.getSales({ buyer: buyer.address })
+    expect(sales.map((sale) => [sale.tokenId, sale.seller, sale.settledBy])).to.deep.equal([
+      [auctioned.toString(), seller.address, auctionHouse.address],
+      [offered.toString(), creator2.address, offerBook.address],
+    ])
+    expect(sales[0].price).to.equal(salePrice.toString())
+    expect(sales[1].feeToMarketplace).to.equal(salePrice.mul(250).div(10000).toString())
+
+    // the buyer comes from the settling transaction, not from the indexed token
+    const marketOnly = createIndexer({ marketplace, settlers })
+    await marketOnly.sync()
+    expect(marketOnly.store.getSales({ buyer: buyer.address })).to.have.lengthOf(2)
+
+    // the buyer's own payout is only recorded by an indexer told to trust it as a settler
+    const trusting = createIndexer({ marketplace, settlers: [...settlers, buyer.address] })
+    await trusting.sync()
+    expect(trusting.store.getSales({ seller: creator2.address })).to.have.lengthOf(2)
+    expect(indexer.store.getSales({ seller: creator2.address })).to.have.lengthOf(1)
+  })
+
+  it('records lazy-minted sales with the creator as seller', async () => {
+    const { chainId } = await ethers.provider.getNetwork()
+    const domain = getVoucherDomain(nft.address, chainId)
+    const { timestamp } = await ethers.provider.getBlock('latest')
+    const voucher = buildVoucher({
+      creator: seller.address,
+      uri: token1URI,
+      price: salePrice,
+      nonce: 1,
+      expiry: timestamp + 3600,
+    })
+    const signature = await signVoucher(seller, domain, voucher)
+    await marketplace
+      .connect(buyer)
+      .purchaseVoucher(nft.address, voucher, signature, { value: salePrice })
+    await indexer.sync()
+
+    const token = indexer.store.getToken(nft.address, 0)
+    expect(token.owner).to.equal(buyer.address)
+    expect(token.creator).to.equal(seller.address)
+    const [sale] = indexer.store.getSales({ buyer: buyer.address })
+    expect(sale.seller).to.equal(seller.address)
+    expect(sale.price).to.equal(salePrice.toString())
+  })
+
+  describe('signed orders', () => {
+    const signedOrder = async (tokenId) => {
+      const { chainId } = await ethers.provider.getNetwork()
+      const { timestamp } = await ethers.provider.getBlock('latest')
+      const order = buildOrder({
+        seller: seller.address,
+        nftAddress: nft.address,
+        tokenId,
+        price: salePrice,
+        nonce: 0,
+        expiry: timestamp + 3600,
+      })
+      const signature = await signOrder(seller, getOrderDomain(marketplace.address, chainId), order)
+      return { order, signature }
+    }
+
+    it('records sales with the token from the OrderFulfilled event', async () => {
+      const tokenId = await mint(seller, token1URI)
+      const { order, signature } = await signedOrder(tokenId)
+      await marketplace.connect(buyer).fulfillOrder(order, signature, { value: salePrice })
+      await indexer.sync()
+
+      const [sale] = indexer.store.getSales({ nftAddress: nft.address, tokenId })
+      expect(sale.itemId).to.equal(null)
+      expect(sale.seller).to.equal(seller.address)
+      expect(sale.buyer).to.equal(buyer.address)
+      expect(sale.feeToMarketplace).to.equal(salePrice.mul(250).div(10000).toString())
+      expect(indexer.store.getOwner(nft.address, tokenId)).to.equal(buyer.address)
+    })
+
+    it('records orders filled through a forwarder', async () => {
+      const forwarder = await deployContract('ArkivForwarder')
+      await marketplace.grantRole(await marketplace.FORWARDER_ROLE(), forwarder.address)
+      const tokenId = await mint(seller, token1URI)
+      const { order, signature } = await signedOrder(tokenId)
+      const forwarded = await signForwardedCall(
+        buyer,
+        forwarder,
+        marketplace,
+        'fulfillOrder',
+        [order, signature],
+        { value: salePrice }
+      )
+      await forwarder
+        .connect(creator2)
+        .execute(forwarded.request, forwarded.signature, { value: salePrice })
+      await indexer.sync()
+
+      const [sale] = indexer.store.getSales({ nftAddress: nft.address, tokenId })
+      expect(sale.buyer).to.equal(buyer.address)
+      expect(sale.price).to.equal(salePrice.toString())
+      expect(indexer.store.getOwner(nft.address, tokenId)).to.equal(buyer.address)
+    })
+  })
+
+  it('keeps edition listings active until every copy is sold', async () => {
+    const Editions = await ethers.getContractFactory('Editions')
+    const editions = await Editions.deploy(marketplace.address)
+    await editions.deployed()
+    await editions.addToWhitelist(seller.address)
+    await editions.connect(seller).createEdition(seller.address, 5, token1URI, 0)
+    await marketplace
+      .connect(seller)
+      .listEdition(editions.address, 0, 3, salePrice, ethers.constants.AddressZero, 0)
+    await marketplace.connect(buyer).purchaseEdition(0, 2, { value: salePrice.mul(2) })
+    await indexer.sync()
+
+    const [listing] = indexer.store.getListings()
+    expect(listing.quantity).to.equal('1')
+    const [sale] = indexer.store.getSales({ buyer: buyer.address })
+    expect(sale.quantity).to.equal('2')
+    expect(sale.price).to.equal(salePrice.mul(2).toString())
+
+    await marketplace.connect(buyer).purchaseEdition(0, 1, { value: salePrice })
+    await indexer.sync()
+    expect(indexer.store.getListings()).to.deep.equal([])
+  })
+
+  it('indexes editions with their creator and supply until every copy is burned', async () => {
+    const editions = await deployContract('Editions', marketplace.address)
+    await editions.addToWhitelist(seller.address)
+    indexer = createIndexer({ marketplace, nfts: [nft, editions] })
+    const created = await (
+      await editions.connect(seller).createEdition(seller.address, 3, token1URI, 0)
+    ).wait()
+    const { _tokenId } = created.events.find((e) => e.event === 'EditionCreated').args
+    await editions.connect(seller).burn(seller.address, _tokenId, 1)
+    await indexer.sync()
+
+    const token = indexer.store.getToken(editions.address, _tokenId)
+    expect([token.creator, token.uri, token.supply]).to.deep.equal([seller.address, token1URI, '2'])
+
+    await editions.connect(seller).burn(seller.address, _tokenId, 2)
+    await indexer.sync()
+    expect(indexer.store.getToken(editions.address, _tokenId)).to.equal(undefined)
+  })
+
+  it('finds edition copies by holder and by creator', async () => {
+    const editions = await deployContract('Editions', marketplace.address)
+    await editions.addToWhitelist(seller.address)
+    indexer = createIndexer({ marketplace, nfts: [nft, editions] })
+    await mint(creator2, token2URI)
+    const created = await (
+      await editions.connect(seller).createEdition(seller.address, 3, token1URI, 0)
+    ).wait()
+    const { _tokenId } = created.events.find((e) => e.event === 'EditionCreated').args
+    await editions
+      .connect(seller)
+      .safeBatchTransferFrom(seller.address, buyer.address, [_tokenId], [2], '0x')
+    await editions
+      .connect(buyer)
+      .safeTransferFrom(buyer.address, creator2.address, _tokenId, 1, '0x')
+    await indexer.sync()
+
+    const { store } = indexer
+    expect(store.getToken(editions.address, _tokenId).balances).to.deep.equal({
+      [seller.address]: '1',
+      [buyer.address]: '1',
+      [creator2.address]: '1',
+    })
+    for (const holder of [seller, buyer, creator2]) {
+      expect(
+        store.getTokensByOwner(holder.address).filter((t) => t.nftAddress === editions.address)
+      ).to.have.lengthOf(1)
+    }
+    expect(store.getTokensByOwner(creator2.address)).to.have.lengthOf(2)
+    expect(store.getTokensByCreator(seller.address).map((t) => t.nftAddress)).to.deep.equal([
+      editions.address,
+    ])
+    expect(store.getTokensByOwner(contractOwner.address)).to.deep.equal([])
+
+    // records without a creator, as for tokens minted before the sync start, are skipped
+    store.putToken({ nftAddress: nft.address, tokenId: '99', owner: buyer.address })
+    expect(store.getTokensByCreator(creator2.address)).to.have.lengthOf(1)
+  })
+
+  it('indexes metadata updates, burns and whitelist changes', async () => {
+    const tokenId1 = await mint(seller, token1URI)
+    const tokenId2 = await mint(creator2, token1URI)
+    await nft.connect(seller).updateTokenMetadata(tokenId1, token2URI)
+    await nft.connect(creator2).burn(tokenId2)
+    await nft.removeFromWhitelist(creator2.address)
+    await indexer.sync()
+
+    expect(indexer.store.getToken(nft.address, tokenId1).uri).to.equal(token2URI)
+    expect(indexer.store.getToken(nft.address, tokenId2)).to.equal(undefined)
+    expect(indexer.store.getWhitelist()).to.deep.equal([seller.address])
+  })
+
+  it('resumes from the last indexed block and persists to a JSON file', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arkiv-indexer-'))
+    const file = path.join(tmpDir, 'index.json')
+    try {
+      const start = await ethers.provider.getBlockNumber()
+      indexer = createIndexer({ marketplace, nfts: [nft], store: createJsonStore(file) })
+      await mint(seller, token1URI)
+      expect(await indexer.sync({ fromBlock: start })).to.be.gt(0)
+      expect(await indexer.sync()).to.equal(0)
+
+      await mint(seller, token2URI)
+      const reloaded = createIndexer({ marketplace, nfts: [nft], store: createJsonStore(file) })
+      await reloaded.sync()
+      expect(reloaded.store.getTokensByOwner(seller.address).length).to.equal(2)
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true })
+    }
+  })
+})
@@ -0,0 +1,50 @@
+const { expect } = require('chai')
+const hre = require('hardhat')
+const { Simulation, generateActions, simulate } = require('../utils/simulator')
+
+describe('Invariants', () => {
+  // fixed seeds, so the suite and its gas report are the same on every run
+  const SEEDS = [1, 2, 3]
+  let sim
+
+  before(async () => {
+    sim = await Simulation.deploy(hre)
+  })
+
+  const describeFailure = ({ seed, reproduction: { steps, failure } }) =>
+    `seed ${seed} broke "${failure.invariant}": ${failure.message}\n  ${steps.join('\n  ')}`
+
+  for (const seed of SEEDS) {
+    it(`holds every invariant across a random sequence with seed ${seed}`, async () => {
+      const result = await simulate(hre, { seed, steps: 40, sim })
+      expect(result.failure, result.failure && describeFailure(result)).to.equal(undefined)
+      expect(result.steps).to.have.lengthOf(40)
+    })
+  }
+
+  it('generates the same actions from the same seed', () => {
+    expect(generateActions(7, 20)).to.deep.equal(generateActions(7, 20))
+    expect(generateActions(7, 20)).to.not.deep.equal(generateActions(8, 20))
+  })
+
+  it('shrinks a failing sequence to the steps that break the invariant', async () => {
+    const noBurns = {
+      name: 'tokens are never burned',
+      check: async (s) => (s.model.burned > 0 ? 'a token was burned' : undefined),
+    }
+    const failing = await Simulation.deploy(hre, { invariants: [noBurns] })
+    const result = await simulate(hre, { seed: 1, steps: 40, sim: failing })
+
+    expect(result.failure.invariant).to.equal('tokens are never burned')
+    const { actions, steps, failure } = result.reproduction
+    expect(actions.map((a) => a.type)).to.deep.equal(['mint', 'burn'])
+    expect(steps[1]).to.match(/^actor\d burns token \d+$/)
+    expect(failure.step).to.equal(1)
+    expect((await failing.run(actions)).failure.invariant).to.equal('tokens are never burned')
+  })
+
+  it('runs the simulation from the market:simulate task', async () => {
+    const { seed } = await hre.run('market:simulate', { seed: 4, steps: 10 })
+    expect(seed).to.equal(4)
+  })
+})
@@ -0,0 +1,215 @@
+const { constants, expectRevert } = require('@openzeppelin/test-helpers')
+const { ZERO_ADDRESS } = constants
+const { expect } = require('chai')
+const hre = require('hardhat')
+const { ethers } = hre
+const { ArkivClient, InvalidListingError } = require('..')
+const { deployMarket, mintToken } = require('./helpers/fixtures')
+
+describe('Listing validity', () => {
+  let marketplace
+  let nft
+  let tokenId
+  let contractOwner, seller, buyer, stranger
+  const price = ethers.utils.parseEther('1')
+  const provider = ethers.provider
+  const HOUR = 3600
+
+  const increaseTime = async (seconds) => {
+    await provider.send('evm_increaseTime', [seconds])
+    await provider.send('evm_mine', [])
+  }
+
+  const latestTimestamp = async () => (await provider.getBlock('latest')).timestamp
+
+  const list = async (id = tokenId, expiry = 0, from = seller) => {
+    const receipt = await (
+      await marketplace
+        .connect(from)
+        .listItemWithExpiry(nft.address, id, price, ZERO_ADDRESS, expiry)
+    ).wait()
+    return receipt.events.find((e) => e.event === 'ItemListed').args.itemId
+  }
+
+  beforeEach(async () => {
+    ;[contractOwner, seller, buyer, stranger] = await ethers.getSigners()
+    ;({ marketplace, nft } = await deployMarket())
+    tokenId = await mintToken(nft, seller)
+  })
+
+  describe('Listing', () => {
+    it('reverts if the marketplace is not approved for the token', async () => {
+      await nft.connect(seller).setApprovalForAll(marketplace.address, false)
+      await expectRevert(
+        marketplace.connect(seller).listItem(nft.address, tokenId, price),
+        'Marketplace is not approved for token'
+      )
+
+      await nft.connect(seller).approve(marketplace.address, tokenId)
+      await marketplace.connect(seller).listItem(nft.address, tokenId, price)
+    })
+
+    it('reverts with a zero price or an expiry in the past', async () => {
+      await expectRevert(
+        marketplace.connect(seller).listItem(nft.address, tokenId, 0),
+        'Price must be greater than zero.'
+      )
+      await expectRevert(list(tokenId, await latestTimestamp()), 'Expiry must be in the future.')
+    })
+
+    it('reverts if the token is already listed', async () => {
+      await list()
+      await expectRevert(list(), 'Token is already listed.')
+    })
+
+    it('reuses the itemId when a token is listed again', async () => {
+      const itemId = await list()
+      await marketplace.connect(seller).delistItem(itemId)
+      expect(await list()).to.equal(itemId)
+
+      await marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: price })
+      await nft.connect(buyer).setApprovalForAll(marketplace.address, true)
+      expect(await list(tokenId, 0, buyer)).to.equal(itemId)
+
+      const [exists, slotItemId] = await marketplace.getItemIdForToken(
+        nft.address,
+        tokenId,
+        ZERO_ADDRESS
+      )
+      expect(exists).to.equal(true)
+      expect(slotItemId).to.equal(itemId)
+      const [listed] = await marketplace.getItemsByOwner(seller.address, 0, 10)
+      expect(listed).to.have.length(0)
+    })
+
+    it('reverts a price update to zero', async () => {
+      const itemId = await list()
+      await expectRevert(
+        marketplace.connect(seller).updateListPrice(itemId, 0),
+        'Price must be greater than zero.'
+      )
+    })
+  })
+
+  describe('Expiry', () => {
+    it('cannot be bought once expired', async () => {
+      const expiry = (await latestTimestamp()) + HOUR
+      const itemId = await list(tokenId, expiry)
+      expect((await marketplace.getItemById(itemId)).expiry).to.equal(expiry)
+
+      await increaseTime(HOUR)
+      await expectRevert(
+        marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: price }),
+        'Listing has expired.'
+      )
+      const [valid, reason] = await marketplace.isListingValid(itemId)
+      expect(valid).to.equal(false)
+      expect(reason).to.equal('Listing has expired.')
+    })
+
+    it('lets the seller relist an expired token', async () => {
+      const itemId = await list(tokenId, (await latestTimestamp()) + HOUR)
+      await increaseTime(HOUR)
+      await expectRevert(list(), 'Token is already listed.')
+
+      await marketplace.connect(stranger).invalidateListing(itemId)
+      expect(await list()).to.equal(itemId)
+      await marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: price })
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address)
+    })
+  })
+
+  describe('Stale listings', () => {
+    let itemId
+
+    beforeEach(async () => {
+      itemId = await list()
+    })
+
+    it('are dropped when the token is transferred outside the marketplace', async () => {
+      await expect(nft.connect(seller).transferFrom(seller.address, stranger.address, tokenId))
+        .to.emit(marketplace, 'ListingInvalidated')
+        .withArgs(itemId)
+
+      expect((await marketplace.getItemById(itemId)).isListed).to.equal(false)
+      const [, total] = await marketplace.getListedItems(0, 10)
+      expect(total).to.equal(0)
+      await expectRevert(
+        marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: price }),
+        'Item requested is not for sale.'
+      )
+    })
+
+    it('are dropped when the token is burned', async () => {
+      await expect(nft.connect(seller).burn(tokenId))
+        .to.emit(marketplace, 'ListingInvalidated')
+        .withArgs(itemId)
+    })
+
+    it('lets the new holder list the token', async () => {
+      await nft.connect(seller).transferToken(seller.address, stranger.address, tokenId)
+      await nft.connect(stranger).setApprovalForAll(marketplace.address, true)
+      expect(await list(tokenId, 0, stranger)).to.equal(itemId)
+      expect((await marketplace.getItemById(itemId)).owner).to.equal(stranger.address)
+    })
+
+    it('cannot be bought after the approval is revoked, and can be dropped by anyone', async () => {
+      await nft.connect(seller).setApprovalForAll(marketplace.address, false)
+      await expectRevert(
+        marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: price }),
+        'Marketplace is not approved for token'
+      )
+
+      await expect(marketplace.connect(stranger).invalidateListing(itemId))
+        .to.emit(marketplace, 'ListingInvalidated')
+        .withArgs(itemId)
+      expect((await marketplace.getItemById(itemId)).isListed).to.equal(false)
+    })
+
+    it('reverts invalidating a listing that can still be bought', async () => {
+      await expectRevert(
+        marketplace.connect(stranger).invalidateListing(itemId),
+        'Listing is still valid.'
+      )
+      await marketplace.connect(seller).delistItem(itemId)
+      await expectRevert(
+        marketplace.connect(stranger).invalidateListing(itemId),
+        'Item is not listed.'
+      )
+    })
+
+    it('ignores transfer notifications for tokens that are not listed', async () => {
+      await expect(marketplace.connect(stranger).onTokenTransfer(tokenId)).to.not.emit(
+        marketplace,
+        'ListingInvalidated'
+      )
+      expect((await marketplace.getItemById(itemId)).isListed).to.equal(true)
+    })
+  })
+
+  describe('ArkivClient', () => {
+    const clientFor = (signer) =>
+      new ArkivClient({ signer, marketplaceAddress: marketplace.address, nftAddress: nft.address })
+
+    it('lists with an expiry and reports why a listing is invalid', async () => {
+      const expiry = (await latestTimestamp()) + HOUR
+      const { itemId } = await clientFor(seller).list({ tokenId, price, expiry })
+      const listing = await clientFor(buyer).getListing(itemId)
+      expect(listing.expiry).to.equal(expiry)
+      expect(await clientFor(buyer).checkListing(itemId)).to.deep.equal({ valid: true, reason: '' })
+
+      await increaseTime(HOUR)
+      expect(await clientFor(buyer).checkListing(itemId)).to.deep.equal({
+        valid: false,
+        reason: 'Listing has expired.',
+      })
+      let error
+      try {
+        await clientFor(buyer).buy(itemId)
+      } catch (err) {
+        error = err
+      }
+      expect(error).to.be.instanceOf(InvalidListingError)
+    })
+  })
+})
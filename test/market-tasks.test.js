@@ -0,0 +1,200 @@
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const hre = require('hardhat')
+const { deploy } = require('../scripts/deploy')
+
+describe('Marketplace tasks', () => {
+  const { ethers } = hre
+  const tokenURI = 'https://ipfs.io/ipfs/QmXmNSH2dyp5R6dkW5MVhNc7xqV9v3NHWxNXJfCL6CcYxS'
+  let tmpDir
+  let marketplace
+  let nft
+  let seller, buyer
+  let tokenId
+
+  beforeEach(async () => {
+    ;[, seller, buyer] = await ethers.getSigners()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arkiv-deployments-'))
+    process.env.DEPLOYMENTS_DIR = tmpDir
+    ;({ marketplace, nft } = await deploy(hre))
+
+    await nft.addToWhitelist(seller.address)
+    const txn = await (await nft.connect(seller).mint(seller.address, tokenURI)).wait()
+    tokenId = txn.events[0].args.tokenId
+  })
+
+  afterEach(() => {
+    delete process.env.DEPLOYMENTS_DIR
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  const list = (price = '10') =>
+    hre.run('market:list', { token: tokenId.toString(), price, account: 1 })
+
+  it('lists an item with a price in ETH and decodes the ItemListed event', async () => {
+    const { events } = await list('1.5')
+    const listed = events.find((e) => e.name === 'ItemListed')
+    expect(listed.args.tokenId).to.equal(tokenId)
+    expect(listed.args.price).to.equal(ethers.utils.parseEther('1.5'))
+  })
+
+  it('does not send a transaction on a dry run', async () => {
+    const { result, receipt } = await hre.run('market:list', {
+      token: tokenId.toString(),
+      price: '1',
+      account: 1,
+      dryRun: true,
+    })
+    expect(result).to.equal(0)
+    expect(receipt).to.equal(undefined)
+    expect((await marketplace.getListedItems(0, 10)).total).to.equal(0)
+  })
+
+  it('fails the static call before sending when the caller does not own the token', async () => {
+    let error
+    try {
+      await hre.run('market:list', { token: tokenId.toString(), price: '1', account: 2 })
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.contain('Caller does not own token')
+  })
+
+  it('updates the list price and delists an item', async () => {
+    await list()
+    await hre.run('market:update-price', { item: '0', price: '2', account: 1 })
+    expect((await marketplace.getItemById(0)).price).to.equal(ethers.utils.parseEther('2'))
+
+    await hre.run('market:delist', { item: '0', account: 1 })
+    expect((await marketplace.getItemById(0)).isListed).to.equal(false)
+  })
+
+  it('schedules a protocol fee from a percentage and applies it after the timelock', async () => {
+    await hre.run('market:update-fee', { fee: '1.75', account: 0 })
+    expect((await marketplace.getPendingProtocolFee()).fee).to.equal(175)
+
+    let error
+    try {
+      await hre.run('market:apply-fee', { account: 0 })
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.contain('Protocol fee change is timelocked.')
+
+    const delay = await marketplace.PROTOCOL_FEE_DELAY()
+    await ethers.provider.send('evm_increaseTime', [delay.toNumber()])
+    await ethers.provider.send('evm_mine', [])
+    await hre.run('market:apply-fee', { account: 1 })
+    expect(await marketplace.protocolFee()).to.equal(175)
+  })
+
+  it('refuses a protocol fee above the contract maximum before calling it', async () => {
+    let error
+    try {
+      await hre.run('market:update-fee', { fee: '10.5', account: 0 })
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.equal('Percentage must be between 0 and 10, got 10.5')
+    expect((await marketplace.getPendingProtocolFee()).effectiveTime).to.equal(0)
+  })
+
+  it('lists and purchases an item priced in an ERC-20 token', async () => {
+    const MockERC20 = await ethers.getContractFactory('MockERC20')
+    const usdc = await MockERC20.deploy('USD Coin', 'USDC', 6)
+    await usdc.mint(buyer.address, ethers.utils.parseUnits('100', 6))
+    await marketplace.setPaymentTokenAllowed(usdc.address, true)
+
+    await hre.run('market:list', {
+      token: tokenId.toString(),
+      price: '25.5',
+      paymentToken: usdc.address,
+      account: 1,
+    })
+    const item = await marketplace.getItemById(0)
+    expect(item.price).to.equal(ethers.utils.parseUnits('25.5', 6))
+    expect(item.paymentToken).to.equal(usdc.address)
+
+    const { split } = await hre.run('market:purchase', { item: '0', account: 2 })
+    expect(split.paymentToken).to.equal(usdc.address)
+    expect(await nft.ownerOf(tokenId)).to.equal(buyer.address)
+    expect(await usdc.balanceOf(seller.address)).to.equal(
+      split.proceedsToSeller.add(split.royaltyAmount)
+    )
+  })
+
+  it('purchases an item and reports the fee, royalty and seller split', async () => {
+    await nft.connect(seller).setTokenRoyalty(tokenId, 500)
+    await list()
+    const { split, events } = await hre.run('market:purchase', { item: '0', account: 2 })
+
+    const price = ethers.utils.parseEther('10')
+    expect(split.feeToMarketplace).to.equal(price.mul(250).div(10000))
+    expect(split.royaltyAmount).to.equal(price.mul(500).div(10000))
+    expect(split.royaltyReceiver).to.equal(seller.address)
+    expect(split.proceedsToSeller).to.equal(
+      price.sub(split.feeToMarketplace).sub(split.royaltyAmount)
+    )
+    expect(events.find((e) => e.name === 'Transfer').args.to).to.equal(buyer.address)
+    expect(await nft.ownerOf(tokenId)).to.equal(buyer.address)
+  })
+
+  it('purchases a third-party NFT that only reports its royalty through ERC-2981', async () => {
+    const [, , , royaltyReceiver] = await ethers.getSigners()
+    const ERC2981NFTMock = await ethers.getContractFactory('ERC2981NFTMock')
+    const external = await ERC2981NFTMock.deploy()
+    await external.mint(seller.address, 7)
+    await external.setDefaultRoyalty(royaltyReceiver.address, 1000)
+    await external.connect(seller).setApprovalForAll(marketplace.address, true)
+    await marketplace.connect(seller).listItem(external.address, 7, ethers.utils.parseEther('10'))
+
+    const { split } = await hre.run('market:purchase', { item: '0', account: 2 })
+    expect(split.royaltyReceiver).to.equal(royaltyReceiver.address)
+    expect(split.royaltyAmount).to.equal(ethers.utils.parseEther('1'))
+    expect(split.royalties).to.deep.equal([
+      { receiver: royaltyReceiver.address, amount: ethers.utils.parseEther('1') },
+    ])
+    expect(await external.ownerOf(7)).to.equal(buyer.address)
+    expect(await marketplace.pendingWithdrawal(royaltyReceiver.address)).to.equal(
+      split.royaltyAmount
+    )
+  })
+
+  it('purchases third-party NFTs without a royalty, paying none', async () => {
+    const price = ethers.utils.parseEther('10')
+    const ERC2981NFTMock = await ethers.getContractFactory('ERC2981NFTMock')
+    const ERC721Mock = await ethers.getContractFactory('ERC721Mock')
+    // one reports a zero royalty through ERC-2981, the other has no royaltyInfo at all
+    for (const [itemId, external] of [
+      await ERC2981NFTMock.deploy(),
+      await ERC721Mock.deploy(),
+    ].entries()) {
+      await external.mint(seller.address, 7)
+      await external.connect(seller).setApprovalForAll(marketplace.address, true)
+      await marketplace.connect(seller).listItem(external.address, 7, price)
+
+      const { split } = await hre.run('market:purchase', { item: String(itemId), account: 2 })
+      expect(split.royalties).to.deep.equal([])
+      expect(split.royaltyReceiver).to.equal(ethers.constants.AddressZero)
+      expect(split.royaltyAmount).to.equal(0)
+      expect(split.proceedsToSeller).to.equal(price.sub(split.feeToMarketplace))
+      expect(await external.ownerOf(7)).to.equal(buyer.address)
+    }
+    expect(await marketplace.pendingWithdrawal(seller.address)).to.equal(
+      price.mul(2).mul(9750).div(10000)
+    )
+  })
+
+  it('withdraws the proceeds credited to the seller', async () => {
+    await list()
+    await hre.run('market:purchase', { item: '0', account: 2 })
+
+    const price = ethers.utils.parseEther('10')
+    const { amount, events } = await hre.run('market:withdraw', { account: 1 })
+    expect(amount).to.equal(price.sub(price.mul(250).div(10000)))
+    expect(events.find((e) => e.name === 'Withdrawal').args.payee).to.equal(seller.address)
+    expect(await marketplace.pendingWithdrawal(seller.address)).to.equal(0)
+  })
+})
@@ -1,6 +1,10 @@
 const { BN, constants, expectRevert } = require('@openzeppelin/test-helpers')
 const { expect } = require('chai')
-const { ethers } = require('hardhat')
+const hre = require('hardhat')
+const { ethers } = hre
+const { deployProxy } = require('../utils/upgrades')
+const { deployMarket, mintToken, mintAndList } = require('./helpers/fixtures')
+const { expectSaleSplit, saleSplit } = require('./helpers/fees')
 
 describe('Marketplace', () => {
   let marketplace
@@ -10,17 +14,10 @@ describe('Marketplace', () => {
   let salePrice = ethers.BigNumber.from(ethers.utils.parseEther('10'))
   const provider = ethers.provider
   const token1URI = 'https://ipfs.io/ipfs/QmXmNSH2dyp5R6dkW5MVhNc7xqV9v3NHWxNXJfCL6CcYxS'
-  const token2URI = 'https://ipfs.io/ipfs/QmQ35DkX8HHjhkJe5MsMAd4X51iP3MHV5d5dZoee32J83k'
 
   beforeEach(async () => {
     ;[contractOwner, seller, buyer] = await ethers.getSigners()
-    const Marketplace = await ethers.getContractFactory('Marketplace')
-    marketplace = await Marketplace.deploy(protocolFee)
-    await marketplace.deployed()
-
-    const NFT = await ethers.getContractFactory('NFT')
-    nft = await NFT.deploy(marketplace.address)
-    await nft.deployed()
+    ;({ marketplace, nft } = await deployMarket({ protocolFee }))
   })
 
   describe('Deployment', () => {
@@ -36,10 +33,7 @@ describe('Marketplace', () => {
     let tokenId
     let itemId
     beforeEach(async () => {
-      await nft.addToWhitelist(seller.address)
-      const token = await nft.connect(seller).mint(seller.address, token1URI)
-      const txn = await token.wait()
-      tokenId = txn.events[0].args.tokenId
+      tokenId = await mintToken(nft, seller)
     })
 
     it('allows owner of token to list item for sale', async () => {
@@ -61,22 +55,16 @@ describe('Marketplace', () => {
   describe('purchaseItem', () => {
     let tokenId
     let itemId
-    const feeToMarketplace = salePrice.mul(protocolFee).div(10000)
-    const royaltyToCreator = salePrice.mul(royaltyAmount).div(10000)
-    const revenueToSeller = salePrice.sub(feeToMarketplace).sub(royaltyToCreator)
+    const {
+      fee: feeToMarketplace,
+      royalty: royaltyToCreator,
+      proceeds: revenueToSeller,
+    } = saleSplit(salePrice, { protocolFee, royalty: royaltyAmount })
 
     beforeEach(async () => {
-      await nft.addToWhitelist(seller.address)
-      const token = await nft.connect(seller).mint(seller.address, token1URI)
-      let txn = await token.wait()
-      tokenId = txn.events[0].args.tokenId
-
-      txn = await marketplace.connect(seller).listItem(nft.address, tokenId, salePrice)
-      const receipt = await txn.wait()
-      itemId = receipt.events[0].args.itemId
-
-      await nft.connect(seller).setApprovalForAll(marketplace.address, true)
-      await nft.connect(seller).setTokenRoyalty(tokenId, royaltyAmount)
+      ;({ tokenId, itemId } = await mintAndList(marketplace, nft, seller, salePrice, {
+        royalty: royaltyAmount,
+      }))
     })
 
     it('transfers token to buyer', async () => {
@@ -85,26 +73,50 @@ describe('Marketplace', () => {
       expect(await nft.balanceOf(buyer.address)).to.equal(1)
     })
 
-    it('transfers sale price to seller of item', async () => {
-      const sellerBalance = await provider.getBalance(seller.address)
+    it('credits sale proceeds and royalties to the seller who created the token', async () => {
       await marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: salePrice })
-      const newSellerBalance = await provider.getBalance(seller.address)
-      expect(newSellerBalance.sub(sellerBalance)).to.be.gte(revenueToSeller)
+      expect(await marketplace.pendingWithdrawal(seller.address)).to.equal(
+        revenueToSeller.add(royaltyToCreator)
+      )
     })
 
-    it('transfers royalties to the creator of the token', async () => {
-      const creator = await nft.tokenCreator(tokenId)
-      const creatorBalance = await provider.getBalance(creator)
+    it('credits marketplace fee to contract owner', async () => {
       await marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: salePrice })
-      const newCreatorBalance = await provider.getBalance(creator)
-      expect(newCreatorBalance.sub(creatorBalance)).to.be.gte(royaltyToCreator)
+      expect(await marketplace.pendingWithdrawal(contractOwner.address)).to.equal(feeToMarketplace)
+    })
+
+    it('splits the sale price between the fee, the royalty and the seller', async () => {
+      await expectSaleSplit(
+        marketplace,
+        () => marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: salePrice }),
+        {
+          price: salePrice,
+          protocolFee,
+          royalty: royaltyAmount,
+          seller,
+          royaltyReceiver: seller,
+          feeRecipient: contractOwner,
+        }
+      )
     })
 
-    it('transfers marketplace fee to contract owner', async () => {
-      const marketplaceBalance = await provider.getBalance(contractOwner.address)
+    it('emits a PaymentCredited event for each payee', async () => {
+      await expect(
+        marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: salePrice })
+      )
+        .to.emit(marketplace, 'PaymentCredited')
+        .withArgs(contractOwner.address, feeToMarketplace)
+        .and.to.emit(marketplace, 'PaymentCredited')
+        .withArgs(seller.address, royaltyToCreator)
+        .and.to.emit(marketplace, 'PaymentCredited')
+        .withArgs(seller.address, revenueToSeller)
+    })
+
+    it('does not push ether to payees during the sale', async () => {
+      const sellerBalance = await provider.getBalance(seller.address)
       await marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: salePrice })
-      const newMarketplaceBalance = await provider.getBalance(contractOwner.address)
-      expect(newMarketplaceBalance.sub(marketplaceBalance)).to.be.gte(feeToMarketplace)
+      expect(await provider.getBalance(seller.address)).to.equal(sellerBalance)
+      expect(await provider.getBalance(marketplace.address)).to.equal(salePrice)
     })
 
     it('changes item listed status to false', async () => {
@@ -119,6 +131,32 @@ describe('Marketplace', () => {
       expect(item['owner']).to.equal(buyer.address)
     })
 
+    it('emits an ItemSold event with the fee and royalty split', async () => {
+      await expect(
+        marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: salePrice })
+      )
+        .to.emit(marketplace, 'ItemSold')
+        .withArgs(
+          nft.address,
+          tokenId,
+          itemId,
+          seller.address,
+          buyer.address,
+          salePrice,
+          feeToMarketplace,
+          seller.address,
+          royaltyToCreator,
+          1
+        )
+    })
+
+    it('reverts if the item is not from the given NFT contract', async () => {
+      await expectRevert(
+        marketplace.connect(buyer).purchaseItem(buyer.address, itemId, { value: salePrice }),
+        'Item is not from this NFT contract.'
+      )
+    })
+
     it('reverts if ether sent does not equal to the salePrice', async () => {
       let incorrectSalePrice = ethers.BigNumber.from(ethers.utils.parseEther('9'))
       await expectRevert(
@@ -136,18 +174,91 @@ describe('Marketplace', () => {
     })
   })
 
+  describe('Withdrawals', () => {
+    const { fee: feeToMarketplace, royalty: royaltyToCreator } = saleSplit(salePrice, {
+      protocolFee,
+      royalty: royaltyAmount,
+    })
+    // first token and item on the fresh contracts
+    const tokenId = 0
+    const itemId = 0
+    let receiver
+
+    beforeEach(async () => {
+      const RevertingReceiver = await ethers.getContractFactory('RevertingReceiver')
+      receiver = await RevertingReceiver.deploy()
+      await receiver.deployed()
+      await nft.addToWhitelist(receiver.address)
+
+      // the receiver mints as creator so it is paid royalties, then hands the token to the seller
+      const mintData = nft.interface.encodeFunctionData('mint', [receiver.address, token1URI])
+      await receiver.execute(nft.address, mintData)
+      await receiver.execute(
+        nft.address,
+        nft.interface.encodeFunctionData('setTokenRoyalty', [tokenId, royaltyAmount])
+      )
+      await receiver.execute(
+        nft.address,
+        nft.interface.encodeFunctionData('transferFrom', [
+          receiver.address,
+          seller.address,
+          tokenId,
+        ])
+      )
+
+      await nft.connect(seller).setApprovalForAll(marketplace.address, true)
+      await marketplace.connect(seller).listItem(nft.address, tokenId, salePrice)
+    })
+
+    it('does not let a royalty receiver that rejects ether block the sale', async () => {
+      await expectSaleSplit(
+        marketplace,
+        () => marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: salePrice }),
+        {
+          price: salePrice,
+          protocolFee,
+          royalty: royaltyAmount,
+          seller,
+          royaltyReceiver: receiver.address,
+          feeRecipient: contractOwner,
+        }
+      )
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address)
+    })
+
+    it('pays the caller what they are owed on withdraw', async () => {
+      await marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: salePrice })
+      const balance = await provider.getBalance(contractOwner.address)
+      const receipt = await (await marketplace.withdraw()).wait()
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice)
+      expect(await provider.getBalance(contractOwner.address)).to.equal(
+        balance.add(feeToMarketplace).sub(gasCost)
+      )
+      expect(await marketplace.pendingWithdrawal(contractOwner.address)).to.equal(0)
+    })
+
+    it('emits a Withdrawal event', async () => {
+      await marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: salePrice })
+      await expect(marketplace.withdraw())
+        .to.emit(marketplace, 'Withdrawal')
+        .withArgs(contractOwner.address, feeToMarketplace)
+    })
+
+    it('keeps the credit when the payee rejects the withdrawal', async () => {
+      await marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: salePrice })
+      await expectRevert(
+        receiver.execute(marketplace.address, marketplace.interface.encodeFunctionData('withdraw')),
+        'RevertingReceiver: call failed'
+      )
+      expect(await marketplace.pendingWithdrawal(receiver.address)).to.equal(royaltyToCreator)
+    })
+  })
+
   describe('Delisting', () => {
     let tokenId
     let itemId
     beforeEach(async () => {
-      await nft.addToWhitelist(seller.address)
-      const token = await nft.connect(seller).mint(seller.address, token1URI)
-      let txn = await token.wait()
-      tokenId = txn.events[0].args.tokenId
-
-      txn = await marketplace.connect(seller).listItem(nft.address, tokenId, salePrice)
-      const receipt = await txn.wait()
-      itemId = receipt.events[0].args.itemId
+      ;({ tokenId, itemId } = await mintAndList(marketplace, nft, seller, salePrice))
     })
 
     it('successfully delists listed item', async () => {
@@ -156,6 +267,12 @@ describe('Marketplace', () => {
       expect(item['isListed']).to.equal(false)
     })
 
+    it('emits an ItemDelisted event', async () => {
+      await expect(marketplace.connect(seller).delistItem(itemId))
+        .to.emit(marketplace, 'ItemDelisted')
+        .withArgs(itemId)
+    })
+
     it('reverts if caller is not the owner of item', async () => {
       await expectRevert(marketplace.delistItem(itemId), 'Caller is not item owner')
     })
@@ -171,14 +288,7 @@ describe('Marketplace', () => {
     let itemId
     let newPrice = ethers.BigNumber.from(ethers.utils.parseEther('5'))
     beforeEach(async () => {
-      await nft.addToWhitelist(seller.address)
-      const token = await nft.connect(seller).mint(seller.address, token1URI)
-      let txn = await token.wait()
-      tokenId = txn.events[0].args.tokenId
-
-      txn = await marketplace.connect(seller).listItem(nft.address, tokenId, salePrice)
-      const receipt = await txn.wait()
-      itemId = receipt.events[0].args.itemId
+      ;({ tokenId, itemId } = await mintAndList(marketplace, nft, seller, salePrice))
     })
 
     it('updates listing price successfully', async () => {
@@ -187,6 +297,12 @@ describe('Marketplace', () => {
       expect(item['price']).to.equal(newPrice)
     })
 
+    it('emits a ListPriceUpdated event', async () => {
+      await expect(marketplace.connect(seller).updateListPrice(itemId, newPrice))
+        .to.emit(marketplace, 'ListPriceUpdated')
+        .withArgs(itemId, newPrice)
+    })
+
     it('reverts if caller is not owner of item', async () => {
       await expectRevert(marketplace.updateListPrice(itemId, newPrice), 'Caller is not item owner')
     })
@@ -194,15 +310,67 @@ describe('Marketplace', () => {
 
   describe('Updating marketplace fees', () => {
     let newProtocolFee = ethers.BigNumber.from(150)
-    it('updates marketplace fees successfully', async () => {
-      await marketplace.updateProtocolFee(newProtocolFee)
+    let delay
+
+    beforeEach(async () => {
+      delay = (await marketplace.PROTOCOL_FEE_DELAY()).toNumber()
+    })
+
+    it('schedules a fee change and applies it once the timelock passes', async () => {
+      const txn = await marketplace.scheduleProtocolFee(newProtocolFee)
+      const { timestamp } = await provider.getBlock(txn.blockNumber)
+      await expect(txn)
+        .to.emit(marketplace, 'ProtocolFeeChangeScheduled')
+        .withArgs(newProtocolFee, timestamp + delay)
+      expect(await marketplace.protocolFee()).to.equal(protocolFee)
+      await expectRevert(marketplace.applyProtocolFee(), 'Protocol fee change is timelocked.')
+
+      await provider.send('evm_increaseTime', [delay])
+      await expect(marketplace.connect(seller).applyProtocolFee())
+        .to.emit(marketplace, 'ProtocolFeeUpdated')
+        .withArgs(protocolFee, newProtocolFee)
       expect(await marketplace.protocolFee()).to.equal(newProtocolFee)
+      const [, effectiveTime] = await marketplace.getPendingProtocolFee()
+      expect(effectiveTime).to.equal(0)
+      await expectRevert(marketplace.applyProtocolFee(), 'No protocol fee change is scheduled.')
+    })
+
+    it('cancels a scheduled fee change', async () => {
+      await marketplace.scheduleProtocolFee(newProtocolFee)
+      await expect(marketplace.cancelProtocolFee())
+        .to.emit(marketplace, 'ProtocolFeeChangeCancelled')
+        .withArgs(newProtocolFee)
+
+      await provider.send('evm_increaseTime', [delay])
+      await expectRevert(marketplace.applyProtocolFee(), 'No protocol fee change is scheduled.')
+      expect(await marketplace.protocolFee()).to.equal(protocolFee)
+    })
+
+    it('points callers of the former updateProtocolFee to the timelocked change', async () => {
+      await expectRevert(
+        marketplace.updateProtocolFee(newProtocolFee),
+        'updateProtocolFee is replaced by scheduleProtocolFee.'
+      )
+      expect(await marketplace.protocolFee()).to.equal(protocolFee)
+    })
+
+    it('reverts fees above the maximum', async () => {
+      const maxFee = await marketplace.MAX_PROTOCOL_FEE()
+      await expectRevert(
+        marketplace.scheduleProtocolFee(maxFee.add(1)),
+        'Protocol fee exceeds the maximum.'
+      )
+      await expectRevert(
+        deployProxy(hre, 'Marketplace', [maxFee.add(1)]),
+        'Protocol fee exceeds the maximum.'
+      )
     })
 
-    it('reverts if caller is not owner of marketplace contract', async () => {
+    it('reverts if caller is not a fee admin', async () => {
+      const role = await marketplace.FEE_ADMIN_ROLE()
       await expectRevert(
-        marketplace.connect(seller).updateProtocolFee(newProtocolFee),
-        'Ownable: caller is not the owner'
+        marketplace.connect(seller).scheduleProtocolFee(newProtocolFee),
+        `AccessControl: account ${seller.address.toLowerCase()} is missing role ${role}`
       )
     })
   })
@@ -213,22 +381,18 @@ describe('Marketplace', () => {
     let itemId1
     let itemId2
     beforeEach(async () => {
-      await nft.addToWhitelist(seller.address)
-      let token = await nft.connect(seller).mint(seller.address, token1URI)
-      let txn = await token.wait()
-      tokenId1 = txn.events[0].args.tokenId
-
-      token = await nft.connect(seller).mint(seller.address, token1URI)
-      txn = await token.wait()
-      tokenId2 = txn.events[0].args.tokenId
-
-      txn = await marketplace.connect(seller).listItem(nft.address, tokenId1, salePrice)
-      let receipt = await txn.wait()
-      itemId1 = receipt.events[0].args.itemId
-
-      txn = await marketplace.connect(seller).listItem(nft.address, tokenId2, salePrice)
-      receipt = await txn.wait()
-      itemId2 = receipt.events[0].args.itemId
+      ;({ tokenId: tokenId1, itemId: itemId1 } = await mintAndList(
+        marketplace,
+        nft,
+        seller,
+        salePrice
+      ))
+      ;({ tokenId: tokenId2, itemId: itemId2 } = await mintAndList(
+        marketplace,
+        nft,
+        seller,
+        salePrice
+      ))
     })
 
     it('fetches item details using itemId ', async () => {
@@ -238,19 +402,47 @@ describe('Marketplace', () => {
       expect(item2.tokenId).to.equal(tokenId2)
     })
 
-    it('fetches all owned items ', async () => {
-      const items = await marketplace.connect(seller).getItemsOwned()
+    it('fetches items owned by an address', async () => {
+      const [items, total] = await marketplace.getItemsByOwner(seller.address, 0, 10)
+      expect(total).to.equal(2)
       expect(items.length).to.equal(2)
       expect(items[0].owner).to.equal(seller.address)
       expect(items[1].owner).to.equal(seller.address)
     })
 
-    it('fetches all listed items', async () => {
-      let items = await marketplace.connect(seller).getListedItems()
+    it('moves sold items to the buyer', async () => {
+      await marketplace.connect(buyer).purchaseItem(nft.address, itemId1, { value: salePrice })
+      const [sellerItems] = await marketplace.getItemsByOwner(seller.address, 0, 10)
+      const [buyerItems] = await marketplace.getItemsByOwner(buyer.address, 0, 10)
+      expect(sellerItems.map((item) => item.itemId)).to.deep.equal([itemId2])
+      expect(buyerItems.map((item) => item.itemId)).to.deep.equal([itemId1])
+    })
+
+    it('fetches listed items', async () => {
+      let [items, total] = await marketplace.getListedItems(0, 10)
       expect(items.length).to.equal(2)
+      expect(total).to.equal(2)
       await marketplace.connect(seller).delistItem(itemId1)
-      items = await marketplace.connect(seller).getListedItems()
+      ;[items, total] = await marketplace.getListedItems(0, 10)
       expect(items.length).to.equal(1)
+      expect(items[0].itemId).to.equal(itemId2)
+      expect(total).to.equal(1)
+    })
+
+    it('fetches items by NFT contract, listed or not', async () => {
+      await marketplace.connect(seller).delistItem(itemId1)
+      const [items, total] = await marketplace.getItemsByNft(nft.address, 0, 10)
+      expect(total).to.equal(2)
+      expect(items.map((item) => item.itemId)).to.deep.equal([itemId1, itemId2])
+      expect((await marketplace.getItemsByNft(buyer.address, 0, 10)).total).to.equal(0)
+    })
+
+    it('returns partial and empty pages past the end', async () => {
+      const [page, total] = await marketplace.getListedItems(1, 10)
+      expect(page.length).to.equal(1)
+      expect(total).to.equal(2)
+      expect((await marketplace.getListedItems(5, 10)).items.length).to.equal(0)
+      expect((await marketplace.getListedItems(0, 0)).items.length).to.equal(0)
     })
   })
 })
@@ -0,0 +1,314 @@
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const hre = require('hardhat')
+const { deploy } = require('../scripts/deploy')
+const {
+  metadataErrors,
+  computeCid,
+  computeContentHash,
+  computeProvenanceHash,
+  FsPinningBackend,
+  registerPinningBackend,
+  createPinningBackend,
+  readPinManifest,
+  writePinManifest,
+  recordToken,
+  pinManifestPath,
+  verifyTokenURIs,
+} = require('../utils/metadata')
+
+describe('Metadata pipeline', () => {
+  const { ethers } = hre
+  const metadata = {
+    name: 'Untitled #1',
+    description: 'Oil on canvas',
+    image: 'ipfs://bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e',
+    attributes: [{ trait_type: 'Medium', value: 'Oil' }, { value: 1995 }],
+  }
+
+  let tmpDir
+  let pinDir
+
+  const writeMetadata = (name, value) => {
+    const file = path.join(tmpDir, name)
+    fs.writeFileSync(file, typeof value === 'string' ? value : JSON.stringify(value, null, 2))
+    return file
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arkiv-metadata-'))
+    pinDir = path.join(tmpDir, 'pins')
+    process.env.DEPLOYMENTS_DIR = tmpDir
+  })
+
+  afterEach(() => {
+    delete process.env.DEPLOYMENTS_DIR
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  describe('Validation', () => {
+    it('accepts ERC-721 metadata', async () => {
+      expect(metadataErrors(metadata)).to.deep.equal([])
+      expect(
+        metadataErrors({
+          ...metadata,
+          image: 'https://example.com/1.png',
+          background_color: 'ffffff',
+        })
+      ).to.deep.equal([])
+    })
+
+    it('reports missing fields, wrong types and broken links', async () => {
+      expect(
+        metadataErrors({
+          name: '',
+          image: 'ipfs://not-a-cid',
+          animation_url: 'ftp://example.com/1.mp4',
+          attributes: [{ trait_type: 'Medium' }, { value: true }],
+        })
+      ).to.deep.equal([
+        'metadata.description: is required',
+        'metadata.name: must not be empty',
+        'metadata.image: must be ipfs://<cid> with a valid CID',
+        'metadata.animation_url: must be a URI with scheme ipfs, https, ar, data',
+        'metadata.attributes[0].value: is required',
+        'metadata.attributes[1].value: must be string or number, got boolean',
+      ])
+      expect(metadataErrors([])).to.deep.equal(['metadata: must be object, got array'])
+    })
+  })
+
+  describe('CIDs', () => {
+    it('computes the CIDv1 IPFS gives raw content', async () => {
+      expect(computeCid('hello world')).to.equal(
+        'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e'
+      )
+      expect(computeCid(Buffer.from(''))).to.equal(
+        'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku'
+      )
+    })
+
+    it('hashes content and series the way the NFT contract records them', async () => {
+      expect(computeContentHash('hello world')).to.equal(
+        ethers.utils.sha256(ethers.utils.toUtf8Bytes('hello world'))
+      )
+      expect(computeProvenanceHash(['a', 'b'])).to.equal(
+        ethers.utils.sha256(ethers.utils.concat([computeContentHash('a'), computeContentHash('b')]))
+      )
+    })
+  })
+
+  describe('Pinning backends', () => {
+    it('pins to and reads from the filesystem', async () => {
+      const backend = createPinningBackend('fs', { dir: pinDir })
+      expect(backend).to.be.instanceOf(FsPinningBackend)
+      const cid = computeCid('content')
+      expect(await backend.has(cid)).to.equal(false)
+      await backend.pin(cid, 'content')
+      expect(await backend.has(cid)).to.equal(true)
+      expect((await backend.get(cid)).toString()).to.equal('content')
+    })
+  })
+
+  describe('Tasks', () => {
+    let nft
+    let owner, creator
+
+    beforeEach(async () => {
+      ;[owner, creator] = await ethers.getSigners()
+      ;({ nft } = await deploy(hre))
+      await nft.addToWhitelist(owner.address)
+    })
+
+    it('validates, pins and mints with an ipfs URI', async () => {
+      const file = writeMetadata('token.json', metadata)
+      const { cid, uri, tokenId } = await hre.run('nft:mint', {
+        file,
+        royalty: '5',
+        pinDir,
+      })
+
+      expect(cid).to.equal(computeCid(fs.readFileSync(file)))
+      expect(uri).to.equal(`ipfs://${cid}`)
+      expect(await nft.tokenURI(tokenId)).to.equal(uri)
+      expect(await nft.ownerOf(tokenId)).to.equal(owner.address)
+      expect(await nft.tokenContentHash(tokenId)).to.equal(
+        computeContentHash(fs.readFileSync(file))
+      )
+      const [, royalty] = await nft.royaltyInfo(tokenId, 10000)
+      expect(royalty).to.equal(500)
+      expect(fs.readFileSync(path.join(pinDir, cid))).to.deep.equal(fs.readFileSync(file))
+
+      const manifest = readPinManifest('hardhat')
+      expect(manifest.pins[cid]).to.include({ file: 'token.json', backend: 'fs' })
+      expect(manifest.tokens[nft.address]).to.deep.equal({ [tokenId.toString()]: cid })
+    })
+
+    it('refuses invalid metadata before pinning or minting', async () => {
+      const file = writeMetadata('broken.json', { ...metadata, image: 'QmNotAUri' })
+      let error
+      try {
+        await hre.run('nft:mint', { file, pinDir })
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.equal(
+        `Invalid metadata in ${file}:\n- metadata.image: must be a URI with scheme ipfs, https, ar, data`
+      )
+      expect(fs.existsSync(pinDir)).to.equal(false)
+      expect(fs.existsSync(pinManifestPath('hardhat'))).to.equal(false)
+
+      const notJson = writeMetadata('not.json', '{ name: ')
+      error = undefined
+      try {
+        await hre.run('nft:mint', { file: notJson, pinDir })
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.match(/not\.json is not valid JSON/)
+    })
+
+    it('does not pin or mint on a dry run', async () => {
+      const file = writeMetadata('token.json', metadata)
+      const { uri, receipt } = await hre.run('nft:mint', { file, pinDir, dryRun: true })
+      expect(uri).to.equal(`ipfs://${computeCid(fs.readFileSync(file))}`)
+      expect(receipt).to.equal(undefined)
+      expect(fs.existsSync(pinDir)).to.equal(false)
+      expect((await nft.getTokensByOwner(owner.address, 0, 10)).total).to.equal(0)
+    })
+
+    it('can be extended with other backends', async () => {
+      const pinned = new Map()
+      registerPinningBackend('memory', () => ({
+        name: 'memory',
+        pin: async (cid, content) => pinned.set(cid, content),
+        has: async (cid) => pinned.has(cid),
+        get: async (cid) => pinned.get(cid),
+      }))
+      const file = writeMetadata('token.json', metadata)
+      await hre.run('nft:mint', { file, backend: 'memory' })
+      expect(pinned.size).to.equal(1)
+
+      let error
+      try {
+        createPinningBackend('pinata')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.equal('Unknown pinning backend "pinata", expected one of fs, memory')
+    })
+
+    it('verifies on-chain tokenURIs and pinned content against the manifest', async () => {
+      await nft.addToWhitelist(creator.address)
+      const first = await hre.run('nft:mint', {
+        file: writeMetadata('first.json', metadata),
+        account: 1,
+        pinDir,
+      })
+      const second = await hre.run('nft:mint', {
+        file: writeMetadata('second.json', { ...metadata, name: 'Untitled #2' }),
+        account: 1,
+        pinDir,
+      })
+      expect(await hre.run('nft:verify', { pinDir })).to.deep.equal({ checked: 2, mismatches: [] })
+      const backend = createPinningBackend('fs', { dir: pinDir })
+
+      // changed outside the pipeline, and pinned content that no longer hashes to its CID
+      await nft.connect(creator).updateTokenMetadata(first.tokenId, 'https://example.com/1.json')
+      fs.writeFileSync(path.join(pinDir, second.cid), 'tampered')
+      expect(await verifyTokenURIs(nft, readPinManifest('hardhat'), backend)).to.deep.equal([
+        {
+          tokenId: first.tokenId.toString(),
+          expected: first.uri,
+          actual: 'https://example.com/1.json',
+          reason: 'tokenURI changed',
+        },
+        {
+          tokenId: second.tokenId.toString(),
+          expected: second.uri,
+          actual: second.uri,
+          reason: 'pinned content does not match CID',
+        },
+      ])
+      let error
+      try {
+        await hre.run('nft:verify', { pinDir })
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.equal('2 token(s) do not match the pin manifest')
+
+      await hre.run('nft:update-metadata', {
+        token: first.tokenId.toString(),
+        file: writeMetadata('first.json', metadata),
+        account: 1,
+        pinDir,
+      })
+      expect(await nft.tokenURI(first.tokenId)).to.equal(first.uri)
+      expect(await hre.run('nft:verify', { pinDir, skipContent: true })).to.deep.equal({
+        checked: 2,
+        mismatches: [],
+      })
+    })
+
+    it('reports tokens whose on-chain content hash is not the one in their CID', async () => {
+      const cid = computeCid('content')
+      const receipt = await (
+        await nft.mintBatchWithContentHashes(
+          owner.address,
+          [`ipfs://${cid}`],
+          [computeContentHash('other content')],
+          0
+        )
+      ).wait()
+      const tokenId = receipt.events.find((e) => e.event === 'TokenMinted').args._tokenId
+      const manifest = readPinManifest('hardhat')
+      recordToken(manifest, nft.address, tokenId, cid)
+      writePinManifest('hardhat', manifest)
+
+      expect(await verifyTokenURIs(nft, manifest)).to.deep.equal([
+        {
+          tokenId: tokenId.toString(),
+          expected: `ipfs://${cid}`,
+          actual: `ipfs://${cid}`,
+          reason: 'content hash does not match CID',
+        },
+      ])
+    })
+
+    it('freezes token metadata', async () => {
+      const { tokenId } = await hre.run('nft:mint', {
+        file: writeMetadata('token.json', metadata),
+        pinDir,
+      })
+      await hre.run('nft:freeze', { token: tokenId.toString() })
+      expect(await nft.isMetadataFrozen(tokenId)).to.equal(true)
+
+      let error
+      try {
+        await hre.run('nft:update-metadata', {
+          token: tokenId.toString(),
+          file: writeMetadata('token.json', metadata),
+          pinDir,
+        })
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Token metadata is frozen')
+    })
+
+    it('commits the provenance hash of a series', async () => {
+      const files = [
+        writeMetadata('1.json', metadata),
+        writeMetadata('2.json', { ...metadata, name: 'Untitled #2' }),
+      ]
+      const { provenanceHash } = await hre.run('nft:set-provenance', { files: files.join(',') })
+      expect(provenanceHash).to.equal(
+        computeProvenanceHash(files.map((file) => fs.readFileSync(file)))
+      )
+      expect(await nft.provenanceHash()).to.equal(provenanceHash)
+    })
+  })
+})
@@ -1,7 +1,9 @@
 const { BN, constants, expectRevert } = require('@openzeppelin/test-helpers')
 const { ZERO_ADDRESS } = constants
 const { expect } = require('chai')
-const { ethers } = require('hardhat')
+const hre = require('hardhat')
+const { ethers } = hre
+const { deployMarket } = require('./helpers/fixtures')
 
 describe('NFT', () => {
   let marketplace
@@ -16,13 +18,7 @@ describe('NFT', () => {
   beforeEach(async () => {
     ;[contractOwner, minter, receiver, operator, whitelistAdd1, whitelistAdd2] =
       await ethers.getSigners()
-    const Marketplace = await hre.ethers.getContractFactory('Marketplace')
-    marketplace = await Marketplace.deploy(marketplaceFee)
-    await marketplace.deployed()
-
-    const NFT = await ethers.getContractFactory('NFT')
-    nft = await NFT.deploy(marketplace.address)
-    await nft.deployed()
+    ;({ marketplace, nft } = await deployMarket({ protocolFee: marketplaceFee }))
   })
 
   describe('Deployment', async () => {
@@ -79,6 +75,81 @@ describe('NFT', () => {
     })
   })
 
+  describe('Batch minting', async () => {
+    const uris = [token1URI, token2URI]
+
+    beforeEach(async () => {
+      await nft.addToWhitelist(minter.address)
+    })
+
+    it('mints a token per URI with the caller as creator', async () => {
+      const receipt = await (
+        await nft.connect(minter).mintBatch(receiver.address, uris, royaltyAmount)
+      ).wait()
+      const tokenIds = receipt.events
+        .filter((e) => e.event === 'TokenMinted')
+        .map((e) => e.args._tokenId.toNumber())
+
+      expect(tokenIds).to.deep.equal([0, 1])
+      expect(await nft.balanceOf(receiver.address)).to.equal(2)
+      for (const [i, tokenId] of tokenIds.entries()) {
+        expect(await nft.tokenURI(tokenId)).to.equal(uris[i])
+        expect(await nft.tokenCreator(tokenId)).to.equal(minter.address)
+      }
+    })
+
+    it('emits Transfer and TokenMinted for each token', async () => {
+      await expect(nft.connect(minter).mintBatch(minter.address, uris, 0))
+        .to.emit(nft, 'TokenMinted')
+        .withArgs(0, minter.address, token1URI)
+        .and.to.emit(nft, 'TokenMinted')
+        .withArgs(1, minter.address, token2URI)
+        .and.to.emit(nft, 'Transfer')
+        .withArgs(ZERO_ADDRESS, minter.address, 1)
+    })
+
+    it('sets the royalty of every token to the creator', async () => {
+      await nft.connect(minter).mintBatch(receiver.address, uris, royaltyAmount)
+      const [royaltyReceiver, amount] = await nft.royaltyInfo(1, salePrice)
+      expect(royaltyReceiver).to.equal(minter.address)
+      expect(amount).to.equal(salePrice.mul(royaltyAmount).div(10000))
+    })
+
+    it('approves the marketplace once for the creator', async () => {
+      await nft.connect(minter).mintBatch(minter.address, uris, 0)
+      expect(await nft.isApprovedForAll(minter.address, marketplace.address)).to.equal(true)
+      await expect(nft.connect(minter).mintBatch(minter.address, uris, 0)).to.not.emit(
+        nft,
+        'ApprovalForAll'
+      )
+    })
+
+    it('reverts if the caller is not whitelisted', async () => {
+      await expectRevert(
+        nft.connect(receiver).mintBatch(receiver.address, uris, 0),
+        'Must be whitelisted to create tokens'
+      )
+    })
+
+    it('reverts if no URIs are given or one is empty', async () => {
+      await expectRevert(
+        nft.connect(minter).mintBatch(minter.address, [], 0),
+        'No token URIs given'
+      )
+      await expectRevert(
+        nft.connect(minter).mintBatch(minter.address, [token1URI, ''], 0),
+        'ERC721: tokenURI is empty'
+      )
+    })
+
+    it('reverts if the royalty is above 10000', async () => {
+      await expectRevert(
+        nft.connect(minter).mintBatch(minter.address, uris, 10001),
+        'ERC2981: royalty fee will exceed salePrice'
+      )
+    })
+  })
+
   describe('Transfers', async () => {
     let tokenId
     beforeEach(async () => {
@@ -166,6 +237,90 @@ describe('NFT', () => {
     })
   })
 
+  describe('Freezing metadata and provenance', async () => {
+    let tokenId
+    const contentHash = ethers.utils.sha256(ethers.utils.toUtf8Bytes('{"name":"Untitled #1"}'))
+
+    beforeEach(async () => {
+      await nft.addToWhitelist(minter.address)
+      const txn = await (
+        await nft
+          .connect(minter)
+          .mintBatchWithContentHashes(minter.address, [token1URI], [contentHash], 0)
+      ).wait()
+      tokenId = txn.events.find((e) => e.event === 'TokenMinted').args._tokenId
+    })
+
+    it('records the content hash given at mint', async () => {
+      expect(await nft.tokenContentHash(tokenId)).to.equal(contentHash)
+      await expectRevert(
+        nft.connect(minter).mintBatchWithContentHashes(minter.address, [token1URI], [], 0),
+        'Every token needs a content hash'
+      )
+    })
+
+    it('clears the content hash and emits MetadataUpdate when the URI changes', async () => {
+      await expect(nft.connect(minter).updateTokenMetadata(tokenId, token2URI))
+        .to.emit(nft, 'MetadataUpdate')
+        .withArgs(tokenId)
+      expect(await nft.tokenContentHash(tokenId)).to.equal(ethers.constants.HashZero)
+    })
+
+    it('lets the creator freeze the metadata for good', async () => {
+      expect(await nft.isMetadataFrozen(tokenId)).to.equal(false)
+      await expect(nft.connect(minter).freezeTokenMetadata(tokenId))
+        .to.emit(nft, 'PermanentURI')
+        .withArgs(token1URI, tokenId)
+        .and.to.emit(nft, 'MetadataUpdate')
+        .withArgs(tokenId)
+      expect(await nft.isMetadataFrozen(tokenId)).to.equal(true)
+
+      await expectRevert(
+        nft.connect(minter).updateTokenMetadata(tokenId, token2URI),
+        'Token metadata is frozen'
+      )
+      await expectRevert(
+        nft.connect(minter).freezeTokenMetadata(tokenId),
+        'Token metadata is frozen'
+      )
+      expect(await nft.tokenContentHash(tokenId)).to.equal(contentHash)
+    })
+
+    it('lets the creator freeze after the token is sold, and nobody else', async () => {
+      await nft.connect(minter).transferToken(minter.address, receiver.address, tokenId)
+      await expectRevert(
+        nft.connect(receiver).freezeTokenMetadata(tokenId),
+        'Caller is not the creator'
+      )
+      await nft.connect(minter).freezeTokenMetadata(tokenId)
+      expect(await nft.isMetadataFrozen(tokenId)).to.equal(true)
+    })
+
+    it('supports ERC-4906 and the freeze interface', async () => {
+      expect(await nft.supportsInterface('0x49064906')).to.equal(true)
+      const freezeInterface = new ethers.utils.Interface(['function isMetadataFrozen(uint256)'])
+      expect(await nft.supportsInterface(freezeInterface.getSighash('isMetadataFrozen'))).to.equal(
+        true
+      )
+    })
+
+    it('lets the owner commit a provenance hash once', async () => {
+      const provenanceHash = ethers.utils.sha256(contentHash)
+      await expectRevert(
+        nft.connect(minter).setProvenanceHash(provenanceHash),
+        'Ownable: caller is not the owner'
+      )
+      await expect(nft.setProvenanceHash(provenanceHash))
+        .to.emit(nft, 'ProvenanceHashSet')
+        .withArgs(provenanceHash)
+      expect(await nft.provenanceHash()).to.equal(provenanceHash)
+      await expectRevert(
+        nft.setProvenanceHash(ethers.constants.HashZero),
+        'Provenance hash is already set'
+      )
+    })
+  })
+
   describe('Royalties', async () => {
     let tokenId
     beforeEach(async () => {
@@ -207,58 +362,99 @@ describe('NFT', () => {
         'ERC2981: royalty fee will exceed salePrice'
       )
     })
+
+    it('resets token royalties to zero', async () => {
+      await nft.connect(minter).setTokenRoyalty(tokenId, royaltyAmount)
+      await nft.connect(minter).setTokenRoyalty(tokenId, 0)
+      const txn = await nft.royaltyInfo(tokenId, salePrice)
+      expect(txn[0]).to.equal(ZERO_ADDRESS)
+      expect(txn[1]).to.equal(0)
+    })
+
+    it('emits a TokenRoyaltyUpdated event', async () => {
+      await expect(nft.connect(minter).setTokenRoyalty(tokenId, royaltyAmount))
+        .to.emit(nft, 'TokenRoyaltyUpdated')
+        .withArgs(tokenId, [minter.address], [royaltyAmount])
+    })
   })
 
   describe('Whitelisting', async () => {
-    it('allows contract owner to initialise whitelist addresses', async () => {
+    const curatorRole = ethers.utils.id('CURATOR_ROLE')
+    const missingCuratorRole = (account) =>
+      `AccessControl: account ${account.address.toLowerCase()} is missing role ${curatorRole}`
+
+    it('allows a curator to initialise whitelist addresses', async () => {
       await nft.initWhitelist([whitelistAdd1.address, whitelistAdd2.address])
       expect(await nft.isWhitelisted(whitelistAdd1.address)).to.equal(true)
       expect(await nft.isWhitelisted(whitelistAdd2.address)).to.equal(true)
     })
+    it('emits AddToWhitelist for each address added by initWhitelist', async () => {
+      await expect(nft.initWhitelist([whitelistAdd1.address, whitelistAdd2.address]))
+        .to.emit(nft, 'AddToWhitelist')
+        .withArgs(whitelistAdd1.address)
+        .and.to.emit(nft, 'AddToWhitelist')
+        .withArgs(whitelistAdd2.address)
+    })
+
+    it('reports whether the whitelist is enabled', async () => {
+      expect(await nft.isWhitelistEnabled()).to.equal(true)
+      await nft.enableWhitelist(false)
+      expect(await nft.isWhitelistEnabled()).to.equal(false)
+    })
+
     it('allows anyone to mint when whitelist is disabled', async () => {
       await nft.enableWhitelist(false)
       await nft.connect(minter).mint(minter.address, token1URI)
     })
 
-    it('allows contract owner to add addresses to the whitelist', async () => {
+    it('allows a curator to add addresses to the whitelist', async () => {
       await nft.addToWhitelist(whitelistAdd1.address)
       expect(await nft.isWhitelisted(whitelistAdd1.address)).to.equal(true)
     })
 
-    it('allows contract owner to remove addresses from the whitelist', async () => {
+    it('allows a curator to remove addresses from the whitelist', async () => {
       await nft.addToWhitelist(whitelistAdd1.address)
       expect(await nft.isWhitelisted(whitelistAdd1.address)).to.equal(true)
       await nft.removeFromWhitelist(whitelistAdd1.address)
       expect(await nft.isWhitelisted(whitelistAdd1.address)).to.equal(false)
     })
 
-    it('reverts if non-contract owner attempts to initialist whitelist addresses', async () => {
+    it('reverts if non-curator attempts to initialist whitelist addresses', async () => {
       await expectRevert(
         nft.connect(minter).initWhitelist([whitelistAdd1.address, whitelistAdd2.address]),
-        'Ownable: caller is not the owner'
+        missingCuratorRole(minter)
       )
     })
 
-    it('reverts if non-contract owner attempts to disable the whitelist', async () => {
+    it('reverts if non-curator attempts to disable the whitelist', async () => {
+      await expectRevert(nft.connect(minter).enableWhitelist(false), missingCuratorRole(minter))
+    })
+
+    it('reverts if non-curator attempts to add addresses to whitelist', async () => {
       await expectRevert(
-        nft.connect(minter).enableWhitelist(false),
-        'Ownable: caller is not the owner'
+        nft.connect(minter).addToWhitelist(whitelistAdd1.address),
+        missingCuratorRole(minter)
       )
     })
 
-    it('reverts if non-contract owner attempts to add addresses to whitelist', async () => {
+    it('allows a curator granted the role by the owner to manage the whitelist', async () => {
+      await nft.grantRole(await nft.CURATOR_ROLE(), minter.address)
+      await nft.connect(minter).addToWhitelist(whitelistAdd1.address)
+      expect(await nft.isWhitelisted(whitelistAdd1.address)).to.equal(true)
+
+      await nft.revokeRole(await nft.CURATOR_ROLE(), minter.address)
       await expectRevert(
-        nft.connect(minter).addToWhitelist(whitelistAdd1.address),
-        'Ownable: caller is not the owner'
+        nft.connect(minter).removeFromWhitelist(whitelistAdd1.address),
+        missingCuratorRole(minter)
       )
     })
 
-    it('reverts if non-contract owner attempts to remove addresses from the whitelist', async () => {
+    it('reverts if non-curator attempts to remove addresses from the whitelist', async () => {
       await nft.addToWhitelist(whitelistAdd1.address)
       expect(await nft.isWhitelisted(whitelistAdd1.address)).to.equal(true)
       await expectRevert(
         nft.connect(minter).removeFromWhitelist(whitelistAdd1.address),
-        'Ownable: caller is not the owner'
+        missingCuratorRole(minter)
       )
     })
   })
@@ -284,15 +480,41 @@ describe('NFT', () => {
     })
 
     it('returns tokens owned by address', async function () {
-      const supply = await nft.totalSupply()
-      const totalSupply = supply.toNumber()
-      const ownerTokens = []
-      for (let i = 0; i < totalSupply; i++) {
-        const owner = await nft.ownerOf(i)
-        if (owner === minter.address) {
-          ownerTokens.push(i)
-        }
-      }
+      const [tokenIds, total] = await nft.getTokensByOwner(minter.address, 0, 10)
+      expect(total).to.equal(2)
+      expect(tokenIds).to.deep.equal([tokenId1, tokenId2])
+    })
+
+    it('moves transferred tokens to the new owner', async function () {
+      await nft.connect(minter).transferFrom(minter.address, receiver.address, tokenId1)
+      expect((await nft.getTokensByOwner(minter.address, 0, 10)).tokenIds).to.deep.equal([tokenId2])
+      expect((await nft.getTokensByOwner(receiver.address, 0, 10)).tokenIds).to.deep.equal([
+        tokenId1,
+      ])
+      const [created] = await nft.getTokensByCreator(minter.address, 0, 10)
+      expect(created).to.deep.equal([tokenId1, tokenId2])
+    })
+
+    it('drops burned tokens from the owner and creator', async function () {
+      await nft.connect(minter).burn(tokenId1)
+      expect((await nft.getTokensByOwner(minter.address, 0, 10)).total).to.equal(1)
+      const [created, total] = await nft.getTokensByCreator(minter.address, 0, 10)
+      expect(created).to.deep.equal([tokenId2])
+      expect(total).to.equal(1)
+    })
+
+    it('leaves burned tokens out of the total supply', async function () {
+      await nft.connect(minter).burn(tokenId1)
+      expect(await nft.totalSupply()).to.equal(1)
+      await nft.connect(minter).burn(tokenId2)
+      expect(await nft.totalSupply()).to.equal(0)
+    })
+
+    it('pages through token ids', async function () {
+      const [page, total] = await nft.getTokensByCreator(minter.address, 1, 1)
+      expect(page).to.deep.equal([tokenId2])
+      expect(total).to.equal(2)
+      expect((await nft.getTokensByCreator(minter.address, 2, 1)).tokenIds).to.deep.equal([])
     })
   })
 })
@@ -0,0 +1,179 @@
+const { expectRevert } = require('@openzeppelin/test-helpers')
+const { expect } = require('chai')
+const hre = require('hardhat')
+const { ethers } = hre
+const { deployMarket, mintToken } = require('./helpers/fixtures')
+const { expectSaleSplit } = require('./helpers/fees')
+
+describe('Offers', () => {
+  let marketplace
+  let offerBook
+  let nft
+  let tokenId1, tokenId2
+  let contractOwner, seller, bidder, stranger
+  const protocolFee = ethers.BigNumber.from(250)
+  const royaltyAmount = ethers.BigNumber.from(500)
+  const offerAmount = ethers.utils.parseEther('3')
+  const provider = ethers.provider
+  const DAY = 24 * 60 * 60
+
+  const latestTimestamp = async () => (await provider.getBlock('latest')).timestamp
+
+  const offerIdFrom = async (txn) => {
+    const receipt = await txn.wait()
+    return receipt.events.find((e) => e.event === 'OfferCreated').args.offerId
+  }
+
+  beforeEach(async () => {
+    ;[contractOwner, seller, bidder, stranger] = await ethers.getSigners()
+    ;({ marketplace, nft, offerBook } = await deployMarket({ protocolFee, with: ['OfferBook'] }))
+    tokenId1 = await mintToken(nft, seller, { royalty: royaltyAmount })
+    tokenId2 = await mintToken(nft, seller)
+    await nft.connect(seller).setApprovalForAll(offerBook.address, true)
+  })
+
+  describe('Token offers', () => {
+    let offerId
+    let expiry
+
+    beforeEach(async () => {
+      expiry = (await latestTimestamp()) + DAY
+      offerId = await offerIdFrom(
+        await offerBook
+          .connect(bidder)
+          .makeOffer(nft.address, tokenId1, expiry, { value: offerAmount })
+      )
+    })
+
+    it('escrows the offer amount in the offer book', async () => {
+      expect(await provider.getBalance(offerBook.address)).to.equal(offerAmount)
+      const offer = await offerBook.getOfferById(offerId)
+      expect(offer.bidder).to.equal(bidder.address)
+      expect(offer.amount).to.equal(offerAmount)
+      expect(offer.tokenId).to.equal(tokenId1)
+      expect(offer.isActive).to.equal(true)
+    })
+
+    it('reverts on empty offers or offers that are already expired', async () => {
+      await expectRevert(
+        offerBook.connect(bidder).makeOffer(nft.address, tokenId1, expiry),
+        'Offer must be greater than 0.'
+      )
+      await expectRevert(
+        offerBook
+          .connect(bidder)
+          .makeOffer(nft.address, tokenId1, (await latestTimestamp()) - 1, { value: 1 }),
+        'Expiry is in the past.'
+      )
+    })
+
+    it('lets the owner accept and settles with the fee and royalty split', async () => {
+      let receipt
+      // the seller is also the creator, so is credited the royalty as well as the proceeds
+      const { fee, royalty } = await expectSaleSplit(
+        marketplace,
+        async () => {
+          receipt = await (await offerBook.connect(seller).acceptOffer(offerId, tokenId1)).wait()
+        },
+        {
+          price: offerAmount,
+          protocolFee,
+          royalty: royaltyAmount,
+          seller,
+          royaltyReceiver: seller,
+          feeRecipient: contractOwner,
+        }
+      )
+
+      const accepted = receipt.events.find((e) => e.event === 'OfferAccepted')
+      expect(accepted.args.feeToMarketplace).to.equal(fee)
+      expect(accepted.args.royaltyAmount).to.equal(royalty)
+      expect(await nft.ownerOf(tokenId1)).to.equal(bidder.address)
+      expect(await provider.getBalance(offerBook.address)).to.equal(0)
+      expect(await provider.getBalance(marketplace.address)).to.equal(offerAmount)
+    })
+
+    it('reverts if the caller does not own the token', async () => {
+      await expectRevert(
+        offerBook.connect(stranger).acceptOffer(offerId, tokenId1),
+        'Caller does not own token'
+      )
+    })
+
+    it('reverts if accepted for a different token', async () => {
+      await expectRevert(
+        offerBook.connect(seller).acceptOffer(offerId, tokenId2),
+        'Offer is for another token.'
+      )
+    })
+
+    it('reverts if accepted after expiry', async () => {
+      await provider.send('evm_increaseTime', [DAY])
+      await provider.send('evm_mine', [])
+      await expectRevert(
+        offerBook.connect(seller).acceptOffer(offerId, tokenId1),
+        'Offer has expired.'
+      )
+    })
+
+    it('lets the bidder cancel and withdraw the escrow', async () => {
+      await expectRevert(
+        offerBook.connect(stranger).cancelOffer(offerId),
+        'Caller is not the bidder'
+      )
+      await expect(offerBook.connect(bidder).cancelOffer(offerId))
+        .to.emit(offerBook, 'OfferCancelled')
+        .withArgs(offerId)
+      expect(await marketplace.pendingWithdrawal(bidder.address)).to.equal(offerAmount)
+
+      await marketplace.connect(bidder).withdraw()
+      expect(await provider.getBalance(marketplace.address)).to.equal(0)
+      await expectRevert(
+        offerBook.connect(seller).acceptOffer(offerId, tokenId1),
+        'Offer is not active.'
+      )
+    })
+
+    it('lets the bidder reclaim an expired offer', async () => {
+      await provider.send('evm_increaseTime', [DAY])
+      await provider.send('evm_mine', [])
+      await offerBook.connect(bidder).cancelOffer(offerId)
+      expect(await marketplace.pendingWithdrawal(bidder.address)).to.equal(offerAmount)
+    })
+  })
+
+  describe('Collection offers', () => {
+    let offerId
+
+    beforeEach(async () => {
+      const expiry = (await latestTimestamp()) + DAY
+      offerId = await offerIdFrom(
+        await offerBook
+          .connect(bidder)
+          .makeCollectionOffer(nft.address, expiry, { value: offerAmount })
+      )
+    })
+
+    it('can be accepted for any token in the collection', async () => {
+      await offerBook.connect(seller).acceptOffer(offerId, tokenId2)
+      expect(await nft.ownerOf(tokenId2)).to.equal(bidder.address)
+      expect((await offerBook.getOfferById(offerId)).isCollectionOffer).to.equal(true)
+    })
+
+    it('can only be filled once', async () => {
+      await offerBook.connect(seller).acceptOffer(offerId, tokenId1)
+      await expectRevert(
+        offerBook.connect(seller).acceptOffer(offerId, tokenId2),
+        'Offer is not active.'
+      )
+    })
+
+    it('cannot be accepted by the bidder', async () => {
+      await nft.connect(seller).transferToken(seller.address, bidder.address, tokenId2)
+      await expectRevert(
+        offerBook.connect(bidder).acceptOffer(offerId, tokenId2),
+        'Cannot accept own offer.'
+      )
+    })
+  })
+})
@@ -0,0 +1,227 @@
+const { expectRevert } = require('@openzeppelin/test-helpers')
+const { expect } = require('chai')
+const hre = require('hardhat')
+const { ethers } = hre
+const { deployMarket, mintToken } = require('./helpers/fixtures')
+const { expectSaleSplit } = require('./helpers/fees')
+const {
+  ArkivClient,
+  InvalidOrderError,
+  buildOrder,
+  getOrderDomain,
+  hashOrder,
+  signOrder,
+  verifyOrder,
+} = require('..')
+
+describe('Signed orders', () => {
+  let marketplace
+  let nft
+  let tokenId
+  let domain
+  let contractOwner, seller, buyer, stranger
+  const protocolFee = ethers.BigNumber.from(250)
+  const royaltyAmount = ethers.BigNumber.from(500)
+  const price = ethers.utils.parseEther('2')
+  const provider = ethers.provider
+  const DAY = 24 * 60 * 60
+
+  const latestTimestamp = async () => (await provider.getBlock('latest')).timestamp
+
+  const makeOrder = async (overrides = {}) =>
+    buildOrder({
+      seller: seller.address,
+      nftAddress: nft.address,
+      tokenId,
+      price,
+      nonce: await marketplace.getOrderNonce(seller.address),
+      expiry: (await latestTimestamp()) + DAY,
+      ...overrides,
+    })
+
+  beforeEach(async () => {
+    ;[contractOwner, seller, buyer, stranger] = await ethers.getSigners()
+    ;({ marketplace, nft } = await deployMarket({ protocolFee }))
+    tokenId = await mintToken(nft, seller, { royalty: royaltyAmount })
+
+    domain = getOrderDomain(marketplace.address, (await provider.getNetwork()).chainId)
+  })
+
+  describe('JS helpers', () => {
+    it('hashes orders the same way as the contract', async () => {
+      const order = await makeOrder()
+      expect(hashOrder(domain, order)).to.equal(await marketplace.hashOrder(order))
+    })
+
+    it('verifies signatures from the seller only', async () => {
+      const order = await makeOrder()
+      expect(verifyOrder(domain, order, await signOrder(seller, domain, order))).to.equal(true)
+      expect(verifyOrder(domain, order, await signOrder(stranger, domain, order))).to.equal(false)
+    })
+
+    it('rejects signatures for a modified order', async () => {
+      const order = await makeOrder()
+      const signature = await signOrder(seller, domain, order)
+      expect(verifyOrder(domain, { ...order, price: price.div(2) }, signature)).to.equal(false)
+    })
+  })
+
+  describe('fulfillOrder', () => {
+    let order
+    let signature
+
+    beforeEach(async () => {
+      order = await makeOrder()
+      signature = await signOrder(seller, domain, order)
+    })
+
+    it('transfers the token and credits the fee and royalty split', async () => {
+      let receipt
+      const { fee, royalty } = await expectSaleSplit(
+        marketplace,
+        async () => {
+          receipt = await (
+            await marketplace.connect(buyer).fulfillOrder(order, signature, { value: price })
+          ).wait()
+        },
+        {
+          price,
+          protocolFee,
+          royalty: royaltyAmount,
+          seller,
+          royaltyReceiver: seller,
+          feeRecipient: contractOwner,
+        }
+      )
+
+      const fulfilled = receipt.events.find((e) => e.event === 'OrderFulfilled')
+      expect(fulfilled.args.orderHash).to.equal(hashOrder(domain, order))
+      expect(fulfilled.args.buyer).to.equal(buyer.address)
+      expect(fulfilled.args.nftAddress).to.equal(nft.address)
+      expect(fulfilled.args.tokenId).to.equal(tokenId)
+      expect(fulfilled.args.feeToMarketplace).to.equal(fee)
+      expect(fulfilled.args.royaltyAmount).to.equal(royalty)
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address)
+      expect(await marketplace.isOrderUsed(hashOrder(domain, order))).to.equal(true)
+    })
+
+    it('cannot be fulfilled twice', async () => {
+      await marketplace.connect(buyer).fulfillOrder(order, signature, { value: price })
+      await nft.connect(buyer).transferToken(buyer.address, seller.address, tokenId)
+      await expectRevert(
+        marketplace.connect(stranger).fulfillOrder(order, signature, { value: price }),
+        'Order is filled or cancelled.'
+      )
+    })
+
+    it('reverts with a signature from someone other than the seller', async () => {
+      const forged = await signOrder(stranger, domain, order)
+      await expectRevert(
+        marketplace.connect(buyer).fulfillOrder(order, forged, { value: price }),
+        'Invalid order signature.'
+      )
+    })
+
+    it('reverts if the order was tampered with', async () => {
+      await expectRevert(
+        marketplace.connect(buyer).fulfillOrder({ ...order, price: 1 }, signature, { value: 1 }),
+        'Invalid order signature.'
+      )
+    })
+
+    it('reverts after expiry', async () => {
+      await provider.send('evm_increaseTime', [DAY])
+      await provider.send('evm_mine', [])
+      await expectRevert(
+        marketplace.connect(buyer).fulfillOrder(order, signature, { value: price }),
+        'Order has expired.'
+      )
+    })
+
+    it('reverts if the ether sent does not match the price', async () => {
+      await expectRevert(
+        marketplace.connect(buyer).fulfillOrder(order, signature, { value: price.sub(1) }),
+        'Please send the correct amount of ether.'
+      )
+    })
+
+    it('reverts if the seller no longer owns the token', async () => {
+      await nft.connect(seller).transferToken(seller.address, stranger.address, tokenId)
+      await expectRevert(
+        marketplace.connect(buyer).fulfillOrder(order, signature, { value: price }),
+        'Seller does not own token'
+      )
+    })
+  })
+
+  describe('cancellation', () => {
+    it('cancels a single order', async () => {
+      const order = await makeOrder()
+      const signature = await signOrder(seller, domain, order)
+      await expectRevert(
+        marketplace.connect(stranger).cancelOrder(order),
+        'Caller is not the seller'
+      )
+      await expect(marketplace.connect(seller).cancelOrder(order))
+        .to.emit(marketplace, 'OrderCancelled')
+        .withArgs(hashOrder(domain, order), seller.address)
+      await expectRevert(
+        marketplace.connect(buyer).fulfillOrder(order, signature, { value: price }),
+        'Order is filled or cancelled.'
+      )
+    })
+
+    it('cancels every outstanding order when the nonce is bumped', async () => {
+      const order1 = await makeOrder()
+      const order2 = await makeOrder({ price: price.mul(2) })
+      const signature1 = await signOrder(seller, domain, order1)
+      const signature2 = await signOrder(seller, domain, order2)
+
+      await expect(marketplace.connect(seller).incrementOrderNonce())
+        .to.emit(marketplace, 'OrderNonceIncremented')
+        .withArgs(seller.address, 1)
+      await expectRevert(
+        marketplace.connect(buyer).fulfillOrder(order1, signature1, { value: price }),
+        'Order nonce is invalid.'
+      )
+      await expectRevert(
+        marketplace.connect(buyer).fulfillOrder(order2, signature2, { value: price.mul(2) }),
+        'Order nonce is invalid.'
+      )
+
+      const order3 = await makeOrder()
+      const signature3 = await signOrder(seller, domain, order3)
+      await marketplace.connect(buyer).fulfillOrder(order3, signature3, { value: price })
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address)
+    })
+  })
+
+  describe('ArkivClient', () => {
+    const clientFor = (signer) =>
+      new ArkivClient({ signer, marketplaceAddress: marketplace.address, nftAddress: nft.address })
+
+    it('signs a listing and fulfils it', async () => {
+      const expiry = (await latestTimestamp()) + DAY
+      const { order, signature } = await clientFor(seller).signListing({ tokenId, price, expiry })
+      expect(verifyOrder(domain, order, signature)).to.equal(true)
+
+      await clientFor(buyer).fulfillOrder(order, signature)
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address)
+    })
+
+    it('decodes order reverts after all orders are cancelled', async () => {
+      const expiry = (await latestTimestamp()) + DAY
+      const { order, signature } = await clientFor(seller).signListing({ tokenId, price, expiry })
+      await clientFor(seller).cancelAllOrders()
+
+      let error
+      try {
+        await clientFor(buyer).fulfillOrder(order, signature)
+      } catch (err) {
+        error = err
+      }
+      expect(error).to.be.instanceOf(InvalidOrderError)
+      expect(error.reason).to.equal('Order nonce is invalid.')
+    })
+  })
+})
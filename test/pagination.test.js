@@ -0,0 +1,94 @@
+const { expect } = require('chai')
+const hre = require('hardhat')
+const { ethers } = hre
+const { deployMarket } = require('./helpers/fixtures')
+
+describe('Paginated queries on large catalogs', () => {
+  let marketplace
+  let nft
+  let contractOwner, seller, buyer
+  const catalogSize = 300
+  const pageSize = 50
+  const price = ethers.utils.parseEther('1')
+  const tokenURI = 'https://ipfs.io/ipfs/QmXmNSH2dyp5R6dkW5MVhNc7xqV9v3NHWxNXJfCL6CcYxS'
+
+  // a tight cap on eth_call gas, in the range public RPC endpoints allow for reads
+  const callGasLimit = 3000000
+
+  const readAll = async (read) => {
+    const ids = []
+    let total
+    do {
+      const page = await read(ids.length, pageSize, { gasLimit: callGasLimit })
+      total = page.total.toNumber()
+      ids.push(...page[0].map((entry) => (entry.itemId || entry).toNumber()))
+    } while (ids.length < total)
+    return ids
+  }
+
+  before(async () => {
+    ;[contractOwner, seller, buyer] = await ethers.getSigners()
+    ;({ marketplace, nft } = await deployMarket())
+    await nft.addToWhitelist(seller.address)
+
+    for (let minted = 0; minted < catalogSize; minted += pageSize) {
+      await nft.connect(seller).mintBatch(seller.address, Array(pageSize).fill(tokenURI), 0)
+    }
+    for (let tokenId = 0; tokenId < catalogSize; tokenId++) {
+      await marketplace.connect(seller).listItem(nft.address, tokenId, price)
+    }
+  })
+
+  it('cannot read the whole catalog in one capped call', async () => {
+    let error
+    try {
+      await marketplace.getListedItems(0, catalogSize, { gasLimit: callGasLimit })
+    } catch (err) {
+      error = err
+    }
+    // out of gas inside the proxy's delegatecall surfaces as a revert without a reason
+    expect(error.message).to.match(/gas|reverted/i)
+  })
+
+  it('reads every listed item a page at a time', async () => {
+    const itemIds = await readAll((offset, limit, overrides) =>
+      marketplace.getListedItems(offset, limit, overrides)
+    )
+    expect(itemIds).to.deep.equal([...Array(catalogSize).keys()])
+  })
+
+  it('reads items by owner and by NFT contract', async () => {
+    const byOwner = await readAll((offset, limit, overrides) =>
+      marketplace.getItemsByOwner(seller.address, offset, limit, overrides)
+    )
+    const byNft = await readAll((offset, limit, overrides) =>
+      marketplace.getItemsByNft(nft.address, offset, limit, overrides)
+    )
+    expect(byOwner.length).to.equal(catalogSize)
+    expect(byNft).to.deep.equal([...Array(catalogSize).keys()])
+  })
+
+  it('reads tokens by creator and by owner', async () => {
+    const created = await readAll((offset, limit, overrides) =>
+      nft.getTokensByCreator(seller.address, offset, limit, overrides)
+    )
+    expect(created).to.deep.equal([...Array(catalogSize).keys()])
+
+    await marketplace.connect(buyer).purchaseItem(nft.address, 7, { value: price })
+    const owned = await readAll((offset, limit, overrides) =>
+      nft.getTokensByOwner(seller.address, offset, limit, overrides)
+    )
+    expect(owned.length).to.equal(catalogSize - 1)
+    expect(owned).to.not.include(7)
+    const [bought] = await nft.getTokensByOwner(buyer.address, 0, pageSize)
+    expect(bought.map(Number)).to.deep.equal([7])
+  })
+
+  it('keeps the listed set consistent after sales', async () => {
+    const itemIds = await readAll((offset, limit, overrides) =>
+      marketplace.getListedItems(offset, limit, overrides)
+    )
+    expect(itemIds.length).to.equal(catalogSize - 1)
+    expect(itemIds).to.not.include(7)
+  })
+})
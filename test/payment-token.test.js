@@ -0,0 +1,148 @@
+const { expectRevert } = require('@openzeppelin/test-helpers')
+const { expect } = require('chai')
+const hre = require('hardhat')
+const { ethers } = hre
+const { ArkivClient } = require('..')
+const { deployContract, deployMarket, listToken, mintToken } = require('./helpers/fixtures')
+const { expectSaleSplit } = require('./helpers/fees')
+
+describe('ERC-20 payment tokens', () => {
+  let marketplace
+  let nft
+  let usdc
+  let tokenId
+  let contractOwner, seller, buyer
+  const protocolFee = ethers.BigNumber.from(250)
+  const royaltyAmount = ethers.BigNumber.from(500)
+  const price = ethers.utils.parseUnits('100', 6)
+
+  const listForUsdc = async () => {
+    const txn = await (
+      await marketplace.connect(seller).listItemWithToken(nft.address, tokenId, price, usdc.address)
+    ).wait()
+    return txn.events[0].args.itemId
+  }
+
+  beforeEach(async () => {
+    ;[contractOwner, seller, buyer] = await ethers.getSigners()
+    ;({ marketplace, nft } = await deployMarket({ protocolFee }))
+    usdc = await deployContract('MockERC20', 'USD Coin', 'USDC', 6)
+    await usdc.mint(buyer.address, price.mul(10))
+    tokenId = await mintToken(nft, seller)
+  })
+
+  describe('Allowlist', () => {
+    it('only allows tokens approved by the owner', async () => {
+      expect(await marketplace.isPaymentTokenAllowed(usdc.address)).to.equal(false)
+      expect(await marketplace.isPaymentTokenAllowed(ethers.constants.AddressZero)).to.equal(true)
+      await expectRevert(listForUsdc(), 'Payment token not allowed.')
+
+      await expect(marketplace.setPaymentTokenAllowed(usdc.address, true))
+        .to.emit(marketplace, 'PaymentTokenUpdated')
+        .withArgs(usdc.address, true)
+      expect(await marketplace.isPaymentTokenAllowed(usdc.address)).to.equal(true)
+    })
+
+    it('reverts if a non fee admin updates the allowlist', async () => {
+      const role = await marketplace.FEE_ADMIN_ROLE()
+      await expectRevert(
+        marketplace.connect(seller).setPaymentTokenAllowed(usdc.address, true),
+        `AccessControl: account ${seller.address.toLowerCase()} is missing role ${role}`
+      )
+    })
+  })
+
+  describe('Purchases', () => {
+    let itemId
+
+    beforeEach(async () => {
+      await marketplace.setPaymentTokenAllowed(usdc.address, true)
+      await nft.connect(seller).setTokenRoyalty(tokenId, royaltyAmount)
+      itemId = await listForUsdc()
+    })
+
+    it('records the payment token on the item', async () => {
+      const item = await marketplace.getItemById(itemId)
+      expect(item.paymentToken).to.equal(usdc.address)
+    })
+
+    it('settles in the token with the fee and royalty split', async () => {
+      await usdc.connect(buyer).approve(marketplace.address, price)
+      // seller is also the royalty receiver
+      await expectSaleSplit(
+        marketplace,
+        () => marketplace.connect(buyer).purchaseItem(nft.address, itemId),
+        {
+          price,
+          protocolFee,
+          royalty: royaltyAmount,
+          seller,
+          royaltyReceiver: seller,
+          feeRecipient: contractOwner,
+          paymentToken: usdc,
+        }
+      )
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address)
+      expect(await usdc.balanceOf(buyer.address)).to.equal(price.mul(9))
+      expect(await usdc.balanceOf(marketplace.address)).to.equal(0)
+    })
+
+    it('pays a royalty receiver who is not the seller', async () => {
+      await nft.connect(seller).transferToken(seller.address, contractOwner.address, tokenId)
+      await nft.setApprovalForAll(marketplace.address, true)
+      const resaleId = await listToken(marketplace, nft, contractOwner, tokenId, price, {
+        paymentToken: usdc.address,
+      })
+
+      await usdc.connect(buyer).approve(marketplace.address, price)
+      await expectSaleSplit(
+        marketplace,
+        () => marketplace.connect(buyer).purchaseItem(nft.address, resaleId),
+        {
+          price,
+          protocolFee,
+          royalty: royaltyAmount,
+          seller: contractOwner,
+          royaltyReceiver: seller,
+          feeRecipient: contractOwner,
+          paymentToken: usdc,
+        }
+      )
+    })
+
+    it('reverts without an allowance', async () => {
+      await expectRevert(
+        marketplace.connect(buyer).purchaseItem(nft.address, itemId),
+        'ERC20: transfer amount exceeds allowance'
+      )
+    })
+
+    it('reverts if ether is sent for a token-priced item', async () => {
+      await usdc.connect(buyer).approve(marketplace.address, price)
+      await expectRevert(
+        marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: 1 }),
+        'Item is not priced in ether.'
+      )
+    })
+
+    it('reverts if the token was removed from the allowlist', async () => {
+      await marketplace.setPaymentTokenAllowed(usdc.address, false)
+      await usdc.connect(buyer).approve(marketplace.address, price)
+      await expectRevert(
+        marketplace.connect(buyer).purchaseItem(nft.address, itemId),
+        'Payment token not allowed.'
+      )
+    })
+
+    it('is handled by ArkivClient, including the approval', async () => {
+      const client = new ArkivClient({
+        signer: buyer,
+        marketplaceAddress: marketplace.address,
+        nftAddress: nft.address,
+      })
+      expect((await client.getListing(itemId)).paymentToken).to.equal(usdc.address)
+      await client.buy(itemId)
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address)
+    })
+  })
+})
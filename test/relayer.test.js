@@ -0,0 +1,244 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const {
+  MissingRoleError,
+  NotTokenOwnerError,
+  NotWhitelistedError,
+  getForwarderDomain,
+  verifyForwardRequest,
+} = require('../sdk')
+const {
+  createRelayer,
+  decodeForwardedError,
+  prepareForwardRequest,
+  signForwardedCall,
+} = require('../utils/relayer')
+const { TOKEN_URI, deployContract, deployMarket, mintToken } = require('./helpers/fixtures')
+
+describe('Meta-transactions', () => {
+  const UPDATED_URI = 'https://ipfs.io/ipfs/QmUpdated'
+  let marketplace
+  let nft
+  let forwarder
+  let relayer
+  let contractOwner, relayerAccount, stranger
+  // creators hold no ether, the relayer pays their gas
+  let creator
+
+  const rejection = async (promise) => {
+    try {
+      await promise
+    } catch (err) {
+      return err
+    }
+    throw new Error('Expected a rejection')
+  }
+
+  const relayCall = async (signer, contract, method, args, options) => {
+    const { request, signature } = await signForwardedCall(
+      signer,
+      forwarder,
+      contract,
+      method,
+      args,
+      options
+    )
+    return relayer.relay(request, signature)
+  }
+
+  beforeEach(async () => {
+    ;[contractOwner, relayerAccount, stranger] = await ethers.getSigners()
+    ;({ marketplace, nft } = await deployMarket())
+    forwarder = (await deployContract('ArkivForwarder')).connect(relayerAccount)
+    for (const contract of [marketplace, nft]) {
+      await contract.grantRole(await contract.FORWARDER_ROLE(), forwarder.address)
+    }
+    relayer = createRelayer({ forwarder, targets: [marketplace, nft] })
+    creator = ethers.Wallet.createRandom().connect(ethers.provider)
+    await nft.addToWhitelist(creator.address)
+  })
+
+  it('lets a creator without ether mint, set a royalty, update metadata and list', async () => {
+    const { result, events } = await relayCall(creator, nft, 'mint', [creator.address, TOKEN_URI])
+    const [tokenId] = result
+    expect(events.find((e) => e.name === 'TokenMinted').args._creator).to.equal(creator.address)
+    expect(await nft.tokenCreator(tokenId)).to.equal(creator.address)
+    expect(await nft.isApprovedForAll(creator.address, marketplace.address)).to.equal(true)
+
+    await relayCall(creator, nft, 'setTokenRoyalty', [tokenId, 500])
+    const [receiver, royalty] = await nft.royaltyInfo(tokenId, 10000)
+    expect([receiver, royalty.toNumber()]).to.deep.equal([creator.address, 500])
+
+    await relayCall(creator, nft, 'updateTokenMetadata', [tokenId, UPDATED_URI])
+    expect(await nft.tokenURI(tokenId)).to.equal(UPDATED_URI)
+
+    const price = ethers.utils.parseEther('1')
+    const listed = await relayCall(creator, marketplace, 'listItem', [nft.address, tokenId, price])
+    const item = await marketplace.getItemById(listed.result[0])
+    expect(item.owner).to.equal(creator.address)
+    expect(item.isListed).to.equal(true)
+
+    expect(await ethers.provider.getBalance(creator.address)).to.equal(0)
+    expect(await forwarder.getNonce(creator.address)).to.equal(4)
+  })
+
+  it('refuses requests with a bad signature, a used nonce or an unknown target', async () => {
+    const { request, signature } = await signForwardedCall(creator, forwarder, nft, 'mint', [
+      creator.address,
+      TOKEN_URI,
+    ])
+    const { chainId } = await ethers.provider.getNetwork()
+    expect(verifyForwardRequest(getForwarderDomain(forwarder.address, chainId), request, signature))
+      .to.be.true
+
+    const forged = { ...request, from: stranger.address }
+    expect((await rejection(relayer.relay(forged, signature))).message).to.contain(
+      `Invalid signature or nonce for the request of ${stranger.address}`
+    )
+    await relayer.relay(request, signature)
+    expect((await rejection(relayer.relay(request, signature))).message).to.contain(
+      'Invalid signature or nonce'
+    )
+
+    // the gas is given as the call cannot be estimated through a forwarder Editions does not trust
+    const editions = await deployContract('Editions', marketplace.address)
+    const other = await signForwardedCall(
+      creator,
+      forwarder,
+      editions,
+      'addToWhitelist',
+      [creator.address],
+      { gas: 100000 }
+    )
+    expect((await rejection(relayer.relay(other.request, other.signature))).message).to.contain(
+      `Requests to ${editions.address} are not relayed`
+    )
+  })
+
+  it('refuses requests that would spend the relayer ether or call other methods', async () => {
+    const balance = await ethers.provider.getBalance(relayerAccount.address)
+    const credit = await signForwardedCall(
+      creator,
+      forwarder,
+      marketplace,
+      'creditPayment',
+      [creator.address],
+      { value: ethers.utils.parseEther('1'), gas: 100000 }
+    )
+    expect((await rejection(relayer.relay(credit.request, credit.signature))).message).to.contain(
+      'Requests that send ether are not relayed'
+    )
+
+    const free = await signForwardedCall(creator, forwarder, marketplace, 'creditPayment', [
+      creator.address,
+    ])
+    expect((await rejection(relayer.relay(free.request, free.signature))).message).to.contain(
+      'creditPayment is not relayed'
+    )
+
+    const paid = await signForwardedCall(
+      creator,
+      forwarder,
+      nft,
+      'mint',
+      [creator.address, TOKEN_URI],
+      { value: 1, gas: 500000 }
+    )
+    expect((await rejection(relayer.relay(paid.request, paid.signature))).message).to.contain(
+      'Requests that send ether are not relayed'
+    )
+
+    expect(await ethers.provider.getBalance(relayerAccount.address)).to.equal(balance)
+    expect(await marketplace.pendingWithdrawal(creator.address)).to.equal(0)
+  })
+
+  it('checks the whitelist, token ownership and roles against the signer', async () => {
+    // with the gas given, the revert is decoded from the relayer's simulation of the forwarded call
+    const gas = { gas: 500000 }
+    const notWhitelisted = await rejection(
+      relayCall(stranger, nft, 'mint', [stranger.address, TOKEN_URI], gas)
+    )
+    expect(notWhitelisted).to.be.instanceOf(NotWhitelistedError)
+
+    const tokenId = await mintToken(nft, contractOwner)
+    const notOwner = await rejection(
+      relayCall(creator, nft, 'updateTokenMetadata', [tokenId, UPDATED_URI], gas)
+    )
+    expect(notOwner).to.be.instanceOf(NotTokenOwnerError)
+
+    // the relayer does not pay for curator calls, they are sent to the forwarder directly
+    const curatorCall = () =>
+      signForwardedCall(creator, forwarder, nft, 'addToWhitelist', [stranger.address], gas)
+    const denied = await curatorCall()
+    const [success, returndata] = await forwarder.callStatic.execute(
+      denied.request,
+      denied.signature
+    )
+    expect(success).to.equal(false)
+    const missingRole = decodeForwardedError(returndata)
+    expect(missingRole).to.be.instanceOf(MissingRoleError)
+    expect(missingRole.message).to.contain(creator.address.toLowerCase())
+
+    await nft.grantRole(await nft.CURATOR_ROLE(), creator.address)
+    const granted = await curatorCall()
+    await forwarder.execute(granted.request, granted.signature)
+    expect(await nft.isWhitelisted(stranger.address)).to.equal(true)
+  })
+
+  it('ignores the appended sender of callers that are not trusted forwarders', async () => {
+    const data = nft.interface.encodeFunctionData('mint', [stranger.address, TOKEN_URI])
+    const txn = {
+      to: nft.address,
+      data: ethers.utils.hexConcat([data, creator.address]),
+    }
+    expect((await rejection(stranger.call(txn))).message).to.contain(
+      'Must be whitelisted to create tokens'
+    )
+
+    const untrusted = (await deployContract('ArkivForwarder')).connect(relayerAccount)
+    const { request, signature } = await signForwardedCall(
+      creator,
+      untrusted,
+      nft,
+      'mint',
+      [creator.address, TOKEN_URI],
+      { gas: 500000 }
+    )
+    const [success] = await untrusted.callStatic.execute(request, signature)
+    expect(success).to.equal(false)
+    const untrustedRelayer = createRelayer({ forwarder: untrusted, targets: [nft] })
+    expect((await rejection(untrustedRelayer.relay(request, signature))).message).to.contain(
+      `does not trust forwarder ${untrusted.address}`
+    )
+
+    expect(await nft.isTrustedForwarder(forwarder.address)).to.equal(true)
+    await nft.revokeRole(await nft.FORWARDER_ROLE(), forwarder.address)
+    expect(await nft.isTrustedForwarder(forwarder.address)).to.equal(false)
+  })
+
+  it('estimates the gas of a request as the target sees the call', async () => {
+    const data = nft.interface.encodeFunctionData('mint', [creator.address, TOKEN_URI])
+    const request = await prepareForwardRequest(forwarder, {
+      from: creator.address,
+      to: nft.address,
+      data,
+    })
+    expect(request.nonce).to.equal(0)
+    expect(request.gas.toNumber()).to.be.above(100000)
+
+    // the same call from the creator's own account would cost about as much
+    const direct = await ethers.provider.estimateGas({
+      from: creator.address,
+      to: nft.address,
+      data,
+    })
+    expect(request.gas.sub(direct).abs().toNumber()).to.be.below(5000)
+  })
+
+  it('decodes the revert of a call that cannot be estimated', async () => {
+    const error = await rejection(
+      signForwardedCall(stranger, forwarder, nft, 'mint', [stranger.address, TOKEN_URI])
+    )
+    expect(error).to.be.instanceOf(NotWhitelistedError)
+  })
+})
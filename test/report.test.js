@@ -0,0 +1,299 @@
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const hre = require('hardhat')
+const { ethers } = hre
+const { deploy } = require('../scripts/deploy')
+const { PERIODS, buildReport, formatReport } = require('../utils/report')
+const { deployContract, listToken, mintToken } = require('./helpers/fixtures')
+
+describe('Sales report', () => {
+  const ether = (amount) => ethers.utils.parseEther(amount).toString()
+  const DAY = 24 * 60 * 60
+  let tmpDir
+  let marketplace
+  let nft
+  let auctionHouse, offerBook, editions
+  let contractOwner, creatorA, creatorB, buyer, collector
+  let saleBlocks
+
+  const buy = async (account, itemId, price) => {
+    const txn = await marketplace
+      .connect(account)
+      .purchaseItem(nft.address, itemId, { value: ethers.utils.parseEther(price) })
+    return (await txn.wait()).blockNumber
+  }
+
+  // creator A sells a token with a 5% royalty that is resold the next month, creator B sells one without,
+  // and both leave a token listed; creator B's listing is stale as the marketplace is no longer approved
+  beforeEach(async () => {
+    ;[contractOwner, creatorA, creatorB, buyer, collector] = await ethers.getSigners()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arkiv-deployments-'))
+    process.env.DEPLOYMENTS_DIR = tmpDir
+    ;({ marketplace, nft, auctionHouse, offerBook, editions } = await deploy(hre))
+
+    const tokenA1 = await mintToken(nft, creatorA, { royalty: 500 })
+    const tokenB1 = await mintToken(nft, creatorB)
+    const itemA1 = await listToken(
+      marketplace,
+      nft,
+      creatorA,
+      tokenA1,
+      ethers.utils.parseEther('10')
+    )
+    const itemB1 = await listToken(
+      marketplace,
+      nft,
+      creatorB,
+      tokenB1,
+      ethers.utils.parseEther('4')
+    )
+    saleBlocks = [await buy(buyer, itemA1, '10'), await buy(buyer, itemB1, '4')]
+
+    await ethers.provider.send('evm_increaseTime', [40 * DAY])
+    await nft.connect(buyer).setApprovalForAll(marketplace.address, true)
+    await listToken(marketplace, nft, buyer, tokenA1, ethers.utils.parseEther('20'))
+    saleBlocks.push(await buy(collector, itemA1, '20'))
+
+    const tokenA2 = await mintToken(nft, creatorA)
+    const tokenB2 = await mintToken(nft, creatorB)
+    await listToken(marketplace, nft, creatorA, tokenA2, ethers.utils.parseEther('3'))
+    await listToken(marketplace, nft, creatorB, tokenB2, ethers.utils.parseEther('1'))
+    await nft.connect(creatorB).setApprovalForAll(marketplace.address, false)
+  })
+
+  afterEach(() => {
+    delete process.env.DEPLOYMENTS_DIR
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('sums the volume, royalties and protocol fee of every sale', async () => {
+    const report = await buildReport({ marketplace, nfts: [nft] })
+
+    expect(report.totals).to.deep.equal([
+      {
+        currency: ethers.constants.AddressZero,
+        sales: 3,
+        volume: ether('34'),
+        // 5% of the 10 and 20 ETH sales of creator A's token
+        royalties: ether('1.5'),
+        fees: ether('0.85'),
+      },
+    ])
+    expect(report.currencies).to.deep.equal({
+      [ethers.constants.AddressZero]: { symbol: 'ETH', decimals: 18 },
+    })
+  })
+
+  it('counts sales settled by the AuctionHouse and OfferBook', async () => {
+    const auctioned = await mintToken(nft, creatorA, { royalty: 500 })
+    await nft.connect(creatorA).setApprovalForAll(auctionHouse.address, true)
+    const created = await (
+      await auctionHouse
+        .connect(creatorA)
+        .createEnglishAuction(nft.address, auctioned, ether('5'), 1, 0, DAY, 0)
+    ).wait()
+    const { auctionId } = created.events.find((e) => e.event === 'AuctionCreated').args
+    await auctionHouse.connect(collector).placeBid(auctionId, { value: ether('5') })
+    await ethers.provider.send('evm_increaseTime', [DAY + 1])
+    await auctionHouse.settleAuction(auctionId)
+
+    const offered = await mintToken(nft, creatorB)
+    const { timestamp } = await ethers.provider.getBlock('latest')
+    const offer = await (
+      await offerBook
+        .connect(buyer)
+        .makeOffer(nft.address, offered, timestamp + DAY, { value: ether('2') })
+    ).wait()
+    const { offerId } = offer.events.find((e) => e.event === 'OfferCreated').args
+    await nft.connect(creatorB).setApprovalForAll(offerBook.address, true)
+    await offerBook.connect(creatorB).acceptOffer(offerId, offered)
+    // anyone can pay out a made-up sale, which is not counted
+    await marketplace.connect(collector).payoutSale(nft.address, offered, creatorB.address, {
+      value: 1,
+    })
+
+    const report = await buildReport({
+      marketplace,
+      nfts: [nft],
+      settlers: [auctionHouse.address, offerBook.address],
+    })
+    expect(report.totals).to.deep.equal([
+      {
+        currency: ethers.constants.AddressZero,
+        sales: 5,
+        volume: ether('41'),
+        // 5% of the 10, 20 and 5 ETH sales of creator A's tokens
+        royalties: ether('1.75'),
+        fees: ether('1.025'),
+      },
+    ])
+    expect(
+      report.creators.map(({ creator, sales, primarySales }) => [creator, sales, primarySales])
+    ).to.deep.equal([
+      [creatorA.address, 3, 2],
+      [creatorB.address, 2, 2],
+    ])
+  })
+
+  it('attributes sales and royalties to the creator of each token', async () => {
+    const { creators } = await buildReport({ marketplace, nfts: [nft] })
+
+    expect(creators.map(({ fees, ...row }) => row)).to.deep.equal([
+      {
+        creator: creatorA.address,
+        currency: ethers.constants.AddressZero,
+        tokens: 2,
+        primarySales: 1,
+        sales: 2,
+        volume: ether('30'),
+        royalties: ether('1.5'),
+      },
+      {
+        creator: creatorB.address,
+        currency: ethers.constants.AddressZero,
+        tokens: 2,
+        primarySales: 1,
+        sales: 1,
+        volume: ether('4'),
+        royalties: '0',
+      },
+    ])
+  })
+
+  it('reports the floor price among listings that can still be bought', async () => {
+    const { collections } = await buildReport({ marketplace, nfts: [nft] })
+
+    expect(collections).to.have.lengthOf(1)
+    expect(collections[0]).to.include({
+      collection: nft.address,
+      tokens: 4,
+      listed: 1,
+      floorPrice: ether('3'),
+      sales: 3,
+      volume: ether('34'),
+      fees: ether('0.85'),
+    })
+  })
+
+  it('groups sales by the period of their block', async () => {
+    const months = await Promise.all(
+      saleBlocks.map(async (blockNumber) => {
+        const { timestamp } = await ethers.provider.getBlock(blockNumber)
+        return PERIODS.month(new Date(timestamp * 1000))
+      })
+    )
+    const { periods } = await buildReport({ marketplace, nfts: [nft], period: 'month' })
+
+    expect(months[0]).to.not.equal(months[2])
+    expect(periods.map(({ period, sales, volume }) => ({ period, sales, volume }))).to.deep.equal([
+      { period: months[0], sales: 2, volume: ether('14') },
+      { period: months[2], sales: 1, volume: ether('20') },
+    ])
+  })
+
+  it('names ISO weeks by the year of their Thursday', () => {
+    expect(PERIODS.week(new Date('2021-01-03T12:00:00Z'))).to.equal('2020-W53')
+    expect(PERIODS.week(new Date('2021-01-04T00:00:00Z'))).to.equal('2021-W01')
+    expect(PERIODS.week(new Date('2026-10-19T23:59:59Z'))).to.equal('2026-W43')
+  })
+
+  it('keeps sales in ERC-20 tokens apart from ether sales', async () => {
+    const usdc = await deployContract('MockERC20', 'USD Coin', 'USDC', 6)
+    const price = ethers.utils.parseUnits('100', 6)
+    await marketplace.setPaymentTokenAllowed(usdc.address, true)
+    await usdc.mint(buyer.address, price)
+    await usdc.connect(buyer).approve(marketplace.address, price)
+    const tokenId = await mintToken(nft, creatorA)
+    const itemId = await listToken(marketplace, nft, creatorA, tokenId, price, {
+      paymentToken: usdc.address,
+    })
+    await marketplace.connect(buyer).purchaseItem(nft.address, itemId)
+
+    const report = await buildReport({ marketplace, nfts: [nft] })
+    expect(report.totals.map((row) => [row.currency, row.volume])).to.deep.equal([
+      [ethers.constants.AddressZero, ether('34')],
+      [usdc.address, price.toString()],
+    ])
+    expect(report.currencies[usdc.address]).to.deep.equal({ symbol: 'USDC', decimals: 6 })
+    expect(formatReport(report, 'csv', ['totals'])).to.equal(
+      [
+        '# totals',
+        'currency,sales,volume,royalties,fees',
+        'ETH,3,34.0,1.5,0.85',
+        'USDC,1,100.0,0.0,2.5',
+      ].join('\n')
+    )
+  })
+
+  it('writes the report from the report task as CSV or JSON', async () => {
+    const csv = path.join(tmpDir, 'report.csv')
+    await hre.run('report', { format: 'csv', out: csv, sections: 'creators' })
+    expect(fs.readFileSync(csv, 'utf8').split('\n').slice(0, 3)).to.deep.equal([
+      '# creators',
+      'creator,currency,tokens,sales,primarySales,volume,royalties',
+      `${creatorA.address},ETH,2,2,1,30.0,1.5`,
+    ])
+
+    const json = path.join(tmpDir, 'report.json')
+    await hre.run('report', { format: 'json', out: json, period: 'day' })
+    const report = JSON.parse(fs.readFileSync(json, 'utf8'))
+    expect(report.period).to.equal('day')
+    expect(report.totals[0].fees).to.equal(ether('0.85'))
+    expect(Object.keys(report)).to.deep.equal([
+      'period',
+      'currencies',
+      'totals',
+      'creators',
+      'collections',
+      'periods',
+    ])
+  })
+
+  it('includes the deployed Editions in the report task', async () => {
+    await editions.addToWhitelist(creatorB.address)
+    const created = await (
+      await editions.connect(creatorB).createEdition(creatorB.address, 5, 'ipfs://edition', 1000)
+    ).wait()
+    const { _tokenId } = created.events.find((e) => e.event === 'EditionCreated').args
+    const listed = await (
+      await marketplace
+        .connect(creatorB)
+        .listEdition(editions.address, _tokenId, 3, ether('1'), ethers.constants.AddressZero, 0)
+    ).wait()
+    const { itemId } = listed.events.find((e) => e.event === 'ItemListed').args
+    await marketplace.connect(buyer).purchaseEdition(itemId, 2, { value: ether('2') })
+
+    const { collections, creators } = await hre.run('report', { format: 'json' })
+    expect(collections.find((row) => row.collection === editions.address)).to.deep.equal({
+      collection: editions.address,
+      currency: ethers.constants.AddressZero,
+      tokens: 1,
+      listed: 1,
+      floorPrice: ether('1'),
+      sales: 1,
+      volume: ether('2'),
+      royalties: ether('0.2'),
+      fees: ether('0.05'),
+    })
+    const creator = creators.find((row) => row.creator === creatorB.address)
+    expect([creator.tokens, creator.sales, creator.volume]).to.deep.equal([3, 2, ether('6')])
+  })
+
+  it('rejects unknown formats, periods and sections', async () => {
+    let error
+    try {
+      await buildReport({ marketplace, period: 'year' })
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.contain('Unknown period "year"')
+
+    const report = await buildReport({ marketplace, nfts: [nft] })
+    expect(() => formatReport(report, 'xml')).to.throw('Unknown report format "xml"')
+    expect(() => formatReport(report, 'csv', ['sellers'])).to.throw(
+      'Unknown report section "sellers"'
+    )
+  })
+})
@@ -0,0 +1,266 @@
+const { expectRevert } = require('@openzeppelin/test-helpers')
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const hre = require('hardhat')
+const { ethers } = hre
+const { ArkivClient, MarketplacePausedError, MissingRoleError, decodeError } = require('..')
+const { deploy } = require('../scripts/deploy')
+const { deployContract, deployMarket, mintToken } = require('./helpers/fixtures')
+
+describe('Roles and pausing', () => {
+  let marketplace
+  let nft
+  let tokenId
+  let contractOwner, seller, buyer, pauser, stranger
+  const price = ethers.utils.parseEther('1')
+  const provider = ethers.provider
+  const HOUR = 60 * 60
+
+  const missingRole = (account, role) =>
+    `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`
+
+  const latestTimestamp = async () => (await provider.getBlock('latest')).timestamp
+
+  beforeEach(async () => {
+    ;[contractOwner, seller, buyer, pauser, stranger] = await ethers.getSigners()
+    ;({ marketplace, nft } = await deployMarket())
+    tokenId = await mintToken(nft, seller)
+  })
+
+  describe('Roles', () => {
+    it('gives the deployer every role', async () => {
+      for (const role of ['DEFAULT_ADMIN_ROLE', 'FEE_ADMIN_ROLE', 'PAUSER_ROLE']) {
+        expect(
+          await marketplace.hasRole(await marketplace[role](), contractOwner.address)
+        ).to.equal(true)
+      }
+      expect(await nft.hasRole(await nft.CURATOR_ROLE(), contractOwner.address)).to.equal(true)
+      expect(await nft.hasRole(await nft.DEFAULT_ADMIN_ROLE(), contractOwner.address)).to.equal(
+        true
+      )
+    })
+
+    it('lets the admin hand out roles, and nobody else', async () => {
+      const role = await marketplace.PAUSER_ROLE()
+      await expect(marketplace.grantRole(role, pauser.address))
+        .to.emit(marketplace, 'RoleGranted')
+        .withArgs(role, pauser.address, contractOwner.address)
+      await marketplace.connect(pauser).pause()
+
+      await expectRevert(
+        marketplace.connect(pauser).grantRole(role, stranger.address),
+        missingRole(pauser, await marketplace.DEFAULT_ADMIN_ROLE())
+      )
+      await marketplace.revokeRole(role, pauser.address)
+      await expectRevert(marketplace.connect(pauser).unpause(), missingRole(pauser, role))
+    })
+
+    it('keeps the roles separate', async () => {
+      await marketplace.grantRole(await marketplace.FEE_ADMIN_ROLE(), stranger.address)
+      await marketplace.connect(stranger).scheduleProtocolFee(100)
+      await expectRevert(
+        marketplace.connect(stranger).pause(),
+        missingRole(stranger, await marketplace.PAUSER_ROLE())
+      )
+      await expectRevert(
+        nft.connect(stranger).addToWhitelist(stranger.address),
+        missingRole(stranger, await nft.CURATOR_ROLE())
+      )
+    })
+
+    it('lets only the owner take the admin role back', async () => {
+      for (const contract of [marketplace, nft]) {
+        const admin = await contract.DEFAULT_ADMIN_ROLE()
+        await contract.renounceRole(admin, contractOwner.address)
+        await expectRevert(
+          contract.connect(stranger).grantOwnerAdminRole(),
+          'Ownable: caller is not the owner'
+        )
+        await expect(contract.grantOwnerAdminRole())
+          .to.emit(contract, 'RoleGranted')
+          .withArgs(admin, contractOwner.address, contractOwner.address)
+        expect(await contract.hasRole(admin, contractOwner.address)).to.equal(true)
+      }
+    })
+
+    it('lets Editions curators manage its whitelist', async () => {
+      const editions = await deployContract('Editions', marketplace.address)
+
+      await editions.grantRole(await editions.CURATOR_ROLE(), stranger.address)
+      await editions.connect(stranger).addToWhitelist(seller.address)
+      expect(await editions.isWhitelisted(seller.address)).to.equal(true)
+      await expectRevert(
+        editions.connect(seller).enableWhitelist(false),
+        missingRole(seller, await editions.CURATOR_ROLE())
+      )
+    })
+  })
+
+  describe('Pausing', () => {
+    let itemId
+
+    beforeEach(async () => {
+      const receipt = await (
+        await marketplace.connect(seller).listItem(nft.address, tokenId, price)
+      ).wait()
+      itemId = receipt.events.find((e) => e.event === 'ItemListed').args.itemId
+      await marketplace.grantRole(await marketplace.PAUSER_ROLE(), pauser.address)
+      await marketplace.connect(pauser).pause()
+    })
+
+    it('stops listing and purchasing', async () => {
+      expect(await marketplace.paused()).to.equal(true)
+      await expectRevert(
+        marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: price }),
+        'Pausable: paused'
+      )
+      await marketplace.connect(seller).delistItem(itemId)
+      await expectRevert(
+        marketplace.connect(seller).listItem(nft.address, tokenId, price),
+        'Pausable: paused'
+      )
+    })
+
+    it('keeps withdrawals and transfers working', async () => {
+      await marketplace.connect(pauser).unpause()
+      await marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: price })
+      await marketplace.connect(pauser).pause()
+
+      const owed = await marketplace.pendingWithdrawal(seller.address)
+      await expect(() => marketplace.connect(seller).withdraw()).to.changeEtherBalance(seller, owed)
+      await nft.connect(buyer).transferFrom(buyer.address, stranger.address, tokenId)
+      expect(await nft.ownerOf(tokenId)).to.equal(stranger.address)
+    })
+
+    it('resumes trading once unpaused', async () => {
+      await expectRevert(
+        marketplace.connect(stranger).unpause(),
+        missingRole(stranger, await marketplace.PAUSER_ROLE())
+      )
+      await expectRevert(marketplace.connect(pauser).pause(), 'Pausable: paused')
+      await expect(marketplace.connect(pauser).unpause())
+        .to.emit(marketplace, 'Unpaused')
+        .withArgs(pauser.address)
+      await expectRevert(marketplace.connect(pauser).unpause(), 'Pausable: not paused')
+      await marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: price })
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address)
+    })
+
+    it('stops auctions and offers, but lets offers be cancelled', async () => {
+      const auctionHouse = await deployContract('AuctionHouse', marketplace.address)
+      const offerBook = await deployContract('OfferBook', marketplace.address)
+      await nft.connect(seller).setApprovalForAll(auctionHouse.address, true)
+
+      await expectRevert(
+        auctionHouse.connect(seller).createEnglishAuction(nft.address, tokenId, 1, 1, 0, HOUR, 0),
+        'Pausable: paused'
+      )
+      const expiry = (await latestTimestamp()) + HOUR
+      await expectRevert(
+        offerBook.connect(buyer).makeOffer(nft.address, tokenId, expiry, { value: price }),
+        'Pausable: paused'
+      )
+
+      await marketplace.connect(pauser).unpause()
+      await offerBook.connect(buyer).makeOffer(nft.address, tokenId, expiry, { value: price })
+      await marketplace.connect(pauser).pause()
+      await expectRevert(offerBook.connect(seller).acceptOffer(0, tokenId), 'Pausable: paused')
+      await offerBook.connect(buyer).cancelOffer(0)
+      expect(await marketplace.pendingWithdrawal(buyer.address)).to.equal(price)
+    })
+
+    it('surfaces as typed SDK errors', async () => {
+      const client = new ArkivClient({
+        signer: buyer,
+        marketplaceAddress: marketplace.address,
+        nftAddress: nft.address,
+      })
+      let error
+      try {
+        await client.buy(itemId)
+      } catch (err) {
+        error = err
+      }
+      expect(error).to.be.instanceOf(MarketplacePausedError)
+
+      try {
+        await marketplace.connect(stranger).unpause()
+      } catch (err) {
+        error = decodeError(err)
+      }
+      expect(error).to.be.instanceOf(MissingRoleError)
+    })
+  })
+
+  describe('Tasks', () => {
+    let tmpDir
+    let deployed
+
+    beforeEach(async () => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arkiv-deployments-'))
+      process.env.DEPLOYMENTS_DIR = tmpDir
+      deployed = await deploy(hre)
+    })
+
+    afterEach(() => {
+      delete process.env.DEPLOYMENTS_DIR
+      fs.rmSync(tmpDir, { recursive: true, force: true })
+    })
+
+    it('grants and revokes roles by name', async () => {
+      const role = await deployed.marketplace.PAUSER_ROLE()
+      await hre.run('roles:grant', {
+        contract: 'Marketplace',
+        role: 'pauser',
+        address: pauser.address,
+      })
+      expect(await deployed.marketplace.hasRole(role, pauser.address)).to.equal(true)
+      await hre.run('market:pause', { account: 3 })
+      expect(await deployed.marketplace.paused()).to.equal(true)
+
+      await hre.run('roles:revoke', {
+        contract: 'Marketplace',
+        role: 'PAUSER_ROLE',
+        address: pauser.address,
+      })
+      expect(await deployed.marketplace.hasRole(role, pauser.address)).to.equal(false)
+      await hre.run('market:unpause', { account: 0 })
+      expect(await deployed.marketplace.paused()).to.equal(false)
+    })
+
+    it('grants the curator role on the NFT', async () => {
+      await hre.run('roles:grant', { contract: 'NFT', role: 'CURATOR', address: stranger.address })
+      await deployed.nft.connect(stranger).addToWhitelist(seller.address)
+      expect(await deployed.nft.isWhitelisted(seller.address)).to.equal(true)
+    })
+
+    it('rejects roles the contract does not define', async () => {
+      let error
+      try {
+        await hre.run('roles:grant', { contract: 'NFT', role: 'PAUSER', address: pauser.address })
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.equal(
+        'NFT has no PAUSER role, expected one of ADMIN, CURATOR, FORWARDER'
+      )
+    })
+
+    it('fails the static call when the sender is not an admin', async () => {
+      let error
+      try {
+        await hre.run('roles:grant', {
+          contract: 'Marketplace',
+          role: 'FEE_ADMIN',
+          address: stranger.address,
+          account: 4,
+        })
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('is missing role')
+    })
+  })
+})
@@ -0,0 +1,254 @@
+const { constants, expectRevert } = require('@openzeppelin/test-helpers')
+const { ZERO_ADDRESS } = constants
+const { expect } = require('chai')
+const hre = require('hardhat')
+const { ethers } = hre
+const { ArkivClient } = require('..')
+const { deployContract, deployMarket, listToken, mintToken } = require('./helpers/fixtures')
+const { expectCredits } = require('./helpers/fees')
+
+describe('Royalty splits and defaults', () => {
+  let marketplace
+  let nft
+  let tokenId
+  let contractOwner, creator, collaborator1, collaborator2, buyer, stranger
+  const protocolFee = ethers.BigNumber.from(250)
+  const salePrice = ethers.utils.parseEther('10')
+
+  const bps = (value) => salePrice.mul(value).div(10000)
+
+  const mint = () => mintToken(nft, creator)
+
+  const listAndBuy = async (id) => {
+    const itemId = await listToken(marketplace, nft, creator, id, salePrice)
+    return marketplace.connect(buyer).purchaseItem(nft.address, itemId, { value: salePrice })
+  }
+
+  beforeEach(async () => {
+    ;[contractOwner, creator, collaborator1, collaborator2, buyer, stranger] =
+      await ethers.getSigners()
+    ;({ marketplace, nft } = await deployMarket({ protocolFee }))
+    tokenId = await mint()
+  })
+
+  describe('Token splits', () => {
+    const recipients = () => [collaborator1.address, collaborator2.address]
+
+    it('reports every recipient and the total through ERC-2981', async () => {
+      await nft.connect(creator).setTokenRoyaltySplit(tokenId, 1000, recipients(), [600, 400])
+
+      const [receivers, amounts] = await nft.royaltySplits(tokenId, salePrice)
+      expect(receivers).to.deep.equal(recipients())
+      expect(amounts.map(String)).to.deep.equal([bps(600).toString(), bps(400).toString()])
+
+      const [receiver, amount] = await nft.royaltyInfo(tokenId, salePrice)
+      expect(receiver).to.equal(collaborator1.address)
+      expect(amount).to.equal(bps(1000))
+    })
+
+    it('reverts if the shares do not sum to the total', async () => {
+      await expectRevert(
+        nft.connect(creator).setTokenRoyaltySplit(tokenId, 1000, recipients(), [600, 300]),
+        'Royalty shares must sum to the total'
+      )
+    })
+
+    it('reverts on mismatched, zero or empty entries', async () => {
+      await expectRevert(
+        nft.connect(creator).setTokenRoyaltySplit(tokenId, 600, recipients(), [600]),
+        'Royalty recipients and shares differ'
+      )
+      await expectRevert(
+        nft.connect(creator).setTokenRoyaltySplit(tokenId, 600, recipients(), [600, 0]),
+        'Royalty share is zero'
+      )
+      await expectRevert(
+        nft
+          .connect(creator)
+          .setTokenRoyaltySplit(tokenId, 600, [collaborator1.address, ZERO_ADDRESS], [300, 300]),
+        'ERC2981: Invalid parameters'
+      )
+    })
+
+    it('reverts above 10000 basis points or too many recipients', async () => {
+      await expectRevert(
+        nft.connect(creator).setTokenRoyaltySplit(tokenId, 10001, recipients(), [5001, 5000]),
+        'ERC2981: royalty fee will exceed salePrice'
+      )
+      const many = Array(11).fill(collaborator1.address)
+      await expectRevert(
+        nft.connect(creator).setTokenRoyaltySplit(tokenId, 11, many, Array(11).fill(1)),
+        'Too many royalty recipients'
+      )
+    })
+
+    it('reverts if the caller is not the creator', async () => {
+      await expectRevert(
+        nft.connect(stranger).setTokenRoyaltySplit(tokenId, 1000, recipients(), [600, 400]),
+        'Caller is not the creator'
+      )
+    })
+
+    it('resets to zero with no recipients', async () => {
+      await nft.connect(creator).setTokenRoyaltySplit(tokenId, 1000, recipients(), [600, 400])
+      await nft.connect(creator).setTokenRoyaltySplit(tokenId, 0, [], [])
+      const [receivers] = await nft.royaltySplits(tokenId, salePrice)
+      expect(receivers).to.deep.equal([])
+    })
+  })
+
+  describe('Defaults', () => {
+    it('applies the creator default to tokens without a royalty of their own', async () => {
+      await expect(nft.connect(creator).setCreatorRoyalty(500, [collaborator1.address], [500]))
+        .to.emit(nft, 'CreatorRoyaltyUpdated')
+        .withArgs(creator.address, [collaborator1.address], [500])
+
+      const [receiver, amount] = await nft.royaltyInfo(tokenId, salePrice)
+      expect(receiver).to.equal(collaborator1.address)
+      expect(amount).to.equal(bps(500))
+    })
+
+    it('lets a token royalty, including zero, override the creator default', async () => {
+      await nft.connect(creator).setCreatorRoyalty(500, [collaborator1.address], [500])
+      await nft.connect(creator).setTokenRoyalty(tokenId, 0)
+      const [receiver, amount] = await nft.royaltyInfo(tokenId, salePrice)
+      expect(receiver).to.equal(ZERO_ADDRESS)
+      expect(amount).to.equal(0)
+    })
+
+    it('removes the creator default with a zero total', async () => {
+      await nft.connect(creator).setCreatorRoyalty(500, [collaborator1.address], [500])
+      await nft.connect(creator).setCreatorRoyalty(0, [], [])
+      expect((await nft.royaltyInfo(tokenId, salePrice))[1]).to.equal(0)
+    })
+
+    it('reverts if a non-whitelisted address sets a creator default', async () => {
+      await expectRevert(
+        nft.connect(stranger).setCreatorRoyalty(500, [stranger.address], [500]),
+        'Must be whitelisted to create tokens'
+      )
+    })
+
+    it('falls back to the contract default set by the owner', async () => {
+      await expect(nft.setDefaultRoyalty(collaborator2.address, 250))
+        .to.emit(nft, 'DefaultRoyaltyUpdated')
+        .withArgs(collaborator2.address, 250)
+      let [receiver, amount] = await nft.royaltyInfo(tokenId, salePrice)
+      expect(receiver).to.equal(collaborator2.address)
+      expect(amount).to.equal(bps(250))
+
+      await nft.setDefaultRoyalty(ZERO_ADDRESS, 0)
+      ;[receiver, amount] = await nft.royaltyInfo(tokenId, salePrice)
+      expect(amount).to.equal(0)
+    })
+
+    it('reverts if a non-owner sets the contract default', async () => {
+      await expectRevert(
+        nft.connect(creator).setDefaultRoyalty(creator.address, 250),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+
+  describe('Marketplace payouts', () => {
+    it('credits every royalty recipient on purchaseItem', async () => {
+      await nft
+        .connect(creator)
+        .setTokenRoyaltySplit(
+          tokenId,
+          1000,
+          [collaborator1.address, collaborator2.address],
+          [700, 300]
+        )
+      const fee = bps(protocolFee)
+
+      await expectCredits(
+        marketplace,
+        () =>
+          expect(listAndBuy(tokenId))
+            .to.emit(marketplace, 'RoyaltyPaid')
+            .withArgs(nft.address, tokenId, collaborator1.address, bps(700))
+            .and.to.emit(marketplace, 'RoyaltyPaid')
+            .withArgs(nft.address, tokenId, collaborator2.address, bps(300))
+            .and.to.emit(marketplace, 'ItemSold')
+            .withArgs(
+              nft.address,
+              tokenId,
+              0,
+              creator.address,
+              buyer.address,
+              salePrice,
+              fee,
+              collaborator1.address,
+              bps(1000),
+              1
+            ),
+        [
+          [contractOwner, fee],
+          [collaborator1, bps(700)],
+          [collaborator2, bps(300)],
+          [creator, salePrice.sub(fee).sub(bps(1000))],
+        ]
+      )
+    })
+
+    it('pays every recipient in ERC-20 listings', async () => {
+      const token = await deployContract('MockERC20', 'Token', 'TKN', 18)
+      await token.mint(buyer.address, salePrice)
+      await token.connect(buyer).approve(marketplace.address, salePrice)
+      await marketplace.setPaymentTokenAllowed(token.address, true)
+
+      await nft
+        .connect(creator)
+        .setCreatorRoyalty(800, [collaborator1.address, collaborator2.address], [500, 300])
+      const itemId = await listToken(marketplace, nft, creator, tokenId, salePrice, {
+        paymentToken: token.address,
+      })
+
+      await expectCredits(
+        marketplace,
+        () => marketplace.connect(buyer).purchaseItem(nft.address, itemId),
+        [
+          [contractOwner, bps(protocolFee)],
+          [collaborator1, bps(500)],
+          [collaborator2, bps(300)],
+          [creator, salePrice.sub(bps(protocolFee)).sub(bps(800))],
+        ],
+        token
+      )
+    })
+
+    it('pays no royalty after it is reset to zero', async () => {
+      await nft.connect(creator).setTokenRoyalty(tokenId, 500)
+      await nft.connect(creator).setTokenRoyalty(tokenId, 0)
+      await expect(listAndBuy(tokenId)).to.not.emit(marketplace, 'RoyaltyPaid')
+      expect(await marketplace.pendingWithdrawal(creator.address)).to.equal(
+        salePrice.sub(bps(protocolFee))
+      )
+    })
+  })
+
+  describe('ArkivClient', () => {
+    it('sets a split and reads every recipient back', async () => {
+      const client = new ArkivClient({
+        signer: creator,
+        marketplaceAddress: marketplace.address,
+        nftAddress: nft.address,
+      })
+      await client.setRoyaltySplit(tokenId, [
+        { recipient: collaborator1.address, share: 250 },
+        { recipient: collaborator2.address, share: 250 },
+      ])
+      const royalties = await client.getRoyalties(tokenId, salePrice)
+      expect(royalties.map((r) => r.receiver)).to.deep.equal([
+        collaborator1.address,
+        collaborator2.address,
+      ])
+      expect(royalties[1].amount).to.equal(bps(250))
+
+      await client.setCreatorRoyalty([{ recipient: collaborator1.address, share: 100 }])
+      const [receiver] = await nft.royaltyInfo(await mint(), salePrice)
+      expect(receiver).to.equal(collaborator1.address)
+    })
+  })
+})
@@ -0,0 +1,382 @@
+const { expect } = require('chai')
+const hre = require('hardhat')
+const { artifacts, ethers } = hre
+const { deployContract, deployMarket } = require('./helpers/fixtures')
+const {
+  ArkivClient,
+  ArkivError,
+  NotWhitelistedError,
+  NotTokenCreatorError,
+  NotItemOwnerError,
+  ItemNotListedError,
+  InvalidRoyaltyError,
+  NothingToWithdrawError,
+  MetadataFrozenError,
+  MintQuotaReachedError,
+  MissingRoleError,
+  MarketplacePausedError,
+  MarketplaceNotPausedError,
+  InvalidProtocolFeeError,
+  InvalidListingError,
+  InvalidMintError,
+  InvalidAuctionError,
+  InvalidBidError,
+  InvalidOfferError,
+  NotTokenOwnerError,
+  PaymentTokenNotAllowedError,
+  TransferFailedError,
+  InvalidTokenURIError,
+  errorFromReason,
+  decodeError,
+} = require('..')
+const { buildAllowlist } = require('../utils/allowlist')
+
+describe('ArkivClient', () => {
+  let marketplace
+  let nft
+  let seller, buyer, stranger
+  let sellerClient, buyerClient
+  const salePrice = ethers.utils.parseEther('10')
+  const tokenURI = 'https://ipfs.io/ipfs/QmXmNSH2dyp5R6dkW5MVhNc7xqV9v3NHWxNXJfCL6CcYxS'
+
+  const clientFor = (signer) =>
+    new ArkivClient({ signer, marketplaceAddress: marketplace.address, nftAddress: nft.address })
+
+  const expectError = async (promise, ErrorClass, reason) => {
+    let error
+    try {
+      await promise
+    } catch (err) {
+      error = err
+    }
+    expect(error).to.be.instanceOf(ErrorClass)
+    expect(error).to.be.instanceOf(ArkivError)
+    expect(error.reason).to.equal(reason)
+  }
+
+  beforeEach(async () => {
+    ;[, seller, buyer, stranger] = await ethers.getSigners()
+    ;({ marketplace, nft } = await deployMarket())
+    await nft.addToWhitelist(seller.address)
+
+    sellerClient = clientFor(seller)
+    buyerClient = clientFor(buyer)
+  })
+
+  it('ships ABIs that match the compiled contracts', async () => {
+    for (const name of ['NFT', 'Marketplace']) {
+      const { abi } = await artifacts.readArtifact(name)
+      expect(require(`../sdk/abi/${name}.json`)).to.deep.equal(abi)
+    }
+  })
+
+  it('builds a client from a deployment manifest', async () => {
+    const client = ArkivClient.fromManifest(ethers.provider, {
+      contracts: { Marketplace: { address: marketplace.address }, NFT: { address: nft.address } },
+    })
+    expect(client.marketplace.address).to.equal(marketplace.address)
+    expect(client.nft.address).to.equal(nft.address)
+  })
+
+  it('mints a token with a royalty', async () => {
+    const { tokenId } = await sellerClient.mint({ uri: tokenURI, royalty: 500 })
+    expect(await nft.ownerOf(tokenId)).to.equal(seller.address)
+    const [receiver, amount] = await nft.royaltyInfo(tokenId, salePrice)
+    expect(receiver).to.equal(seller.address)
+    expect(amount).to.equal(salePrice.mul(500).div(10000))
+  })
+
+  it('mints with an allowlist proof during the mint sale', async () => {
+    const { root, entries } = buildAllowlist([
+      { address: buyer.address, quota: 1 },
+      { address: stranger.address, quota: 1 },
+    ])
+    const now = (await ethers.provider.getBlock('latest')).timestamp
+    await nft.setMintSale({
+      allowlistRoot: root,
+      allowlistStart: now,
+      publicStart: now + 3600,
+      end: now + 7200,
+      publicQuota: 0,
+    })
+    const { quota, proof } = entries[0]
+
+    const { tokenId } = await buyerClient.mintWithProof({ uri: tokenURI, quota, proof })
+    expect(await nft.ownerOf(tokenId)).to.equal(buyer.address)
+    const sale = await buyerClient.getMintSale()
+    expect(sale.phase).to.equal('allowlist')
+    expect(sale.allowlistRoot).to.equal(root)
+    expect(sale.minted).to.equal(1)
+    await expectError(
+      buyerClient.mintWithProof({ uri: tokenURI, quota, proof }),
+      MintQuotaReachedError,
+      'Mint quota reached'
+    )
+  })
+
+  it('approves the marketplace when listing if needed', async () => {
+    const { tokenId } = await sellerClient.mint({ uri: tokenURI })
+    await nft.connect(seller).setApprovalForAll(marketplace.address, false)
+
+    const { itemId } = await sellerClient.list({ tokenId, price: salePrice })
+    expect(await nft.isApprovedForAll(seller.address, marketplace.address)).to.equal(true)
+
+    const listing = await sellerClient.getListing(itemId)
+    expect(listing.tokenId).to.equal(tokenId)
+    expect(listing.price).to.equal(salePrice)
+    expect(listing.isListed).to.equal(true)
+  })
+
+  it('buys a listing paying exactly the list price', async () => {
+    const { tokenId } = await sellerClient.mint({ uri: tokenURI })
+    const { itemId } = await sellerClient.list({ tokenId, price: salePrice })
+    const receipt = await buyerClient.buy(itemId)
+
+    const txn = await ethers.provider.getTransaction(receipt.transactionHash)
+    expect(txn.value).to.equal(salePrice)
+    expect(await nft.ownerOf(tokenId)).to.equal(buyer.address)
+    expect((await buyerClient.getListing(itemId)).isListed).to.equal(false)
+  })
+
+  it('withdraws sale proceeds credited to the seller', async () => {
+    const { tokenId } = await sellerClient.mint({ uri: tokenURI })
+    const { itemId } = await sellerClient.list({ tokenId, price: salePrice })
+    await buyerClient.buy(itemId)
+
+    const proceeds = salePrice.sub(salePrice.mul(250).div(10000))
+    expect(await buyerClient.pendingWithdrawal(seller.address)).to.equal(proceeds)
+    const receipt = await sellerClient.withdraw()
+    expect(receipt.events.find((e) => e.event === 'Withdrawal').args.amount).to.equal(proceeds)
+    expect(await sellerClient.pendingWithdrawal()).to.equal(0)
+  })
+
+  it('pages through listings and tokens', async () => {
+    const { tokenIds } = await sellerClient.mintBatch({ uris: [tokenURI, tokenURI, tokenURI] })
+    for (const tokenId of tokenIds) {
+      await sellerClient.list({ tokenId, price: salePrice })
+    }
+    await buyerClient.buy(0)
+
+    const { listings, total } = await buyerClient.getListings({ offset: 1, limit: 1 })
+    expect(total).to.equal(2)
+    expect(listings.length).to.equal(1)
+    expect((await buyerClient.getListings({ owner: buyer.address })).listings[0].itemId).to.equal(0)
+    expect((await buyerClient.getListings({ nftAddress: nft.address })).total).to.equal(3)
+
+    const owned = await buyerClient.getTokens({ owner: seller.address })
+    expect(owned.tokenIds.map(Number)).to.have.members([1, 2])
+    expect((await buyerClient.getTokens({ creator: seller.address })).total).to.equal(3)
+  })
+
+  it('delists a listing', async () => {
+    const { tokenId } = await sellerClient.mint({ uri: tokenURI })
+    const { itemId } = await sellerClient.list({ tokenId, price: salePrice })
+    await sellerClient.delist(itemId)
+    expect((await sellerClient.getListing(itemId)).isListed).to.equal(false)
+  })
+
+  it('freezes metadata and reports it on listings', async () => {
+    const contentHash = ethers.utils.sha256(ethers.utils.toUtf8Bytes('metadata'))
+    const {
+      tokenIds: [tokenId],
+    } = await sellerClient.mintBatch({ uris: [tokenURI], contentHashes: [contentHash] })
+    const { itemId } = await sellerClient.list({ tokenId, price: salePrice })
+    expect((await buyerClient.getListing(itemId)).metadataFrozen).to.equal(false)
+
+    await sellerClient.freezeMetadata(tokenId)
+    expect(await buyerClient.getMetadataStatus(tokenId)).to.deep.equal({
+      frozen: true,
+      contentHash,
+    })
+    expect((await buyerClient.getListing(itemId)).metadataFrozen).to.equal(true)
+  })
+
+  it('reports edition listings as not frozen', async () => {
+    const editions = await deployContract('Editions', marketplace.address)
+    await editions.addToWhitelist(seller.address)
+    const client = new ArkivClient({
+      signer: seller,
+      marketplaceAddress: marketplace.address,
+      nftAddress: nft.address,
+      editionsAddress: editions.address,
+    })
+    const { tokenId } = await client.createEdition({ supply: 5, uri: tokenURI })
+    const { itemId } = await client.listEdition({ tokenId, quantity: 5, price: salePrice })
+    expect((await client.getListing(itemId)).metadataFrozen).to.equal(false)
+  })
+
+  describe('errors', () => {
+    it('decodes a mint by a non-whitelisted creator', async () => {
+      await expectError(
+        clientFor(stranger).mint({ uri: tokenURI }),
+        NotWhitelistedError,
+        'Must be whitelisted to create tokens'
+      )
+    })
+
+    it('decodes a royalty set by a non-creator', async () => {
+      const { tokenId } = await sellerClient.mint({ uri: tokenURI })
+      await expectError(
+        clientFor(stranger).setRoyalty(tokenId, 500),
+        NotTokenCreatorError,
+        'Caller is not the creator'
+      )
+    })
+
+    it('decodes a royalty above the sale price', async () => {
+      const { tokenId } = await sellerClient.mint({ uri: tokenURI })
+      await expectError(
+        sellerClient.setRoyalty(tokenId, 10001),
+        InvalidRoyaltyError,
+        'ERC2981: royalty fee will exceed salePrice'
+      )
+    })
+
+    it('decodes a delist by someone other than the item owner', async () => {
+      const { tokenId } = await sellerClient.mint({ uri: tokenURI })
+      const { itemId } = await sellerClient.list({ tokenId, price: salePrice })
+      await expectError(buyerClient.delist(itemId), NotItemOwnerError, 'Caller is not item owner')
+    })
+
+    it('rejects buying an item that is not listed', async () => {
+      await expectError(buyerClient.buy(42), ItemNotListedError, 'Item requested is not for sale.')
+    })
+
+    it('decodes an update of frozen metadata', async () => {
+      const { tokenId } = await sellerClient.mint({ uri: tokenURI })
+      await sellerClient.freezeMetadata(tokenId)
+      await expectError(
+        nft
+          .connect(seller)
+          .updateTokenMetadata(tokenId, tokenURI)
+          .catch((err) => {
+            throw decodeError(err)
+          }),
+        MetadataFrozenError,
+        'Token metadata is frozen'
+      )
+    })
+
+    it('decodes a withdraw with nothing owed', async () => {
+      await expectError(buyerClient.withdraw(), NothingToWithdrawError, 'Nothing to withdraw.')
+    })
+
+    const decoded = (promise) =>
+      promise.catch((err) => {
+        throw decodeError(err)
+      })
+
+    it('decodes the fee timelock, pausing and role reverts', async () => {
+      await expectError(
+        decoded(marketplace.updateProtocolFee(100)),
+        InvalidProtocolFeeError,
+        'updateProtocolFee is replaced by scheduleProtocolFee.'
+      )
+      await marketplace.scheduleProtocolFee(100)
+      await expectError(
+        decoded(marketplace.applyProtocolFee()),
+        InvalidProtocolFeeError,
+        'Protocol fee change is timelocked.'
+      )
+      await expectError(
+        decoded(marketplace.unpause()),
+        MarketplaceNotPausedError,
+        'Pausable: not paused'
+      )
+      await marketplace.pause()
+      await expectError(decoded(marketplace.pause()), MarketplacePausedError, 'Pausable: paused')
+      await expectError(
+        decoded(marketplace.renounceRole(await marketplace.PAUSER_ROLE(), stranger.address)),
+        MissingRoleError,
+        'AccessControl: can only renounce roles for self'
+      )
+    })
+
+    it('decodes AuctionHouse and OfferBook reverts', async () => {
+      const auctionHouse = await deployContract('AuctionHouse', marketplace.address)
+      const offerBook = await deployContract('OfferBook', marketplace.address)
+      const { tokenId } = await sellerClient.mint({ uri: tokenURI })
+      await nft.connect(seller).setApprovalForAll(auctionHouse.address, true)
+
+      await expectError(
+        decoded(
+          auctionHouse.connect(seller).createEnglishAuction(nft.address, tokenId, 0, 1, 0, 3600, 0)
+        ),
+        InvalidAuctionError,
+        'Reserve price must be greater than 0.'
+      )
+      const created = await (
+        await auctionHouse
+          .connect(seller)
+          .createEnglishAuction(nft.address, tokenId, salePrice, 1, 0, 3600, 0)
+      ).wait()
+      const { auctionId } = created.events.find((e) => e.event === 'AuctionCreated').args
+      await expectError(
+        decoded(auctionHouse.connect(seller).placeBid(auctionId, { value: salePrice })),
+        InvalidBidError,
+        'Seller cannot bid.'
+      )
+
+      await expectError(
+        decoded(offerBook.connect(buyer).makeOffer(nft.address, tokenId, 1, { value: salePrice })),
+        InvalidOfferError,
+        'Expiry is in the past.'
+      )
+    })
+
+    it('maps the remaining revert reasons of the contracts to typed errors', () => {
+      const expected = [
+        [NotTokenOwnerError, 'ERC1155: caller is not owner nor approved'],
+        [NotItemOwnerError, 'Caller is not the seller'],
+        [MissingRoleError, 'Caller is not the marketplace'],
+        [MarketplaceNotPausedError, 'Pausable: not paused'],
+        [InvalidProtocolFeeError, 'updateProtocolFee is replaced by scheduleProtocolFee.'],
+        [InvalidTokenURIError, 'No token URIs given'],
+        [MetadataFrozenError, 'Provenance hash is already set'],
+        [InvalidMintError, 'Edition supply is zero'],
+        [InvalidMintError, 'Mint phases are out of order'],
+        [InvalidListingError, 'Quantity is zero.'],
+        [ItemNotListedError, 'Item is not from this NFT contract.'],
+        [ItemNotListedError, 'Item is not an edition.'],
+        [PaymentTokenNotAllowedError, 'Ether is always allowed.'],
+        [TransferFailedError, 'Failed to transfer ether.'],
+        ...[
+          'ERC2981: Invalid parameters',
+          'ERC2981: invalid receiver',
+          'ERC2981Royalties: Too high',
+          'Royalty recipients and shares differ',
+          'Too many royalty recipients',
+          'Royalty share is zero',
+          'Royalty shares must sum to the total',
+          'Fee and royalties exceed the sale price.',
+        ].map((reason) => [InvalidRoyaltyError, reason]),
+        ...[
+          'Bid increment must be greater than 0.',
+          'End price must be greater than 0.',
+          'Start price must not be below end price.',
+          'Duration must be greater than 0.',
+          'Start time is in the past.',
+          'Not a Dutch auction.',
+          'Auction is not active.',
+          'Auction has not started.',
+          'Auction has ended.',
+          'Auction has not ended.',
+          'Auction already has bids.',
+        ].map((reason) => [InvalidAuctionError, reason]),
+        [InvalidBidError, 'Bid is below reserve price.'],
+        [InvalidBidError, 'Bid increment too low.'],
+        ...[
+          'Offer must be greater than 0.',
+          'Offer is not active.',
+          'Offer has expired.',
+          'Offer is for another token.',
+          'Cannot accept own offer.',
+          'Caller is not the bidder',
+        ].map((reason) => [InvalidOfferError, reason]),
+      ]
+      for (const [ErrorClass, reason] of expected) {
+        expect(errorFromReason(reason), reason).to.be.instanceOf(ErrorClass)
+      }
+    })
+  })
+})
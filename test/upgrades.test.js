@@ -0,0 +1,284 @@
+const { expectRevert } = require('@openzeppelin/test-helpers')
+const { expect } = require('chai')
+const hre = require('hardhat')
+const { ethers } = hre
+const {
+  deployProxy,
+  upgradeProxy,
+  getStorageLayout,
+  getImplementationAddress,
+  storageLayoutErrors,
+} = require('../utils/upgrades')
+// storage layouts of the Marketplace and NFT implementations deployed before roles and pausing were added
+const deployedLayouts = require('./helpers/deployed-layouts.json')
+
+describe('Upgrades', () => {
+  let marketplace
+  let nft
+  let token
+  let layouts
+  let contractOwner, seller, buyer, bidder, stranger
+  const price = ethers.utils.parseEther('1')
+  const tokenURI = 'https://ipfs.io/ipfs/QmXmNSH2dyp5R6dkW5MVhNc7xqV9v3NHWxNXJfCL6CcYxS'
+
+  before(async () => {
+    layouts = {
+      Marketplace: await getStorageLayout(hre, 'Marketplace'),
+      NFT: await getStorageLayout(hre, 'NFT'),
+    }
+  })
+
+  // a marketplace with listings, a sale, balances, roles and settings to carry across the upgrade
+  beforeEach(async () => {
+    ;[contractOwner, seller, buyer, bidder, stranger] = await ethers.getSigners()
+    marketplace = await deployProxy(hre, 'Marketplace', [250])
+    nft = await deployProxy(hre, 'NFT', [marketplace.address])
+
+    const MockERC20 = await ethers.getContractFactory('MockERC20')
+    token = await MockERC20.deploy('Token', 'TKN', 18)
+    await token.deployed()
+    await marketplace.setPaymentTokenAllowed(token.address, true)
+    await marketplace.scheduleProtocolFee(300)
+    await marketplace.grantRole(await marketplace.PAUSER_ROLE(), stranger.address)
+
+    await nft.addToWhitelist(seller.address)
+    await nft.connect(seller).mintBatch(seller.address, [tokenURI, tokenURI, tokenURI], 500)
+    await marketplace.connect(seller).listItem(nft.address, 0, price)
+    await marketplace.connect(seller).listItemWithToken(nft.address, 1, price, token.address)
+    await marketplace.connect(seller).listItem(nft.address, 2, price)
+    await marketplace.connect(buyer).purchaseItem(nft.address, 2, { value: price })
+    await marketplace.connect(seller).incrementOrderNonce()
+  })
+
+  const expectStateKept = async () => {
+    expect(await marketplace.owner()).to.equal(contractOwner.address)
+    expect(await marketplace.protocolFee()).to.equal(250)
+    expect((await marketplace.getPendingProtocolFee()).fee).to.equal(300)
+    expect(await marketplace.hasRole(await marketplace.PAUSER_ROLE(), stranger.address)).to.equal(
+      true
+    )
+    expect(await marketplace.isPaymentTokenAllowed(token.address)).to.equal(true)
+    expect(await marketplace.getOrderNonce(seller.address)).to.equal(1)
+
+    const [listed, total] = await marketplace.getListedItems(0, 10)
+    expect(total).to.equal(2)
+    expect(listed.map((item) => item.tokenId.toNumber())).to.deep.equal([0, 1])
+    expect((await marketplace.getItemById(1)).paymentToken).to.equal(token.address)
+    const sold = await marketplace.getItemById(2)
+    expect(sold.isListed).to.equal(false)
+    expect(sold.owner).to.equal(buyer.address)
+
+    // the seller is also the royalty receiver, and the fee is credited to the owner
+    const fee = price.mul(250).div(10000)
+    expect(await marketplace.pendingWithdrawal(seller.address)).to.equal(price.sub(fee))
+    expect(await marketplace.pendingWithdrawal(contractOwner.address)).to.equal(fee)
+    expect(await ethers.provider.getBalance(marketplace.address)).to.equal(price)
+  }
+
+  describe('Proxies', () => {
+    it('cannot be initialized twice', async () => {
+      await expectRevert(
+        marketplace.initialize(0),
+        'Initializable: contract is already initialized'
+      )
+      await expectRevert(
+        nft.initialize(stranger.address),
+        'Initializable: contract is already initialized'
+      )
+    })
+
+    it('locks the implementations', async () => {
+      const implementation = await ethers.getContractAt(
+        'Marketplace',
+        await getImplementationAddress(hre, marketplace.address)
+      )
+      await expectRevert(
+        implementation.connect(stranger).initialize(0),
+        'Initializable: contract is already initialized'
+      )
+      await expectRevert(
+        implementation.upgradeTo(stranger.address),
+        'Function must be called through delegatecall'
+      )
+    })
+
+    it('initializes the NFT name, owner and whitelist through the proxy', async () => {
+      expect(await nft.name()).to.equal('Arkiv')
+      expect(await nft.symbol()).to.equal('ARKV')
+      expect(await nft.owner()).to.equal(contractOwner.address)
+      expect(await nft.isWhitelistEnabled()).to.equal(true)
+      expect(await nft.isWhitelisted(stranger.address)).to.equal(false)
+    })
+
+    it('only lets the owner upgrade', async () => {
+      await expectRevert(
+        upgradeProxy(hre, marketplace.address, 'MarketplaceV2Mock', layouts.Marketplace, stranger),
+        'Ownable: caller is not the owner'
+      )
+      await expectRevert(
+        upgradeProxy(hre, nft.address, 'NFTV2Mock', layouts.NFT, stranger),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+
+  describe('Marketplace', () => {
+    it('keeps listings, balances, roles and settings across an upgrade', async () => {
+      const implementation = await getImplementationAddress(hre, marketplace.address)
+      const upgraded = await upgradeProxy(
+        hre,
+        marketplace.address,
+        'MarketplaceV2Mock',
+        layouts.Marketplace
+      )
+
+      expect(upgraded.address).to.equal(marketplace.address)
+      expect(await getImplementationAddress(hre, marketplace.address)).to.not.equal(implementation)
+      expect(await upgraded.version()).to.equal('v2')
+      await upgraded.incrementUpgradeCounter()
+      expect(await upgraded.upgradeCounter()).to.equal(1)
+      await expectStateKept()
+    })
+
+    it('keeps trading after an upgrade', async () => {
+      await upgradeProxy(hre, marketplace.address, 'MarketplaceV2Mock', layouts.Marketplace)
+
+      await marketplace.connect(buyer).purchaseItem(nft.address, 0, { value: price })
+      expect(await nft.ownerOf(0)).to.equal(buyer.address)
+
+      await marketplace.connect(stranger).pause()
+      await expectRevert(
+        marketplace.connect(bidder).purchaseItem(nft.address, 1, { value: price }),
+        'Pausable: paused'
+      )
+
+      const balance = await marketplace.pendingWithdrawal(seller.address)
+      await expect(() => marketplace.connect(seller).withdraw()).to.changeEtherBalance(
+        seller,
+        balance
+      )
+    })
+
+    it('refuses an implementation whose storage layout is shifted', async () => {
+      const implementation = await getImplementationAddress(hre, marketplace.address)
+      let error
+      try {
+        await upgradeProxy(
+          hre,
+          marketplace.address,
+          'MarketplaceBadLayoutMock',
+          layouts.Marketplace
+        )
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.match(/Storage layout of MarketplaceBadLayoutMock is incompatible/)
+      expect(error.message).to.include('_initialized: slot 0 now holds shifted')
+      expect(await getImplementationAddress(hre, marketplace.address)).to.equal(implementation)
+      await expectStateKept()
+    })
+  })
+
+  describe('NFT', () => {
+    it('keeps tokens, creators, royalties and the whitelist across an upgrade', async () => {
+      const upgraded = await upgradeProxy(hre, nft.address, 'NFTV2Mock', layouts.NFT)
+      expect(await upgraded.version()).to.equal('v2')
+
+      expect(await nft.ownerOf(0)).to.equal(seller.address)
+      expect(await nft.ownerOf(2)).to.equal(buyer.address)
+      expect(await nft.tokenURI(1)).to.equal(tokenURI)
+      expect(await nft.tokenCreator(2)).to.equal(seller.address)
+      const [receiver, amount] = await nft.royaltyInfo(0, price)
+      expect(receiver).to.equal(seller.address)
+      expect(amount).to.equal(price.mul(500).div(10000))
+      expect(await nft.isWhitelisted(seller.address)).to.equal(true)
+      expect(await nft.getMarketAddress()).to.equal(marketplace.address)
+
+      await nft.connect(seller).mint(seller.address, tokenURI)
+      expect(await nft.ownerOf(3)).to.equal(seller.address)
+      await expectStateKept()
+    })
+
+    it('lets the owner point the NFT at a new marketplace', async () => {
+      const replacement = await deployProxy(hre, 'Marketplace', [250])
+      await expect(nft.setMarketplaceAddress(replacement.address))
+        .to.emit(nft, 'MarketplaceAddressUpdated')
+        .withArgs(replacement.address)
+      await expectRevert(
+        nft.connect(stranger).setMarketplaceAddress(stranger.address),
+        'Ownable: caller is not the owner'
+      )
+
+      await nft.connect(seller).mint(seller.address, tokenURI)
+      expect(await nft.isApprovedForAll(seller.address, replacement.address)).to.equal(true)
+    })
+  })
+
+  describe('Storage layout checks', () => {
+    const layoutWith = (storage, types = {}) => ({
+      storage,
+      types: {
+        t_uint256: { label: 'uint256', encoding: 'inplace', numberOfBytes: '32' },
+        t_address: { label: 'address', encoding: 'inplace', numberOfBytes: '20' },
+        ...types,
+      },
+    })
+    const variable = (label, slot, type = 't_uint256') => ({ label, slot, offset: 0, type })
+    const struct = (...members) => ({
+      't_struct(Item)_storage': {
+        label: 'struct Item',
+        encoding: 'inplace',
+        numberOfBytes: String(32 * members.length),
+        members: members.map((label, i) => variable(label, String(i))),
+      },
+      't_mapping(t_uint256,t_struct(Item)_storage)': {
+        label: 'mapping(uint256 => struct Item)',
+        encoding: 'mapping',
+        numberOfBytes: '32',
+        key: 't_uint256',
+        value: 't_struct(Item)_storage',
+      },
+    })
+    const items = (slot) => variable('items', slot, 't_mapping(t_uint256,t_struct(Item)_storage)')
+
+    it('accepts the current implementations as upgrades of the deployed ones', async () => {
+      for (const [name, deployed] of Object.entries(deployedLayouts)) {
+        expect(storageLayoutErrors(deployed, layouts[name]), name).to.deep.equal([])
+      }
+    })
+
+    it('accepts appended variables and struct members', async () => {
+      const previous = layoutWith([variable('fee', '0'), items('1')], struct('price'))
+      const next = layoutWith(
+        [variable('fee', '0'), items('1'), variable('added', '2')],
+        struct('price', 'expiry')
+      )
+      expect(storageLayoutErrors(previous, next)).to.deep.equal([])
+    })
+
+    it('reports removed, retyped and reordered variables and struct members', async () => {
+      const previous = layoutWith(
+        [variable('fee', '0'), variable('owner', '1', 't_address'), items('2')],
+        struct('price', 'expiry')
+      )
+      const next = layoutWith(
+        [variable('fee', '0', 't_address'), items('1')],
+        struct('expiry', 'price')
+      )
+      expect(storageLayoutErrors(previous, next)).to.deep.equal([
+        'fee: type changed from uint256 to address',
+        'owner: slot 1 now holds items',
+        'items: variable was removed',
+      ])
+
+      const reordered = layoutWith(
+        [variable('fee', '0'), variable('owner', '1', 't_address'), items('2')],
+        struct('expiry', 'price')
+      )
+      expect(storageLayoutErrors(previous, reordered)).to.deep.equal([
+        'items[value].price: member was replaced by expiry',
+        'items[value].expiry: member was replaced by price',
+      ])
+    })
+  })
+})
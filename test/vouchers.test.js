@@ -0,0 +1,260 @@
+const { expectRevert } = require('@openzeppelin/test-helpers')
+const { expect } = require('chai')
+const hre = require('hardhat')
+const { ethers } = hre
+const { deployMarket } = require('./helpers/fixtures')
+const {
+  ArkivClient,
+  InvalidVoucherError,
+  buildVoucher,
+  getVoucherDomain,
+  hashVoucher,
+  signVoucher,
+  verifyVoucher,
+} = require('..')
+
+describe('Lazy minting', () => {
+  let marketplace
+  let nft
+  let domain
+  let contractOwner, creator, buyer, stranger
+  const protocolFee = ethers.BigNumber.from(250)
+  const royaltyAmount = ethers.BigNumber.from(500)
+  const price = ethers.utils.parseEther('2')
+  const provider = ethers.provider
+  const tokenURI = 'https://ipfs.io/ipfs/QmXmNSH2dyp5R6dkW5MVhNc7xqV9v3NHWxNXJfCL6CcYxS'
+  const DAY = 24 * 60 * 60
+
+  const latestTimestamp = async () => (await provider.getBlock('latest')).timestamp
+
+  const makeVoucher = async (overrides = {}) =>
+    buildVoucher({
+      creator: creator.address,
+      uri: tokenURI,
+      royalty: royaltyAmount,
+      price,
+      nonce: 1,
+      expiry: (await latestTimestamp()) + DAY,
+      ...overrides,
+    })
+
+  beforeEach(async () => {
+    ;[contractOwner, creator, buyer, stranger] = await ethers.getSigners()
+    ;({ marketplace, nft } = await deployMarket({ protocolFee }))
+    await nft.addToWhitelist(creator.address)
+
+    domain = getVoucherDomain(nft.address, (await provider.getNetwork()).chainId)
+  })
+
+  describe('JS helpers', () => {
+    it('hashes vouchers the same way as the contract', async () => {
+      const voucher = await makeVoucher()
+      expect(hashVoucher(domain, voucher)).to.equal(await nft.hashVoucher(voucher))
+    })
+
+    it('verifies signatures from the creator only', async () => {
+      const voucher = await makeVoucher()
+      expect(verifyVoucher(domain, voucher, await signVoucher(creator, domain, voucher))).to.equal(
+        true
+      )
+      expect(verifyVoucher(domain, voucher, await signVoucher(stranger, domain, voucher))).to.equal(
+        false
+      )
+    })
+
+    it('rejects signatures for a modified voucher', async () => {
+      const voucher = await makeVoucher()
+      const signature = await signVoucher(creator, domain, voucher)
+      expect(verifyVoucher(domain, { ...voucher, uri: 'ipfs://other' }, signature)).to.equal(false)
+    })
+
+    it('picks a random nonce when none is given', async () => {
+      const first = await makeVoucher({ nonce: undefined })
+      const second = await makeVoucher({ nonce: undefined })
+      expect(first.nonce.eq(second.nonce)).to.equal(false)
+    })
+  })
+
+  describe('purchaseVoucher', () => {
+    let voucher
+    let signature
+
+    beforeEach(async () => {
+      voucher = await makeVoucher()
+      signature = await signVoucher(creator, domain, voucher)
+    })
+
+    it('mints the token to the buyer with the creator and royalty from the voucher', async () => {
+      await marketplace.connect(buyer).purchaseVoucher(nft.address, voucher, signature, {
+        value: price,
+      })
+      expect(await nft.ownerOf(0)).to.equal(buyer.address)
+      expect(await nft.tokenCreator(0)).to.equal(creator.address)
+      expect(await nft.tokenURI(0)).to.equal(tokenURI)
+      const [royaltyReceiver, royalty] = await nft.royaltyInfo(0, price)
+      expect(royaltyReceiver).to.equal(creator.address)
+      expect(royalty).to.equal(price.mul(royaltyAmount).div(10000))
+    })
+
+    it('credits the fee and the creator and emits VoucherPurchased', async () => {
+      const fee = price.mul(protocolFee).div(10000)
+      await expect(
+        marketplace.connect(buyer).purchaseVoucher(nft.address, voucher, signature, {
+          value: price,
+        })
+      )
+        .to.emit(marketplace, 'VoucherPurchased')
+        .withArgs(
+          nft.address,
+          0,
+          creator.address,
+          buyer.address,
+          price,
+          fee,
+          price.mul(royaltyAmount).div(10000)
+        )
+        .and.to.emit(nft, 'VoucherRedeemed')
+        .withArgs(hashVoucher(domain, voucher), 0, buyer.address)
+      expect(await marketplace.pendingWithdrawal(contractOwner.address)).to.equal(fee)
+      expect(await marketplace.pendingWithdrawal(creator.address)).to.equal(price.sub(fee))
+    })
+
+    it('cannot be redeemed twice', async () => {
+      await marketplace
+        .connect(buyer)
+        .purchaseVoucher(nft.address, voucher, signature, { value: price })
+      await expectRevert(
+        marketplace
+          .connect(stranger)
+          .purchaseVoucher(nft.address, voucher, signature, { value: price }),
+        'Voucher is redeemed or cancelled.'
+      )
+    })
+
+    it('reverts with a signature from someone other than the creator', async () => {
+      const forged = await signVoucher(stranger, domain, voucher)
+      await expectRevert(
+        marketplace.connect(buyer).purchaseVoucher(nft.address, voucher, forged, { value: price }),
+        'Invalid voucher signature.'
+      )
+    })
+
+    it('reverts if the voucher was tampered with', async () => {
+      const cheaper = { ...voucher, price: price.div(2) }
+      await expectRevert(
+        marketplace
+          .connect(buyer)
+          .purchaseVoucher(nft.address, cheaper, signature, { value: price.div(2) }),
+        'Invalid voucher signature.'
+      )
+    })
+
+    it('reverts if the ether sent does not match the price', async () => {
+      await expectRevert(
+        marketplace
+          .connect(buyer)
+          .purchaseVoucher(nft.address, voucher, signature, { value: price.div(2) }),
+        'Please send the correct amount of ether.'
+      )
+    })
+
+    it('reverts after expiry', async () => {
+      await provider.send('evm_increaseTime', [DAY])
+      await provider.send('evm_mine', [])
+      await expectRevert(
+        marketplace
+          .connect(buyer)
+          .purchaseVoucher(nft.address, voucher, signature, { value: price }),
+        'Voucher has expired.'
+      )
+    })
+
+    it('reverts if the creator is no longer whitelisted', async () => {
+      await nft.removeFromWhitelist(creator.address)
+      await expectRevert(
+        marketplace
+          .connect(buyer)
+          .purchaseVoucher(nft.address, voucher, signature, { value: price }),
+        'Must be whitelisted to create tokens'
+      )
+    })
+
+    it('only lets the marketplace redeem vouchers', async () => {
+      await expectRevert(
+        nft.connect(buyer).redeemVoucher(buyer.address, voucher, signature),
+        'Caller is not the marketplace'
+      )
+    })
+  })
+
+  describe('cancelVoucher', () => {
+    it('lets the creator cancel a voucher before it is redeemed', async () => {
+      const voucher = await makeVoucher()
+      const signature = await signVoucher(creator, domain, voucher)
+      await expect(nft.connect(creator).cancelVoucher(voucher))
+        .to.emit(nft, 'VoucherCancelled')
+        .withArgs(hashVoucher(domain, voucher), creator.address)
+      expect(await nft.isVoucherUsed(hashVoucher(domain, voucher))).to.equal(true)
+      await expectRevert(
+        marketplace
+          .connect(buyer)
+          .purchaseVoucher(nft.address, voucher, signature, { value: price }),
+        'Voucher is redeemed or cancelled.'
+      )
+    })
+
+    it('reverts if the caller is not the creator', async () => {
+      await expectRevert(
+        nft.connect(stranger).cancelVoucher(await makeVoucher()),
+        'Caller is not the creator'
+      )
+    })
+  })
+
+  describe('ArkivClient', () => {
+    const clientFor = (signer) =>
+      new ArkivClient({ signer, marketplaceAddress: marketplace.address, nftAddress: nft.address })
+
+    it('signs a voucher and buys it', async () => {
+      const expiry = (await latestTimestamp()) + DAY
+      const { voucher, signature } = await clientFor(creator).signVoucher({
+        uri: tokenURI,
+        royalty: royaltyAmount,
+        price,
+        expiry,
+      })
+      expect(verifyVoucher(domain, voucher, signature)).to.equal(true)
+
+      const { tokenId } = await clientFor(buyer).purchaseVoucher(voucher, signature)
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer.address)
+    })
+
+    it('mints a batch and returns the token ids', async () => {
+      const { tokenIds } = await clientFor(creator).mintBatch({
+        uris: [tokenURI, tokenURI],
+        royalty: royaltyAmount,
+      })
+      expect(tokenIds.map((id) => id.toNumber())).to.deep.equal([0, 1])
+      expect(await nft.balanceOf(creator.address)).to.equal(2)
+    })
+
+    it('decodes voucher reverts', async () => {
+      const expiry = (await latestTimestamp()) + DAY
+      const { voucher, signature } = await clientFor(creator).signVoucher({
+        uri: tokenURI,
+        price,
+        expiry,
+      })
+      await clientFor(buyer).purchaseVoucher(voucher, signature)
+
+      let error
+      try {
+        await clientFor(buyer).purchaseVoucher(voucher, signature)
+      } catch (err) {
+        error = err
+      }
+      expect(error).to.be.instanceOf(InvalidVoucherError)
+      expect(error.reason).to.equal('Voucher is redeemed or cancelled.')
+    })
+  })
+})
@@ -0,0 +1,115 @@
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const hre = require('hardhat')
+const { deploy } = require('../scripts/deploy')
+
+describe('Whitelist tasks', () => {
+  const { ethers } = hre
+  let tmpDir
+  let nft
+  let creators
+
+  beforeEach(async () => {
+    const signers = await ethers.getSigners()
+    creators = signers.slice(1, 6).map((s) => s.address)
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arkiv-deployments-'))
+    process.env.DEPLOYMENTS_DIR = tmpDir
+    ;({ nft } = await deploy(hre))
+  })
+
+  afterEach(() => {
+    delete process.env.DEPLOYMENTS_DIR
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  const writeFile = (name, contents) => {
+    const file = path.join(tmpDir, name)
+    fs.writeFileSync(file, contents)
+    return file
+  }
+
+  describe('whitelist:sync', () => {
+    it('adds creators from a CSV file with a header row', async () => {
+      const file = writeFile('creators.csv', `address,name\n${creators[0]},a\n${creators[1]},b\n`)
+      const { adds, removes } = await hre.run('whitelist:sync', { file })
+      expect(adds).to.deep.equal([creators[0], creators[1]])
+      expect(removes).to.deep.equal([])
+      expect(await nft.isWhitelisted(creators[0])).to.equal(true)
+      expect(await nft.isWhitelisted(creators[1])).to.equal(true)
+    })
+
+    it('removes whitelisted creators missing from a JSON file', async () => {
+      await nft.initWhitelist([creators[0], creators[1]])
+      const file = writeFile('creators.json', JSON.stringify([creators[1], creators[2]]))
+      const { adds, removes } = await hre.run('whitelist:sync', { file })
+      expect(adds).to.deep.equal([creators[2]])
+      expect(removes).to.deep.equal([creators[0]])
+      expect(await nft.isWhitelisted(creators[0])).to.equal(false)
+      expect(await nft.isWhitelisted(creators[2])).to.equal(true)
+    })
+
+    it('only prints the diff on a dry run', async () => {
+      const file = writeFile('creators.json', JSON.stringify([creators[0]]))
+      const { adds } = await hre.run('whitelist:sync', { file, dryRun: true })
+      expect(adds).to.deep.equal([creators[0]])
+      expect(await nft.isWhitelisted(creators[0])).to.equal(false)
+    })
+
+    it('splits additions into batches that fit the gas limit', async () => {
+      const file = writeFile('creators.json', JSON.stringify(creators))
+      const { batches } = await hre.run('whitelist:sync', { file, batchGas: 100000 })
+      expect(batches.length).to.be.gt(1)
+      expect(batches.flat()).to.deep.equal(creators)
+      for (const creator of creators) {
+        expect(await nft.isWhitelisted(creator)).to.equal(true)
+      }
+    })
+
+    it('rejects files with invalid addresses', async () => {
+      const file = writeFile('creators.csv', `${creators[0]}\n0x1234\n`)
+      let error
+      try {
+        await hre.run('whitelist:sync', { file })
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Invalid address "0x1234"')
+      expect(error.message).to.contain('line 2')
+    })
+
+    it('refuses to sync while the whitelist is disabled', async () => {
+      await nft.enableWhitelist(false)
+      const file = writeFile('creators.json', JSON.stringify([creators[0]]))
+      let error
+      try {
+        await hre.run('whitelist:sync', { file })
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Whitelist is disabled')
+    })
+  })
+
+  describe('whitelist:export', () => {
+    it('rebuilds the whitelist from add and remove logs', async () => {
+      await nft.initWhitelist([creators[0], creators[1]])
+      await nft.addToWhitelist(creators[2])
+      await nft.removeFromWhitelist(creators[0])
+
+      const whitelist = await hre.run('whitelist:export', {})
+      expect(whitelist).to.have.members([creators[1], creators[2]])
+    })
+
+    it('writes the whitelist to a file that whitelist:sync can read', async () => {
+      await nft.initWhitelist([creators[0], creators[1]])
+      const out = path.join(tmpDir, 'export.csv')
+      await hre.run('whitelist:export', { out })
+
+      const { adds, removes } = await hre.run('whitelist:sync', { file: out, dryRun: true })
+      expect(adds).to.deep.equal([])
+      expect(removes).to.deep.equal([])
+    })
+  })
+})
@@ -0,0 +1,100 @@
+const fs = require('fs')
+const { ethers } = require('ethers')
+
+// a quota of 0 is no limit; addresses may only appear once, as each has a single leaf
+function readAllowlistFile(file, defaultQuota = 0) {
+  const rows = fs.readFileSync(file, 'utf8').split(/\r?\n/)
+  const seen = new Set()
+  const entries = []
+  for (const [i, row] of rows.entries()) {
+    const [value, quotaValue] = row.split(',').map((cell) => cell.trim().replace(/^"|"$/g, ''))
+    if (value === '' || value.startsWith('#')) continue
+    // header row, e.g. `address,quota`
+    if (i === 0 && !value.startsWith('0x')) continue
+
+    if (!ethers.utils.isAddress(value)) {
+      throw new Error(`Invalid address "${value}" in ${file} on line ${i + 1}`)
+    }
+    const quota = quotaValue === undefined || quotaValue === '' ? defaultQuota : Number(quotaValue)
+    if (!Number.isInteger(quota) || quota < 0) {
+      throw new Error(`Invalid quota "${quotaValue}" in ${file} on line ${i + 1}`)
+    }
+    const address = ethers.utils.getAddress(value)
+    if (seen.has(address)) {
+      throw new Error(`Duplicate address ${address} in ${file} on line ${i + 1}`)
+    }
+    seen.add(address)
+    entries.push({ address, quota })
+  }
+  return entries
+}
+
+// hashed like NFT.mintWithProof
+function allowlistLeaf(address, quota) {
+  return ethers.utils.solidityKeccak256(['address', 'uint256'], [address, quota])
+}
+
+// hashes a pair in sorted order like OpenZeppelin's MerkleProof, so proofs need no left or right flags
+function hashPair(a, b) {
+  const [first, second] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a]
+  return ethers.utils.keccak256(ethers.utils.concat([first, second]))
+}
+
+// a node without a sibling moves up a level unhashed
+function buildAllowlist(entries) {
+  if (entries.length === 0) {
+    throw new Error('Allowlist is empty')
+  }
+  const leaves = entries.map(({ address, quota }) => allowlistLeaf(address, quota))
+  const proofs = leaves.map(() => [])
+  // positions of each entry's node on the current level
+  let positions = leaves.map((_, i) => i)
+  let level = leaves
+  while (level.length > 1) {
+    for (const [i, position] of positions.entries()) {
+      const sibling = position ^ 1
+      if (sibling < level.length) {
+        proofs[i].push(level[sibling])
+      }
+    }
+    const next = []
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i])
+    }
+    positions = positions.map((position) => position >> 1)
+    level = next
+  }
+  return {
+    root: level[0],
+    entries: entries.map((entry, i) => ({ ...entry, leaf: leaves[i], proof: proofs[i] })),
+  }
+}
+
+function verifyAllowlistProof(root, address, quota, proof) {
+  return proof.reduce(hashPair, allowlistLeaf(address, quota)) === root.toLowerCase()
+}
+
+function writeAllowlistFile(file, allowlist) {
+  const proofs = Object.fromEntries(
+    allowlist.entries.map(({ address, quota, proof }) => [address, { quota, proof }])
+  )
+  fs.writeFileSync(file, JSON.stringify({ root: allowlist.root, proofs }, null, 2) + '\n')
+}
+
+// accepts unix seconds or an ISO 8601 date, e.g. `2022-03-01T18:00:00Z`
+function parseSaleTime(value) {
+  const seconds = /^\d+$/.test(value) ? Number(value) : Date.parse(value) / 1000
+  if (!Number.isInteger(seconds)) {
+    throw new Error(`Invalid time "${value}", expected unix seconds or an ISO 8601 date`)
+  }
+  return seconds
+}
+
+module.exports = {
+  readAllowlistFile,
+  allowlistLeaf,
+  buildAllowlist,
+  verifyAllowlistProof,
+  writeAllowlistFile,
+  parseSaleTime,
+}
@@ -0,0 +1,150 @@
+const fs = require('fs')
+const path = require('path')
+const {
+  getStorageLayout,
+  getImplementationAddress,
+  deployProxy,
+  upgradeProxy,
+} = require('./upgrades')
+
+const ROOT = path.join(__dirname, '..')
+const DEFAULT_MANIFEST_DIR = path.join(ROOT, 'deployments')
+const CONFIG_DIR = path.join(ROOT, 'config')
+
+const manifestDir = () => process.env.DEPLOYMENTS_DIR || DEFAULT_MANIFEST_DIR
+
+const manifestPath = (network) => path.join(manifestDir(), `${network}.json`)
+
+function readManifest(network) {
+  const file = manifestPath(network)
+  if (!fs.existsSync(file)) {
+    return { network, chainId: null, contracts: {} }
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+function writeManifest(network, manifest) {
+  fs.mkdirSync(manifestDir(), { recursive: true })
+  fs.writeFileSync(manifestPath(network), JSON.stringify(manifest, null, 2) + '\n')
+}
+
+// `protocolFee` is in basis points, `paymentTokens` are the ERC-20 tokens listings may be priced in
+function readNetworkConfig(network) {
+  const file = path.join(CONFIG_DIR, `${network}.json`)
+  if (!fs.existsSync(file)) {
+    throw new Error(`Missing deploy config for network "${network}" at ${file}`)
+  }
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'))
+  if (config.protocolFee === undefined) {
+    throw new Error(`Deploy config for "${network}" does not set protocolFee`)
+  }
+  return { whitelist: [], paymentTokens: [], ...config }
+}
+
+const hashJson = (ethers, value) =>
+  ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(value)))
+
+// so BigNumbers and numbers compare equal across runs
+const serializeArgs = (ethers, args) =>
+  args.map((arg) =>
+    ethers.BigNumber.isBigNumber(arg) || typeof arg === 'number' ? arg.toString() : arg
+  )
+
+// reuses the deployment in `manifest` when it is live and its bytecode and args are identical
+async function deployOrReuse(hre, manifest, name, args) {
+  const { ethers } = hre
+  const factory = await ethers.getContractFactory(name)
+  const bytecodeHash = ethers.utils.keccak256(factory.bytecode)
+  const abiHash = hashJson(ethers, JSON.parse(factory.interface.format('json')))
+  const serializedArgs = serializeArgs(ethers, args)
+
+  const existing = manifest.contracts[name]
+  if (
+    existing &&
+    existing.bytecodeHash === bytecodeHash &&
+    JSON.stringify(existing.args) === JSON.stringify(serializedArgs) &&
+    (await ethers.provider.getCode(existing.address)) !== '0x'
+  ) {
+    return { contract: factory.attach(existing.address), deployed: false }
+  }
+
+  const contract = await factory.deploy(...args)
+  const receipt = await contract.deployTransaction.wait()
+
+  manifest.contracts[name] = {
+    address: contract.address,
+    args: serializedArgs,
+    deployer: contract.deployTransaction.from,
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    bytecodeHash,
+    abiHash,
+  }
+  return { contract, deployed: true }
+}
+
+// `args` are passed to `initialize` on the first deploy only; later runs upgrade the proxy in place
+// when the bytecode changed and the storage layout in the manifest allows it
+async function deployOrUpgradeProxy(hre, manifest, name, args) {
+  const { ethers } = hre
+  const factory = await ethers.getContractFactory(name)
+  const bytecodeHash = ethers.utils.keccak256(factory.bytecode)
+  const abiHash = hashJson(ethers, JSON.parse(factory.interface.format('json')))
+  const storageLayout = await getStorageLayout(hre, name)
+
+  const existing = manifest.contracts[name]
+  if (
+    existing &&
+    existing.implementation &&
+    (await ethers.provider.getCode(existing.address)) !== '0x'
+  ) {
+    if (existing.bytecodeHash === bytecodeHash) {
+      return { contract: factory.attach(existing.address), deployed: false, upgraded: false }
+    }
+    const contract = await upgradeProxy(hre, existing.address, name, existing.storageLayout)
+    Object.assign(existing, {
+      implementation: await getImplementationAddress(hre, existing.address),
+      bytecodeHash,
+      abiHash,
+      storageLayout,
+    })
+    return { contract, deployed: false, upgraded: true }
+  }
+
+  const contract = await deployProxy(hre, name, args)
+  const receipt = await contract.deployTransaction.wait()
+
+  manifest.contracts[name] = {
+    address: contract.address,
+    implementation: await getImplementationAddress(hre, contract.address),
+    args: serializeArgs(ethers, args),
+    deployer: contract.deployTransaction.from,
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    bytecodeHash,
+    abiHash,
+    storageLayout,
+  }
+  return { contract, deployed: true, upgraded: false }
+}
+
+async function getDeployedContract(hre, name, signer) {
+  const manifest = readManifest(hre.network.name)
+  const record = manifest.contracts[name]
+  if (!record) {
+    throw new Error(`No ${name} deployment recorded for network "${hre.network.name}"`)
+  }
+  const contract = await hre.ethers.getContractAt(name, record.address)
+  return signer ? contract.connect(signer) : contract
+}
+
+module.exports = {
+  manifestDir,
+  manifestPath,
+  readManifest,
+  writeManifest,
+  readNetworkConfig,
+  deployOrReuse,
+  deployOrUpgradeProxy,
+  getDeployedContract,
+}
@@ -0,0 +1,292 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const { manifestDir } = require('./deployments')
+
+// URI schemes token metadata may point at, every other scheme is reported as a broken link
+const URI_SCHEMES = ['ipfs', 'https', 'ar', 'data']
+
+// EIP-721 "Asset Metadata" schema, with the optional fields marketplaces read
+const METADATA_SCHEMA = {
+  title: 'Asset Metadata',
+  type: 'object',
+  required: ['name', 'description', 'image'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    image: { type: 'string', format: 'uri' },
+    external_url: { type: 'string', format: 'uri' },
+    animation_url: { type: 'string', format: 'uri' },
+    background_color: { type: 'string', pattern: '^[0-9a-fA-F]{6}$' },
+    attributes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['value'],
+        properties: {
+          trait_type: { type: 'string' },
+          value: { type: ['string', 'number'] },
+          display_type: { type: 'string' },
+        },
+      },
+    },
+  },
+}
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value)
+
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})(\/.*)?$/
+
+function uriError(value) {
+  const match = value.match(/^([a-z][a-z0-9+.-]*):/i)
+  if (!match || !URI_SCHEMES.includes(match[1].toLowerCase())) {
+    return `must be a URI with scheme ${URI_SCHEMES.join(', ')}`
+  }
+  if (match[1].toLowerCase() === 'ipfs' && !CID_PATTERN.test(value.slice('ipfs://'.length))) {
+    return 'must be ipfs://<cid> with a valid CID'
+  }
+  return undefined
+}
+
+// only the parts of JSON schema METADATA_SCHEMA uses
+function schemaErrors(schema, value, at) {
+  const types = [].concat(schema.type)
+  const actual = typeOf(value)
+  if (!types.includes(actual)) {
+    return [`${at}: must be ${types.join(' or ')}, got ${actual}`]
+  }
+
+  const errors = []
+  if (actual === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push(`${at}: must not be empty`)
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: must match ${schema.pattern}`)
+    }
+    if (schema.format === 'uri' && uriError(value)) {
+      errors.push(`${at}: ${uriError(value)}`)
+    }
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${at}.${key}: is required`)
+      }
+    }
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...schemaErrors(property, value[key], `${at}.${key}`))
+      }
+    }
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...schemaErrors(schema.items, item, `${at}[${i}]`)))
+  }
+  return errors
+}
+
+function metadataErrors(metadata) {
+  return schemaErrors(METADATA_SCHEMA, metadata, 'metadata')
+}
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567'
+
+// RFC 4648 base32, lowercase and unpadded as multibase `b` expects
+function base32(bytes) {
+  let bits = 0
+  let value = 0
+  let output = ''
+  for (const byte of bytes) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+  return output
+}
+
+// same CID as `ipfs add --cid-version 1 --raw-leaves` for files that fit in one 256 KiB block
+function computeCid(content) {
+  const digest = crypto.createHash('sha256').update(content).digest()
+  // version 1, raw codec 0x55, sha2-256 0x12 with a 32 byte digest
+  const cid = Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest])
+  return `b${base32(cid)}`
+}
+
+// content hash of tokens minted without one, or whose URI was updated since
+const NO_CONTENT_HASH = `0x${'0'.repeat(64)}`
+
+function cidDigest(cid) {
+  let bits = 0
+  let value = 0
+  const bytes = []
+  for (const char of cid.slice(1)) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char)
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return `0x${Buffer.from(bytes.slice(4)).toString('hex')}`
+}
+
+// the sha2-256 digest inside the content's CID
+function computeContentHash(content) {
+  return `0x${crypto.createHash('sha256').update(content).digest('hex')}`
+}
+
+// `contents` in token order, so anyone can recompute the hash from the files after reveal
+function computeProvenanceHash(contents) {
+  const hashes = contents.map((content) => crypto.createHash('sha256').update(content).digest())
+  return computeContentHash(Buffer.concat(hashes))
+}
+
+// ------------------ Pinning ---------------------- //
+
+// for tests and local development
+class FsPinningBackend {
+  constructor({ dir }) {
+    this.name = 'fs'
+    this.dir = dir
+  }
+
+  async pin(cid, content) {
+    fs.mkdirSync(this.dir, { recursive: true })
+    fs.writeFileSync(path.join(this.dir, cid), content)
+  }
+
+  async has(cid) {
+    return fs.existsSync(path.join(this.dir, cid))
+  }
+
+  async get(cid) {
+    const file = path.join(this.dir, cid)
+    return fs.existsSync(file) ? fs.readFileSync(file) : undefined
+  }
+}
+
+const PINNING_BACKENDS = {
+  fs: (options) => new FsPinningBackend(options),
+}
+
+// `factory` gets the backend options and returns an object with `name`, `pin`, `has` and `get`
+function registerPinningBackend(name, factory) {
+  PINNING_BACKENDS[name] = factory
+}
+
+function createPinningBackend(name, options = {}) {
+  const factory = PINNING_BACKENDS[name]
+  if (!factory) {
+    throw new Error(
+      `Unknown pinning backend "${name}", expected one of ${Object.keys(PINNING_BACKENDS).join(
+        ', '
+      )}`
+    )
+  }
+  return factory(options)
+}
+
+// ------------------ Pin manifest ---------------------- //
+
+const pinManifestPath = (network) => path.join(manifestDir(), `${network}.pins.json`)
+
+// `tokens` maps each NFT contract to the CID each token's URI was set to
+function readPinManifest(network) {
+  const file = pinManifestPath(network)
+  if (!fs.existsSync(file)) {
+    return { network, pins: {}, tokens: {} }
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+function writePinManifest(network, manifest) {
+  fs.mkdirSync(manifestDir(), { recursive: true })
+  fs.writeFileSync(pinManifestPath(network), JSON.stringify(manifest, null, 2) + '\n')
+}
+
+function recordToken(manifest, nftAddress, tokenId, cid) {
+  manifest.tokens[nftAddress] = manifest.tokens[nftAddress] || {}
+  manifest.tokens[nftAddress][tokenId.toString()] = cid
+}
+
+// pins the file's bytes as they are, so its CID can be checked with any IPFS tool
+async function pinMetadataFile(file, backend, manifest) {
+  const content = fs.readFileSync(file)
+  let metadata
+  try {
+    metadata = JSON.parse(content.toString('utf8'))
+  } catch (err) {
+    throw new Error(`${file} is not valid JSON: ${err.message}`)
+  }
+  const errors = metadataErrors(metadata)
+  if (errors.length > 0) {
+    throw new Error(`Invalid metadata in ${file}:\n- ${errors.join('\n- ')}`)
+  }
+
+  const cid = computeCid(content)
+  await backend.pin(cid, content)
+  manifest.pins[cid] = {
+    file: path.basename(file),
+    size: content.length,
+    backend: backend.name,
+    pinnedAt: new Date().toISOString(),
+  }
+  return { cid, uri: `ipfs://${cid}`, contentHash: computeContentHash(content), metadata }
+}
+
+async function verifyTokenURIs(nft, manifest, backend) {
+  const tokens = manifest.tokens[nft.address] || {}
+  const mismatches = []
+  for (const [tokenId, cid] of Object.entries(tokens)) {
+    const expected = `ipfs://${cid}`
+    let actual
+    try {
+      actual = await nft.tokenURI(tokenId)
+    } catch (err) {
+      mismatches.push({ tokenId, expected, actual: null, reason: 'token does not exist' })
+      continue
+    }
+    if (actual !== expected) {
+      mismatches.push({ tokenId, expected, actual, reason: 'tokenURI changed' })
+      continue
+    }
+    const contentHash = await nft.tokenContentHash(tokenId)
+    if (contentHash !== NO_CONTENT_HASH && contentHash !== cidDigest(cid)) {
+      mismatches.push({ tokenId, expected, actual, reason: 'content hash does not match CID' })
+      continue
+    }
+    if (backend) {
+      const content = await backend.get(cid)
+      if (!content) {
+        mismatches.push({ tokenId, expected, actual, reason: 'content is not pinned' })
+      } else if (computeCid(content) !== cid) {
+        mismatches.push({ tokenId, expected, actual, reason: 'pinned content does not match CID' })
+      }
+    }
+  }
+  return mismatches
+}
+
+module.exports = {
+  METADATA_SCHEMA,
+  metadataErrors,
+  computeCid,
+  computeContentHash,
+  computeProvenanceHash,
+  FsPinningBackend,
+  registerPinningBackend,
+  createPinningBackend,
+  pinManifestPath,
+  readPinManifest,
+  writePinManifest,
+  recordToken,
+  pinMetadataFile,
+  verifyTokenURIs,
+}
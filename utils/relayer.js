@@ -0,0 +1,134 @@
+const { ethers } = require('ethers')
+const { decodeError, errorFromReason } = require('../sdk/errors')
+const { buildForwardRequest, getForwarderDomain, signForwardRequest } = require('../sdk/forwarder')
+const { decodeEvents } = require('./tasks')
+
+// creator flows that take no ether; anything else is refused, e.g. `Marketplace.creditPayment`
+// would let a signer have the relayer's ether credited to them and withdraw it
+const RELAYED_METHODS = [
+  'mint',
+  'mintBatch',
+  'setTokenRoyalty',
+  'updateTokenMetadata',
+  'listItem',
+  'listItemWithToken',
+  'listItemWithExpiry',
+  'delistItem',
+]
+
+// selector of `Error(string)`
+const ERROR_SELECTOR = '0x08c379a0'
+
+// MinimalForwarder does not revert when the call does, it returns the call's return data instead
+function decodeForwardedError(returndata) {
+  if (ethers.utils.hexDataSlice(returndata, 0, 4) !== ERROR_SELECTOR) {
+    return new Error('Forwarded call reverted without a reason')
+  }
+  const [reason] = ethers.utils.defaultAbiCoder.decode(
+    ['string'],
+    ethers.utils.hexDataSlice(returndata, 4)
+  )
+  return errorFromReason(reason)
+}
+
+// the gas defaults to an estimate of the call as the target sees it, from the forwarder with `from`
+// appended; an estimate for a whole transaction leaves the call room to spare
+async function prepareForwardRequest(forwarder, { from, to, data, value = 0, gas }) {
+  const nonce = await forwarder.getNonce(from)
+  if (gas === undefined) {
+    gas = await forwarder.provider
+      .estimateGas({
+        from: forwarder.address,
+        to,
+        value,
+        data: ethers.utils.hexConcat([data, from]),
+      })
+      .catch((err) => {
+        throw decodeError(err)
+      })
+  }
+  return buildForwardRequest({ from, to, value, gas, nonce, data })
+}
+
+async function signForwardedCall(
+  signer,
+  forwarder,
+  contract,
+  method,
+  args = [],
+  { value, gas } = {}
+) {
+  const from = await signer.getAddress()
+  const data = contract.interface.encodeFunctionData(method, args)
+  const request = await prepareForwardRequest(forwarder, {
+    from,
+    to: contract.address,
+    data,
+    value,
+    gas,
+  })
+  const { chainId } = await forwarder.provider.getNetwork()
+  const signature = await signForwardRequest(
+    signer,
+    getForwarderDomain(forwarder.address, chainId),
+    request
+  )
+  return { request, signature }
+}
+
+// `forwarder` is connected to the relayer's funded signer; requests to contracts other than
+// `targets` are refused
+function createRelayer({ forwarder, targets }) {
+  const targetOf = (address) =>
+    targets.find((target) => target.address.toLowerCase() === address.toLowerCase())
+
+  async function validate(request, signature) {
+    const target = targetOf(request.to)
+    if (!target) {
+      throw new Error(`Requests to ${request.to} are not relayed`)
+    }
+    if (!ethers.BigNumber.from(request.value).isZero()) {
+      throw new Error('Requests that send ether are not relayed')
+    }
+    let call
+    try {
+      call = target.interface.parseTransaction({ data: request.data })
+    } catch (err) {
+      throw new Error(`Unknown method in the request to ${request.to}`)
+    }
+    if (!RELAYED_METHODS.includes(call.name)) {
+      throw new Error(`${call.name} is not relayed`)
+    }
+    if (!(await target.isTrustedForwarder(forwarder.address))) {
+      throw new Error(`${request.to} does not trust forwarder ${forwarder.address}`)
+    }
+    if (!(await forwarder.verify(request, signature))) {
+      throw new Error(`Invalid signature or nonce for the request of ${request.from}`)
+    }
+
+    const [success, returndata] = await forwarder.callStatic.execute(request, signature)
+    if (!success) {
+      throw decodeForwardedError(returndata)
+    }
+    const result = target.interface.decodeFunctionResult(call.functionFragment, returndata)
+    return { method: call.name, args: call.args, result }
+  }
+
+  // the forwarder does not report whether the call succeeded, so its outcome is the simulation's
+  async function relay(request, signature) {
+    const call = await validate(request, signature)
+    const txn = await forwarder.execute(request, signature)
+    const receipt = await txn.wait()
+    return { ...call, receipt, events: decodeEvents(receipt, targets) }
+  }
+
+  return { validate, relay }
+}
+
+module.exports = {
+  RELAYED_METHODS,
+  decodeForwardedError,
+  prepareForwardRequest,
+  signForwardedCall,
+  createRelayer,
+}
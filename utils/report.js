@@ -0,0 +1,272 @@
+const { ethers } = require('ethers')
+const { createIndexer } = require('../indexer')
+
+const ZERO_ADDRESS = ethers.constants.AddressZero
+
+// reads creators of tokens the indexer no longer holds, burned NFT tokens and Editions both implement it
+const CREATOR_ABI = ['function tokenCreator(uint256 tokenId) view returns (address)']
+
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+]
+
+const DAY = 24 * 60 * 60 * 1000
+
+// ISO 8601 week such as `2022-W07`: weeks start on Monday and belong to the year of their Thursday
+function isoWeek(date) {
+  const thursday = new Date(date.getTime() + (3 - ((date.getUTCDay() + 6) % 7)) * DAY)
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1)
+  const week = Math.floor((thursday.getTime() - yearStart) / (7 * DAY)) + 1
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`
+}
+
+// periods sales can be grouped by, keyed by the UTC date of their block
+const PERIODS = {
+  day: (date) => date.toISOString().slice(0, 10),
+  week: isoWeek,
+  month: (date) => date.toISOString().slice(0, 7),
+}
+
+const SECTIONS = {
+  totals: ['currency', 'sales', 'volume', 'royalties', 'fees'],
+  creators: ['creator', 'currency', 'tokens', 'sales', 'primarySales', 'volume', 'royalties'],
+  collections: [
+    'collection',
+    'currency',
+    'tokens',
+    'listed',
+    'floorPrice',
+    'sales',
+    'volume',
+    'royalties',
+    'fees',
+  ],
+  periods: ['period', 'currency', 'sales', 'volume', 'royalties', 'fees'],
+}
+
+const AMOUNT_COLUMNS = ['volume', 'royalties', 'fees', 'floorPrice']
+
+function rowOf(rows, key, fields) {
+  if (!rows.has(key)) {
+    rows.set(key, { ...fields, sales: 0, volume: 0n, royalties: 0n, fees: 0n })
+  }
+  return rows.get(key)
+}
+
+function addSale(row, sale) {
+  row.sales += 1
+  row.volume += BigInt(sale.price)
+  row.royalties += BigInt(sale.royaltyAmount)
+  row.fees += BigInt(sale.feeToMarketplace)
+  return row
+}
+
+const byVolume = (a, b) => (a.volume === b.volume ? 0 : a.volume > b.volume ? -1 : 1)
+
+const toRows = (rows, compare) =>
+  [...rows.values()]
+    .sort(compare)
+    .map((row) =>
+      Object.fromEntries(
+        Object.entries(row).map(([key, value]) => [
+          key,
+          typeof value === 'bigint' ? value.toString() : value,
+        ])
+      )
+    )
+
+// Amounts are decimal strings in the smallest unit of the row's `currency`, an ERC-20 address or
+// the zero address for ether. Rows are split by currency so amounts are never added across them.
+// `settlers` are the AuctionHouse and OfferBook addresses, see createIndexer.
+async function buildReport({
+  marketplace,
+  nfts = [],
+  settlers = [],
+  period = 'month',
+  fromBlock = 0,
+  toBlock,
+}) {
+  if (!PERIODS[period]) {
+    throw new Error(
+      `Unknown period "${period}", expected one of ${Object.keys(PERIODS).join(', ')}`
+    )
+  }
+  const { provider } = marketplace
+  const { store, sync } = createIndexer({ marketplace, nfts, settlers })
+  await sync({ fromBlock, toBlock })
+  const blockTag = toBlock === undefined ? 'latest' : toBlock
+
+  // tokens that are not burned, per creator and per collection
+  const tokenCounts = new Map()
+  const countToken = (key) => tokenCounts.set(key, (tokenCounts.get(key) || 0) + 1)
+  for (const nft of nfts) {
+    for (const token of store.getTokens({ nftAddress: nft.address })) {
+      countToken(token.creator)
+      countToken(nft.address)
+    }
+  }
+
+  const creators = new Map()
+  const collections = new Map()
+  const periods = new Map()
+  const totals = new Map()
+  const creatorRow = (creator, currency) =>
+    rowOf(creators, `${creator}:${currency}`, {
+      creator,
+      currency,
+      tokens: tokenCounts.get(creator) || 0,
+      primarySales: 0,
+    })
+  const collectionRow = (collection, currency) =>
+    rowOf(collections, `${collection}:${currency}`, {
+      collection,
+      currency,
+      tokens: tokenCounts.get(collection) || 0,
+      listed: 0,
+      floorPrice: null,
+    })
+
+  // creators and collections get an ether row before their first sale
+  for (const nft of nfts) {
+    collectionRow(nft.address, ZERO_ADDRESS)
+    for (const token of store.getTokens({ nftAddress: nft.address })) {
+      creatorRow(token.creator, ZERO_ADDRESS)
+    }
+  }
+
+  for (const listing of store.getListings()) {
+    const [valid] = await marketplace.isListingValid(listing.itemId, { blockTag })
+    if (!valid) continue
+    const row = collectionRow(listing.nftAddress, listing.paymentToken || ZERO_ADDRESS)
+    const price = BigInt(listing.price)
+    row.listed += 1
+    row.floorPrice = row.floorPrice === null || price < row.floorPrice ? price : row.floorPrice
+  }
+
+  const creatorsByToken = new Map()
+  const creatorOf = async ({ nftAddress, tokenId }) => {
+    const token = store.getToken(nftAddress, tokenId)
+    if (token && token.creator) return token.creator
+    const key = `${nftAddress}:${tokenId}`
+    if (!creatorsByToken.has(key)) {
+      const contract = new ethers.Contract(nftAddress, CREATOR_ABI, provider)
+      creatorsByToken.set(key, await contract.tokenCreator(tokenId).catch(() => null))
+    }
+    return creatorsByToken.get(key)
+  }
+  const timestamps = new Map()
+  const dateOf = async (blockNumber) => {
+    if (!timestamps.has(blockNumber)) {
+      timestamps.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp)
+    }
+    return new Date(timestamps.get(blockNumber) * 1000)
+  }
+
+  for (const sale of store.getSales()) {
+    const currency = sale.paymentToken || ZERO_ADDRESS
+    const periodKey = PERIODS[period](await dateOf(sale.blockNumber))
+    addSale(rowOf(totals, currency, { currency }), sale)
+    addSale(rowOf(periods, `${periodKey}:${currency}`, { period: periodKey, currency }), sale)
+    addSale(collectionRow(sale.nftAddress, currency), sale)
+
+    const creator = await creatorOf(sale)
+    if (creator) {
+      const row = addSale(creatorRow(creator, currency), sale)
+      if (sale.seller.toLowerCase() === creator.toLowerCase()) {
+        row.primarySales += 1
+      }
+    }
+  }
+
+  const currencies = {}
+  for (const { currency } of [...totals.values(), ...collections.values()]) {
+    if (currencies[currency]) continue
+    if (currency === ZERO_ADDRESS) {
+      currencies[currency] = { symbol: 'ETH', decimals: 18 }
+      continue
+    }
+    const token = new ethers.Contract(currency, ERC20_ABI, provider)
+    currencies[currency] = {
+      symbol: await token.symbol().catch(() => currency),
+      decimals: await token.decimals().catch(() => 0),
+    }
+  }
+
+  return {
+    period,
+    currencies,
+    totals: toRows(totals, (a, b) => a.currency.localeCompare(b.currency)),
+    creators: toRows(creators, byVolume),
+    collections: toRows(collections, byVolume),
+    periods: toRows(
+      periods,
+      (a, b) => a.period.localeCompare(b.period) || a.currency.localeCompare(b.currency)
+    ),
+  }
+}
+
+// ------------------ Output ---------------------- //
+
+function sectionCells(report, section) {
+  return report[section].map((row) =>
+    SECTIONS[section].map((column) => {
+      const { symbol, decimals } = report.currencies[row.currency]
+      if (column === 'currency') return symbol
+      if (AMOUNT_COLUMNS.includes(column)) {
+        return row[column] === null ? '' : ethers.utils.formatUnits(row[column], decimals)
+      }
+      return String(row[column])
+    })
+  )
+}
+
+const csvCell = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value)
+
+function formatTable(header, rows) {
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((r) => r[i].length)))
+  const line = (cells) =>
+    cells
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join('  ')
+      .trimEnd()
+  return [line(header), widths.map((w) => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n')
+}
+
+// tables and CSV show amounts in whole units of their currency, JSON keeps the smallest units
+function formatReport(report, format = 'table', sections = Object.keys(SECTIONS)) {
+  const unknown = sections.filter((section) => !SECTIONS[section])
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown report section "${unknown[0]}", expected one of ${Object.keys(SECTIONS).join(', ')}`
+    )
+  }
+  if (format === 'json') {
+    const { period, currencies } = report
+    const content = Object.fromEntries(sections.map((section) => [section, report[section]]))
+    return JSON.stringify({ period, currencies, ...content }, null, 2)
+  }
+  if (format === 'csv') {
+    return sections
+      .map((section) =>
+        [
+          `# ${section}`,
+          SECTIONS[section].join(','),
+          ...sectionCells(report, section).map((row) => row.map(csvCell).join(',')),
+        ].join('\n')
+      )
+      .join('\n\n')
+  }
+  if (format === 'table') {
+    return sections
+      .map((section) => {
+        const rows = sectionCells(report, section).map((row) => row.map((cell) => cell || '-'))
+        const title = section === 'periods' ? `periods (${report.period})` : section
+        return `${title}\n${formatTable(SECTIONS[section], rows)}`
+      })
+      .join('\n\n')
+  }
+  throw new Error(`Unknown report format "${format}", expected table, csv or json`)
+}
+
+module.exports = { PERIODS, SECTIONS, buildReport, formatReport }
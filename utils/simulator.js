@@ -0,0 +1,480 @@
+const { deployProxy } = require('./upgrades')
+
+// Randomized marketplace simulator: actors trade on a fresh Marketplace and NFT and every invariant
+// is checked after each step against a model of what the contracts should hold. A run is reproduced
+// by its seed, and a failing sequence is shrunk to the fewest steps that still break the same
+// invariant. Needs the in-process hardhat network or a local node, as runs revert to an
+// `evm_snapshot`.
+
+// mulberry32, a small seeded generator of integers in [0, 2^32)
+function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return (t ^ (t >>> 14)) >>> 0
+  }
+}
+
+const ACTION_WEIGHTS = {
+  mint: 4,
+  list: 4,
+  buy: 4,
+  delist: 1,
+  transfer: 1,
+  burn: 1,
+  royalty: 1,
+  creatorRoyalty: 1,
+  withdraw: 2,
+}
+
+// Actions hold random integers that are only resolved against the state when they run, e.g. `pick`
+// selects one of the listed items, so they stay valid when shrinking removes the steps before them.
+function generateActions(seed, steps) {
+  const random = createRandom(seed)
+  const types = Object.entries(ACTION_WEIGHTS).flatMap(([type, weight]) => Array(weight).fill(type))
+  return Array.from({ length: steps }, () => ({
+    type: types[random() % types.length],
+    actor: random(),
+    pick: random(),
+    amount: random(),
+  }))
+}
+
+const choose = (candidates, index) =>
+  candidates.length > 0 ? candidates[index % candidates.length] : undefined
+
+const percent = (basisPoints) => `${(basisPoints / 100).toFixed(2)}%`
+
+// ------------------ Actions ---------------------- //
+
+// each action returns a description of what it did, or undefined when there was nothing to act on
+const ACTIONS = {
+  async mint(sim, { actor, amount }) {
+    const creator = sim.actors[actor % sim.actors.length]
+    const receipt = await (
+      await sim.nft.connect(creator).mint(creator.address, 'ipfs://sim')
+    ).wait()
+    const tokenId = receipt.events.find((e) => e.event === 'TokenMinted').args._tokenId.toString()
+    const token = { owner: creator.address, creator: creator.address }
+    sim.model.tokens.set(tokenId, token)
+
+    const royalty = amount % 1001
+    if (royalty > 0 && amount % 2 === 0) {
+      await (await sim.nft.connect(creator).setTokenRoyalty(tokenId, royalty)).wait()
+      token.royalty = { recipients: [creator.address], shares: [royalty] }
+      return `${sim.label(creator)} mints token ${tokenId} with a ${percent(royalty)} royalty`
+    }
+    return `${sim.label(creator)} mints token ${tokenId}`
+  },
+
+  async list(sim, { pick, amount }) {
+    const tokenId = choose(
+      [...sim.model.tokens.keys()].filter((id) => !sim.model.listings.has(id)),
+      pick
+    )
+    if (tokenId === undefined) return undefined
+    const seller = sim.signer(sim.model.tokens.get(tokenId).owner)
+    if (!(await sim.nft.isApprovedForAll(seller.address, sim.marketplace.address))) {
+      await (await sim.nft.connect(seller).setApprovalForAll(sim.marketplace.address, true)).wait()
+    }
+    const price = sim.ethers.utils.parseUnits(String(1 + (amount % 1000)), 'gwei')
+    const receipt = await (
+      await sim.marketplace.connect(seller).listItem(sim.nft.address, tokenId, price)
+    ).wait()
+    const itemId = receipt.events.find((e) => e.event === 'ItemListed').args.itemId.toString()
+    sim.model.listings.set(tokenId, { itemId, seller: seller.address, price })
+    sim.model.items.set(itemId, tokenId)
+    return `${sim.label(seller)} lists token ${tokenId} as item ${itemId} for ${price} wei`
+  },
+
+  async buy(sim, { actor, pick }) {
+    const tokenId = choose([...sim.model.listings.keys()], pick)
+    if (tokenId === undefined) return undefined
+    const listing = sim.model.listings.get(tokenId)
+    const buyer = choose(
+      sim.actors.filter((a) => a.address !== listing.seller),
+      actor
+    )
+    const receipt = await (
+      await sim.marketplace
+        .connect(buyer)
+        .purchaseItem(sim.nft.address, listing.itemId, { value: listing.price })
+    ).wait()
+
+    const credits = sim.expectedCredits(tokenId, listing)
+    for (const [payee, amount] of credits) {
+      sim.model.pending.set(payee, sim.pendingOf(payee).add(amount))
+    }
+    sim.lastSale = { value: listing.price, credits, receipt }
+    sim.model.tokens.get(tokenId).owner = buyer.address
+    sim.model.listings.delete(tokenId)
+    return `${sim.label(buyer)} buys item ${listing.itemId} for ${listing.price} wei`
+  },
+
+  async delist(sim, { pick }) {
+    const tokenId = choose([...sim.model.listings.keys()], pick)
+    if (tokenId === undefined) return undefined
+    const { itemId, seller } = sim.model.listings.get(tokenId)
+    await (await sim.marketplace.connect(sim.signer(seller)).delistItem(itemId)).wait()
+    sim.model.listings.delete(tokenId)
+    return `${sim.label(seller)} delists item ${itemId}`
+  },
+
+  async transfer(sim, { actor, pick }) {
+    const tokenId = choose([...sim.model.tokens.keys()], pick)
+    if (tokenId === undefined) return undefined
+    const token = sim.model.tokens.get(tokenId)
+    const to = choose(
+      sim.actors.filter((a) => a.address !== token.owner),
+      actor
+    )
+    await (
+      await sim.nft.connect(sim.signer(token.owner)).transferFrom(token.owner, to.address, tokenId)
+    ).wait()
+    const from = token.owner
+    token.owner = to.address
+    // the transfer hook drops the listing of a token leaving its seller
+    sim.model.listings.delete(tokenId)
+    return `${sim.label(from)} transfers token ${tokenId} to ${sim.label(to)}`
+  },
+
+  async burn(sim, { pick }) {
+    const tokenId = choose(
+      [...sim.model.tokens.entries()].filter(([, t]) => t.owner === t.creator).map(([id]) => id),
+      pick
+    )
+    if (tokenId === undefined) return undefined
+    const { owner } = sim.model.tokens.get(tokenId)
+    await (await sim.nft.connect(sim.signer(owner)).burn(tokenId)).wait()
+    sim.model.tokens.delete(tokenId)
+    sim.model.listings.delete(tokenId)
+    sim.model.burned += 1
+    return `${sim.label(owner)} burns token ${tokenId}`
+  },
+
+  // splits the royalty of a token its creator still holds between the creator and another actor
+  async royalty(sim, { actor, pick, amount }) {
+    const tokenId = choose(
+      [...sim.model.tokens.entries()].filter(([, t]) => t.owner === t.creator).map(([id]) => id),
+      pick
+    )
+    if (tokenId === undefined) return undefined
+    const token = sim.model.tokens.get(tokenId)
+    const other = choose(
+      sim.actors.filter((a) => a.address !== token.creator),
+      actor
+    )
+    const total = 2 + (amount % 999)
+    const shares = [Math.ceil(total / 2), Math.floor(total / 2)]
+    const recipients = [token.creator, other.address]
+    await (
+      await sim.nft
+        .connect(sim.signer(token.creator))
+        .setTokenRoyaltySplit(tokenId, total, recipients, shares)
+    ).wait()
+    token.royalty = { recipients, shares }
+    return `${sim.label(token.creator)} splits the ${percent(
+      total
+    )} royalty of token ${tokenId} with ${sim.label(other)}`
+  },
+
+  // sets or, one time in four, removes the default royalty of the actor's tokens
+  async creatorRoyalty(sim, { actor, amount }) {
+    const creator = sim.actors[actor % sim.actors.length]
+    const total = amount % 4 === 0 ? 0 : 1 + (amount % 1000)
+    const recipients = total > 0 ? [creator.address] : []
+    const shares = total > 0 ? [total] : []
+    await (await sim.nft.connect(creator).setCreatorRoyalty(total, recipients, shares)).wait()
+    if (total > 0) {
+      sim.model.creatorRoyalties.set(creator.address, { recipients, shares })
+      return `${sim.label(creator)} sets a default royalty of ${percent(total)}`
+    }
+    sim.model.creatorRoyalties.delete(creator.address)
+    return `${sim.label(creator)} removes their default royalty`
+  },
+
+  async withdraw(sim, { pick }) {
+    const payee = choose(
+      sim.accounts.filter((a) => !sim.pendingOf(a.address).isZero()),
+      pick
+    )
+    if (payee === undefined) return undefined
+    await (await sim.marketplace.connect(payee).withdraw()).wait()
+    const amount = sim.pendingOf(payee.address)
+    sim.model.pending.delete(payee.address)
+    return `${sim.label(payee)} withdraws ${amount} wei`
+  },
+}
+
+// ------------------ Invariants ---------------------- //
+
+// `check(sim)` returns a description of the violation, or undefined when the property holds
+const INVARIANTS = [
+  {
+    name: 'sales pay out exactly msg.value',
+    async check(sim) {
+      if (!sim.lastSale) return undefined
+      const { value, credits, receipt } = sim.lastSale
+      const credited = new Map()
+      for (const log of receipt.logs) {
+        if (log.address !== sim.marketplace.address) continue
+        const event = sim.marketplace.interface.parseLog(log)
+        if (event.name !== 'PaymentCredited') continue
+        const { payee, amount } = event.args
+        credited.set(payee, (credited.get(payee) || sim.ethers.constants.Zero).add(amount))
+      }
+      const total = [...credited.values()].reduce(
+        (sum, amount) => sum.add(amount),
+        sim.ethers.constants.Zero
+      )
+      if (!total.eq(value)) {
+        return `credited ${total} wei for a sale paid with ${value} wei`
+      }
+      for (const [payee, amount] of credits) {
+        if (!amount.eq(credited.get(payee) || 0)) {
+          return `credited ${credited.get(payee) || 0} wei to ${sim.label(
+            payee
+          )}, expected ${amount}`
+        }
+      }
+      return undefined
+    },
+  },
+  {
+    name: 'withdrawable balances match the payouts',
+    async check(sim) {
+      let owed = sim.ethers.constants.Zero
+      for (const account of sim.accounts) {
+        const pending = await sim.marketplace.pendingWithdrawal(account.address)
+        if (!pending.eq(sim.pendingOf(account.address))) {
+          return `${sim.label(account)} can withdraw ${pending} wei, expected ${sim.pendingOf(
+            account.address
+          )}`
+        }
+        owed = owed.add(pending)
+      }
+      const balance = await sim.ethers.provider.getBalance(sim.marketplace.address)
+      if (!balance.eq(owed)) {
+        return `marketplace holds ${balance} wei but owes ${owed}`
+      }
+      return undefined
+    },
+  },
+  {
+    name: 'only unsold tokens stay listed',
+    async check(sim) {
+      for (const [itemId, tokenId] of sim.model.items) {
+        const item = await sim.marketplace.getItemById(itemId)
+        const listing = sim.model.listings.get(tokenId)
+        const expected = listing !== undefined && listing.itemId === itemId
+        if (item.isListed !== expected) {
+          return `item ${itemId} of token ${tokenId} is ${item.isListed ? '' : 'not '}listed`
+        }
+        if (expected && (item.owner !== listing.seller || !item.price.eq(listing.price))) {
+          return `item ${itemId} is listed by ${item.owner} for ${item.price}, expected ${listing.seller} for ${listing.price}`
+        }
+      }
+      const [, total] = await sim.marketplace.getListedItems(0, 0)
+      if (!total.eq(sim.model.listings.size)) {
+        return `${total} items are listed, expected ${sim.model.listings.size}`
+      }
+      return undefined
+    },
+  },
+  {
+    name: 'total supply counts the tokens that are not burned',
+    async check(sim) {
+      const supply = await sim.nft.totalSupply()
+      if (!supply.eq(sim.model.tokens.size)) {
+        return `totalSupply is ${supply} after ${sim.model.burned} burns, expected ${sim.model.tokens.size}`
+      }
+      let held = 0
+      for (const actor of sim.actors) {
+        held += (await sim.nft.getTokensByOwner(actor.address, 0, 0)).total.toNumber()
+      }
+      if (held !== sim.model.tokens.size) {
+        return `actors hold ${held} tokens, expected ${sim.model.tokens.size}`
+      }
+      return undefined
+    },
+  },
+  {
+    name: 'tokens are owned as traded',
+    async check(sim) {
+      for (const [tokenId, { owner }] of sim.model.tokens) {
+        const actual = await sim.nft.ownerOf(tokenId)
+        if (actual !== owner) {
+          return `token ${tokenId} is owned by ${sim.label(actual)}, expected ${sim.label(owner)}`
+        }
+      }
+      return undefined
+    },
+  },
+]
+
+// ------------------ Simulation ---------------------- //
+
+const emptyModel = () => ({
+  tokens: new Map(),
+  listings: new Map(),
+  items: new Map(),
+  pending: new Map(),
+  creatorRoyalties: new Map(),
+  burned: 0,
+})
+
+class Simulation {
+  static async deploy(hre, { actors = 4, protocolFee = 250, invariants = INVARIANTS } = {}) {
+    const [owner, ...signers] = await hre.ethers.getSigners()
+    if (actors < 2) {
+      throw new Error('The simulation needs at least 2 actors to trade between')
+    }
+    if (signers.length < actors) {
+      throw new Error(
+        `The simulation needs ${actors + 1} accounts, ${hre.network.name} has ${signers.length + 1}`
+      )
+    }
+    const marketplace = await deployProxy(hre, 'Marketplace', [protocolFee], owner)
+    const nft = await deployProxy(hre, 'NFT', [marketplace.address], owner)
+    const traders = signers.slice(0, actors)
+    await (await nft.initWhitelist(traders.map((a) => a.address))).wait()
+
+    const sim = new Simulation(hre, {
+      owner,
+      actors: traders,
+      marketplace,
+      nft,
+      protocolFee,
+      invariants,
+    })
+    sim.snapshotId = await hre.network.provider.send('evm_snapshot')
+    return sim
+  }
+
+  constructor(hre, { owner, actors, marketplace, nft, protocolFee, invariants }) {
+    this.hre = hre
+    this.ethers = hre.ethers
+    this.owner = owner
+    this.actors = actors
+    this.accounts = [owner, ...actors]
+    this.marketplace = marketplace
+    this.nft = nft
+    this.protocolFee = protocolFee
+    this.invariants = invariants
+    this.model = emptyModel()
+  }
+
+  signer(address) {
+    return this.accounts.find((a) => a.address === address)
+  }
+
+  label(account) {
+    const address = account.address || account
+    if (address === this.owner.address) return 'owner'
+    const index = this.actors.findIndex((a) => a.address === address)
+    return index < 0 ? address : `actor${index + 1}`
+  }
+
+  pendingOf(address) {
+    return this.model.pending.get(address) || this.ethers.constants.Zero
+  }
+
+  // the token's own royalty, else its creator's default, as Marketplace reads it through royaltySplits
+  expectedCredits(tokenId, { seller, price }) {
+    const token = this.model.tokens.get(tokenId)
+    const royalty = token.royalty ||
+      this.model.creatorRoyalties.get(token.creator) || { recipients: [], shares: [] }
+    const fee = price.mul(this.protocolFee).div(10000)
+    const credits = new Map()
+    const add = (payee, amount) => {
+      if (!amount.isZero()) {
+        credits.set(payee, (credits.get(payee) || this.ethers.constants.Zero).add(amount))
+      }
+    }
+    add(this.owner.address, fee)
+    let royalties = this.ethers.constants.Zero
+    royalty.recipients.forEach((recipient, i) => {
+      const amount = price.mul(royalty.shares[i]).div(10000)
+      royalties = royalties.add(amount)
+      add(recipient, amount)
+    })
+    add(seller, price.sub(fee).sub(royalties))
+    return credits
+  }
+
+  // `failure` is the first step that reverted or broke an invariant, if any
+  async run(actions) {
+    await this.hre.network.provider.send('evm_revert', [this.snapshotId])
+    this.snapshotId = await this.hre.network.provider.send('evm_snapshot')
+    this.model = emptyModel()
+
+    const steps = []
+    for (let step = 0; step < actions.length; step++) {
+      const action = actions[step]
+      this.lastSale = undefined
+      try {
+        steps.push((await ACTIONS[action.type](this, action)) || `${action.type}: nothing to do`)
+      } catch (err) {
+        steps.push(`${action.type}: reverted`)
+        return { steps, failure: { step, invariant: 'actions succeed', message: err.message } }
+      }
+      for (const invariant of this.invariants) {
+        const message = await invariant.check(this)
+        if (message) {
+          return { steps, failure: { step, invariant: invariant.name, message } }
+        }
+      }
+    }
+    return { steps }
+  }
+
+  // removes chunks of halving size down to single steps, keeping every removal that still fails
+  async shrink(actions, failure) {
+    let current = { actions: actions.slice(0, failure.step + 1), failure }
+    let chunk = Math.ceil(current.actions.length / 2)
+    while (chunk >= 1) {
+      let removed = false
+      for (let start = 0; start < current.actions.length; start += chunk) {
+        const candidate = [
+          ...current.actions.slice(0, start),
+          ...current.actions.slice(start + chunk),
+        ]
+        const result = await this.run(candidate)
+        if (result.failure && result.failure.invariant === failure.invariant) {
+          current = {
+            actions: candidate.slice(0, result.failure.step + 1),
+            failure: result.failure,
+          }
+          removed = true
+          start -= chunk
+        }
+      }
+      if (!removed) {
+        chunk = Math.floor(chunk / 2)
+      } else {
+        chunk = Math.min(chunk, Math.ceil(current.actions.length / 2))
+      }
+    }
+    // describe the steps of the minimal sequence
+    const { steps } = await this.run(current.actions)
+    return { ...current, steps }
+  }
+}
+
+async function simulate(hre, { seed, steps = 50, sim, shrink = true, ...options }) {
+  const simulation = sim || (await Simulation.deploy(hre, options))
+  const actions = generateActions(seed, steps)
+  const result = await simulation.run(actions)
+  if (!result.failure) {
+    return { seed, steps: result.steps }
+  }
+  const reproduction = shrink
+    ? await simulation.shrink(actions, result.failure)
+    : { actions: actions.slice(0, result.failure.step + 1), ...result }
+  return { seed, steps: result.steps, failure: result.failure, reproduction }
+}
+
+module.exports = { ACTIONS, INVARIANTS, Simulation, generateActions, simulate }
@@ -0,0 +1,75 @@
+async function getSigner(hre, index = 0) {
+  const signers = await hre.ethers.getSigners()
+  const signer = signers[Number(index)]
+  if (!signer) {
+    throw new Error(`No account at index ${index} for network "${hre.network.name}"`)
+  }
+  return signer
+}
+
+// e.g. `2.5` into `250`
+function percentToBasisPoints(hre, percent, maxBasisPoints = 10000) {
+  const basisPoints = hre.ethers.utils.parseUnits(String(percent), 2)
+  if (basisPoints.lt(0) || basisPoints.gt(maxBasisPoints)) {
+    throw new Error(
+      `Percentage must be between 0 and ${Number(maxBasisPoints) / 100}, got ${percent}`
+    )
+  }
+  return basisPoints
+}
+
+function decodeEvents(receipt, contracts) {
+  const events = []
+  for (const log of receipt.logs) {
+    const contract = contracts.find((c) => c.address.toLowerCase() === log.address.toLowerCase())
+    if (!contract) continue
+    try {
+      const parsed = contract.interface.parseLog(log)
+      events.push({ address: log.address, name: parsed.name, args: parsed.args })
+    } catch (err) {
+      // log emitted by an interface we don't know about
+    }
+  }
+  return events
+}
+
+const formatArg = (hre, value) =>
+  hre.ethers.BigNumber.isBigNumber(value) ? value.toString() : String(value)
+
+function printEvents(hre, events) {
+  for (const event of events) {
+    const args = Object.keys(event.args)
+      .filter((key) => isNaN(Number(key)))
+      .map((key) => `${key}=${formatArg(hre, event.args[key])}`)
+    console.log(`  ${event.name}(${args.join(', ')})`)
+  }
+}
+
+// the static call surfaces revert reasons before any gas is spent
+async function simulateAndSend(
+  hre,
+  { contract, method, args = [], overrides = {}, dryRun, decodeWith }
+) {
+  const result = await contract.callStatic[method](...args, overrides)
+  console.log(`Static call to ${method} succeeded`)
+  if (dryRun) {
+    console.log('Dry run, transaction not sent')
+    return { result }
+  }
+
+  const txn = await contract[method](...args, overrides)
+  const receipt = await txn.wait()
+  const events = decodeEvents(receipt, decodeWith || [contract])
+
+  console.log(`Transaction ${receipt.transactionHash}`)
+  console.log(`  block: ${receipt.blockNumber}, gas used: ${receipt.gasUsed.toString()}`)
+  printEvents(hre, events)
+  return { result, receipt, events }
+}
+
+module.exports = {
+  getSigner,
+  percentToBasisPoints,
+  decodeEvents,
+  simulateAndSend,
+}
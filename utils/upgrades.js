@@ -0,0 +1,171 @@
+// ERC-1967 slot holding the implementation address, keccak256('eip1967.proxy.implementation') - 1
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc'
+
+// solc suffixes struct, enum and contract type ids with AST ids, which change between compilations
+const normalizeTypeId = (typeId) => typeId.replace(/\)\d+/g, ')')
+
+// needs the `storageLayout` compiler output enabled in hardhat.config.js
+async function getStorageLayout(hre, name) {
+  const artifact = await hre.artifacts.readArtifact(name)
+  const buildInfo = await hre.artifacts.getBuildInfo(
+    `${artifact.sourceName}:${artifact.contractName}`
+  )
+  const output = buildInfo && buildInfo.output.contracts[artifact.sourceName][artifact.contractName]
+  if (!output || !output.storageLayout) {
+    throw new Error(`No storage layout was compiled for ${name}`)
+  }
+
+  const { storage, types } = output.storageLayout
+  const normalizedTypes = {}
+  for (const [typeId, type] of Object.entries(types || {})) {
+    const normalized = {
+      label: type.label,
+      encoding: type.encoding,
+      numberOfBytes: type.numberOfBytes,
+    }
+    for (const key of ['key', 'value', 'base']) {
+      if (type[key]) {
+        normalized[key] = normalizeTypeId(type[key])
+      }
+    }
+    if (type.members) {
+      normalized.members = type.members.map(({ label, slot, offset, type: memberType }) => ({
+        label,
+        slot,
+        offset,
+        type: normalizeTypeId(memberType),
+      }))
+    }
+    normalizedTypes[normalizeTypeId(typeId)] = normalized
+  }
+
+  return {
+    storage: storage.map(({ label, slot, offset, type }) => ({
+      label,
+      slot,
+      offset,
+      type: normalizeTypeId(type),
+    })),
+    types: normalizedTypes,
+  }
+}
+
+// structs may gain members at the end, everything else must keep the same type
+function typeErrors(previous, next, previousId, nextId, path) {
+  const before = previous.types[previousId]
+  const after = next.types[nextId]
+  if (!before || !after) {
+    return previousId === nextId ? [] : [`${path}: type changed from ${previousId} to ${nextId}`]
+  }
+  if (before.label !== after.label || before.encoding !== after.encoding) {
+    return [`${path}: type changed from ${before.label} to ${after.label}`]
+  }
+
+  if (before.members) {
+    const errors = []
+    before.members.forEach((member, i) => {
+      const match = after.members[i]
+      const memberPath = `${path}.${member.label}`
+      if (!match) {
+        errors.push(`${memberPath}: member was removed`)
+      } else if (match.label !== member.label) {
+        errors.push(`${memberPath}: member was replaced by ${match.label}`)
+      } else if (match.slot !== member.slot || match.offset !== member.offset) {
+        errors.push(`${memberPath}: member moved within the struct`)
+      } else {
+        errors.push(...typeErrors(previous, next, member.type, match.type, memberPath))
+      }
+    })
+    return errors
+  }
+
+  if (before.numberOfBytes !== after.numberOfBytes) {
+    return [`${path}: size changed from ${before.numberOfBytes} to ${after.numberOfBytes} bytes`]
+  }
+  const errors = []
+  for (const key of ['key', 'value', 'base']) {
+    if (before[key]) {
+      errors.push(...typeErrors(previous, next, before[key], after[key], `${path}[${key}]`))
+    }
+  }
+  return errors
+}
+
+// existing variables keep their name, slot, offset and type, new ones may only be appended
+function storageLayoutErrors(previous, next) {
+  const errors = []
+  previous.storage.forEach((variable, i) => {
+    const match = next.storage[i]
+    if (!match) {
+      errors.push(`${variable.label}: variable was removed`)
+    } else if (match.label !== variable.label) {
+      errors.push(`${variable.label}: slot ${variable.slot} now holds ${match.label}`)
+    } else if (match.slot !== variable.slot || match.offset !== variable.offset) {
+      errors.push(
+        `${variable.label}: moved from slot ${variable.slot} offset ${variable.offset} to slot ${match.slot} offset ${match.offset}`
+      )
+    } else {
+      errors.push(...typeErrors(previous, next, variable.type, match.type, variable.label))
+    }
+  })
+  return errors
+}
+
+function assertStorageCompatible(previous, next, name) {
+  const errors = storageLayoutErrors(previous, next)
+  if (errors.length > 0) {
+    throw new Error(
+      `Storage layout of ${name} is incompatible with the deployed implementation:\n- ${errors.join(
+        '\n- '
+      )}`
+    )
+  }
+}
+
+async function getImplementationAddress(hre, proxyAddress) {
+  const value = await hre.ethers.provider.getStorageAt(proxyAddress, IMPLEMENTATION_SLOT)
+  return hre.ethers.utils.getAddress(hre.ethers.utils.hexDataSlice(value, 12))
+}
+
+async function deployProxy(hre, name, args = [], signer) {
+  const { ethers } = hre
+  const factory = await ethers.getContractFactory(name, signer)
+  const implementation = await factory.deploy()
+  await implementation.deployed()
+
+  const Proxy = await ethers.getContractFactory('ArkivProxy', signer)
+  const proxy = await Proxy.deploy(
+    implementation.address,
+    factory.interface.encodeFunctionData('initialize', args)
+  )
+  await proxy.deployed()
+
+  const contract = factory.attach(proxy.address)
+  ethers.utils.defineReadOnly(contract, 'deployTransaction', proxy.deployTransaction)
+  return contract
+}
+
+// the storage layout is checked before anything is deployed; the signer must own the proxied contract
+async function upgradeProxy(hre, proxyAddress, name, previousLayout, signer) {
+  const { ethers } = hre
+  assertStorageCompatible(previousLayout, await getStorageLayout(hre, name), name)
+
+  const factory = await ethers.getContractFactory(name, signer)
+  const implementation = await factory.deploy()
+  await implementation.deployed()
+
+  const contract = factory.attach(proxyAddress)
+  const txn = await contract.upgradeTo(implementation.address)
+  await txn.wait()
+  return contract
+}
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  getStorageLayout,
+  storageLayoutErrors,
+  assertStorageCompatible,
+  getImplementationAddress,
+  deployProxy,
+  upgradeProxy,
+}
@@ -0,0 +1,112 @@
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+
+// CSV takes the first column of each row, JSON an array of addresses or of `{ address }` objects
+function readAddressFile(file) {
+  const contents = fs.readFileSync(file, 'utf8')
+  const entries =
+    path.extname(file).toLowerCase() === '.json' ? parseJson(contents) : parseCsv(contents)
+
+  const seen = new Set()
+  const addresses = []
+  for (const { value, line } of entries) {
+    if (!ethers.utils.isAddress(value)) {
+      throw new Error(`Invalid address "${value}" in ${file}${line ? ` on line ${line}` : ''}`)
+    }
+    const address = ethers.utils.getAddress(value)
+    if (!seen.has(address)) {
+      seen.add(address)
+      addresses.push(address)
+    }
+  }
+  return addresses
+}
+
+function parseJson(contents) {
+  const data = JSON.parse(contents)
+  if (!Array.isArray(data)) {
+    throw new Error('Whitelist JSON must be an array of addresses')
+  }
+  return data.map((entry) => ({ value: typeof entry === 'string' ? entry : entry.address }))
+}
+
+function parseCsv(contents) {
+  return contents
+    .split(/\r?\n/)
+    .map((row, i) => ({ value: row.split(',')[0].trim().replace(/^"|"$/g, ''), line: i + 1 }))
+    .filter(({ value, line }) => {
+      if (value === '' || value.startsWith('#')) return false
+      // header row, e.g. `address,name`
+      return !(line === 1 && !value.startsWith('0x'))
+    })
+}
+
+function writeAddressFile(file, addresses) {
+  const contents =
+    path.extname(file).toLowerCase() === '.json'
+      ? JSON.stringify(addresses, null, 2)
+      : ['address', ...addresses].join('\n')
+  fs.writeFileSync(file, contents + '\n')
+}
+
+// `fromBlock` is usually the NFT deployment block
+async function exportWhitelist(nft, fromBlock = 0) {
+  const added = await nft.queryFilter(nft.filters.AddToWhitelist(), fromBlock)
+  const removed = await nft.queryFilter(nft.filters.RemoveFromWhitelist(), fromBlock)
+  const events = [...added, ...removed].sort(
+    (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+  )
+
+  const whitelist = new Set()
+  for (const event of events) {
+    if (event.event === 'AddToWhitelist') {
+      whitelist.add(event.args._newAddress)
+    } else {
+      whitelist.delete(event.args._removedAddress)
+    }
+  }
+  return [...whitelist]
+}
+
+// removals are the addresses in `current`, from exportWhitelist, that are not desired
+async function diffWhitelist(nft, desired, current) {
+  const adds = []
+  for (const address of desired) {
+    if (!(await nft.isWhitelisted(address))) {
+      adds.push(address)
+    }
+  }
+
+  const wanted = new Set(desired)
+  const removes = []
+  for (const address of current) {
+    if (!wanted.has(address) && (await nft.isWhitelisted(address))) {
+      removes.push(address)
+    }
+  }
+  return { adds, removes }
+}
+
+// halves the batch until its estimate fits under `maxGas`; a single address is always allowed
+async function planWhitelistBatches(nft, addresses, maxGas) {
+  const batches = []
+  let remaining = addresses
+  while (remaining.length > 0) {
+    let size = remaining.length
+    while (size > 1 && (await nft.estimateGas.initWhitelist(remaining.slice(0, size))).gt(maxGas)) {
+      size = Math.ceil(size / 2)
+    }
+    batches.push(remaining.slice(0, size))
+    remaining = remaining.slice(size)
+  }
+  return batches
+}
+
+module.exports = {
+  readAddressFile,
+  writeAddressFile,
+  exportWhitelist,
+  diffWhitelist,
+  planWhitelistBatches,
+}